@@ -0,0 +1,110 @@
+#!/usr/bin/env ts-node
+
+/**
+ * Read-back check of /api/export-3dm: exports an AOI with every layer (trees included) from a
+ * running server, reopens the file with rhino3dm and checks its unit system, layers, "Tree" block
+ * and objects.
+ *
+ * Usage (example, with `npm run dev` running):
+ *   npx ts-node scripts/check-export-3dm.ts --bbox "-118.2460,34.0520,-118.2420,34.0550" [--units m|ft|usft]
+ *
+ * Exits with 1 and lists the failed checks when the export or the file is wrong.
+ */
+
+import path from "path";
+
+const DEFAULT_BBOX = "-118.2460,34.0520,-118.2420,34.0550";
+const LAYERS = ["Buildings", "Terrain", "Roads", "Parks", "Water", "Trees"];
+
+function parseArgs(argv: string[]) {
+  let bboxStr = DEFAULT_BBOX;
+  let apiBase = process.env.EXPORT_API_BASE || "http://localhost:3000";
+  let units = "ft";
+  for (let i = 2; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--bbox" && i + 1 < argv.length) {
+      bboxStr = argv[++i];
+    } else if (a === "--api-base" && i + 1 < argv.length) {
+      apiBase = argv[++i];
+    } else if (a === "--units" && i + 1 < argv.length) {
+      units = argv[++i];
+    }
+  }
+  const bbox = bboxStr.split(",").map((p) => Number(p.trim()));
+  if (bbox.length !== 4 || bbox.some((v) => !isFinite(v))) {
+    console.error("Invalid --bbox. Expected four numbers: W,S,E,N");
+    process.exit(1);
+  }
+  return { bbox, apiBase, units };
+}
+
+async function main() {
+  const { bbox, apiBase, units } = parseArgs(process.argv);
+  const res = await fetch(`${apiBase}/api/export-3dm`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ bbox, units }),
+  });
+  if (!res.ok) {
+    console.error(`export-3dm failed: HTTP ${res.status} ${await res.text()}`);
+    process.exit(1);
+  }
+  const bytes = new Uint8Array(await res.arrayBuffer());
+
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  const rhino3dmModule: any = await import("rhino3dm");
+  const rhino = await rhino3dmModule.default({
+    locateFile: (file: string) => path.join(process.cwd(), "node_modules", "rhino3dm", file),
+  });
+  const doc = rhino.File3dm.fromByteArray(bytes);
+  if (!doc) {
+    console.error("export-3dm returned a file rhino3dm cannot read");
+    process.exit(1);
+  }
+
+  const failures: string[] = [];
+  // rhino3dm has no US survey foot: usft exports are labeled Feet.
+  const unitSystem = units === "m" ? rhino.UnitSystem.Meters : rhino.UnitSystem.Feet;
+  if (doc.settings().modelUnitSystem.value !== unitSystem.value) {
+    const expected = units === "m" ? "Meters" : "Feet";
+    failures.push(`expected ${expected} model units, found UnitSystem value ${doc.settings().modelUnitSystem.value}`);
+  }
+  const layerNames = new Set<string>();
+  for (let i = 0; i < doc.layers().count; i++) layerNames.add(doc.layers().get(i).fullPath);
+  for (const name of LAYERS) if (!layerNames.has(name)) failures.push(`missing layer ${name}`);
+
+  // Document user text entries read back as "key,value".
+  let counts: Record<string, number> = {};
+  for (let i = 0; i < doc.strings().count; i++) {
+    const entry = String(doc.strings().get(i));
+    if (entry.startsWith("counts,")) counts = JSON.parse(entry.slice("counts,".length));
+  }
+  let instances = 0;
+  let buildings = 0;
+  const objects = doc.objects();
+  for (let i = 0; i < objects.count; i++) {
+    const obj = objects.get(i);
+    if (obj.geometry().objectType === rhino.ObjectType.InstanceReference) instances++;
+    const layer = doc.layers().findIndex(obj.attributes().layerIndex);
+    if (layer?.name === "Buildings" && obj.attributes().getUserStrings().length) buildings++;
+  }
+  if (counts.trees) {
+    if (doc.instanceDefinitions().count < 1) failures.push('missing "Tree" block definition');
+    if (instances !== counts.trees) failures.push(`expected ${counts.trees} tree instances, found ${instances}`);
+  } else {
+    console.warn("No trees in this AOI; pick a bbox with trees to check the Tree block.");
+  }
+  if (counts.buildings && !buildings) failures.push("no building meshes with OSM user strings");
+
+  console.log(`3DM: ${bytes.length} bytes, ${objects.count} objects, ${instances} tree instances, ${buildings} building meshes`);
+  if (failures.length) {
+    for (const f of failures) console.error(`FAIL ${f}`);
+    process.exit(1);
+  }
+  console.log("OK");
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,4 +1,13 @@
 import { NextRequest } from "next/server";
+import { AnalysisPeriod, SunSample, defaultTimeZone, sunSamplesForPeriod } from "@/lib/solar";
+import { ShadeCaster, ShadeGrid, buildShadeGrid, buildShadowsGeoJson } from "@/lib/shade";
+import { DEFAULT_TREE_TRANSMISSIVITY, StructureCaster, SunHoursGrid, TreeCaster, buildSunHoursGrid } from "@/lib/sunlight";
+import { gridToGeoTiff, gridToPng } from "@/lib/raster";
+import { FacadeAnalysis, analyzeFacades } from "@/lib/facades";
+import { buildingHeightFromTags } from "@/lib/osm/buildings";
+import { OsmLayer } from "@/lib/osm/layers";
+import { fetchOsmFeatures } from "@/lib/osm/sources";
+import { treeInstancesFromFeatures } from "@/lib/osm/trees";
 
 export const runtime = "nodejs";
 
@@ -412,23 +421,46 @@ export const runtime = "nodejs";
    };
  }
 
+ // Building footprints and trees in the bbox as shadow casters (one Overpass query for both);
+ // null when OSM data is unavailable.
+ async function fetchOsmCasters(
+   bbox: [number, number, number, number],
+   layers: OsmLayer[]
+ ): Promise<{ buildings: ShadeCaster[]; trees: TreeCaster[] } | null> {
+   if (!layers.length) return { buildings: [], trees: [] };
+   const osm = await fetchOsmFeatures(bbox, layers, { polygonFeatures: { building: true, natural: true } });
+   if (!osm.ok) return null;
+   const geojson = osm.geojson;
+
+   const casters: ShadeCaster[] = [];
+   for (const f of geojson?.features || []) {
+     if (!f?.properties?.building && !f?.properties?.["building:part"]) continue;
+     const g = f?.geometry;
+     const rings: [number, number][][] =
+       g?.type === "Polygon" ? [g.coordinates[0]] :
+       g?.type === "MultiPolygon" ? g.coordinates.map((p: [number, number][][]) => p[0]) :
+       [];
+     const height = buildingHeightFromTags(f?.properties);
+     for (const ring of rings) {
+       if (ring && ring.length >= 4) casters.push({ id: String(f?.id ?? ""), footprint: ring, height });
+     }
+   }
+   return { buildings: casters, trees: treeInstancesFromFeatures(geojson?.features || []).trees };
+ }
+
+ // Grid analyses cast one ray per node and sun-up hour on the request thread, so their size is
+ // capped: MAX_GRID_RAYS overrides the default of a month of daylight on the default 64 x 64 grid.
+ function maxGridRays(): number {
+   const v = Number(process.env.MAX_GRID_RAYS);
+   return Number.isFinite(v) && v > 0 ? v : 3_000_000;
+ }
+
 interface LatLon {
   lat: number;
   lon: number;
   timeZone?: number;
 }
 
-interface AnalysisBoundary {
-  month: number;
-  day: number;
-  hour: number;
-}
-
-interface AnalysisPeriod {
-  start: AnalysisBoundary;
-  end: AnalysisBoundary;
-}
-
 interface ContextBuilding {
   id?: string;
   footprint: [number, number][];
@@ -446,12 +478,36 @@ interface AnalyzeCityRequestBody {
   analysisPeriod: AnalysisPeriod;
   contextBuildings: ContextBuilding[];
   newBuilding: NewBuilding;
+  // User-placed trees; they shade the sun-hours grid together with OSM trees.
+  trees?: TreeCaster[];
+  // Shade structures placed in the viewer (roof outline, elevation and transmissivity).
+  shadeStructures?: StructureCaster[];
   bbox?: [number, number, number, number];
   options?: {
     gridResolution?: number;
     analyzeGround?: boolean;
     analyzeFacades?: boolean;
+    // Facade sample spacing in meters (default 2) and the value the facade mesh is colored by.
+    facadeSpacing?: number;
+    facadeColorBy?: "sunHours" | "irradiance";
     terrainNormalizeToMin?: boolean;
+    // Native shadow analysis (default on). Year defaults to the current one.
+    shadows?: boolean;
+    year?: number;
+    minSunAltitudeDeg?: number;
+    // Also forward the request to the Grasshopper app server (COMPUTE_APPSERVER_URL).
+    grasshopper?: boolean;
+    // Ray-cast hours of direct sun against terrain, OSM buildings and trees; raster defaults to "both".
+    // Tree and shade-structure shade is reported separately (shadedByTrees, shadedByStructures).
+    sunHours?:
+      | boolean
+      | {
+          osmBuildings?: boolean;
+          osmTrees?: boolean;
+          treeTransmissivity?: number;
+          maxTerrainDistance?: number;
+          raster?: "png" | "geotiff" | "both" | "none";
+        };
     contours?: {
       intervalMeters?: number;
       intervalFeet?: number;
@@ -464,11 +520,29 @@ interface AnalyzeCityRequestBody {
   };
 }
 
-interface AnalyzeCityProxyResponse {
+interface AnalyzeCityResponse {
   ok: boolean;
   ghUrl?: string;
   ghStatus?: number;
   ghBody?: unknown;
+  ghError?: string;
+  sun?: SunSample[];
+  shadows?: ReturnType<typeof buildShadowsGeoJson>;
+  shadowsTruncated?: boolean;
+  shadeGrid?: ShadeGrid;
+  // The shade grid covers only the first sun-up hours of the period (MAX_GRID_RAYS).
+  shadeGridTruncated?: boolean;
+  facades?: FacadeAnalysis;
+  sunHours?: SunHoursGrid & {
+    buildingCount: number;
+    treeCount: number;
+    treeTransmissivity: number;
+    structureCount: number;
+    warnings?: string[];
+    // Base64 rasters, north-up, one pixel per grid node (EPSG:4326).
+    png?: string;
+    geotiff?: string;
+  };
   terrain?: {
     bbox: [number, number, number, number];
     gridN: number;
@@ -487,6 +561,7 @@ interface AnalyzeCityProxyResponse {
   };
   contours?: GeoJSONFeatureCollection;
   error?: string;
+  detail?: string;
 }
 
 export async function POST(req: NextRequest) {
@@ -495,7 +570,7 @@ export async function POST(req: NextRequest) {
   try {
     body = (await req.json()) as AnalyzeCityRequestBody;
   } catch (err: any) {
-    const res: AnalyzeCityProxyResponse = {
+    const res: AnalyzeCityResponse = {
       ok: false,
       error: "invalid_json",
     };
@@ -506,7 +581,7 @@ export async function POST(req: NextRequest) {
   }
 
   if (!body) {
-    const res: AnalyzeCityProxyResponse = {
+    const res: AnalyzeCityResponse = {
       ok: false,
       error: "missing_body",
     };
@@ -517,7 +592,7 @@ export async function POST(req: NextRequest) {
   }
 
   if (!body.analysisPeriod || !body.analysisPeriod.start || !body.analysisPeriod.end) {
-    const res: AnalyzeCityProxyResponse = {
+    const res: AnalyzeCityResponse = {
       ok: false,
       error: "missing_analysisPeriod",
     };
@@ -530,7 +605,7 @@ export async function POST(req: NextRequest) {
   const wantTerrain = !!body.options?.analyzeGround;
   const bbox = body.bbox ?? bboxFromFootprints(body.newBuilding, body.contextBuildings, 0.002);
   if (wantTerrain && !bbox) {
-    const res: AnalyzeCityProxyResponse = {
+    const res: AnalyzeCityResponse = {
       ok: false,
       error: "missing_bbox_for_terrain",
     };
@@ -540,19 +615,19 @@ export async function POST(req: NextRequest) {
     });
   }
 
-  let terrain: AnalyzeCityProxyResponse["terrain"] | undefined = undefined;
-  let contours: AnalyzeCityProxyResponse["contours"] | undefined = undefined;
-  if (wantTerrain && bbox) {
-    const gridN = (() => {
-      const v = Number(body.options?.gridResolution);
-      if (!Number.isFinite(v)) return 64;
-      const n = Math.floor(v);
-      return Math.max(2, Math.min(256, n));
-    })();
+  const gridN = (() => {
+    const v = Number(body.options?.gridResolution);
+    if (!Number.isFinite(v)) return 64;
+    const n = Math.floor(v);
+    return Math.max(2, Math.min(256, n));
+  })();
 
+  let terrain: AnalyzeCityResponse["terrain"] | undefined = undefined;
+  let contours: AnalyzeCityResponse["contours"] | undefined = undefined;
+  if (wantTerrain && bbox) {
     const demBuf = await fetchDemForBbox(bbox);
     if (!demBuf) {
-      const res: AnalyzeCityProxyResponse = {
+      const res: AnalyzeCityResponse = {
         ok: false,
         error: "dem_not_available",
       };
@@ -610,7 +685,7 @@ export async function POST(req: NextRequest) {
         }
       }
     } catch (err: any) {
-      const res: AnalyzeCityProxyResponse = {
+      const res: AnalyzeCityResponse = {
         ok: false,
         error: "dem_parse_failed: " + String(err?.message || err),
       };
@@ -621,6 +696,224 @@ export async function POST(req: NextRequest) {
     }
   }
 
+  const wantShadows = body.options?.shadows !== false;
+  const sunHoursOpts = typeof body.options?.sunHours === "object" ? body.options.sunHours : {};
+  const wantSunHours = !!body.options?.sunHours;
+  const wantFacades = !!body.options?.analyzeFacades;
+  if (wantSunHours && !bbox) {
+    const res: AnalyzeCityResponse = {
+      ok: false,
+      error: "missing_bbox_for_sun_hours",
+    };
+    return new Response(JSON.stringify(res), {
+      status: 400,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
+  const minAltitudeDeg = Number.isFinite(Number(body.options?.minSunAltitudeDeg))
+    ? Number(body.options?.minSunAltitudeDeg)
+    : 2;
+
+  const casters: ShadeCaster[] = [];
+  if (body.newBuilding?.footprint?.length) casters.push(body.newBuilding);
+  for (const b of body.contextBuildings || []) {
+    if (b?.footprint?.length) casters.push(b);
+  }
+
+  let sun: SunSample[] | undefined = undefined;
+  let shadows: AnalyzeCityResponse["shadows"] | undefined = undefined;
+  let shadowsTruncated = false;
+  let shadeGrid: ShadeGrid | undefined = undefined;
+  let shadeGridTruncated = false;
+  if (wantShadows || wantSunHours || wantFacades) {
+    const lat = Number(body.location?.lat ?? (bbox ? (bbox[1] + bbox[3]) / 2 : NaN));
+    const lon = Number(body.location?.lon ?? (bbox ? (bbox[0] + bbox[2]) / 2 : NaN));
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+      const res: AnalyzeCityResponse = {
+        ok: false,
+        error: "missing_location",
+      };
+      return new Response(JSON.stringify(res), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
+    const tz = Number.isFinite(Number(body.location?.timeZone)) ? Number(body.location.timeZone) : defaultTimeZone(lon);
+    const year = Number.isFinite(Number(body.options?.year)) ? Math.floor(Number(body.options?.year)) : new Date().getFullYear();
+    sun = sunSamplesForPeriod(body.analysisPeriod, lat, lon, tz, year);
+  }
+
+  // Refused before any grid is built or DEM/OSM data is fetched: shorten the period or coarsen the grid.
+  if (wantSunHours && sun) {
+    const sunUpHours = sun.filter((s) => s.altitudeDeg >= minAltitudeDeg).length;
+    const rays = sunUpHours * gridN * gridN;
+    if (rays > maxGridRays()) {
+      const res: AnalyzeCityResponse = {
+        ok: false,
+        error: "sun_hours_too_large",
+        detail: `${sunUpHours} sun-up hours x ${gridN}x${gridN} nodes is ${rays} rays; the limit is ${maxGridRays()}. Shorten analysisPeriod or lower gridResolution.`,
+      };
+      return new Response(JSON.stringify(res), {
+        status: 400,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+  }
+
+  if (wantShadows && sun) {
+    // Hourly shadow polygons get large quickly; cap them to about a month of daylight hours.
+    const MAX_SHADOW_FRAMES = 744;
+    const sunUp = sun.filter((s) => s.altitudeDeg >= minAltitudeDeg);
+    shadowsTruncated = sunUp.length > MAX_SHADOW_FRAMES;
+
+    try {
+      shadows = buildShadowsGeoJson(casters, sunUp.slice(0, MAX_SHADOW_FRAMES), { minAltitudeDeg });
+      if (bbox) {
+        // Shadows are on by default, so a long period is truncated here rather than refused.
+        const gridHours = Math.floor(maxGridRays() / (gridN * gridN));
+        shadeGridTruncated = sunUp.length > gridHours;
+        shadeGrid = buildShadeGrid(
+          casters,
+          sunUp.slice(0, gridHours),
+          { west: bbox[0], south: bbox[1], east: bbox[2], north: bbox[3] },
+          gridN,
+          { minAltitudeDeg }
+        );
+      }
+    } catch (err) {
+      const res: AnalyzeCityResponse = {
+        ok: false,
+        error: "shadow_analysis_failed: " + String(err instanceof Error ? err.message : err),
+      };
+      return new Response(JSON.stringify(res), {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+  }
+
+  let sunHours: AnalyzeCityResponse["sunHours"] | undefined = undefined;
+  if (wantSunHours && bbox && sun) {
+    const warnings: string[] = [];
+
+    // Terrain: reuse the ground grid when analyzeGround already built it.
+    let groundHeights = terrain?.heightsMeters;
+    if (!groundHeights) {
+      const demBuf = await fetchDemForBbox(bbox);
+      if (demBuf) {
+        try {
+          groundHeights = (await buildTerrainGridFromDem(demBuf, bbox, gridN, false)).heightsMeters;
+        } catch {
+          groundHeights = undefined;
+        }
+      }
+      if (!groundHeights) warnings.push("terrain_unavailable");
+    }
+
+    const volumes = casters.slice();
+    const trees: TreeCaster[] = (body.trees || []).filter(
+      (t) => Number.isFinite(Number(t?.lon)) && Number.isFinite(Number(t?.lat))
+    );
+    const structures: StructureCaster[] = (body.shadeStructures || []).filter(
+      (s) => Array.isArray(s?.footprint) && s.footprint.length >= 3 && Number(s?.height) > 0
+    );
+    const osmLayers: OsmLayer[] = [];
+    if (sunHoursOpts.osmBuildings !== false) osmLayers.push("buildings");
+    if (sunHoursOpts.osmTrees !== false) osmLayers.push("trees");
+    const osm = await fetchOsmCasters(bbox, osmLayers);
+    if (osm) {
+      volumes.push(...osm.buildings);
+      trees.push(...osm.trees);
+    } else {
+      for (const l of osmLayers) warnings.push(`osm_${l}_unavailable`);
+    }
+    const treeTransmissivity = Number.isFinite(Number(sunHoursOpts.treeTransmissivity))
+      ? Math.max(0, Math.min(1, Number(sunHoursOpts.treeTransmissivity)))
+      : DEFAULT_TREE_TRANSMISSIVITY;
+
+    try {
+      const bboxObj = { west: bbox[0], south: bbox[1], east: bbox[2], north: bbox[3] };
+      const grid = buildSunHoursGrid(volumes, sun, bboxObj, gridN, {
+        groundHeights,
+        minAltitudeDeg,
+        maxTerrainDistance: Number.isFinite(Number(sunHoursOpts.maxTerrainDistance))
+          ? Number(sunHoursOpts.maxTerrainDistance)
+          : undefined,
+        trees,
+        treeTransmissivity,
+        structures,
+      });
+
+      const raster = sunHoursOpts.raster ?? "both";
+      sunHours = {
+        ...grid,
+        buildingCount: volumes.length,
+        treeCount: trees.length,
+        treeTransmissivity,
+        structureCount: structures.length,
+        warnings: warnings.length ? warnings : undefined,
+      };
+      if (raster === "png" || raster === "both") {
+        sunHours.png = gridToPng(grid.sunHours, gridN, 0, grid.sunUpHours).toString("base64");
+      }
+      if (raster === "geotiff" || raster === "both") {
+        // Band values are percent shaded (0..100).
+        sunHours.geotiff = Buffer.from(gridToGeoTiff(grid.percentShaded, gridN, bboxObj)).toString("base64");
+      }
+    } catch (err) {
+      const res: AnalyzeCityResponse = {
+        ok: false,
+        error: "sun_hours_failed: " + String(err instanceof Error ? err.message : err),
+      };
+      return new Response(JSON.stringify(res), {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+  }
+
+  let facades: FacadeAnalysis | undefined = undefined;
+  if (wantFacades && sun) {
+    try {
+      facades = analyzeFacades(casters, sun, {
+        spacing: body.options?.facadeSpacing,
+        minAltitudeDeg,
+        colorBy: body.options?.facadeColorBy === "irradiance" ? "irradiance" : "sunHours",
+      });
+    } catch (err) {
+      const res: AnalyzeCityResponse = {
+        ok: false,
+        error: "facade_analysis_failed: " + String(err instanceof Error ? err.message : err),
+      };
+      return new Response(JSON.stringify(res), {
+        status: 500,
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+  }
+
+  const result: AnalyzeCityResponse = {
+    ok: true,
+    sun,
+    shadows,
+    shadowsTruncated: shadowsTruncated || undefined,
+    shadeGrid,
+    shadeGridTruncated: shadeGridTruncated || undefined,
+    sunHours,
+    facades,
+    terrain,
+    contours,
+  };
+
+  if (!body.options?.grasshopper) {
+    return new Response(JSON.stringify(result), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  }
+
   const ghPayload = {
     definition: "GHSunPath.gh",
     inputs: {
@@ -646,29 +939,27 @@ export async function POST(req: NextRequest) {
       parsed = text;
     }
 
-    const res: AnalyzeCityProxyResponse = {
-      ok: r.ok,
+    const res: AnalyzeCityResponse = {
+      ...result,
       ghUrl,
       ghStatus: r.status,
       ghBody: parsed,
-      terrain,
-      contours,
+      ghError: r.ok ? undefined : "gh_request_failed",
     };
 
     return new Response(JSON.stringify(res), {
-      status: r.ok ? 200 : 502,
+      status: 200,
       headers: { "Content-Type": "application/json" },
     });
   } catch (err: any) {
-    const res: AnalyzeCityProxyResponse = {
-      ok: false,
+    // The native analysis is still valid when the app server is down.
+    const res: AnalyzeCityResponse = {
+      ...result,
       ghUrl,
-      terrain,
-      contours,
-      error: String(err?.message || err),
+      ghError: String(err?.message || err),
     };
     return new Response(JSON.stringify(res), {
-      status: 502,
+      status: 200,
       headers: { "Content-Type": "application/json" },
     });
   }
@@ -11,6 +11,9 @@ type GhParams = {
   reset: boolean;
   run: boolean;
   cr: Array<{ type: string; data: string }>;
+  // Planted trees: base points and crown radii (same order).
+  tp: Array<{ x: number; y: number; z: number }>;
+  tr: number[];
   updatedAt: number;
 };
 
@@ -24,6 +27,8 @@ function applyDefaults(s: GhParams) {
   s.load = 1.0;
   s.run = true;
   s.cr = [];
+  s.tp = [];
+  s.tr = [];
   s.reset = false;
   s.updatedAt = Date.now();
 }
@@ -49,6 +54,8 @@ function getStore(): GhParams {
       reset: false,
       run: true,
       cr: [],
+      tp: [],
+      tr: [],
       updatedAt: Date.now(),
     } satisfies GhParams;
   }
@@ -85,6 +92,31 @@ function coerceCurves(v: unknown): Array<{ type: string; data: string }> | null
   return out;
 }
 
+// tp and tr are parallel lists, so they are validated as pairs: a point and its radius are dropped
+// together, and lists of different lengths are rejected rather than silently misaligned.
+function coercePlantedTrees(
+  tpIn: unknown,
+  trIn: unknown
+): { tp: GhParams["tp"]; tr: number[] } | { error: string } | null {
+  if (tpIn === undefined && trIn === undefined) return null;
+  if (!Array.isArray(tpIn) || !Array.isArray(trIn) || tpIn.length !== trIn.length) {
+    return { error: "tp and tr must be lists of the same length (one crown radius per point)" };
+  }
+  const tp: GhParams["tp"] = [];
+  const tr: number[] = [];
+  for (let i = 0; i < tpIn.length; i++) {
+    const p = tpIn[i] as { x?: unknown; y?: unknown; z?: unknown } | null;
+    const x = coerceNumber(p?.x);
+    const y = coerceNumber(p?.y);
+    const z = coerceNumber(p?.z) ?? 0;
+    const r = coerceNumber(trIn[i]);
+    if (x === null || y === null || r === null) continue;
+    tp.push({ x, y, z });
+    tr.push(r);
+  }
+  return { tp, tr };
+}
+
 export async function GET(_req: NextRequest) {
   const s = getStore();
   return withCors(
@@ -99,6 +131,8 @@ export async function GET(_req: NextRequest) {
     reset: s.reset,
     run: s.run,
     cr: s.cr,
+    tp: s.tp,
+    tr: s.tr,
     updatedAt: s.updatedAt,
     })
   );
@@ -127,6 +161,10 @@ export async function POST(req: NextRequest) {
   const reset = coerceBoolean(body?.reset);
   const run = coerceBoolean(body?.run);
   const cr = coerceCurves(body?.cr);
+  const trees = coercePlantedTrees(body?.tp, body?.tr);
+  if (trees && "error" in trees) {
+    return withCors(NextResponse.json({ ok: false, error: trees.error }, { status: 400 }));
+  }
 
   const s = getStore();
   if (reset === true) {
@@ -144,6 +182,8 @@ export async function POST(req: NextRequest) {
         reset: s.reset,
         run: s.run,
         cr: s.cr,
+        tp: s.tp,
+        tr: s.tr,
         updatedAt: s.updatedAt,
       })
     );
@@ -158,6 +198,10 @@ export async function POST(req: NextRequest) {
   if (reset !== null) s.reset = reset;
   if (run !== null) s.run = run;
   if (cr !== null) s.cr = cr;
+  if (trees !== null) {
+    s.tp = trees.tp;
+    s.tr = trees.tr;
+  }
   s.updatedAt = Date.now();
 
   return withCors(
@@ -173,6 +217,8 @@ export async function POST(req: NextRequest) {
       reset: s.reset,
       run: s.run,
       cr: s.cr,
+      tp: s.tp,
+      tr: s.tr,
       updatedAt: s.updatedAt,
     })
   );
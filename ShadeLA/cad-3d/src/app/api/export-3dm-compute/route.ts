@@ -13,13 +13,15 @@ function parseBboxParam(param: string | null): [number, number, number, number]
 
 export async function GET(req: NextRequest) {
   const bbox = parseBboxParam(req.nextUrl.searchParams.get("bbox"));
-  if (!bbox) {
+  const boundary = req.nextUrl.searchParams.get("boundary");
+  if (!bbox && !boundary) {
     return new Response(JSON.stringify({ error: "bbox required" }), { status: 400 });
   }
 
-  const r = await fetch(new URL(`/api/export-3dm?bbox=${encodeURIComponent(bbox.join(","))}`, req.url).toString(), {
-    method: "GET",
-  });
+  // Forward every parameter so scene options (units, layers, ...) reach export-3dm.
+  const target = new URL("/api/export-3dm", req.url);
+  target.search = req.nextUrl.search;
+  const r = await fetch(target.toString(), { method: "GET" });
 
   return new Response(await r.arrayBuffer(), {
     status: r.status,
@@ -36,14 +38,15 @@ export async function POST(req: NextRequest) {
   try {
     const body = await req.json();
     const bbox = body?.bbox as [number, number, number, number] | undefined;
-    if (!bbox) {
+    const boundary = body?.boundary;
+    if (!bbox && !boundary) {
       return new Response(JSON.stringify({ error: "bbox required" }), { status: 400 });
     }
 
     const r = await fetch(new URL("/api/export-3dm", req.url).toString(), {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ bbox }),
+      body: JSON.stringify(body),
     });
 
     return new Response(await r.arrayBuffer(), {
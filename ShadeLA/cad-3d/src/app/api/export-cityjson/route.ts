@@ -0,0 +1,36 @@
+import { NextRequest } from "next/server";
+import { flagOption, sceneErrorResponse, sceneFileResponse } from "@/lib/scene/response";
+import { loadScene, sceneQueryInput } from "@/lib/scene/scene";
+import { sceneToCityJson } from "@/lib/scene/writers/cityjson";
+
+export const runtime = "nodejs";
+
+async function handleExportCityJson(input: Record<string, unknown>) {
+  // CityJSON vertices are true CRS coordinates, so the CRS's own unit (m, or US survey feet for
+  // State Plane) and no y stretch.
+  const result = await loadScene({ ...input, units: undefined, horizontalScaleY: 1 });
+  if (!result.ok) return sceneErrorResponse(result);
+  const { scene } = result;
+  const data = JSON.stringify(sceneToCityJson(scene));
+  const file = { name: "export", ext: ".city.json", contentType: "application/city+json", format: "CityJSON", data };
+  return sceneFileResponse(scene, file, flagOption(input.bundle));
+}
+
+// ?bbox=w,s,e,n | ?boundary=place:<GEOID> | tract:<GEOID> | <GeoJSON>, plus scene options.
+export async function GET(req: NextRequest) {
+  try {
+    return await handleExportCityJson(sceneQueryInput(req.nextUrl.searchParams));
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const body = await req.json();
+    // bbox [w,s,e,n], or boundary: { place } | { tract } | GeoJSON polygon to clip the model to
+    return await handleExportCityJson(body ?? {});
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
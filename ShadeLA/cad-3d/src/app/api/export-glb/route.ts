@@ -0,0 +1,34 @@
+import { NextRequest } from "next/server";
+import { flagOption, sceneErrorResponse, sceneFileResponse } from "@/lib/scene/response";
+import { loadScene, sceneQueryInput } from "@/lib/scene/scene";
+import { sceneToGlb } from "@/lib/scene/writers/glb";
+
+export const runtime = "nodejs";
+
+async function handleExportGlb(input: Record<string, unknown>) {
+  // glTF is always meters around the AOI center (float32 positions); units and basePoint are ignored.
+  const result = await loadScene({ ...input, units: "m", basePoint: "center" });
+  if (!result.ok) return sceneErrorResponse(result);
+  const { scene } = result;
+  const file = { name: "export", ext: ".glb", contentType: "model/gltf-binary", format: "GLB", data: sceneToGlb(scene) };
+  return sceneFileResponse(scene, file, flagOption(input.bundle));
+}
+
+// ?bbox=w,s,e,n | ?boundary=place:<GEOID> | tract:<GEOID> | <GeoJSON>, plus scene options.
+export async function GET(req: NextRequest) {
+  try {
+    return await handleExportGlb(sceneQueryInput(req.nextUrl.searchParams));
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const body = await req.json();
+    // bbox [w,s,e,n], or boundary: { place } | { tract } | GeoJSON polygon to clip the model to
+    return await handleExportGlb(body ?? {});
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
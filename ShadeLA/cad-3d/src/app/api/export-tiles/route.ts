@@ -0,0 +1,68 @@
+import { NextRequest } from "next/server";
+import JSZip from "jszip";
+import { osmSourceHeaders } from "@/lib/osm/sources";
+import { flagOption, sceneErrorResponse } from "@/lib/scene/response";
+import { loadScene, sceneMetadata, sceneQueryInput } from "@/lib/scene/scene";
+import { sceneToTileset } from "@/lib/scene/writers/tiles";
+import { saveTileset } from "@/lib/tilesets";
+
+export const runtime = "nodejs";
+
+// Builds a 3D Tiles tileset for the AOI. By default it is saved on the server and
+// { id, url, metadata } is returned (url loads in Cesium3DTileset.fromUrl); with "download" the
+// files come back as a zip instead.
+async function handleExportTiles(input: Record<string, unknown>) {
+  let heightOffset: number | null = null;
+  if (input.heightOffset !== undefined && input.heightOffset !== null && input.heightOffset !== "") {
+    heightOffset = Number(input.heightOffset);
+    if (!Number.isFinite(heightOffset)) {
+      return new Response(JSON.stringify({ error: "bad_option", detail: "heightOffset must be a number" }), { status: 400 });
+    }
+  }
+  const result = await loadScene({ ...input, units: "m", basePoint: "center" });
+  if (!result.ok) return sceneErrorResponse(result);
+  const { scene } = result;
+
+  // The map's globe is the bare ellipsoid: by default the ground at the AOI center goes to height 0.
+  const files = sceneToTileset(scene, heightOffset ?? -scene.centerGroundZ);
+  const metadata = { ...sceneMetadata(scene), format: "3D Tiles", height_offset_m: heightOffset ?? -scene.centerGroundZ };
+  files["metadata.json"] = JSON.stringify(metadata, null, 2);
+
+  if (flagOption(input.download)) {
+    const zip = new JSZip();
+    for (const [name, data] of Object.entries(files)) zip.file(`tileset/${name}`, data);
+    const content = await zip.generateAsync({ type: "uint8array" });
+    return new Response(Buffer.from(content), {
+      headers: {
+        "Content-Type": "application/zip",
+        "Content-Disposition": "attachment; filename=export_tiles.zip",
+        ...osmSourceHeaders(scene.osm),
+      },
+    });
+  }
+
+  const id = await saveTileset(files);
+  return new Response(JSON.stringify({ id, url: `/api/tiles/${id}/tileset.json`, metadata }), {
+    headers: { "Content-Type": "application/json", ...osmSourceHeaders(scene.osm) },
+  });
+}
+
+// ?bbox=w,s,e,n | ?boundary=place:<GEOID> | tract:<GEOID> | <GeoJSON>, plus scene options,
+// heightOffset (meters) and download.
+export async function GET(req: NextRequest) {
+  try {
+    return await handleExportTiles(sceneQueryInput(req.nextUrl.searchParams));
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const body = await req.json();
+    // bbox [w,s,e,n], or boundary: { place } | { tract } | GeoJSON polygon to clip the model to
+    return await handleExportTiles(body ?? {});
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
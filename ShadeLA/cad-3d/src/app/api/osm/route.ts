@@ -1,95 +1,88 @@
 import { NextRequest } from "next/server";
+import { osmOfflineMode } from "@/lib/osm/overpass";
+import { clipFeaturesToBoundary } from "@/lib/osm/clip";
+import { OsmFeatureCollection, OsmFeaturesOptions, OsmSourceMeta, fetchOsmFeatures, osmSourceHeaders } from "@/lib/osm/sources";
+import { treeInstancesFromFeatures } from "@/lib/osm/trees";
+import { resolveStudyArea, type StudyArea } from "@/lib/studyArea";
 
 export const runtime = "nodejs";
 
+// Foreign members on the FeatureCollection: backend/cache info, and trees expanded to one
+// instance per crown (rows and woods sampled) so clients can instance them directly. With a
+// boundary the features are clipped to it and the resolved study area is echoed back.
+function withOsmExtras(geojson: OsmFeatureCollection, meta: OsmSourceMeta, area: StudyArea) {
+  const clipped = area.boundary ? clipFeaturesToBoundary(geojson, area.boundary) : geojson;
+  const { trees, truncated } = treeInstancesFromFeatures(clipped.features);
+  return {
+    ...clipped,
+    osm: meta,
+    trees,
+    treesTruncated: truncated,
+    ...(area.boundary ? { studyArea: { bbox: area.bbox, source: area.source, boundary: area.boundary } } : {}),
+  };
+}
+
 export async function POST(req: NextRequest) {
   try {
     const body = await req.json();
-    const bbox = body?.bbox as [number, number, number, number] | undefined; // [w,s,e,n]
-    if (!bbox || bbox.length !== 4) {
-      return new Response(JSON.stringify({ error: "bbox [w,s,e,n] is required" }), { status: 400 });
+    // bbox [w,s,e,n], or boundary: { place } | { tract } | GeoJSON polygon (fetched by its bbox, then clipped)
+    const resolved = await resolveStudyArea({ bbox: body?.bbox, boundary: body?.boundary });
+    if (!resolved.ok) {
+      return new Response(JSON.stringify({ error: resolved.error, detail: resolved.detail }), {
+        status: resolved.error === "boundary_not_found" ? 404 : 400,
+      });
     }
+    const area = resolved.area;
 
-    const [w, s, e, n] = bbox;
-
-    // Overpass QL: buildings as ways and relations within bbox
-    const query = `
-      [out:xml][timeout:25];
-      (
-        way["building"](${s},${w},${n},${e});
-        relation["building"](${s},${w},${n},${e});
+    // buildings, roads, green areas / parks, water, trees
+    const offline = osmOfflineMode(body?.offline ?? req.nextUrl.searchParams.get("offline"));
+    const fetchFeatures = (onProgress?: OsmFeaturesOptions["onProgress"]) =>
+      fetchOsmFeatures(area.bbox, ["buildings", "highways", "parks", "water", "trees"], {
+        offline,
+        refresh: !!body?.refresh,
+        onProgress,
+        polygonFeatures: {
+          building: true,
+          landuse: true,
+          leisure: true,
+          natural: true,
+          waterway: true,
+        },
+      });
 
-        // roads
-        way["highway"](${s},${w},${n},${e});
-
-        // green areas / parks
-        way["landuse"="grass"](${s},${w},${n},${e});
-        way["leisure"="park"](${s},${w},${n},${e});
-
-        // water
-        way["natural"="water"](${s},${w},${n},${e});
-        way["waterway"="riverbank"](${s},${w},${n},${e});
-      );
-      (._;>;);
-      out body;
-    `;
-
-    const endpoints = [
-      "https://overpass-api.de/api/interpreter",
-      "https://overpass.kumi.systems/api/interpreter",
-      "https://overpass.openstreetmap.ru/api/interpreter",
-    ];
-
-    const controller = new AbortController();
-    const timeoutMs = 25000;
-    let xml: string | null = null;
-    let lastError: any = null;
-    for (const url of endpoints) {
-      try {
-        const to = setTimeout(() => controller.abort(), timeoutMs);
-        const resp = await fetch(url, {
-          method: "POST",
-          headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
-          body: new URLSearchParams({ data: query }).toString(),
-          signal: controller.signal,
-        });
-        clearTimeout(to);
-        if (resp.ok) {
-          xml = await resp.text();
-          break;
-        } else {
-          lastError = `HTTP ${resp.status}`;
-        }
-      } catch (err) {
-        lastError = String(err);
-      }
-      // brief backoff
-      await new Promise((r) => setTimeout(r, 500));
+    // NDJSON: {"type":"progress",done,total} per tile, then {"type":"result",geojson} or {"type":"error",...}.
+    if (body?.stream || req.nextUrl.searchParams.get("stream") === "1") {
+      const encoder = new TextEncoder();
+      const stream = new ReadableStream({
+        async start(controller) {
+          const send = (obj: unknown) => controller.enqueue(encoder.encode(JSON.stringify(obj) + "\n"));
+          try {
+            const result = await fetchFeatures((p) =>
+              send({ type: "progress", done: p.done, total: p.total, ok: p.ok, cacheHit: p.cacheHit })
+            );
+            if (result.ok) send({ type: "result", geojson: withOsmExtras(result.geojson, result.meta, area) });
+            else send({ type: "error", error: result.error, detail: result.detail });
+          } catch (err) {
+            send({ type: "error", error: "server_error", detail: String(err instanceof Error ? err.message : err) });
+          }
+          controller.close();
+        },
+      });
+      return new Response(stream, {
+        headers: { "Content-Type": "application/x-ndjson", "Cache-Control": "no-cache" },
+      });
     }
-    if (!xml) {
+
+    const result = await fetchFeatures();
+    if (!result.ok) {
       return new Response(
-        JSON.stringify({ error: "overpass_unavailable", detail: lastError || "all endpoints failed" }),
-        { status: 502 }
+        JSON.stringify({ error: result.error, detail: result.detail }),
+        { status: result.error === "offline_cache_miss" ? 404 : 502 }
       );
     }
 
-    // Convert to GeoJSON using osmtogeojson
-    // eslint-disable-next-line @typescript-eslint/no-var-requires
-    const osmtogeojson = require("osmtogeojson");
-    const { DOMParser } = require("@xmldom/xmldom");
-    const doc = new DOMParser().parseFromString(xml, "text/xml");
-    const geojson = osmtogeojson(doc, {
-      polygonFeatures: {
-        building: true,
-        landuse: true,
-        leisure: true,
-        natural: true,
-        waterway: true,
-      },
-    });
-
-    return new Response(JSON.stringify(geojson), {
-      headers: { "Content-Type": "application/json" },
+    return new Response(JSON.stringify(withOsmExtras(result.geojson, result.meta, area)), {
+      headers: { "Content-Type": "application/json", ...osmSourceHeaders(result.meta) },
     });
   } catch (err: any) {
     return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
@@ -0,0 +1,25 @@
+import { NextRequest } from "next/server";
+import { readTilesetFile } from "@/lib/tilesets";
+
+export const runtime = "nodejs";
+
+// Files of a tileset saved by /api/export-tiles: /api/tiles/<id>/tileset.json and the .glb tiles
+// it references.
+export async function GET(_req: NextRequest, { params }: { params: Promise<{ id: string; file: string }> }) {
+  try {
+    const { id, file } = await params;
+    const data = await readTilesetFile(id, file);
+    if (!data) {
+      return new Response(JSON.stringify({ error: "not_found" }), { status: 404 });
+    }
+    return new Response(new Uint8Array(data), {
+      headers: {
+        "Content-Type": file.endsWith(".glb") ? "model/gltf-binary" : "application/json",
+        // Ids are content hashes, so a file never changes.
+        "Cache-Control": "public, max-age=31536000, immutable",
+      },
+    });
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: "server_error", detail: String(err?.message || err) }), { status: 500 });
+  }
+}
@@ -0,0 +1,56 @@
+import { NextRequest } from "next/server";
+import { laCountyTracts, tractColumn, tractGeometry, type TractGeometry } from "@/lib/tracts/data";
+
+export const runtime = "nodejs";
+
+// All LA County tracts with one CSV metric joined onto the tract geometry, for the map choropleth.
+
+// ~1 m precision is plenty for a county-wide choropleth and keeps the response small.
+const round5 = (v: number) => Math.round(v * 1e5) / 1e5;
+const roundRing = (ring: number[][]) => ring.map(([lon, lat]) => [round5(lon), round5(lat)]);
+const roundedGeometry = new Map<string, TractGeometry>();
+
+async function choroplethGeometry(geoid: string): Promise<TractGeometry | null> {
+  const cached = roundedGeometry.get(geoid);
+  if (cached) return cached;
+  const g = await tractGeometry(geoid);
+  if (!g) return null;
+  const rounded: TractGeometry =
+    g.type === "Polygon"
+      ? { type: "Polygon", coordinates: g.coordinates.map(roundRing) }
+      : { type: "MultiPolygon", coordinates: g.coordinates.map((p) => p.map(roundRing)) };
+  roundedGeometry.set(geoid, rounded);
+  return rounded;
+}
+
+export async function GET(req: NextRequest) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const metric = searchParams.get("metric") || "";
+
+    const column = await tractColumn(metric);
+    if (!column || column.type !== "number") {
+      return new Response(JSON.stringify({ error: "unknown_metric", metric }), { status: 400 });
+    }
+
+    const features = [];
+    for (const tract of await laCountyTracts()) {
+      const geometry = await choroplethGeometry(tract.GEOID);
+      if (!geometry) continue;
+      features.push({
+        type: "Feature",
+        geometry,
+        properties: { GEOID: tract.GEOID, NAME: tract.NAME, value: tract[metric] ?? null },
+      });
+    }
+
+    return new Response(JSON.stringify({ type: "FeatureCollection", metric, column, features }), {
+      headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
+    });
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
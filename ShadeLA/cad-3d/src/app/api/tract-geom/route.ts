@@ -1,35 +1,37 @@
 import { NextRequest } from "next/server";
-import { promises as fs } from "fs";
-import path from "path";
+import { loadTractFeatures, normalizeGeoid, tractIndex } from "@/lib/tracts/data";
 
 export const runtime = "nodejs";
 
-// GeoJSON export from cb_2020_06_tract_500k.shp
-const GEOJSON_PATH = path.join(process.cwd(), "cb_2020_06_tract_500k.json");
-
-let cachedGeojson: any | null = null;
-
-async function loadGeojson() {
-  if (cachedGeojson) return cachedGeojson;
-  const raw = await fs.readFile(GEOJSON_PATH, "utf8");
-  cachedGeojson = JSON.parse(raw);
-  return cachedGeojson;
-}
-
 export async function GET(req: NextRequest) {
   try {
     const { searchParams } = new URL(req.url);
     const rawGeoid = searchParams.get("geoid");
+    const lon = searchParams.get("lon");
+    const lat = searchParams.get("lat");
+
+    // Tract containing a point: ?lon=-118.24&lat=34.05
+    if (!rawGeoid && (lon !== null || lat !== null)) {
+      const x = Number(lon);
+      const y = Number(lat);
+      if (lon === "" || lat === "" || !Number.isFinite(x) || !Number.isFinite(y)) {
+        return new Response(JSON.stringify({ error: "lon and lat must be numbers" }), { status: 400 });
+      }
+      const feature = (await tractIndex()).containing(x, y);
+      if (!feature) {
+        return new Response(JSON.stringify({ error: "not_found" }), { status: 404 });
+      }
+      return new Response(JSON.stringify(feature), {
+        headers: { "Content-Type": "application/json" },
+      });
+    }
+
     if (!rawGeoid) {
       return new Response(JSON.stringify({ error: "geoid_required" }), { status: 400 });
     }
 
     // Normalize GEOID to 11 chars with leading zeros to match GeoJSON
-    const geoid = rawGeoid.toString().padStart(11, "0");
-
-    const gj = await loadGeojson();
-    const features: any[] = gj.features || [];
-    const feature = features.find((f) => f?.properties?.GEOID === geoid);
+    const feature = (await loadTractFeatures()).get(normalizeGeoid(rawGeoid));
 
     if (!feature) {
       return new Response(JSON.stringify({ error: "not_found" }), { status: 404 });
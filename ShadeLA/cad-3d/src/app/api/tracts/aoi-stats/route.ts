@@ -0,0 +1,43 @@
+import { NextRequest } from "next/server";
+import { parseAoiGeometry } from "@/lib/boundaries";
+import { aoiTractStats } from "@/lib/tracts/aoiStats";
+
+export const runtime = "nodejs";
+
+// Area-weighted tract statistics for an AOI (see lib/tracts/aoiStats.ts).
+// GET ?bbox=w,s,e,n or POST { aoi | geometry | bbox }.
+async function respond(aoiInput: unknown) {
+  const aoi = parseAoiGeometry(aoiInput);
+  if (!aoi) {
+    return new Response(
+      JSON.stringify({ error: "aoi (GeoJSON Polygon/MultiPolygon) or bbox [w,s,e,n] is required" }),
+      { status: 400 }
+    );
+  }
+  return new Response(JSON.stringify(await aoiTractStats(aoi)), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+export async function GET(req: NextRequest) {
+  try {
+    return await respond(req.nextUrl.searchParams.get("bbox") ?? "");
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const body = await req.json();
+    return await respond(body?.aoi ?? body?.geometry ?? body?.bbox);
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,18 @@
+import { loadTractTable } from "@/lib/tracts/data";
+
+export const runtime = "nodejs";
+
+// Column catalog for the tract CSV: name, label, unit, type and direction ("higher_worse", ...).
+export async function GET() {
+  try {
+    const { columns } = await loadTractTable();
+    return new Response(JSON.stringify({ columns }), {
+      headers: { "Content-Type": "application/json", "Cache-Control": "public, max-age=3600" },
+    });
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
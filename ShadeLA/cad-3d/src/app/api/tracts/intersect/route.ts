@@ -0,0 +1,80 @@
+import { NextRequest } from "next/server";
+import { parseAoiGeometry, type BoundaryGeometry } from "@/lib/boundaries";
+import { loadTractTable, normalizeGeoid, tractIndex } from "@/lib/tracts/data";
+
+export const runtime = "nodejs";
+
+// Tracts overlapping an AOI, largest overlap first, with
+//   tractFraction: share of the tract inside the AOI
+//   aoiFraction:   share of the AOI inside the tract
+// plus any CSV columns listed in `fields`, and the tract outline when `geometry` is set.
+// GET ?bbox=w,s,e,n[&fields=a,b][&geometry=1] or POST { aoi | geometry | bbox, fields?, includeGeometry? }.
+async function intersectTracts(aoi: BoundaryGeometry, fields: string[], withGeometry: boolean) {
+  const [index, table] = await Promise.all([tractIndex(), loadTractTable()]);
+  const known = new Set(table.columns.map((c) => c.name));
+  const unknown = fields.find((f) => !known.has(f));
+  if (unknown) {
+    return new Response(JSON.stringify({ error: "bad_query", detail: `unknown field "${unknown}"` }), { status: 400 });
+  }
+
+  const { aoiAreaM2, overlaps } = index.intersecting(aoi);
+  const tracts = overlaps.map((o) => {
+    const geoid = normalizeGeoid(o.feature.properties?.GEOID);
+    const row = table.byGeoid.get(geoid);
+    const extra: Record<string, string | number | null> = {};
+    for (const f of fields) extra[f] = row?.[f] ?? null;
+    return {
+      GEOID: geoid,
+      NAME: row?.NAME ?? String(o.feature.properties?.NAME ?? ""),
+      County: row?.County ?? null,
+      tractAreaM2: o.areaM2,
+      overlapM2: o.overlapM2,
+      tractFraction: o.featureFraction,
+      aoiFraction: o.aoiFraction,
+      ...extra,
+      ...(withGeometry ? { geometry: o.feature.geometry } : {}),
+    };
+  });
+
+  return new Response(JSON.stringify({ aoiAreaM2, tracts }), {
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+const fieldList = (v: unknown): string[] =>
+  (Array.isArray(v) ? v.map(String) : String(v ?? "").split(",")).map((f) => f.trim()).filter(Boolean);
+
+export async function GET(req: NextRequest) {
+  try {
+    const { searchParams } = new URL(req.url);
+    const aoi = parseAoiGeometry(searchParams.get("bbox") ?? "");
+    if (!aoi) {
+      return new Response(JSON.stringify({ error: "bbox w,s,e,n is required" }), { status: 400 });
+    }
+    return await intersectTracts(aoi, fieldList(searchParams.get("fields")), searchParams.get("geometry") === "1");
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(req: NextRequest) {
+  try {
+    const body = await req.json();
+    const aoi = parseAoiGeometry(body?.aoi ?? body?.geometry ?? body?.bbox);
+    if (!aoi) {
+      return new Response(
+        JSON.stringify({ error: "aoi (GeoJSON Polygon/MultiPolygon) or bbox [w,s,e,n] is required" }),
+        { status: 400 }
+      );
+    }
+    return await intersectTracts(aoi, fieldList(body?.fields), !!body?.includeGeometry);
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: "server_error", detail: String(err instanceof Error ? err.message : err) }),
+      { status: 500 }
+    );
+  }
+}
@@ -1,10 +1,169 @@
 "use client";
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState, type RefObject } from "react";
 import * as Cesium from "cesium";
 import "cesium/Build/Cesium/Widgets/widgets.css";
+import { booleanPointInPolygon } from "@turf/turf";
+import {
+  aoiAreaM2,
+  aoiBbox,
+  aoiFeature,
+  aoiFeatureCollection,
+  aoiSpanMeters,
+  formatAoiArea,
+  polygonAoiGeometry,
+  polygonRingProblem,
+  rectangleAoiGeometry,
+  unionAoiGeometries,
+  type Aoi,
+  type AoiKind,
+} from "@/lib/aoi";
+import { isBoundaryGeometry, type BoundaryGeometry } from "@/lib/boundaries";
+import { buildingHeightFromTags, buildingMinHeightFromTags } from "@/lib/osm/buildings";
+import {
+  MAP_PROTOCOL_VERSION,
+  createMapChannel,
+  parseOriginList,
+  type MapCamera,
+  type MapChannel,
+  type MapState,
+} from "@/lib/mapProtocol";
+import { CLASSIFICATION_SCHEMES, classBreaks, classIndex, type ClassificationScheme } from "@/lib/classify";
+import { defaultTimeZone, localStandardTimeToUtc } from "@/lib/solar";
+
+// Max AOI side in meters. /api/osm fetches large boxes from Overpass in tiles, so this is a
+// sanity limit for viewer/export size rather than a request timeout guard.
+const MAX_AOI_METERS = (Number(process.env.NEXT_PUBLIC_MAX_AOI_KM) || 10) * 1000;
+
+// 3D mode also extrudes the buildings this far around the AOI, for shade cast from outside it.
+const CONTEXT_METERS = (Number(process.env.NEXT_PUBLIC_CESIUM_CONTEXT_KM) || 1) * 1000;
+// Tallest buildings kept in 3D mode; keeps very large AOIs responsive.
+const MAX_3D_BUILDINGS = 40000;
 
 type BBox = [number, number, number, number]; // [west, south, east, north]
 
+// "rectangle": two clicks; "polygon": click vertices, double-click (or click the first vertex) to
+// finish, right-click to drop the last vertex.
+type AoiDrawMode = "rectangle" | "polygon" | null;
+
+// Clicks closer than this (px) to the previous one are the second half of a double-click.
+const CLICK_SLOP_PX = 4;
+
+function polygonHierarchy(rings: number[][][]): Cesium.PolygonHierarchy {
+  return new Cesium.PolygonHierarchy(
+    Cesium.Cartesian3.fromDegreesArray(rings[0].flat()),
+    rings.slice(1).map((h) => new Cesium.PolygonHierarchy(Cesium.Cartesian3.fromDegreesArray(h.flat())))
+  );
+}
+
+function downloadHref(href: string, filename: string) {
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  a.rel = "noopener";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+// Camera position and visible extent, as reported to the shell.
+function cameraState(viewer: Cesium.Viewer): MapCamera {
+  const c = viewer.camera.positionCartographic;
+  const view = viewer.camera.computeViewRectangle();
+  return {
+    center: [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)],
+    height: c.height,
+    heading: Cesium.Math.toDegrees(viewer.camera.heading),
+    pitch: Cesium.Math.toDegrees(viewer.camera.pitch),
+    bbox: view ? ([view.west, view.south, view.east, view.north].map((r) => Cesium.Math.toDegrees(r)) as BBox) : null,
+  };
+}
+
+// Mirrors one of the map's status lines to the shell (empty text clears it there).
+function useMapStatus(channelRef: RefObject<MapChannel | null>, source: string, text: string) {
+  useEffect(() => {
+    channelRef.current?.post("status", { source, text });
+  }, [channelRef, source, text]);
+}
+
+// 2D: pan and wheel zoom like a web map. 3D: Cesium's orbit controls (left rotate, right/wheel
+// zoom, middle or ctrl+left tilt).
+function configureCameraInputs(viewer: Cesium.Viewer, is3d: boolean) {
+  const ctrl = viewer.scene.screenSpaceCameraController;
+  ctrl.enableTilt = is3d;
+  if (is3d) {
+    ctrl.rotateEventTypes = Cesium.CameraEventType.LEFT_DRAG;
+    ctrl.translateEventTypes = Cesium.CameraEventType.LEFT_DRAG;
+    ctrl.zoomEventTypes = [Cesium.CameraEventType.RIGHT_DRAG, Cesium.CameraEventType.WHEEL, Cesium.CameraEventType.PINCH];
+    ctrl.tiltEventTypes = [
+      Cesium.CameraEventType.MIDDLE_DRAG,
+      Cesium.CameraEventType.PINCH,
+      { eventType: Cesium.CameraEventType.LEFT_DRAG, modifier: Cesium.KeyboardEventModifier.CTRL },
+    ];
+    ctrl.lookEventTypes = [{ eventType: Cesium.CameraEventType.LEFT_DRAG, modifier: Cesium.KeyboardEventModifier.SHIFT }];
+    return;
+  }
+  // Only allow translate (pan) on LEFT_DRAG and zoom on wheel
+  ctrl.rotateEventTypes = [];
+  ctrl.lookEventTypes = [];
+  ctrl.tiltEventTypes = [];
+  ctrl.translateEventTypes = [Cesium.CameraEventType.LEFT_DRAG];
+  ctrl.zoomEventTypes = [Cesium.CameraEventType.WHEEL];
+}
+
+// Shell origins allowed to embed the map and exchange messages with it.
+const MAP_PARENT_ORIGINS = parseOriginList(
+  process.env.NEXT_PUBLIC_MAP_PARENT_ORIGINS || "http://localhost:5173,http://127.0.0.1:5173"
+);
+
+// Tract metrics offered for the choropleth (CSV column names). "heat" ramps run light to dark red as
+// values rise; "canopy" ramps run light to dark green.
+const CHOROPLETH_METRICS: { id: string; label: string; ramp: "heat" | "canopy" }[] = [
+  { id: "High_Summer_Mean_LST_F", label: "Summer surface temperature (°F)", ramp: "heat" },
+  { id: "PCT_TreeCanopy", label: "Tree canopy (%)", ramp: "canopy" },
+  { id: "PCT_LackingCanopy", label: "Lacking canopy (%)", ramp: "heat" },
+  { id: "PCT_ImperviousSurfaces", label: "Impervious surfaces (%)", ramp: "heat" },
+  { id: "Vul_Pop_Index", label: "Vulnerable population index", ramp: "heat" },
+  { id: "intervention_score", label: "Intervention score", ramp: "heat" },
+  { id: "Trees_Index", label: "Trees index", ramp: "heat" },
+  { id: "CASTHMA_CrudePrev", label: "Asthma prevalence (%)", ramp: "heat" },
+];
+
+const CHOROPLETH_RAMPS: Record<"heat" | "canopy", string[]> = {
+  heat: ["#ffffb2", "#fed976", "#feb24c", "#fd8d3c", "#fc4e2a", "#e31a1c", "#b10026"],
+  canopy: ["#ffffcc", "#d9f0a3", "#addd8e", "#78c679", "#41ab5d", "#238443", "#005a32"],
+};
+const CHOROPLETH_NO_DATA = "#9ca3af";
+
+// k colors spread evenly over a 7-step ramp.
+function rampColors(ramp: string[], k: number): string[] {
+  if (k <= 1) return [ramp[ramp.length - 1]];
+  return Array.from({ length: k }, (_, i) => ramp[Math.round((i * (ramp.length - 1)) / (k - 1))]);
+}
+
+function formatMetricValue(v: number): string {
+  return v.toLocaleString("en-US", { maximumFractionDigits: Math.abs(v) >= 100 ? 0 : 2 });
+}
+
+// Tract columns shown for the tracts an AOI touches.
+const AOI_TRACT_FIELDS = ["B01001_001E", "High_Summer_Mean_LST_F", "PCT_TreeCanopy", "Vul_Pop_Index"];
+
+interface AoiTract {
+  GEOID: string;
+  NAME: string;
+  aoiFraction: number;
+  tractFraction: number;
+  B01001_001E: number | null;
+  High_Summer_Mean_LST_F: number | null;
+  PCT_TreeCanopy: number | null;
+  Vul_Pop_Index: number | null;
+  geometry?: ChoroplethFeature["geometry"];
+}
+
+interface ChoroplethFeature {
+  geometry: { type: "Polygon"; coordinates: number[][][] } | { type: "MultiPolygon"; coordinates: number[][][][] };
+  properties: { GEOID: string; NAME: string; value: number | null };
+}
+
 export default function CesiumMap({
   onExportDxfBBox,
 }: {
@@ -13,34 +172,108 @@ export default function CesiumMap({
   const containerRef = useRef<HTMLDivElement | null>(null);
   const viewerRef = useRef<Cesium.Viewer | null>(null);
   const lastAoiRef = useRef<Cesium.Rectangle | null>(null);
+  // Outline of the active AOI; null when lastAoiRef is only a box (e.g. a city's extent).
+  const lastAoiGeometryRef = useRef<BoundaryGeometry | null>(null);
   const aoiEntityRef = useRef<Cesium.Entity | null>(null);
   const highlightEntityRef = useRef<Cesium.Entity | null>(null);
   const tractEntitiesRef = useRef<Map<string, Cesium.Entity>>(new Map());
   const selectedTractsRef = useRef<Set<string>>(new Set());
 
-  const [drawAoiMode, setDrawAoiMode] = useState<boolean>(false);
-  const drawAoiModeRef = useRef<boolean>(false);
+  const [drawAoiMode, setDrawAoiMode] = useState<AoiDrawMode>(null);
+  const drawAoiModeRef = useRef<AoiDrawMode>(null);
   const clickDrawingRef = useRef<boolean>(false);
   const clickStartRef = useRef<Cesium.Cartographic | null>(null);
   const clickLastRef = useRef<Cesium.Cartographic | null>(null);
+  // Polygon being drawn: vertices and the screen position of each click.
+  const polygonVerticesRef = useRef<Cesium.Cartographic[]>([]);
+  const polygonClicksRef = useRef<Cesium.Cartesian2[]>([]);
+
+  // Named AOIs; the active one drives 3D buildings, AOI tracts, exports and parent messages.
+  const [aois, setAois] = useState<Aoi[]>([]);
+  const [activeAoiId, setActiveAoiId] = useState<string | null>(null);
+  const [aoiStatus, setAoiStatus] = useState<string>("");
+  const aoisSourceRef = useRef<Cesium.CustomDataSource | null>(null);
+  const aoiCounterRef = useRef<number>(0);
+  const addAoiRef = useRef<(kind: AoiKind, geometry: BoundaryGeometry) => void>(() => {});
+  // Vertex editing of one polygon AOI: its outer ring (open, lon/lat degrees) and the vertex being
+  // dragged. The ring ref is the source of truth while editing; on release it is copied into `aois`
+  // when it is still a valid polygon, otherwise it goes back to the last valid ring.
+  const [editAoiId, setEditAoiId] = useState<string | null>(null);
+  const [editRevision, setEditRevision] = useState<number>(0);
+  const editAoiIdRef = useRef<string | null>(null);
+  const editRingRef = useRef<number[][]>([]);
+  const editValidRingRef = useRef<number[][]>([]);
+  const editDragRef = useRef<number | null>(null);
+
+  // Tracts clicked on the choropleth or ticked in the AOI tracts table; "AOI from tracts" merges them.
+  const [selectedTracts, setSelectedTracts] = useState<string[]>([]);
+  const toggleTractRef = useRef<(geoid: string) => void>(() => {});
 
   const [places, setPlaces] = useState<{ GEOID: string; NAME: string }[]>([]);
   const [selectedPlaceId, setSelectedPlaceId] = useState<string>("");
   const [cityFilter, setCityFilter] = useState<string>("");
   const [webglError, setWebglError] = useState<string | null>(null);
+  // Messages to and from the shell when embedded (lib/mapProtocol); null when not in an iframe.
+  const channelRef = useRef<MapChannel | null>(null);
+  // True inside the ShadeLA shell's iframe (channelRef is set); the shell overlays a "Lock map" button.
+  const [embedded, setEmbedded] = useState(false);
+  const mapStateRef = useRef<() => MapState | null>(() => null);
+
+  // 3D shade mode: extruded OSM buildings lit and shadowed by the sun at the picked date/time.
+  const [mode3d, setMode3d] = useState<boolean>(false);
+  const mode3dRef = useRef<boolean>(false);
+  const [shadowDate, setShadowDate] = useState<string>(() => `${new Date().getFullYear()}-06-21`);
+  const [shadowMinutes, setShadowMinutes] = useState<number>(10 * 60);
+  const [buildingsStatus, setBuildingsStatus] = useState<string>("");
+  const buildingsPrimitiveRef = useRef<Cesium.Primitive | null>(null);
+  const buildingsAbortRef = useRef<AbortController | null>(null);
+  // Saved 3D Tiles scene (/api/export-tiles) shown in 3D instead of the live OSM extrusions.
+  const tilesetRef = useRef<Cesium.Cesium3DTileset | null>(null);
+  const [tilesetStatus, setTilesetStatus] = useState<string>("");
+  // Latest loadBuildings3d for the click handler registered once on mount.
+  const loadBuildings3dRef = useRef<(rect: Cesium.Rectangle) => Promise<void>>(async () => {});
+
+  // Tract choropleth: every LA County tract colored by one metric.
+  const [choroplethMetric, setChoroplethMetric] = useState<string>("");
+  const [choroplethScheme, setChoroplethScheme] = useState<ClassificationScheme>("quantile");
+  const [choroplethClasses, setChoroplethClasses] = useState<number>(5);
+  const [choroplethFeatures, setChoroplethFeatures] = useState<ChoroplethFeature[]>([]);
+  const [choroplethStatus, setChoroplethStatus] = useState<string>("");
+  const [tractTooltip, setTractTooltip] = useState<{ x: number; y: number; title: string; value: string } | null>(
+    null
+  );
+  const choroplethSourceRef = useRef<Cesium.CustomDataSource | null>(null);
+  // Hover handler for the MOUSE_MOVE action registered once on mount.
+  const hoverTractRef = useRef<(position: Cesium.Cartesian2) => void>(() => {});
+
+  // Census tracts touched by the current AOI, outlined on the map and listed in a panel.
+  const [aoiTracts, setAoiTracts] = useState<AoiTract[] | null>(null);
+  const aoiTractsSourceRef = useRef<Cesium.CustomDataSource | null>(null);
+  const aoiTractsAbortRef = useRef<AbortController | null>(null);
+  const loadAoiTractsRef = useRef<(aoi: BoundaryGeometry) => Promise<void>>(async () => {});
 
   // keep ref in sync so Cesium event handlers see current mode
   useEffect(() => {
     drawAoiModeRef.current = drawAoiMode;
-    if (!drawAoiMode) {
-      clickDrawingRef.current = false;
-      clickStartRef.current = null;
-      clickLastRef.current = null;
-      const viewer = viewerRef.current;
-      if (viewer) viewer.scene.screenSpaceCameraController.enableInputs = true;
+    clickDrawingRef.current = false;
+    clickStartRef.current = null;
+    clickLastRef.current = null;
+    polygonVerticesRef.current = [];
+    polygonClicksRef.current = [];
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    viewer.scene.screenSpaceCameraController.enableInputs = true;
+    if (aoiEntityRef.current) {
+      viewer.entities.remove(aoiEntityRef.current);
+      aoiEntityRef.current = null;
     }
   }, [drawAoiMode]);
 
+  useEffect(() => {
+    editAoiIdRef.current = editAoiId;
+    editDragRef.current = null;
+  }, [editAoiId]);
+
   function safeRectangleFromDegrees(west: number, south: number, east: number, north: number): Cesium.Rectangle | null {
     if (!Number.isFinite(west) || !Number.isFinite(east) || !Number.isFinite(south) || !Number.isFinite(north)) {
       return null;
@@ -59,6 +292,13 @@ export default function CesiumMap({
     (window as any).CESIUM_BASE_URL = process.env.NEXT_PUBLIC_CESIUM_BASE_URL || "/cesium";
     Cesium.Ion.defaultAccessToken = process.env.NEXT_PUBLIC_CESIUM_ION_TOKEN as string;
 
+    const channel =
+      window.parent && window.parent !== window
+        ? createMapChannel({ allowedOrigins: MAP_PARENT_ORIGINS, target: window.parent })
+        : null;
+    channelRef.current = channel;
+    setEmbedded(!!channel);
+
     let viewer: Cesium.Viewer;
     try {
       viewer = new Cesium.Viewer(containerRef.current, {
@@ -78,20 +318,18 @@ export default function CesiumMap({
       });
     } catch (e: any) {
       setWebglError(String(e?.message || e));
-      return;
+      channel?.post("error", { error: "webgl_unavailable", detail: String(e?.message || e) });
+      return () => {
+        channel?.dispose();
+        channelRef.current = null;
+      };
     }
 
     viewerRef.current = viewer;
 
     // 2D defaults similar to web maps
-    viewer.scene.screenSpaceCameraController.enableTilt = false;
     const ctrl = viewer.scene.screenSpaceCameraController;
-    // Only allow translate (pan) on LEFT_DRAG and zoom on wheel
-    ctrl.rotateEventTypes = [] as any;
-    ctrl.lookEventTypes = [] as any;
-    ctrl.tiltEventTypes = [] as any;
-    ctrl.translateEventTypes = [Cesium.CameraEventType.LEFT_DRAG] as any;
-    ctrl.zoomEventTypes = [Cesium.CameraEventType.WHEEL] as any;
+    configureCameraInputs(viewer, false);
     viewer.scene.globe.baseColor = Cesium.Color.fromCssColorString('#d0d8ff');
     // Set initial view (Los Angeles area)
     const laRect = Cesium.Rectangle.fromDegrees(-119.2, 33.4, -117.2, 34.6);
@@ -147,8 +385,8 @@ export default function CesiumMap({
       return new Cesium.Rectangle(west, south, east, north);
     }
 
-    function clampToMax3km(a: Cesium.Cartographic, b: Cesium.Cartographic): Cesium.Rectangle {
-      const max = 3000.0; // 3 km max per axis
+    function clampToMaxAoi(a: Cesium.Cartographic, b: Cesium.Cartographic): Cesium.Rectangle {
+      const max = MAX_AOI_METERS; // max per axis
 
       // compute horizontal (E-W) distance at constant latitude = a.latitude
       const horizGeodesic = new Cesium.EllipsoidGeodesic(
@@ -189,46 +427,163 @@ export default function CesiumMap({
       return new Cesium.Rectangle(west, south, east, north);
     }
 
-    // Drag: update the second point from mouse position
-    handler.setInputAction((movement: Cesium.ScreenSpaceEventHandler.MotionEvent) => {
-      if (drawAoiModeRef.current) {
-        if (!clickDrawingRef.current || !clickStartRef.current) return;
-        const carto = toCartographicFromScreen(movement.endPosition);
-        if (!carto) return;
-        clickLastRef.current = carto;
+    const toDegrees = (c: Cesium.Cartographic) => [Cesium.Math.toDegrees(c.longitude), Cesium.Math.toDegrees(c.latitude)];
 
+    // Preview while drawing: the rectangle, or the polygon so far closed through the cursor.
+    function showDrawPreview() {
+      if (aoiEntityRef.current) return;
+      if (drawAoiModeRef.current === "rectangle") {
         const makePreview = () => {
           if (clickStartRef.current && clickLastRef.current) {
-            return clampToMax3km(clickStartRef.current, clickLastRef.current);
+            return clampToMaxAoi(clickStartRef.current, clickLastRef.current);
           }
           const fallback = safeRectangleFromDegrees(-180, -85, 180, 85);
           return fallback ?? Cesium.Rectangle.fromDegrees(-180, -85, 180, 85);
         };
+        aoiEntityRef.current = viewer.entities.add({
+          name: "AOI",
+          rectangle: {
+            coordinates: new Cesium.CallbackProperty(makePreview, false),
+            material: Cesium.Color.CYAN.withAlpha(0.2),
+            outline: true,
+            outlineColor: Cesium.Color.CYAN,
+          },
+        });
+        return;
+      }
+      const previewPositions = () => {
+        const pts = [...polygonVerticesRef.current];
+        if (clickLastRef.current) pts.push(clickLastRef.current);
+        return pts.map((c) => Cesium.Cartographic.toCartesian(c));
+      };
+      aoiEntityRef.current = viewer.entities.add({
+        name: "AOI",
+        polygon: {
+          hierarchy: new Cesium.CallbackProperty(() => new Cesium.PolygonHierarchy(previewPositions()), false),
+          height: 0,
+          material: Cesium.Color.CYAN.withAlpha(0.2),
+        },
+        polyline: {
+          positions: new Cesium.CallbackProperty(() => {
+            const pts = previewPositions();
+            return pts.length > 2 ? [...pts, pts[0]] : pts;
+          }, false),
+          width: 2,
+          material: Cesium.Color.CYAN,
+          clampToGround: true,
+        },
+      });
+    }
 
-        if (!aoiEntityRef.current) {
-          aoiEntityRef.current = viewer.entities.add({
-            name: "AOI",
-            rectangle: {
-              coordinates: new Cesium.CallbackProperty(makePreview, false),
-              material: Cesium.Color.CYAN.withAlpha(0.2),
-              outline: true,
-              outlineColor: Cesium.Color.CYAN,
-            },
-          });
-        } else if (aoiEntityRef.current.rectangle) {
-          aoiEntityRef.current.rectangle.coordinates = new Cesium.CallbackProperty(makePreview, false);
-        }
+    function finishPolygon() {
+      const ring = polygonVerticesRef.current.map(toDegrees);
+      const problem = polygonRingProblem(ring);
+      if (problem) {
+        setAoiStatus(`Can't use this polygon: ${problem}`);
+        return;
+      }
+      setDrawAoiMode(null);
+      addAoiRef.current("polygon", polygonAoiGeometry(ring));
+    }
+
+    // Vertex or midpoint handle of the AOI being edited under the cursor.
+    function pickEditHandle(position: Cesium.Cartesian2): { kind: string; index: number } | null {
+      const entity = viewer.scene.pick(position)?.id;
+      const props = entity instanceof Cesium.Entity ? entity.properties : undefined;
+      const kind = props?.kind?.getValue();
+      if (kind !== "aoi-vertex" && kind !== "aoi-midpoint") return null;
+      return { kind, index: Number(props?.index?.getValue()) };
+    }
+
+    // Copies the edited ring into the AOI list (holes are kept), or undoes an edit that made it invalid.
+    function commitEditRing() {
+      const id = editAoiIdRef.current;
+      const ring = editRingRef.current.map((p) => [p[0], p[1]]);
+      const problem = polygonRingProblem(ring);
+      if (problem) {
+        editRingRef.current = editValidRingRef.current.map((p) => [p[0], p[1]]);
+        setAoiStatus(`Edit undone: ${problem}`);
+        setEditRevision((r) => r + 1);
         return;
       }
+      editValidRingRef.current = ring;
+      setAoiStatus("");
+      setAois((prev) =>
+        prev.map((a) =>
+          a.id === id && a.geometry.type === "Polygon"
+            ? {
+                ...a,
+                kind: "polygon",
+                tracts: undefined,
+                geometry: { type: "Polygon", coordinates: [[...ring, ring[0]], ...a.geometry.coordinates.slice(1)] },
+              }
+            : a
+        )
+      );
+      setEditRevision((r) => r + 1);
+    }
+
+    // Mouse move: drag an edited vertex, update the drawing preview, or hover tracts.
+    handler.setInputAction((movement: Cesium.ScreenSpaceEventHandler.MotionEvent) => {
+      if (editDragRef.current !== null) {
+        const carto = toCartographicFromScreen(movement.endPosition);
+        if (carto) editRingRef.current[editDragRef.current] = toDegrees(carto);
+        return;
+      }
+      const mode = drawAoiModeRef.current;
+      if (mode === "rectangle") {
+        if (!clickDrawingRef.current || !clickStartRef.current) return;
+        const carto = toCartographicFromScreen(movement.endPosition);
+        if (!carto) return;
+        clickLastRef.current = carto;
+        showDrawPreview();
+        return;
+      }
+      if (mode === "polygon") {
+        if (!polygonVerticesRef.current.length) return;
+        const carto = toCartographicFromScreen(movement.endPosition);
+        if (carto) clickLastRef.current = carto;
+        return;
+      }
+      hoverTractRef.current(movement.endPosition);
     }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
 
-    // Click-to-draw mode: first click sets start, second click finalizes.
+    // Click: rectangle (start, then finish), polygon vertex, or toggle the tract under the cursor.
     handler.setInputAction((movement: Cesium.ScreenSpaceEventHandler.PositionedEvent) => {
-      if (!drawAoiModeRef.current) return;
+      const mode = drawAoiModeRef.current;
+      if (!mode) {
+        if (editAoiIdRef.current) return;
+        // drillPick looks through AOI fills to the tracts underneath.
+        for (const picked of viewer.scene.drillPick(movement.position, 5)) {
+          const props = picked?.id instanceof Cesium.Entity ? picked.id.properties : undefined;
+          const kind = props?.kind?.getValue();
+          if (kind === "tract-choropleth" || kind === "tract") {
+            toggleTractRef.current(String(props?.geoid?.getValue()));
+            return;
+          }
+        }
+        return;
+      }
 
       const carto = toCartographicFromScreen(movement.position);
       if (!carto) return;
 
+      if (mode === "polygon") {
+        const clicks = polygonClicksRef.current;
+        const prev = clicks[clicks.length - 1];
+        if (prev && Cesium.Cartesian2.distance(prev, movement.position) < CLICK_SLOP_PX) return;
+        if (clicks.length >= 3 && Cesium.Cartesian2.distance(clicks[0], movement.position) < CLICK_SLOP_PX * 2) {
+          finishPolygon();
+          return;
+        }
+        polygonVerticesRef.current.push(carto);
+        clicks.push(Cesium.Cartesian2.clone(movement.position));
+        clickLastRef.current = carto;
+        ctrl.enableInputs = false;
+        showDrawPreview();
+        return;
+      }
+
       if (!clickDrawingRef.current) {
         clickDrawingRef.current = true;
         clickStartRef.current = carto;
@@ -238,54 +593,759 @@ export default function CesiumMap({
       }
 
       if (!clickStartRef.current) return;
-      clickLastRef.current = carto;
-      const rect = clampToMax3km(clickStartRef.current, carto);
-      lastAoiRef.current = rect;
+      const rect = clampToMaxAoi(clickStartRef.current, carto);
+      const bbox = [rect.west, rect.south, rect.east, rect.north].map((r) => Cesium.Math.toDegrees(r)) as BBox;
+      setDrawAoiMode(null);
+      addAoiRef.current("rectangle", rectangleAoiGeometry(bbox));
+    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
 
-      if (!aoiEntityRef.current) {
-        aoiEntityRef.current = viewer.entities.add({
-          name: "AOI",
-          rectangle: {
-            coordinates: new Cesium.ConstantProperty(rect),
-            material: Cesium.Color.CYAN.withAlpha(0.2),
-            outline: true,
-            outlineColor: Cesium.Color.CYAN,
-          },
-        });
-      } else if (aoiEntityRef.current.rectangle) {
-        aoiEntityRef.current.rectangle.coordinates = new Cesium.ConstantProperty(rect);
+    // The viewer's own double-click zooms to entities; here it finishes a polygon.
+    viewer.screenSpaceEventHandler.removeInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+    handler.setInputAction(() => {
+      if (drawAoiModeRef.current === "polygon") finishPolygon();
+    }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+
+    // Right click: drop the last polygon vertex, or delete the edited vertex under the cursor.
+    handler.setInputAction((movement: Cesium.ScreenSpaceEventHandler.PositionedEvent) => {
+      if (drawAoiModeRef.current === "polygon") {
+        polygonVerticesRef.current.pop();
+        polygonClicksRef.current.pop();
+        if (!polygonVerticesRef.current.length) clickLastRef.current = null;
+        return;
+      }
+      if (!editAoiIdRef.current) return;
+      const handle = pickEditHandle(movement.position);
+      if (handle?.kind !== "aoi-vertex" || editRingRef.current.length <= 3) return;
+      editRingRef.current.splice(handle.index, 1);
+      commitEditRing();
+    }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+    // Vertex editing: press on a vertex to drag it, or on a midpoint to insert a vertex there.
+    handler.setInputAction((movement: Cesium.ScreenSpaceEventHandler.PositionedEvent) => {
+      if (!editAoiIdRef.current) return;
+      const handle = pickEditHandle(movement.position);
+      if (!handle) return;
+      if (handle.kind === "aoi-midpoint") {
+        const ring = editRingRef.current;
+        const a = ring[handle.index];
+        const b = ring[(handle.index + 1) % ring.length];
+        ring.splice(handle.index + 1, 0, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+        editDragRef.current = handle.index + 1;
+        setEditRevision((r) => r + 1);
+      } else {
+        editDragRef.current = handle.index;
       }
+      ctrl.enableInputs = false;
+    }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
 
+    handler.setInputAction(() => {
+      if (editDragRef.current === null) return;
+      editDragRef.current = null;
       ctrl.enableInputs = true;
-      clickDrawingRef.current = false;
-      clickStartRef.current = null;
-      clickLastRef.current = null;
-      setDrawAoiMode(false);
-
-      viewer.camera.flyTo({ destination: rect });
-
-      const west = Cesium.Math.toDegrees(rect.west);
-      const south = Cesium.Math.toDegrees(rect.south);
-      const east = Cesium.Math.toDegrees(rect.east);
-      const north = Cesium.Math.toDegrees(rect.north);
-
-      try {
-        if (typeof window !== "undefined" && window.parent && window.parent !== window) {
-          window.parent.postMessage({ type: "cadmapper:bbox", bbox: [west, south, east, north] }, "*");
+      commitEditRing();
+    }, Cesium.ScreenSpaceEventType.LEFT_UP);
+
+    // Shell messages: it can move the camera and ask for the current state.
+    if (channel) {
+      viewer.camera.moveEnd.addEventListener(() => channel.post("camera", cameraState(viewer)));
+      channel.on("camera", (camera) => {
+        if (camera.bbox) {
+          const [west, south, east, north] = camera.bbox;
+          const rect = safeRectangleFromDegrees(west, south, east, north);
+          if (!rect) throw new Error("camera bbox must be [w,s,e,n]");
+          viewer.camera.flyTo({ destination: rect });
+          return null;
         }
-      } catch {
-        // ignore
-      }
-    }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+        if (camera.center) {
+          const [lon, lat] = camera.center;
+          viewer.camera.flyTo({
+            destination: Cesium.Cartesian3.fromDegrees(lon, lat, camera.height ?? viewer.camera.positionCartographic.height),
+            orientation: {
+              heading: Cesium.Math.toRadians(camera.heading ?? Cesium.Math.toDegrees(viewer.camera.heading)),
+              pitch: Cesium.Math.toRadians(camera.pitch ?? Cesium.Math.toDegrees(viewer.camera.pitch)),
+              roll: 0,
+            },
+          });
+          return null;
+        }
+        throw new Error("camera needs bbox or center");
+      });
+      channel.on("get-state", () => mapStateRef.current());
+      channel.post("ready", { version: MAP_PROTOCOL_VERSION, accepts: ["camera", "get-state"] });
+    }
 
     // Cleanup
     return () => {
+      buildingsAbortRef.current?.abort();
+      aoiTractsAbortRef.current?.abort();
+      channel?.dispose();
+      channelRef.current = null;
       handler.destroy();
       viewer.destroy();
       viewerRef.current = null;
     };
   }, []);
 
+  // Sun for 3D shadows: viewer.clock drives the scene's SunLight, at the AOI's local standard time.
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    const rect = lastAoiRef.current;
+    const lon = rect
+      ? Cesium.Math.toDegrees((rect.west + rect.east) / 2)
+      : Cesium.Math.toDegrees(viewer.camera.positionCartographic.longitude);
+    const when = localStandardTimeToUtc(shadowDate, shadowMinutes, defaultTimeZone(lon));
+    viewer.clock.shouldAnimate = false;
+    viewer.clock.currentTime = Cesium.JulianDate.fromDate(when);
+    viewer.scene.requestRender();
+  }, [shadowDate, shadowMinutes, mode3d]);
+
+  // Choropleth data: one request per metric; classes are recomputed client-side.
+  useEffect(() => {
+    setChoroplethFeatures([]);
+    setTractTooltip(null);
+    if (!choroplethMetric) {
+      setChoroplethStatus("");
+      return;
+    }
+    const abort = new AbortController();
+    setChoroplethStatus("Loading tracts...");
+    (async () => {
+      try {
+        const res = await fetch(`/api/tract-choropleth?metric=${encodeURIComponent(choroplethMetric)}`, {
+          signal: abort.signal,
+        });
+        if (!res.ok) {
+          setChoroplethStatus(`Tracts request failed (${res.status})`);
+          return;
+        }
+        const gj = await res.json();
+        setChoroplethFeatures(Array.isArray(gj?.features) ? gj.features : []);
+        setChoroplethStatus("");
+      } catch (err) {
+        if (abort.signal.aborted) return;
+        setChoroplethStatus(`Tracts failed: ${String(err instanceof Error ? err.message : err)}`);
+      }
+    })();
+    return () => abort.abort();
+  }, [choroplethMetric]);
+
+  const choroplethLegend = useMemo(() => {
+    const metric = CHOROPLETH_METRICS.find((m) => m.id === choroplethMetric);
+    if (!metric || !choroplethFeatures.length) return null;
+    const values = choroplethFeatures
+      .map((f) => f.properties.value)
+      .filter((v): v is number => v !== null && Number.isFinite(v));
+    const breaks = classBreaks(values, choroplethScheme, choroplethClasses);
+    const colors = rampColors(CHOROPLETH_RAMPS[metric.ramp], Math.max(1, breaks.length - 1));
+    const noData = choroplethFeatures.length - values.length;
+    return { metric, breaks, colors, noData };
+  }, [choroplethMetric, choroplethFeatures, choroplethScheme, choroplethClasses]);
+
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    if (!choroplethSourceRef.current) {
+      choroplethSourceRef.current = new Cesium.CustomDataSource("tract-choropleth");
+      void viewer.dataSources.add(choroplethSourceRef.current);
+    }
+    const entities = choroplethSourceRef.current.entities;
+    entities.suspendEvents();
+    entities.removeAll();
+    if (choroplethLegend) {
+      const { breaks, colors } = choroplethLegend;
+      for (const f of choroplethFeatures) {
+        const { GEOID, NAME, value } = f.properties;
+        const cls = classIndex(value, breaks);
+        const material = Cesium.Color.fromCssColorString(cls < 0 ? CHOROPLETH_NO_DATA : colors[cls]).withAlpha(0.6);
+        const polys = f.geometry.type === "Polygon" ? [f.geometry.coordinates] : f.geometry.coordinates;
+        polys.forEach((rings, k) => {
+          if (!rings[0] || rings[0].length < 4) return;
+          entities.add({
+            id: `tract-${GEOID}-${k}`,
+            name: `Tract ${NAME || GEOID}`,
+            // height: 0 keeps these regular polygons (not ground primitives), which batch faster.
+            polygon: { hierarchy: polygonHierarchy(rings), height: 0, material },
+            properties: new Cesium.PropertyBag({ kind: "tract-choropleth", geoid: GEOID, name: NAME, value }),
+          });
+        });
+      }
+    }
+    entities.resumeEvents();
+    viewer.scene.requestRender();
+  }, [choroplethLegend, choroplethFeatures]);
+
+  hoverTractRef.current = (position: Cesium.Cartesian2) => {
+    const viewer = viewerRef.current;
+    if (!viewer || !choroplethLegend) {
+      if (tractTooltip) setTractTooltip(null);
+      return;
+    }
+    const picked = viewer.scene.pick(position);
+    const entity = picked?.id;
+    const props = entity instanceof Cesium.Entity ? entity.properties : undefined;
+    if (!props || props.kind?.getValue() !== "tract-choropleth") {
+      if (tractTooltip) setTractTooltip(null);
+      return;
+    }
+    const value = props.value?.getValue();
+    setTractTooltip({
+      x: position.x,
+      y: position.y,
+      title: `Tract ${props.name?.getValue() || props.geoid?.getValue()} (${props.geoid?.getValue()})`,
+      value: `${choroplethLegend.metric.label}: ${typeof value === "number" ? formatMetricValue(value) : "no data"}`,
+    });
+  };
+
+  async function loadAoiTracts(aoi: BoundaryGeometry) {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    aoiTractsAbortRef.current?.abort();
+    const abort = new AbortController();
+    aoiTractsAbortRef.current = abort;
+    if (!aoiTractsSourceRef.current) {
+      aoiTractsSourceRef.current = new Cesium.CustomDataSource("aoi-tracts");
+      void viewer.dataSources.add(aoiTractsSourceRef.current);
+    }
+    const entities = aoiTractsSourceRef.current.entities;
+    entities.removeAll();
+
+    try {
+      const res = await fetch("/api/tracts/intersect", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ aoi, fields: AOI_TRACT_FIELDS, includeGeometry: true }),
+        signal: abort.signal,
+      });
+      if (!res.ok) {
+        setAoiTracts(null);
+        return;
+      }
+      const data = await res.json();
+      const tracts: AoiTract[] = Array.isArray(data?.tracts) ? data.tracts : [];
+      for (const t of tracts) {
+        const g = t.geometry;
+        if (!g) continue;
+        const rings = g.type === "Polygon" ? [g.coordinates[0]] : g.coordinates.map((p) => p[0]);
+        rings.forEach((ring, k) => {
+          if (!ring || ring.length < 2) return;
+          entities.add({
+            id: `aoi-tract-${t.GEOID}-${k}`,
+            name: `Tract ${t.NAME || t.GEOID}`,
+            polyline: {
+              positions: Cesium.Cartesian3.fromDegreesArray(ring.flat()),
+              width: 2,
+              material: Cesium.Color.fromCssColorString("#7c3aed"),
+              clampToGround: true,
+            },
+          });
+        });
+      }
+      setAoiTracts(tracts.map((t) => ({ ...t, geometry: undefined })));
+    } catch {
+      // aborted by a newer AOI or the tract data is unavailable
+    }
+  }
+
+  loadAoiTractsRef.current = loadAoiTracts;
+
+  // AOI fills and outlines (active one in cyan), plus vertex and midpoint handles for the AOI being
+  // edited. Handles and the edited outline read editRingRef through callbacks so dragging does not
+  // rebuild entities.
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    if (!aoisSourceRef.current) {
+      aoisSourceRef.current = new Cesium.CustomDataSource("aois");
+      void viewer.dataSources.add(aoisSourceRef.current);
+    }
+    const entities = aoisSourceRef.current.entities;
+    entities.suspendEvents();
+    entities.removeAll();
+    for (const aoi of aois) {
+      const active = aoi.id === activeAoiId;
+      const color = active ? Cesium.Color.CYAN : Cesium.Color.fromCssColorString("#64748b");
+      const editing = aoi.id === editAoiId && aoi.geometry.type === "Polygon";
+      const polys = aoi.geometry.type === "Polygon" ? [aoi.geometry.coordinates] : aoi.geometry.coordinates;
+      polys.forEach((rings, k) => {
+        if (!rings[0] || rings[0].length < 4) return;
+        const editedRings = () => [[...editRingRef.current, editRingRef.current[0]], ...rings.slice(1)];
+        entities.add({
+          id: `aoi-${aoi.id}-${k}`,
+          name: aoi.name,
+          polygon: {
+            hierarchy: editing
+              ? new Cesium.CallbackProperty(() => polygonHierarchy(editedRings()), false)
+              : polygonHierarchy(rings),
+            height: 0,
+            material: color.withAlpha(active ? 0.2 : 0.12),
+          },
+          polyline: {
+            positions: editing
+              ? new Cesium.CallbackProperty(() => Cesium.Cartesian3.fromDegreesArray(editedRings()[0].flat()), false)
+              : Cesium.Cartesian3.fromDegreesArray(rings[0].flat()),
+            width: 2,
+            material: color,
+            clampToGround: true,
+          },
+          properties: new Cesium.PropertyBag({ kind: "aoi", aoiId: aoi.id }),
+        });
+      });
+      if (!editing) continue;
+
+      const at = (lonLat: () => number[]) =>
+        new Cesium.CallbackPositionProperty(() => {
+          const [lon, lat] = lonLat();
+          return Cesium.Cartesian3.fromDegrees(lon, lat);
+        }, false);
+      editRingRef.current.forEach((_, i) => {
+        entities.add({
+          position: at(() => editRingRef.current[i]),
+          point: {
+            pixelSize: 10,
+            color: Cesium.Color.WHITE,
+            outlineColor: Cesium.Color.CYAN,
+            outlineWidth: 2,
+            disableDepthTestDistance: Number.POSITIVE_INFINITY,
+          },
+          properties: new Cesium.PropertyBag({ kind: "aoi-vertex", index: i }),
+        });
+        entities.add({
+          position: at(() => {
+            const ring = editRingRef.current;
+            const a = ring[i];
+            const b = ring[(i + 1) % ring.length];
+            return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+          }),
+          point: {
+            pixelSize: 7,
+            color: Cesium.Color.CYAN.withAlpha(0.7),
+            disableDepthTestDistance: Number.POSITIVE_INFINITY,
+          },
+          properties: new Cesium.PropertyBag({ kind: "aoi-midpoint", index: i }),
+        });
+      });
+    }
+    entities.resumeEvents();
+    viewer.scene.requestRender();
+  }, [aois, activeAoiId, editAoiId, editRevision]);
+
+  // The shell keeps the full AOI list (names and outlines) and the tract selection in step with the map.
+  useEffect(() => {
+    channelRef.current?.post("aois", { activeId: activeAoiId, aois: aoiFeatureCollection(aois) });
+  }, [aois, activeAoiId]);
+
+  useEffect(() => {
+    channelRef.current?.post("tract-selection", { geoids: selectedTracts });
+  }, [selectedTracts]);
+
+  useMapStatus(channelRef, "aoi", aoiStatus);
+  useMapStatus(channelRef, "buildings", buildingsStatus);
+  useMapStatus(channelRef, "tracts", choroplethStatus);
+  useMapStatus(channelRef, "tileset", tilesetStatus);
+
+  mapStateRef.current = () => {
+    const viewer = viewerRef.current;
+    return {
+      activeId: activeAoiId,
+      aois: aoiFeatureCollection(aois),
+      selectedTracts,
+      camera: viewer ? cameraState(viewer) : null,
+    };
+  };
+
+  // `bbox` is kept for listeners that only handle boxes; `aoi` is the outline as a GeoJSON Feature.
+  function postAoi(aoi: Aoi) {
+    channelRef.current?.post("aoi", { bbox: aoiBbox(aoi.geometry), aoi: aoiFeature(aoi) });
+  }
+
+  // Downloads an export of the active AOI from one of the /api/export* routes.
+  async function exportAoi(route: string, filename: string, label: string, onBbox?: (bbox: BBox) => void) {
+    const rect = lastAoiRef.current;
+    if (!rect || !viewerRef.current) {
+      alert("Сначала выделите область");
+      return;
+    }
+    const west = Cesium.Math.toDegrees(rect.west);
+    const south = Cesium.Math.toDegrees(rect.south);
+    const east = Cesium.Math.toDegrees(rect.east);
+    const north = Cesium.Math.toDegrees(rect.north);
+    const aoi = aois.find((a) => a.id === activeAoiId);
+
+    // Ensure parent (main UI) receives bbox even if AOI selection was made earlier.
+    if (aoi) postAoi(aoi);
+    else channelRef.current?.post("aoi", { bbox: [west, south, east, north], aoi: null });
+
+    onBbox?.([west, south, east, north]);
+
+    // Non-rectangular AOIs are clipped server-side; their outline is too long for a URL.
+    if (aoi && aoi.kind !== "rectangle") {
+      const res = await fetch(route, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bbox: [west, south, east, north], boundary: aoi.geometry }),
+      });
+      if (!res.ok) {
+        alert(`${label} export failed (${res.status})`);
+        return;
+      }
+      const url = URL.createObjectURL(await res.blob());
+      downloadHref(url, filename);
+      URL.revokeObjectURL(url);
+      return;
+    }
+
+    const bboxParam = [west, south, east, north].join(",");
+    downloadHref(`${route}?bbox=${encodeURIComponent(bboxParam)}`, filename);
+  }
+
+  function activateAoi(aoi: Aoi, fly = true) {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    const [west, south, east, north] = aoiBbox(aoi.geometry);
+    const rect = safeRectangleFromDegrees(west, south, east, north);
+    if (!rect) return;
+    setActiveAoiId(aoi.id);
+    lastAoiRef.current = rect;
+    lastAoiGeometryRef.current = aoi.geometry;
+    if (fly) viewer.camera.flyTo({ destination: rect });
+    if (mode3dRef.current) void loadBuildings3d(rect);
+    void loadAoiTracts(aoi.geometry);
+    postAoi(aoi);
+  }
+
+  function addAoi(kind: AoiKind, geometry: BoundaryGeometry, tracts?: string[]) {
+    // Rectangles are already clamped while drawing.
+    const span = Math.max(...aoiSpanMeters(geometry));
+    if (kind !== "rectangle" && span > MAX_AOI_METERS) {
+      setAoiStatus(`Area is ${(span / 1000).toFixed(1)} km across; the limit is ${MAX_AOI_METERS / 1000} km`);
+      return;
+    }
+    aoiCounterRef.current += 1;
+    const n = aoiCounterRef.current;
+    const aoi: Aoi = {
+      id: `aoi-${Date.now().toString(36)}-${n}`,
+      name: tracts ? `Tracts ${tracts.length === 1 ? tracts[0] : `(${tracts.length})`}` : `AOI ${n}`,
+      kind,
+      geometry,
+      ...(tracts ? { tracts } : {}),
+    };
+    setAois((prev) => [...prev, aoi]);
+    setAoiStatus("");
+    activateAoi(aoi);
+  }
+
+  addAoiRef.current = addAoi;
+
+  function renameAoi(id: string, name: string) {
+    setAois((prev) => prev.map((a) => (a.id === id ? { ...a, name } : a)));
+  }
+
+  function removeAoi(id: string) {
+    setAois((prev) => prev.filter((a) => a.id !== id));
+    if (editAoiId === id) setEditAoiId(null);
+    if (activeAoiId !== id) return;
+    setActiveAoiId(null);
+    lastAoiRef.current = null;
+    lastAoiGeometryRef.current = null;
+    aoiTractsAbortRef.current?.abort();
+    aoiTractsSourceRef.current?.entities.removeAll();
+    setAoiTracts(null);
+  }
+
+  function startEditAoi(aoi: Aoi) {
+    if (aoi.geometry.type !== "Polygon") return;
+    const outer = aoi.geometry.coordinates[0];
+    if (outer.length > 500) {
+      setAoiStatus(`${aoi.name} has ${outer.length} vertices; too many to edit by hand`);
+      return;
+    }
+    setDrawAoiMode(null);
+    editRingRef.current = outer.slice(0, -1).map((p) => [p[0], p[1]]);
+    editValidRingRef.current = outer.slice(0, -1).map((p) => [p[0], p[1]]);
+    setEditAoiId(aoi.id);
+    setAoiStatus("");
+  }
+
+  // Edits are already in `aois`; an edited active AOI is re-sent and its tracts reloaded.
+  function finishEditAoi() {
+    const problem = polygonRingProblem(editRingRef.current);
+    if (problem) {
+      setAoiStatus(`Can't use this polygon: ${problem}`);
+      return;
+    }
+    const aoi = aois.find((a) => a.id === editAoiId);
+    setEditAoiId(null);
+    setAoiStatus("");
+    if (aoi && aoi.id === activeAoiId) activateAoi(aoi, false);
+  }
+
+  function toggleDrawMode(mode: Exclude<AoiDrawMode, null>) {
+    setEditAoiId(null);
+    setAoiStatus("");
+    setDrawAoiMode((m) => (m === mode ? null : mode));
+  }
+
+  function toggleTract(geoid: string) {
+    const viewer = viewerRef.current;
+    const selected = selectedTractsRef.current;
+    if (selected.has(geoid)) {
+      selected.delete(geoid);
+      const entity = tractEntitiesRef.current.get(geoid);
+      if (viewer && entity) viewer.entities.remove(entity);
+      tractEntitiesRef.current.delete(geoid);
+    } else {
+      selected.add(geoid);
+      void highlightTractByGeoid(geoid, false);
+    }
+    setSelectedTracts([...selected]);
+  }
+
+  toggleTractRef.current = toggleTract;
+
+  function clearSelectedTracts() {
+    const viewer = viewerRef.current;
+    for (const geoid of selectedTractsRef.current) {
+      const entity = tractEntitiesRef.current.get(geoid);
+      if (viewer && entity) viewer.entities.remove(entity);
+      tractEntitiesRef.current.delete(geoid);
+    }
+    selectedTractsRef.current.clear();
+    setSelectedTracts([]);
+  }
+
+  // Dissolves the selected tracts into one AOI.
+  async function aoiFromSelectedTracts() {
+    const geoids = [...selectedTractsRef.current];
+    if (!geoids.length) return;
+    setAoiStatus("Merging tracts...");
+    try {
+      const outlines = await Promise.all(
+        geoids.map(async (geoid) => {
+          const res = await fetch(`/api/tract-geom?geoid=${encodeURIComponent(geoid)}`);
+          if (!res.ok) return null;
+          const feature = await res.json();
+          return isBoundaryGeometry(feature?.geometry) ? feature.geometry : null;
+        })
+      );
+      const found = outlines.filter((g): g is BoundaryGeometry => g !== null);
+      if (found.length < geoids.length) {
+        setAoiStatus(`No outline for ${geoids.length - found.length} of the selected tracts`);
+        return;
+      }
+      const merged = unionAoiGeometries(found);
+      if (!merged) {
+        setAoiStatus("Could not merge the selected tracts");
+        return;
+      }
+      addAoi("tracts", merged, geoids);
+      clearSelectedTracts();
+    } catch (err) {
+      setAoiStatus(`Tracts AOI failed: ${String(err instanceof Error ? err.message : err)}`);
+    }
+  }
+
+  function removeBuildings3d() {
+    buildingsAbortRef.current?.abort();
+    buildingsAbortRef.current = null;
+    const viewer = viewerRef.current;
+    if (viewer && buildingsPrimitiveRef.current) viewer.scene.primitives.remove(buildingsPrimitiveRef.current);
+    buildingsPrimitiveRef.current = null;
+  }
+
+  // Extrudes the OSM buildings of the AOI plus CONTEXT_METERS around it as one primitive.
+  async function loadBuildings3d(rect: Cesium.Rectangle) {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    removeBuildings3d();
+    const abort = new AbortController();
+    buildingsAbortRef.current = abort;
+
+    const west = Cesium.Math.toDegrees(rect.west);
+    const south = Cesium.Math.toDegrees(rect.south);
+    const east = Cesium.Math.toDegrees(rect.east);
+    const north = Cesium.Math.toDegrees(rect.north);
+    const dLat = CONTEXT_METERS / 111320;
+    const dLon = CONTEXT_METERS / (111320 * Math.cos((((south + north) / 2) * Math.PI) / 180));
+    const bbox: BBox = [west - dLon, south - dLat, east + dLon, north + dLat];
+
+    setBuildingsStatus("Loading buildings...");
+    try {
+      const res = await fetch("/api/osm", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bbox }),
+        signal: abort.signal,
+      });
+      if (!res.ok) {
+        setBuildingsStatus(`Buildings request failed (${res.status})`);
+        return;
+      }
+      const geojson = await res.json();
+      if (abort.signal.aborted) return;
+      const outline = lastAoiGeometryRef.current;
+
+      type Footprint = { rings: [number, number][][]; height: number; minHeight: number; inAoi: boolean };
+      const footprints: Footprint[] = [];
+      for (const f of geojson?.features || []) {
+        const tags = f?.properties;
+        if (!tags?.building && !tags?.["building:part"]) continue;
+        const g = f?.geometry;
+        const polys: [number, number][][][] =
+          g?.type === "Polygon" ? [g.coordinates] : g?.type === "MultiPolygon" ? g.coordinates : [];
+        const height = buildingHeightFromTags(tags);
+        const minHeight = Math.min(buildingMinHeightFromTags(tags), height - 0.5);
+        for (const rings of polys) {
+          if (!rings[0] || rings[0].length < 4) continue;
+          const [lon, lat] = rings[0][0];
+          const inAoi = outline
+            ? booleanPointInPolygon([lon, lat], outline)
+            : lon >= west && lon <= east && lat >= south && lat <= north;
+          footprints.push({ rings, height, minHeight, inAoi });
+        }
+      }
+      footprints.sort((a, b) => b.height - a.height);
+      const kept = footprints.slice(0, MAX_3D_BUILDINGS);
+
+      const aoiColor = Cesium.ColorGeometryInstanceAttribute.fromColor(Cesium.Color.fromCssColorString("#e5e7eb"));
+      const contextColor = Cesium.ColorGeometryInstanceAttribute.fromColor(Cesium.Color.fromCssColorString("#9ca3af"));
+      const toPositions = (ring: [number, number][]) => Cesium.Cartesian3.fromDegreesArray(ring.flat());
+      const instances = kept.map(
+        (b) =>
+          new Cesium.GeometryInstance({
+            geometry: new Cesium.PolygonGeometry({
+              polygonHierarchy: new Cesium.PolygonHierarchy(
+                toPositions(b.rings[0]),
+                b.rings.slice(1).map((h) => new Cesium.PolygonHierarchy(toPositions(h)))
+              ),
+              height: Math.max(0, b.minHeight),
+              extrudedHeight: b.height,
+              vertexFormat: Cesium.PerInstanceColorAppearance.VERTEX_FORMAT,
+            }),
+            attributes: { color: b.inAoi ? aoiColor : contextColor },
+          })
+      );
+      if (!instances.length) {
+        setBuildingsStatus("No OSM buildings in this area");
+        return;
+      }
+
+      const primitive = new Cesium.Primitive({
+        geometryInstances: instances,
+        appearance: new Cesium.PerInstanceColorAppearance({ translucent: false }),
+        shadows: Cesium.ShadowMode.ENABLED,
+      });
+      if (abort.signal.aborted || viewerRef.current !== viewer) return;
+      viewer.scene.primitives.add(primitive);
+      buildingsPrimitiveRef.current = primitive;
+      setBuildingsStatus(
+        `Buildings: ${kept.length}` + (footprints.length > kept.length ? ` (tallest of ${footprints.length})` : "")
+      );
+    } catch (err) {
+      if (abort.signal.aborted) return;
+      setBuildingsStatus(`Buildings failed: ${String(err instanceof Error ? err.message : err)}`);
+    }
+  }
+
+  loadBuildings3dRef.current = loadBuildings3d;
+
+  function setMode3dEnabled(next: boolean, liveBuildings = true) {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    mode3dRef.current = next;
+    setMode3d(next);
+    configureCameraInputs(viewer, next);
+    viewer.shadows = next;
+    viewer.terrainShadows = next ? Cesium.ShadowMode.RECEIVE_ONLY : Cesium.ShadowMode.DISABLED;
+    viewer.shadowMap.softShadows = true;
+    viewer.shadowMap.size = 2048;
+    viewer.scene.globe.enableLighting = next;
+
+    if (!next) {
+      removeBuildings3d();
+      removeTileset();
+      setBuildingsStatus("");
+      viewer.scene.morphTo2D(0);
+      const rect = lastAoiRef.current;
+      if (rect) viewer.camera.setView({ destination: rect });
+      return;
+    }
+
+    viewer.scene.morphTo3D(0);
+    const rect = lastAoiRef.current;
+    if (!rect) {
+      setBuildingsStatus("Draw an area to load buildings");
+      return;
+    }
+    const center = Cesium.Rectangle.center(rect);
+    viewer.camera.flyTo({
+      destination: Cesium.Cartesian3.fromRadians(center.longitude, center.latitude - 0.00025, 1500),
+      orientation: { heading: 0, pitch: Cesium.Math.toRadians(-35), roll: 0 },
+    });
+    if (liveBuildings) void loadBuildings3d(rect);
+  }
+
+  function removeTileset() {
+    const viewer = viewerRef.current;
+    if (viewer && tilesetRef.current) viewer.scene.primitives.remove(tilesetRef.current);
+    tilesetRef.current = null;
+    setTilesetStatus("");
+  }
+
+  async function showTileset(url: string) {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+    setTilesetStatus("Loading tileset...");
+    try {
+      const tileset = await Cesium.Cesium3DTileset.fromUrl(url);
+      if (viewer.isDestroyed()) return;
+      removeTileset();
+      tilesetRef.current = viewer.scene.primitives.add(tileset);
+      removeBuildings3d();
+      setBuildingsStatus("");
+      if (!mode3dRef.current) setMode3dEnabled(true, false);
+      await viewer.zoomTo(tileset, new Cesium.HeadingPitchRange(0, Cesium.Math.toRadians(-35), 0));
+      setTilesetStatus("");
+    } catch (err) {
+      setTilesetStatus(`Tileset failed to load: ${String(err instanceof Error ? err.message : err)}`);
+    }
+  }
+
+  // Saves the active AOI as a 3D Tiles scene on the server and shows it.
+  async function exportTileset() {
+    const rect = lastAoiRef.current;
+    if (!rect) {
+      alert("Сначала выделите область");
+      return;
+    }
+    const aoi = aois.find((a) => a.id === activeAoiId);
+    const bbox = [rect.west, rect.south, rect.east, rect.north].map((r) => Cesium.Math.toDegrees(r));
+    setTilesetStatus("Building tileset...");
+    try {
+      const res = await fetch("/api/export-tiles", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bbox, boundary: aoi && aoi.kind !== "rectangle" ? aoi.geometry : undefined }),
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        setTilesetStatus(`Tileset export failed (${res.status}${json?.error ? `: ${json.error}` : ""})`);
+        return;
+      }
+      await showTileset(json.url);
+      setTilesetStatus(`Tileset ${json.id} (open with ?tileset=${json.id})`);
+    } catch (err) {
+      setTilesetStatus(`Tileset export failed: ${String(err instanceof Error ? err.message : err)}`);
+    }
+  }
+
+  // ?tileset=<id> shows a tileset saved by /api/export-tiles without querying OSM again.
+  useEffect(() => {
+    const id = new URLSearchParams(window.location.search).get("tileset");
+    if (id) void showTileset(`/api/tiles/${encodeURIComponent(id)}/tileset.json`);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   // Load cities (places) list for autocomplete
   useEffect(() => {
     let cancelled = false;
@@ -371,13 +1431,14 @@ export default function CesiumMap({
       const rect = safeRectangleFromDegrees(west, south, east, north);
       if (!rect) return;
       lastAoiRef.current = rect;
+      lastAoiGeometryRef.current = null;
       viewer.camera.flyTo({ destination: rect });
     } catch {
       // ignore
     }
   }
 
-  async function highlightTractByGeoid(geoid: string) {
+  async function highlightTractByGeoid(geoid: string, fly = true) {
     if (!viewerRef.current || !geoid) return;
 
     try {
@@ -416,6 +1477,8 @@ export default function CesiumMap({
       const viewer = viewerRef.current;
       if (!viewer) return;
 
+      const previous = tractEntitiesRef.current.get(geoid);
+      if (previous) viewer.entities.remove(previous);
       const entity = viewer.entities.add({
         name: `Tract ${geoid}`,
         polygon: {
@@ -432,7 +1495,7 @@ export default function CesiumMap({
       tractEntitiesRef.current.set(geoid, entity);
 
       const rect = safeRectangleFromDegrees(west, south, east, north);
-      if (!rect) return;
+      if (!rect || !fly) return;
       viewer.camera.flyTo({ destination: rect });
     } catch {
       // ignore
@@ -481,61 +1544,52 @@ export default function CesiumMap({
       >
         <div style={{ display: "flex", gap: 8, flexWrap: "wrap", justifyContent: "flex-end" }}>
           <button
-            onClick={() => setDrawAoiMode((v) => !v)}
+            onClick={() => toggleDrawMode("rectangle")}
             style={{
               padding: "8px 12px",
-              background: drawAoiMode ? "#0f766e" : "#111827",
+              background: drawAoiMode === "rectangle" ? "#0f766e" : "#111827",
               color: "#fff",
               border: "1px solid #ffffff33",
               borderRadius: 6,
               cursor: "pointer",
             }}
           >
-            {drawAoiMode ? "Cencel" : "Area"}
+            {drawAoiMode === "rectangle" ? "Cancel" : "Area"}
           </button>
 
           <button
-            onClick={async () => {
-              const rect = lastAoiRef.current;
-              if (!rect || !viewerRef.current) {
-                alert("Сначала выделите область");
-                return;
-              }
-              const west = Cesium.Math.toDegrees(rect.west);
-              const south = Cesium.Math.toDegrees(rect.south);
-              const east = Cesium.Math.toDegrees(rect.east);
-              const north = Cesium.Math.toDegrees(rect.north);
-
-              // Ensure parent (main UI) receives bbox even if AOI selection was made earlier.
-              try {
-                if (typeof window !== "undefined" && window.parent && window.parent !== window) {
-                  window.parent.postMessage(
-                    { type: "cadmapper:bbox", bbox: [west, south, east, north] },
-                    "*"
-                  );
-                }
-              } catch {
-                // ignore
-              }
+            onClick={() => toggleDrawMode("polygon")}
+            style={{
+              padding: "8px 12px",
+              background: drawAoiMode === "polygon" ? "#0f766e" : "#111827",
+              color: "#fff",
+              border: "1px solid #ffffff33",
+              borderRadius: 6,
+              cursor: "pointer",
+            }}
+          >
+            {drawAoiMode === "polygon" ? "Cancel" : "Polygon"}
+          </button>
 
-              if (onExportDxfBBox) {
-                onExportDxfBBox([west, south, east, north]);
-              }
+          <button
+            onClick={() => void exportAoi("/api/export-dxf", "export.dxf", "DXF", onExportDxfBBox)}
+            style={{ padding: "8px 12px", background: "#111827", color: "#fff", border: "1px solid #ffffff33", borderRadius: 6, cursor: "pointer" }}
+          >
+            Export DXF
+          </button>
 
-              const bboxParam = [west, south, east, north].join(",");
-              const dxfUrl = `/api/export-dxf?bbox=${encodeURIComponent(bboxParam)}`;
+          <button
+            onClick={() => void exportAoi("/api/export-glb", "export.glb", "GLB")}
+            style={{ padding: "8px 12px", background: "#111827", color: "#fff", border: "1px solid #ffffff33", borderRadius: 6, cursor: "pointer" }}
+          >
+            Export GLB
+          </button>
 
-              const a = document.createElement("a");
-              a.href = dxfUrl;
-              a.download = "export.dxf";
-              a.rel = "noopener";
-              document.body.appendChild(a);
-              a.click();
-              a.remove();
-            }}
+          <button
+            onClick={() => void exportTileset()}
             style={{ padding: "8px 12px", background: "#111827", color: "#fff", border: "1px solid #ffffff33", borderRadius: 6, cursor: "pointer" }}
           >
-            Export DXF
+            3D Tiles
           </button>
 
           <button
@@ -545,26 +1599,130 @@ export default function CesiumMap({
                 alert("Сначала выделите область");
                 return;
               }
+              const aoi = aois.find((a) => a.id === activeAoiId);
+              if (aoi) {
+                postAoi(aoi);
+                return;
+              }
               const west = Cesium.Math.toDegrees(rect.west);
               const south = Cesium.Math.toDegrees(rect.south);
               const east = Cesium.Math.toDegrees(rect.east);
               const north = Cesium.Math.toDegrees(rect.north);
-
-              try {
-                if (typeof window !== "undefined" && window.parent && window.parent !== window) {
-                  window.parent.postMessage(
-                    { type: "cadmapper:bbox", bbox: [west, south, east, north] },
-                    "*"
-                  );
-                }
-              } catch {
-                // ignore
-              }
+              channelRef.current?.post("aoi", { bbox: [west, south, east, north], aoi: null });
             }}
             style={{ padding: "8px 12px", background: "#111827", color: "#fff", border: "1px solid #ffffff33", borderRadius: 6, cursor: "pointer" }}
           >
             Analyze
           </button>
+
+          <button
+            onClick={() => setMode3dEnabled(!mode3d)}
+            style={{
+              padding: "8px 12px",
+              background: mode3d ? "#0f766e" : "#111827",
+              color: "#fff",
+              border: "1px solid #ffffff33",
+              borderRadius: 6,
+              cursor: "pointer",
+            }}
+          >
+            {mode3d ? "2D" : "3D shade"}
+          </button>
+        </div>
+
+        {tilesetStatus ? (
+          <div style={{ fontSize: "0.75rem", color: "#111827", background: "#e5e7eb", padding: "4px 6px", borderRadius: 4 }}>
+            {tilesetStatus}
+          </div>
+        ) : null}
+
+        {mode3d ? (
+          <div
+            style={{
+              display: "flex",
+              gap: 8,
+              alignItems: "center",
+              fontSize: "0.75rem",
+              color: "#111827",
+              background: "#e5e7eb",
+              padding: "4px 6px",
+              borderRadius: 4,
+            }}
+          >
+            <input
+              type="date"
+              value={shadowDate}
+              onChange={(e) => e.target.value && setShadowDate(e.target.value)}
+              style={{ fontSize: "0.75rem", padding: "2px 4px", borderRadius: 4, border: "1px solid #d1d5db" }}
+            />
+            <input
+              type="range"
+              min={0}
+              max={24 * 60 - 10}
+              step={10}
+              value={shadowMinutes}
+              onChange={(e) => setShadowMinutes(Number(e.target.value))}
+            />
+            <span>
+              {String(Math.floor(shadowMinutes / 60)).padStart(2, "0")}:{String(shadowMinutes % 60).padStart(2, "0")}{" "}
+              (standard time)
+            </span>
+            {buildingsStatus ? <span>{buildingsStatus}</span> : null}
+          </div>
+        ) : null}
+
+        <div
+          style={{
+            display: "flex",
+            gap: 6,
+            alignItems: "center",
+            fontSize: "0.75rem",
+            color: "#111827",
+            background: "#e5e7eb",
+            padding: "4px 6px",
+            borderRadius: 4,
+          }}
+        >
+          Tracts:
+          <select
+            value={choroplethMetric}
+            onChange={(e) => setChoroplethMetric(e.target.value)}
+            style={{ fontSize: "0.75rem", padding: "2px 4px", borderRadius: 4, border: "1px solid #d1d5db" }}
+          >
+            <option value="">Off</option>
+            {CHOROPLETH_METRICS.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.label}
+              </option>
+            ))}
+          </select>
+          {choroplethMetric ? (
+            <>
+              <select
+                value={choroplethScheme}
+                onChange={(e) => setChoroplethScheme(e.target.value as ClassificationScheme)}
+                style={{ fontSize: "0.75rem", padding: "2px 4px", borderRadius: 4, border: "1px solid #d1d5db" }}
+              >
+                {CLASSIFICATION_SCHEMES.map((s) => (
+                  <option key={s.id} value={s.id}>
+                    {s.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={choroplethClasses}
+                onChange={(e) => setChoroplethClasses(Number(e.target.value))}
+                style={{ fontSize: "0.75rem", padding: "2px 4px", borderRadius: 4, border: "1px solid #d1d5db" }}
+              >
+                {[3, 4, 5, 6, 7].map((k) => (
+                  <option key={k} value={k}>
+                    {k} classes
+                  </option>
+                ))}
+              </select>
+            </>
+          ) : null}
+          {choroplethStatus ? <span>{choroplethStatus}</span> : null}
         </div>
 
         <div style={{ display: "flex", gap: 8 }}>
@@ -597,6 +1755,209 @@ export default function CesiumMap({
           </label>
         </div>
       </div>
+
+      {aois.length || drawAoiMode || editAoiId || aoiStatus || selectedTracts.length ? (
+        <div
+          style={{
+            position: "absolute",
+            left: 12,
+            // below the shell's "Lock map" button when embedded
+            top: embedded ? 56 : 12,
+            zIndex: 10,
+            maxWidth: 340,
+            maxHeight: "45%",
+            overflowY: "auto",
+            background: "#ffffffe6",
+            color: "#111827",
+            fontSize: "0.75rem",
+            padding: "8px 10px",
+            borderRadius: 6,
+            border: "1px solid #d1d5db",
+            display: "flex",
+            flexDirection: "column",
+            gap: 4,
+          }}
+        >
+          {aois.length ? <div style={{ fontWeight: 600 }}>Areas of interest</div> : null}
+          {aois.map((a) => (
+            <div key={a.id} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <input type="radio" checked={a.id === activeAoiId} onChange={() => activateAoi(a)} title="Make active" />
+              <input
+                value={a.name}
+                onChange={(e) => renameAoi(a.id, e.target.value)}
+                style={{ width: 120, fontSize: "0.75rem", padding: "2px 4px", borderRadius: 4, border: "1px solid #d1d5db" }}
+              />
+              <span style={{ whiteSpace: "nowrap" }}>{formatAoiArea(aoiAreaM2(a.geometry))}</span>
+              {a.geometry.type === "Polygon" ? (
+                <button
+                  onClick={() => (editAoiId === a.id ? finishEditAoi() : startEditAoi(a))}
+                  style={{ fontSize: "0.75rem", padding: "1px 6px", borderRadius: 4, border: "1px solid #d1d5db", cursor: "pointer" }}
+                >
+                  {editAoiId === a.id ? "Done" : "Edit"}
+                </button>
+              ) : null}
+              <button
+                onClick={() => removeAoi(a.id)}
+                style={{ border: "none", background: "transparent", cursor: "pointer", fontSize: "0.75rem" }}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          {selectedTracts.length ? (
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span>
+                {selectedTracts.length} tract{selectedTracts.length === 1 ? "" : "s"} selected
+              </span>
+              <button
+                onClick={() => void aoiFromSelectedTracts()}
+                style={{ fontSize: "0.75rem", padding: "1px 6px", borderRadius: 4, border: "1px solid #d1d5db", cursor: "pointer" }}
+              >
+                AOI from tracts
+              </button>
+              <button
+                onClick={clearSelectedTracts}
+                style={{ fontSize: "0.75rem", padding: "1px 6px", borderRadius: 4, border: "1px solid #d1d5db", cursor: "pointer" }}
+              >
+                Clear
+              </button>
+            </div>
+          ) : null}
+          {drawAoiMode === "polygon" ? (
+            <div>Click to add vertices; double-click or click the first vertex to finish; right-click removes the last one.</div>
+          ) : null}
+          {editAoiId ? (
+            <div>Drag a vertex to move it, drag a midpoint to add one, right-click a vertex to delete it.</div>
+          ) : null}
+          {aoiStatus ? <div>{aoiStatus}</div> : null}
+        </div>
+      ) : null}
+
+      {choroplethLegend ? (
+        <div
+          style={{
+            position: "absolute",
+            left: 12,
+            bottom: 24,
+            zIndex: 10,
+            background: "#ffffffe6",
+            color: "#111827",
+            fontSize: "0.75rem",
+            padding: "8px 10px",
+            borderRadius: 6,
+            border: "1px solid #d1d5db",
+            display: "flex",
+            flexDirection: "column",
+            gap: 3,
+          }}
+        >
+          <div style={{ fontWeight: 600, marginBottom: 2 }}>{choroplethLegend.metric.label}</div>
+          {choroplethLegend.colors.map((color, i) => (
+            <div key={i} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ width: 14, height: 10, background: color, border: "1px solid #00000022" }} />
+              {formatMetricValue(choroplethLegend.breaks[i])} – {formatMetricValue(choroplethLegend.breaks[i + 1])}
+            </div>
+          ))}
+          {choroplethLegend.noData ? (
+            <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+              <span style={{ width: 14, height: 10, background: CHOROPLETH_NO_DATA, border: "1px solid #00000022" }} />
+              No data ({choroplethLegend.noData})
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
+      {aoiTracts && aoiTracts.length ? (
+        <div
+          style={{
+            position: "absolute",
+            right: 12,
+            bottom: 24,
+            zIndex: 10,
+            maxHeight: "40%",
+            overflowY: "auto",
+            background: "#ffffffe6",
+            color: "#111827",
+            fontSize: "0.75rem",
+            padding: "8px 10px",
+            borderRadius: 6,
+            border: "1px solid #d1d5db",
+          }}
+        >
+          <div style={{ display: "flex", justifyContent: "space-between", gap: 12, fontWeight: 600, marginBottom: 4 }}>
+            <span>
+              AOI tracts ({aoiTracts.length}) · population ≈{" "}
+              {formatMetricValue(aoiTracts.reduce((sum, t) => sum + (t.B01001_001E ?? 0) * t.tractFraction, 0))}
+            </span>
+            <button
+              onClick={() => {
+                setAoiTracts(null);
+                aoiTractsSourceRef.current?.entities.removeAll();
+              }}
+              style={{ border: "none", background: "transparent", cursor: "pointer", fontSize: "0.75rem" }}
+            >
+              ✕
+            </button>
+          </div>
+          <table style={{ borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "right" }}>
+                <th title="Select for AOI from tracts" />
+                <th style={{ textAlign: "left", paddingRight: 8 }}>Tract</th>
+                <th style={{ paddingRight: 8 }}>% of AOI</th>
+                <th style={{ paddingRight: 8 }}>Pop.</th>
+                <th style={{ paddingRight: 8 }}>LST °F</th>
+                <th style={{ paddingRight: 8 }}>Canopy %</th>
+                <th>Vul. index</th>
+              </tr>
+            </thead>
+            <tbody>
+              {aoiTracts.map((t) => (
+                <tr key={t.GEOID} style={{ textAlign: "right" }}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedTracts.includes(t.GEOID)}
+                      onChange={() => toggleTract(t.GEOID)}
+                    />
+                  </td>
+                  <td style={{ textAlign: "left", paddingRight: 8 }} title={t.GEOID}>
+                    {t.NAME || t.GEOID}
+                  </td>
+                  <td style={{ paddingRight: 8 }}>{(t.aoiFraction * 100).toFixed(1)}</td>
+                  <td style={{ paddingRight: 8 }}>{t.B01001_001E ?? "–"}</td>
+                  <td style={{ paddingRight: 8 }}>
+                    {t.High_Summer_Mean_LST_F !== null ? t.High_Summer_Mean_LST_F.toFixed(1) : "–"}
+                  </td>
+                  <td style={{ paddingRight: 8 }}>{t.PCT_TreeCanopy !== null ? t.PCT_TreeCanopy.toFixed(1) : "–"}</td>
+                  <td>{t.Vul_Pop_Index !== null ? t.Vul_Pop_Index.toFixed(2) : "–"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+
+      {tractTooltip ? (
+        <div
+          style={{
+            position: "absolute",
+            left: tractTooltip.x + 12,
+            top: tractTooltip.y + 12,
+            zIndex: 20,
+            pointerEvents: "none",
+            background: "#111827e6",
+            color: "#fff",
+            fontSize: "0.75rem",
+            padding: "4px 8px",
+            borderRadius: 4,
+            whiteSpace: "nowrap",
+          }}
+        >
+          <div style={{ fontWeight: 600 }}>{tractTooltip.title}</div>
+          <div>{tractTooltip.value}</div>
+        </div>
+      ) : null}
     </div>
   );
 }
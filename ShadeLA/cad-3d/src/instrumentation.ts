@@ -0,0 +1,7 @@
+// Runs once when the Next.js server starts.
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== "nodejs") return;
+  // Index local OSM extracts (OSM_SOURCE=pbf/geojson) in the background so the first request is fast.
+  const { warmOsmSources } = await import("./lib/osm/sources");
+  warmOsmSources().catch((err) => console.error("[osm-source] warm-up failed:", err));
+}
@@ -0,0 +1,84 @@
+// Named areas of interest drawn on the map. Geometry is GeoJSON in lon/lat degrees; this is also
+// the form CesiumMap posts to the parent frame and sends to the API as `aoi` / `boundary`.
+import { area, bbox as turfBbox, featureCollection, kinks, polygon, union } from "@turf/turf";
+import type { Feature, FeatureCollection } from "geojson";
+import { bboxPolygon, type BoundaryGeometry } from "./boundaries";
+import type { BBox } from "./osm/overpass";
+
+// "rectangle": two-click box; "polygon": clicked or edited vertices; "tracts": union of census tracts.
+export type AoiKind = "rectangle" | "polygon" | "tracts";
+
+export interface Aoi {
+  id: string;
+  name: string;
+  kind: AoiKind;
+  geometry: BoundaryGeometry;
+  // Tract GEOIDs an AOI of kind "tracts" was built from.
+  tracts?: string[];
+}
+
+export type AoiFeature = Feature<BoundaryGeometry, { name: string; kind: AoiKind; areaM2: number; tracts?: string[] }>;
+
+export function rectangleAoiGeometry(bbox: BBox): BoundaryGeometry {
+  return bboxPolygon(bbox);
+}
+
+// Closes an open ring of [lon, lat] vertices into a Polygon.
+export function polygonAoiGeometry(ring: number[][]): BoundaryGeometry {
+  return { type: "Polygon", coordinates: [[...ring, ring[0]]] };
+}
+
+export function aoiBbox(geometry: BoundaryGeometry): BBox {
+  const [w, s, e, n] = turfBbox(geometry);
+  return [w, s, e, n];
+}
+
+// Approximate east-west and north-south extent in meters.
+export function aoiSpanMeters(geometry: BoundaryGeometry): [number, number] {
+  const [w, s, e, n] = aoiBbox(geometry);
+  return [(e - w) * 111320 * Math.cos((((s + n) / 2) * Math.PI) / 180), (n - s) * 111320];
+}
+
+export function aoiAreaM2(geometry: BoundaryGeometry): number {
+  return area(geometry);
+}
+
+// Hectares below 1 km², square kilometres above.
+export function formatAoiArea(m2: number): string {
+  if (m2 < 1e6) return `${(m2 / 1e4).toLocaleString("en-US", { maximumFractionDigits: 1 })} ha`;
+  return `${(m2 / 1e6).toLocaleString("en-US", { maximumFractionDigits: 2 })} km²`;
+}
+
+// Null when the ring is valid; otherwise why it can't be an AOI.
+export function polygonRingProblem(ring: number[][]): string | null {
+  if (ring.length < 3) return "a polygon needs at least 3 vertices";
+  if (kinks(polygon([[...ring, ring[0]]])).features.length) return "polygon edges cross each other";
+  return null;
+}
+
+// Dissolves tract outlines into one Polygon (or MultiPolygon when they don't touch).
+export function unionAoiGeometries(geometries: BoundaryGeometry[]): BoundaryGeometry | null {
+  if (!geometries.length) return null;
+  if (geometries.length === 1) return geometries[0];
+  const merged = union(featureCollection(geometries.map((g) => ({ type: "Feature" as const, geometry: g, properties: {} }))));
+  return merged?.geometry ?? null;
+}
+
+export function aoiFeature(aoi: Aoi): AoiFeature {
+  return {
+    type: "Feature",
+    id: aoi.id,
+    bbox: aoiBbox(aoi.geometry),
+    geometry: aoi.geometry,
+    properties: {
+      name: aoi.name,
+      kind: aoi.kind,
+      areaM2: aoiAreaM2(aoi.geometry),
+      ...(aoi.tracts ? { tracts: aoi.tracts } : {}),
+    },
+  };
+}
+
+export function aoiFeatureCollection(aois: Aoi[]): FeatureCollection<BoundaryGeometry> {
+  return { type: "FeatureCollection", features: aois.map(aoiFeature) };
+}
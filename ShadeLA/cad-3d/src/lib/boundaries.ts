@@ -0,0 +1,120 @@
+// Point-in-boundary and overlap lookups against polygon sets (census tracts, places), backed by an
+// R-tree of their bounding boxes. Areas are geodesic square meters (turf).
+import { area, bbox as turfBbox, booleanPointInPolygon, featureCollection, intersect, point } from "@turf/turf";
+import type { Feature, MultiPolygon, Polygon } from "geojson";
+import { buildRTree, type RBox } from "./rtree";
+
+export type BoundaryGeometry = Polygon | MultiPolygon;
+export type BoundaryFeature = Feature<BoundaryGeometry>;
+
+export interface BoundaryOverlap {
+  feature: BoundaryFeature;
+  // Area of the boundary and of its overlap with the AOI.
+  areaM2: number;
+  overlapM2: number;
+  // overlap / boundary area and overlap / AOI area.
+  featureFraction: number;
+  aoiFraction: number;
+}
+
+export interface BoundaryIndex {
+  size: number;
+  containing: (lon: number, lat: number) => BoundaryFeature | null;
+  intersecting: (aoi: BoundaryGeometry) => { aoiAreaM2: number; overlaps: BoundaryOverlap[] };
+}
+
+export function isBoundaryGeometry(g: unknown): g is BoundaryGeometry {
+  const t = (g as { type?: unknown } | null)?.type;
+  return (t === "Polygon" || t === "MultiPolygon") && Array.isArray((g as { coordinates?: unknown }).coordinates);
+}
+
+export function bboxPolygon([w, s, e, n]: [number, number, number, number]): Polygon {
+  return {
+    type: "Polygon",
+    coordinates: [
+      [
+        [w, s],
+        [e, s],
+        [e, n],
+        [w, n],
+        [w, s],
+      ],
+    ],
+  };
+}
+
+// AOI from a request: a GeoJSON Polygon/MultiPolygon (bare, Feature or single-feature collection)
+// or a [w, s, e, n] bbox as an array or "w,s,e,n" string.
+export function parseAoiGeometry(v: unknown): BoundaryGeometry | null {
+  if (typeof v === "string") {
+    const parts = v.split(",").map(Number);
+    return parts.length === 4 && parts.every(Number.isFinite) ? bboxPolygon(parts as [number, number, number, number]) : null;
+  }
+  if (Array.isArray(v)) {
+    return v.length === 4 && v.every((x) => Number.isFinite(x)) ? bboxPolygon(v as [number, number, number, number]) : null;
+  }
+  const obj = v as { type?: string; geometry?: unknown; features?: { geometry?: unknown }[] } | null;
+  if (obj?.type === "Feature") return parseAoiGeometry(obj.geometry);
+  if (obj?.type === "FeatureCollection" && obj.features?.length === 1) return parseAoiGeometry(obj.features[0]?.geometry);
+  return isBoundaryGeometry(obj) ? obj : null;
+}
+
+const boxOf = (f: BoundaryFeature): RBox | null => {
+  try {
+    const [w, s, e, n] = turfBbox(f);
+    return Number.isFinite(w) ? [w, s, e, n] : null;
+  } catch {
+    return null;
+  }
+};
+
+export function buildBoundaryIndex(features: BoundaryFeature[]): BoundaryIndex {
+  const tree = buildRTree(features, boxOf);
+  // Boundary areas are computed on first overlap query and kept.
+  const areas = new Map<BoundaryFeature, number>();
+  const areaOf = (f: BoundaryFeature) => {
+    let a = areas.get(f);
+    if (a === undefined) {
+      a = area(f);
+      areas.set(f, a);
+    }
+    return a;
+  };
+
+  const containing = (lon: number, lat: number) => {
+    const p = point([lon, lat]);
+    return tree.search([lon, lat, lon, lat]).find((f) => booleanPointInPolygon(p, f)) ?? null;
+  };
+
+  const intersecting = (aoi: BoundaryGeometry) => {
+    const aoiFeature: BoundaryFeature = { type: "Feature", geometry: aoi, properties: {} };
+    const aoiAreaM2 = area(aoiFeature);
+    const box = boxOf(aoiFeature);
+    const overlaps: BoundaryOverlap[] = [];
+    if (!box || !(aoiAreaM2 > 0)) return { aoiAreaM2, overlaps };
+
+    for (const feature of tree.search(box)) {
+      let overlap: Feature<BoundaryGeometry> | null = null;
+      try {
+        overlap = intersect(featureCollection([feature, aoiFeature]));
+      } catch {
+        // invalid ring in the source data; skip the boundary
+      }
+      if (!overlap) continue;
+      const overlapM2 = area(overlap);
+      if (!(overlapM2 > 0)) continue;
+      const areaM2 = areaOf(feature);
+      overlaps.push({
+        feature,
+        areaM2,
+        overlapM2,
+        featureFraction: areaM2 > 0 ? Math.min(1, overlapM2 / areaM2) : 0,
+        aoiFraction: Math.min(1, overlapM2 / aoiAreaM2),
+      });
+    }
+    overlaps.sort((a, b) => b.overlapM2 - a.overlapM2);
+    return { aoiAreaM2, overlaps };
+  };
+
+  return { size: tree.size, containing, intersecting };
+}
@@ -0,0 +1,108 @@
+// Class breaks for choropleth maps. Breaks are returned as k + 1 ascending values from the data
+// minimum to the maximum; class i covers [breaks[i], breaks[i + 1]] (the last class includes the
+// maximum, earlier ones exclude their upper bound).
+
+export type ClassificationScheme = "quantile" | "jenks" | "equal";
+
+export const CLASSIFICATION_SCHEMES: { id: ClassificationScheme; label: string }[] = [
+  { id: "quantile", label: "Quantile" },
+  { id: "jenks", label: "Natural breaks (Jenks)" },
+  { id: "equal", label: "Equal interval" },
+];
+
+function equalIntervalBreaks(sorted: number[], k: number): number[] {
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const breaks = [min];
+  for (let i = 1; i < k; i++) breaks.push(min + ((max - min) * i) / k);
+  breaks.push(max);
+  return breaks;
+}
+
+function quantileBreaks(sorted: number[], k: number): number[] {
+  const n = sorted.length;
+  const breaks = [sorted[0]];
+  for (let i = 1; i < k; i++) {
+    const pos = ((n - 1) * i) / k;
+    const lo = Math.floor(pos);
+    breaks.push(sorted[lo] + (sorted[Math.min(n - 1, lo + 1)] - sorted[lo]) * (pos - lo));
+  }
+  breaks.push(sorted[n - 1]);
+  return breaks;
+}
+
+// Fisher-Jenks natural breaks: minimizes the within-class sum of squared deviations. O(k * n^2), fine
+// for the few thousand tracts of a county.
+function jenksBreaks(sorted: number[], k: number): number[] {
+  const n = sorted.length;
+  // lower[i][j]: index (1-based) of the first value of the last class when values 1..i are split
+  // into j classes; variance[i][j]: the matching total within-class variance.
+  const lower: number[][] = [];
+  const variance: number[][] = [];
+  for (let i = 0; i <= n; i++) {
+    lower.push(new Array(k + 1).fill(0));
+    variance.push(new Array(k + 1).fill(i === 0 ? 0 : Infinity));
+  }
+  for (let j = 1; j <= k; j++) {
+    lower[1][j] = 1;
+    variance[1][j] = 0;
+  }
+
+  for (let i = 2; i <= n; i++) {
+    let sum = 0;
+    let sumSq = 0;
+    let v = 0;
+    for (let m = 1; m <= i; m++) {
+      const lowIdx = i - m + 1;
+      const val = sorted[lowIdx - 1];
+      sum += val;
+      sumSq += val * val;
+      v = sumSq - (sum * sum) / m;
+      if (lowIdx > 1) {
+        for (let j = 2; j <= k; j++) {
+          const cand = v + variance[lowIdx - 1][j - 1];
+          if (variance[i][j] >= cand) {
+            lower[i][j] = lowIdx;
+            variance[i][j] = cand;
+          }
+        }
+      }
+    }
+    lower[i][1] = 1;
+    variance[i][1] = v;
+  }
+
+  const breaks = new Array(k + 1).fill(0);
+  breaks[k] = sorted[n - 1];
+  breaks[0] = sorted[0];
+  let end = n;
+  for (let j = k; j >= 2; j--) {
+    const start = lower[end][j] - 1;
+    breaks[j - 1] = sorted[start];
+    end = start;
+  }
+  return breaks;
+}
+
+export function classBreaks(values: number[], scheme: ClassificationScheme, classes: number): number[] {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return [];
+  // Never more classes than distinct values.
+  const distinct = new Set(sorted).size;
+  const k = Math.max(1, Math.min(Math.round(classes), distinct));
+  if (k === 1) return [sorted[0], sorted[sorted.length - 1]];
+
+  if (scheme === "jenks") return jenksBreaks(sorted, k);
+  if (scheme === "equal") return equalIntervalBreaks(sorted, k);
+  return quantileBreaks(sorted, k);
+}
+
+// Class index of v for breaks from classBreaks, or -1 for missing values.
+export function classIndex(v: number | null | undefined, breaks: number[]): number {
+  if (v === null || v === undefined || !Number.isFinite(v) || breaks.length < 2) return -1;
+  const last = breaks.length - 2;
+  for (let i = 0; i < last; i++) {
+    if (v < breaks[i + 1]) return i;
+  }
+  return last;
+}
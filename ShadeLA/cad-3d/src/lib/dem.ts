@@ -0,0 +1,91 @@
+// USGS 3DEP elevation for an AOI: the GeoTIFF product covering a bbox from TNMAccess, and a
+// bilinear sampler over it. Elevations are meters above sea level; no-data cells are skipped.
+import type { BBox } from "./osm/overpass";
+
+const TNM_PRODUCTS_URL = "https://tnmaccess.nationalmap.gov/api/v1/products";
+
+// Raw GeoTIFF bytes, or null when no product covers the bbox or the service is unreachable.
+export async function fetchDemForBbox(bbox: BBox): Promise<Buffer | null> {
+  const [w, s, e, n] = bbox;
+  const url = `${TNM_PRODUCTS_URL}?f=json&bbox=${encodeURIComponent(`${w},${s},${e},${n}`)}&bboxSR=4326&datasets=${encodeURIComponent(
+    "3DEP Digital Elevation Model (DEM) 1/3 arc-second"
+  )}&prodFormats=${encodeURIComponent("GeoTIFF")}&max=1`;
+
+  try {
+    const r = await fetch(url);
+    if (!r.ok) return null;
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    const json: any = await r.json();
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    const products: any[] = json?.products || json?.items || [];
+    if (!products.length) return null;
+
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    const title = (p: any) => String(p?.productName || p?.title || "").toLowerCase();
+    const isDem = (p: unknown) => title(p).includes("dem") || title(p).includes("digital elevation model");
+    const isOneThird = (p: unknown) => title(p).includes("1/3") || title(p).includes("one-third");
+    const prod = products.find((p) => isDem(p) && isOneThird(p)) ?? products.find(isDem) ?? products[0];
+    const downloadUrl: string | undefined = prod.downloadURL || prod.downloadUrl || prod.url;
+    if (!downloadUrl) return null;
+
+    const demResp = await fetch(downloadUrl);
+    if (!demResp.ok) return null;
+    return Buffer.from(await demResp.arrayBuffer());
+  } catch {
+    return null;
+  }
+}
+
+export interface DemSampler {
+  // Meters above sea level at lon/lat; NaN outside the raster's data.
+  sample: (lon: number, lat: number) => number;
+  // [minX, minY, maxX, maxY] of the raster, in its CRS (lon/lat for 3DEP).
+  bbox: [number, number, number, number];
+  width: number;
+  height: number;
+}
+
+export async function demSampler(demBuf: Buffer): Promise<DemSampler> {
+  const { fromArrayBuffer } = await import("geotiff");
+  const ab = demBuf.buffer.slice(demBuf.byteOffset, demBuf.byteOffset + demBuf.byteLength) as ArrayBuffer;
+  const tiff = await fromArrayBuffer(ab);
+  const image = await tiff.getImage();
+  const width = image.getWidth();
+  const height = image.getHeight();
+  const elevation = (await image.readRasters({ interleave: true })) as unknown as ArrayLike<number>;
+  const [minX, minY, maxX, maxY] = image.getBoundingBox() as [number, number, number, number];
+  const noData = image.getGDALNoData() ?? undefined;
+
+  const at = (xi: number, yi: number) => {
+    const cx = Math.max(0, Math.min(width - 1, xi));
+    const cy = Math.max(0, Math.min(height - 1, yi));
+    const z = Number(elevation[cy * width + cx]);
+    return Number.isFinite(z) && z !== noData ? z : NaN;
+  };
+
+  const sample = (lon: number, lat: number): number => {
+    if (maxX === minX || maxY === minY) return NaN;
+    // Image rows run north -> south.
+    const x = ((lon - minX) / (maxX - minX)) * (width - 1);
+    const y = ((maxY - lat) / (maxY - minY)) * (height - 1);
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const tx = x - ix;
+    const ty = y - iy;
+    // Bilinear over the valid corners only, so a no-data neighbor doesn't drag the value to 0.
+    let sumW = 0;
+    let sum = 0;
+    const add = (z: number, w: number) => {
+      if (!Number.isFinite(z) || w <= 0) return;
+      sumW += w;
+      sum += z * w;
+    };
+    add(at(ix, iy), (1 - tx) * (1 - ty));
+    add(at(ix + 1, iy), tx * (1 - ty));
+    add(at(ix, iy + 1), (1 - tx) * ty);
+    add(at(ix + 1, iy + 1), tx * ty);
+    return sumW > 0 ? sum / sumW : NaN;
+  };
+
+  return { sample, bbox: [minX, minY, maxX, maxY], width, height };
+}
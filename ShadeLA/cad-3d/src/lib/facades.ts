@@ -0,0 +1,210 @@
+// Facade sun exposure: building walls are sampled on a regular grid, each sample is tested for
+// direct sun against the building volumes and accumulates an approximate clear-sky irradiance.
+import { rampColor } from "./raster";
+import { ShadeCaster, VolumeCaster, buildVolumeIndex, localFrame, prepareCasters, rayHitsVolumes, toLonLat } from "./shade";
+import { SunSample, sunVector } from "./solar";
+
+const DEG = Math.PI / 180;
+const SOLAR_CONSTANT = 1361;
+const GROUND_ALBEDO = 0.2;
+// Past this many samples the spacing is widened so one request stays bounded.
+const MAX_FACADE_SAMPLES = 60000;
+
+export interface FacadeOptions {
+  // Target sample spacing along walls and up the height, meters.
+  spacing?: number;
+  minAltitudeDeg?: number;
+  colorBy?: "sunHours" | "irradiance";
+}
+
+export interface FacadeAnalysis {
+  spacing: number;
+  sunUpHours: number;
+  colorBy: "sunHours" | "irradiance";
+  samples: {
+    count: number;
+    buildingIds: string[];
+    // [lon, lat, z] per sample, z in meters above the building base.
+    positions: number[];
+    // Outward normal per sample, [east, north, up].
+    normals: number[];
+    sunHours: number[];
+    irradianceKWhM2: number[];
+  };
+  // One quad (two triangles) per sample, vertex colors on the shade -> sun ramp.
+  mesh: {
+    vertices: number[];
+    faces: number[];
+    colors: number[];
+    range: [number, number];
+  };
+}
+
+// Clear-sky direct normal irradiance (W/m²): Kasten-Young air mass with Meinel's attenuation.
+export function clearSkyDni(altitudeDeg: number): number {
+  if (altitudeDeg <= 0) return 0;
+  const zenithDeg = 90 - altitudeDeg;
+  const airMass = 1 / (Math.cos(zenithDeg * DEG) + 0.50572 * Math.pow(96.07995 - zenithDeg, -1.6364));
+  return SOLAR_CONSTANT * Math.pow(0.7, Math.pow(airMass, 0.678));
+}
+
+interface Wall {
+  buildingId: string;
+  ax: number;
+  ay: number;
+  ux: number;
+  uy: number;
+  length: number;
+  height: number;
+  nx: number;
+  ny: number;
+}
+
+function wallsOf(volumes: VolumeCaster[]): Wall[] {
+  const walls: Wall[] = [];
+  volumes.forEach((c, idx) => {
+    // Signed area tells the winding, which fixes which side of each edge is outside.
+    let area2 = 0;
+    for (let k = 0; k < c.ring.length; k++) {
+      const [x0, y0] = c.ring[k];
+      const [x1, y1] = c.ring[(k + 1) % c.ring.length];
+      area2 += x0 * y1 - x1 * y0;
+    }
+    const ccw = area2 > 0;
+    for (let k = 0; k < c.ring.length; k++) {
+      const [ax, ay] = c.ring[k];
+      const [bx, by] = c.ring[(k + 1) % c.ring.length];
+      const length = Math.hypot(bx - ax, by - ay);
+      if (length < 1e-3) continue;
+      const ux = (bx - ax) / length;
+      const uy = (by - ay) / length;
+      walls.push({
+        buildingId: c.id ?? `building_${idx}`,
+        ax,
+        ay,
+        ux,
+        uy,
+        length,
+        height: c.height,
+        nx: ccw ? uy : -uy,
+        ny: ccw ? -ux : ux,
+      });
+    }
+  });
+  return walls;
+}
+
+export function analyzeFacades(
+  buildings: ShadeCaster[],
+  samples: SunSample[],
+  opts: FacadeOptions = {}
+): FacadeAnalysis {
+  const minAlt = opts.minAltitudeDeg ?? 2;
+  const colorBy = opts.colorBy ?? "sunHours";
+  const first = buildings.find((b) => Array.isArray(b.footprint) && b.footprint.length)?.footprint[0] ?? [0, 0];
+  const frame = localFrame(first[0], first[1]);
+
+  // Facades are analyzed on flat ground: every building stands on z = 0.
+  const volumes: VolumeCaster[] = prepareCasters(frame, buildings).map((c) => ({ ...c, top: c.height }));
+  const walls = wallsOf(volumes);
+  const volumeIndex = buildVolumeIndex(volumes);
+
+  const totalArea = walls.reduce((sum, w) => sum + w.length * w.height, 0);
+  let spacing = Math.max(0.5, Math.min(20, Number(opts.spacing) || 2));
+  if (totalArea / (spacing * spacing) > MAX_FACADE_SAMPLES) spacing = Math.sqrt(totalArea / MAX_FACADE_SAMPLES);
+
+  const sun = samples
+    .filter((s) => s.altitudeDeg >= minAlt)
+    .map((s) => {
+      const [vx, vy, vz] = sunVector(s.azimuthDeg, s.altitudeDeg);
+      const horiz = Math.hypot(vx, vy);
+      const dni = clearSkyDni(s.altitudeDeg);
+      const dhi = 0.12 * dni;
+      const ghi = dni * vz + dhi;
+      return { vx, vy, dirX: vx / horiz, dirY: vy / horiz, rise: vz / horiz, dni, dhi, ghi };
+    });
+
+  const buildingIds: string[] = [];
+  const positions: number[] = [];
+  const normals: number[] = [];
+  const sunHours: number[] = [];
+  const irradianceKWhM2: number[] = [];
+  const quads: [number, number][][] = [];
+  const quadZ: [number, number][] = [];
+
+  for (const w of walls) {
+    const nu = Math.max(1, Math.round(w.length / spacing));
+    const nv = Math.max(1, Math.round(w.height / spacing));
+    const du = w.length / nu;
+    const dv = w.height / nv;
+    for (let iu = 0; iu < nu; iu++) {
+      for (let iv = 0; iv < nv; iv++) {
+        const s = (iu + 0.5) * du;
+        const z = (iv + 0.5) * dv;
+        // Nudge the sample off the wall so it does not count its own building as an obstacle.
+        const px = w.ax + w.ux * s + w.nx * 0.05;
+        const py = w.ay + w.uy * s + w.ny * 0.05;
+
+        let hours = 0;
+        let wh = 0;
+        for (const sv of sun) {
+          // Vertical surface: diffuse sees half the sky and half the ground.
+          wh += sv.dhi * 0.5 + GROUND_ALBEDO * sv.ghi * 0.5;
+          const cosInc = w.nx * sv.vx + w.ny * sv.vy;
+          if (cosInc <= 0) continue;
+          if (volumeIndex && rayHitsVolumes(px, py, z, sv.dirX, sv.dirY, sv.rise, volumeIndex)) continue;
+          hours++;
+          wh += sv.dni * cosInc;
+        }
+
+        const [lon, lat] = toLonLat(frame, px, py);
+        buildingIds.push(w.buildingId);
+        positions.push(lon, lat, z);
+        normals.push(w.nx, w.ny, 0);
+        sunHours.push(hours);
+        irradianceKWhM2.push(Math.round(wh) / 1000);
+
+        const s0 = iu * du;
+        const s1 = (iu + 1) * du;
+        quads.push([
+          [w.ax + w.ux * s0, w.ay + w.uy * s0],
+          [w.ax + w.ux * s1, w.ay + w.uy * s1],
+        ]);
+        quadZ.push([iv * dv, (iv + 1) * dv]);
+      }
+    }
+  }
+
+  const values = colorBy === "irradiance" ? irradianceKWhM2 : sunHours;
+  const lo = colorBy === "irradiance" ? values.reduce((m, v) => Math.min(m, v), Infinity) : 0;
+  const hi = colorBy === "irradiance" ? values.reduce((m, v) => Math.max(m, v), -Infinity) : sun.length;
+  const range: [number, number] = values.length ? [lo, hi] : [0, 0];
+
+  const vertices: number[] = [];
+  const faces: number[] = [];
+  const colors: number[] = [];
+  quads.forEach(([a, b], k) => {
+    const [z0, z1] = quadZ[k];
+    const base = vertices.length / 3;
+    for (const [x, y, z] of [
+      [a[0], a[1], z0],
+      [b[0], b[1], z0],
+      [b[0], b[1], z1],
+      [a[0], a[1], z1],
+    ]) {
+      const [lon, lat] = toLonLat(frame, x, y);
+      vertices.push(lon, lat, z);
+    }
+    faces.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    const [r, g, bl] = rampColor(hi > lo ? (values[k] - lo) / (hi - lo) : 1);
+    for (let v = 0; v < 4; v++) colors.push(r, g, bl);
+  });
+
+  return {
+    spacing,
+    sunUpHours: sun.length,
+    colorBy,
+    samples: { count: sunHours.length, buildingIds, positions, normals, sunHours, irradianceKWhM2 },
+    mesh: { vertices, faces, colors, range },
+  };
+}
@@ -0,0 +1,252 @@
+// postMessage protocol between the map (this app, embedded in an iframe) and the ShadeLA shell.
+// Also imported by the ShadeLA shell (src/lib/mapChannel.js), so it has type-only imports and no
+// Node or Next code. Bump MAP_PROTOCOL_VERSION on incompatible changes.
+//
+// Every message is an envelope { protocol, version, id, type, payload }. A sender that wants an
+// answer sets expectReply; the receiver answers with "ack" (payload = handler result) or "error",
+// both carrying replyTo = the request id. Messages are only accepted from allow-listed origins and
+// from the window the channel talks to, and are only posted to allow-listed origins.
+import type { FeatureCollection } from "geojson";
+import type { AoiFeature } from "./aoi";
+import type { BoundaryGeometry } from "./boundaries";
+import type { BBox } from "./osm/overpass";
+
+export const MAP_PROTOCOL = "shadela-map";
+export const MAP_PROTOCOL_VERSION = 1;
+
+export interface MapCamera {
+  center: [number, number]; // [lon, lat]
+  height: number; // meters
+  heading: number; // degrees
+  pitch: number; // degrees
+  bbox: BBox | null; // visible extent, when the view shows the ground
+}
+
+export interface MapState {
+  activeId: string | null;
+  aois: FeatureCollection<BoundaryGeometry>;
+  selectedTracts: string[];
+  camera: MapCamera | null;
+}
+
+export interface MapMessagePayloads {
+  // map -> shell
+  ready: { version: number; accepts: MapMessageType[] };
+  aoi: { bbox: BBox; aoi: AoiFeature | null };
+  aois: { activeId: string | null; aois: FeatureCollection<BoundaryGeometry> };
+  "tract-selection": { geoids: string[] };
+  status: { source: string; text: string };
+  // both ways: map reports its view; the shell moves it (bbox, or center + optional height).
+  camera: Partial<MapCamera>;
+  // shell -> map, answered with MapState
+  "get-state": Record<string, never>;
+  // replies
+  ack: unknown;
+  error: { error: string; detail: string };
+}
+
+export type MapMessageType = keyof MapMessagePayloads;
+
+export const MAP_MESSAGE_TYPES: MapMessageType[] = [
+  "ready",
+  "aoi",
+  "aois",
+  "tract-selection",
+  "status",
+  "camera",
+  "get-state",
+  "ack",
+  "error",
+];
+
+export interface MapMessage<T extends MapMessageType = MapMessageType> {
+  protocol: typeof MAP_PROTOCOL;
+  version: number;
+  id: string;
+  type: T;
+  payload: MapMessagePayloads[T];
+  replyTo?: string;
+  expectReply?: boolean;
+}
+
+export type MapMessageResult =
+  | { ok: true; message: MapMessage }
+  | { ok: false; error: string; detail: string; id?: string };
+
+// "https://a.example, http://localhost:5173" -> normalized origins; "*" is kept as is.
+export function parseOriginList(value: string | undefined | null): string[] {
+  const origins: string[] = [];
+  for (const part of String(value ?? "").split(",")) {
+    const s = part.trim();
+    if (!s) continue;
+    if (s === "*") {
+      origins.push(s);
+      continue;
+    }
+    try {
+      origins.push(new URL(s).origin);
+    } catch {
+      // not a URL; ignored
+    }
+  }
+  return origins;
+}
+
+// Null for anything that isn't ours (other libraries post messages too); an error result for our
+// envelope with a version or type we can't handle.
+export function parseMapMessage(data: unknown): MapMessageResult | null {
+  const m = data as Partial<MapMessage> | null;
+  if (!m || typeof m !== "object" || m.protocol !== MAP_PROTOCOL) return null;
+  const id = typeof m.id === "string" ? m.id : undefined;
+  if (m.version !== MAP_PROTOCOL_VERSION) {
+    return { ok: false, error: "unsupported_version", detail: `expected version ${MAP_PROTOCOL_VERSION}, got ${m.version}`, id };
+  }
+  if (!id) return { ok: false, error: "bad_message", detail: "id is required" };
+  if (!MAP_MESSAGE_TYPES.includes(m.type as MapMessageType)) {
+    return { ok: false, error: "unknown_type", detail: `unknown message type ${String(m.type)}`, id };
+  }
+  return { ok: true, message: m as MapMessage };
+}
+
+export type MapMessageHandler<T extends MapMessageType> = (
+  payload: MapMessagePayloads[T],
+  message: MapMessage<T>
+) => unknown;
+
+export interface MapChannel {
+  // Window (and origin, once known) messages go to; null until the peer exists.
+  setTarget: (target: Window | null, origin?: string | null) => void;
+  post: <T extends MapMessageType>(type: T, payload: MapMessagePayloads[T]) => void;
+  // Resolves with the peer's ack payload; rejects on an error reply or after timeoutMs.
+  request: <T extends MapMessageType>(type: T, payload: MapMessagePayloads[T], timeoutMs?: number) => Promise<unknown>;
+  on: <T extends MapMessageType>(type: T, handler: MapMessageHandler<T>) => () => void;
+  dispose: () => void;
+}
+
+let idCounter = 0;
+function nextId(): string {
+  idCounter += 1;
+  return `${Date.now().toString(36)}-${idCounter}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function createMapChannel(opts: {
+  allowedOrigins: string[];
+  target?: Window | null;
+  // Origin of the target when known up front (e.g. the iframe's src).
+  targetOrigin?: string | null;
+}): MapChannel {
+  const allowAny = opts.allowedOrigins.includes("*");
+  const allowed = new Set(opts.allowedOrigins);
+  let target: Window | null = opts.target ?? null;
+  let targetOrigin: string | null = opts.targetOrigin ?? null;
+  const handlers = new Map<MapMessageType, Set<MapMessageHandler<MapMessageType>>>();
+  const pending = new Map<string, { resolve: (v: unknown) => void; reject: (e: Error) => void; timer: ReturnType<typeof setTimeout> }>();
+
+  const send = (message: MapMessage) => {
+    if (!target) return;
+    // Until the peer has spoken, post to each allow-listed origin; the browser delivers only to
+    // the one that matches the target's actual origin.
+    const origins = targetOrigin ? [targetOrigin] : allowAny ? ["*"] : [...allowed];
+    for (const origin of origins) {
+      try {
+        target.postMessage(message, origin);
+      } catch {
+        // target closed or navigated away
+      }
+    }
+  };
+
+  const envelope = <T extends MapMessageType>(type: T, payload: MapMessagePayloads[T], extra?: Partial<MapMessage>) =>
+    ({ protocol: MAP_PROTOCOL, version: MAP_PROTOCOL_VERSION, id: nextId(), type, payload, ...extra }) as MapMessage;
+
+  const reply = (replyTo: string, type: "ack" | "error", payload: unknown) =>
+    send(envelope(type, payload as MapMessagePayloads[typeof type], { replyTo }));
+
+  const onMessage = async (event: MessageEvent) => {
+    if (!allowAny && !allowed.has(event.origin)) return;
+    if (!target || event.source !== target) return;
+    const parsed = parseMapMessage(event.data);
+    if (!parsed) return;
+    if (!targetOrigin && event.origin !== "null") targetOrigin = event.origin;
+
+    if (!parsed.ok) {
+      if (parsed.id) reply(parsed.id, "error", { error: parsed.error, detail: parsed.detail });
+      return;
+    }
+    const message = parsed.message;
+
+    if (message.replyTo && (message.type === "ack" || message.type === "error")) {
+      const waiter = pending.get(message.replyTo);
+      if (!waiter) return;
+      pending.delete(message.replyTo);
+      clearTimeout(waiter.timer);
+      if (message.type === "ack") waiter.resolve(message.payload);
+      else {
+        const err = message.payload as MapMessagePayloads["error"];
+        waiter.reject(new Error(`${err?.error}: ${err?.detail}`));
+      }
+      return;
+    }
+
+    const list = [...(handlers.get(message.type) ?? [])];
+    if (!message.expectReply) {
+      for (const h of list) h(message.payload, message);
+      return;
+    }
+    if (!list.length) {
+      reply(message.id, "error", { error: "unhandled_type", detail: `no handler for ${message.type}` });
+      return;
+    }
+    try {
+      const results = await Promise.all(list.map((h) => h(message.payload, message)));
+      reply(message.id, "ack", results.find((r) => r !== undefined) ?? null);
+    } catch (err) {
+      reply(message.id, "error", { error: "handler_failed", detail: String(err instanceof Error ? err.message : err) });
+    }
+  };
+
+  if (typeof window !== "undefined") window.addEventListener("message", onMessage);
+
+  return {
+    setTarget(next, origin) {
+      target = next;
+      targetOrigin = origin ?? null;
+    },
+    post(type, payload) {
+      send(envelope(type, payload));
+    },
+    request(type, payload, timeoutMs = 5000) {
+      const message = envelope(type, payload, { expectReply: true });
+      return new Promise((resolve, reject) => {
+        if (!target) {
+          reject(new Error("no_target: the peer window is not available"));
+          return;
+        }
+        const timer = setTimeout(() => {
+          pending.delete(message.id);
+          reject(new Error(`timeout: no reply to ${type} within ${timeoutMs} ms`));
+        }, timeoutMs);
+        pending.set(message.id, { resolve, reject, timer });
+        send(message);
+      });
+    },
+    on(type, handler) {
+      let set = handlers.get(type);
+      if (!set) {
+        set = new Set();
+        handlers.set(type, set);
+      }
+      set.add(handler as MapMessageHandler<MapMessageType>);
+      return () => set.delete(handler as MapMessageHandler<MapMessageType>);
+    },
+    dispose() {
+      if (typeof window !== "undefined") window.removeEventListener("message", onMessage);
+      for (const [id, waiter] of pending) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new Error("disposed"));
+        pending.delete(id);
+      }
+      handlers.clear();
+    },
+  };
+}
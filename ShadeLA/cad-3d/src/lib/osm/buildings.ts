@@ -0,0 +1,64 @@
+// Building heights from OSM tags, shared by the sun-hours analysis, the 3D map and the exports.
+import type { OsmTags } from "./layers";
+
+const num = (v: unknown) => {
+  const n = parseFloat(String(v));
+  return Number.isFinite(n) ? n : undefined;
+};
+
+// Meters from a length tag: "12", "12 m", "300 cm", "40 ft", "40'", "12'6\"" or "12 ft 6 in". Plain
+// numbers are meters, as OSM specifies.
+export function parseLengthTag(v: unknown): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  const s = String(v).trim().toLowerCase().replace(/,/g, ".");
+  if (!s) return undefined;
+  const feetInch = /^(\d+(?:\.\d+)?)\s*(?:ft|feet|foot|')\s*(?:(\d+(?:\.\d+)?)\s*(?:in|inch|inches|"))?$/.exec(s);
+  if (feetInch) return parseFloat(feetInch[1]) * 0.3048 + (feetInch[2] ? parseFloat(feetInch[2]) * 0.0254 : 0);
+  const m = /^([-+]?\d+(?:\.\d+)?)\s*(m|cm|mm|in|inch|inches|")?$/.exec(s);
+  if (!m) return num(s);
+  const value = parseFloat(m[1]);
+  const unit = m[2];
+  if (unit === "cm") return value * 0.01;
+  if (unit === "mm") return value * 0.001;
+  if (unit === "in" || unit === "inch" || unit === "inches" || unit === '"') return value * 0.0254;
+  return value;
+}
+
+// Which tag a building height came from; "default" when none did.
+export type BuildingHeightSource = "height" | "building:height" | "levels" | "default";
+
+export interface BuildingHeight {
+  // Meters above ground of the roof.
+  height: number;
+  // Meters above ground of the bottom of the part (overhangs, bridges); 0 for most buildings.
+  minHeight: number;
+  source: BuildingHeightSource;
+}
+
+// Height tags, then 3 m per level (plus roof:height), then 10 m.
+export function buildingHeightInfo(tags: OsmTags | null | undefined): BuildingHeight {
+  const minHeight = buildingMinHeightFromTags(tags);
+  const h = parseLengthTag(tags?.height);
+  if (h !== undefined && h > 0) return { height: h, minHeight, source: "height" };
+  const bh = parseLengthTag(tags?.["building:height"]);
+  if (bh !== undefined && bh > 0) return { height: bh, minHeight, source: "building:height" };
+  const lv = num(tags?.["building:levels"]) ?? num(tags?.levels);
+  if (lv !== undefined && lv > 0) {
+    const roof = parseLengthTag(tags?.["roof:height"]);
+    return { height: lv * 3 + (roof !== undefined && roof > 0 ? roof : 0), minHeight, source: "levels" };
+  }
+  return { height: 10, minHeight, source: "default" };
+}
+
+// Meters above ground of the roof.
+export function buildingHeightFromTags(tags: OsmTags | null | undefined): number {
+  return buildingHeightInfo(tags).height;
+}
+
+// Meters above ground of the bottom of a building part (overhangs, bridges); 0 for most buildings.
+export function buildingMinHeightFromTags(tags: OsmTags | null | undefined): number {
+  const h = parseLengthTag(tags?.min_height) ?? parseLengthTag(tags?.["building:min_height"]);
+  if (h !== undefined && h > 0) return h;
+  const lv = num(tags?.["building:min_level"]);
+  return lv !== undefined && lv > 0 ? lv * 3 : 0;
+}
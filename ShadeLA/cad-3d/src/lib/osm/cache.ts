@@ -0,0 +1,129 @@
+// On-disk cache for raw Overpass responses. One `<key>.xml` body plus a `<key>.json` sidecar per
+// entry; entries are evicted oldest-first (by last use) once the directory exceeds the size limit.
+//
+// Environment:
+//   OSM_CACHE_DIR        cache directory (default: <cwd>/.cache/osm)
+//   OSM_CACHE_TTL_HOURS  entries older than this are refetched (default: 168 = one week)
+//   OSM_CACHE_MAX_MB     total size limit (default: 512)
+//   OSM_CACHE_DISABLED   "1" turns the cache off entirely
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+export interface OsmCacheEntryMeta {
+  key: string;
+  bbox: [number, number, number, number];
+  query: string;
+  fetchedAt: string;
+  endpoint?: string;
+  bytes: number;
+}
+
+export interface OsmCacheEntry {
+  meta: OsmCacheEntryMeta;
+  body: string;
+  ageSeconds: number;
+  expired: boolean;
+}
+
+function envNumber(name: string, fallback: number): number {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+export function osmCacheDir(): string {
+  return process.env.OSM_CACHE_DIR || path.join(process.cwd(), ".cache", "osm");
+}
+
+export function osmCacheEnabled(): boolean {
+  return process.env.OSM_CACHE_DISABLED !== "1";
+}
+
+export function osmCacheTtlSeconds(): number {
+  return envNumber("OSM_CACHE_TTL_HOURS", 168) * 3600;
+}
+
+function osmCacheMaxBytes(): number {
+  return envNumber("OSM_CACHE_MAX_MB", 512) * 1024 * 1024;
+}
+
+// Overpass QL is whitespace-insensitive outside of strings; collapse it so formatting changes
+// in a route do not invalidate the cache.
+export function normalizeQuery(query: string): string {
+  return query.replace(/\s+/g, " ").trim();
+}
+
+export function osmCacheKey(bbox: [number, number, number, number], query: string): string {
+  return createHash("sha256")
+    .update(JSON.stringify({ bbox, query: normalizeQuery(query) }))
+    .digest("hex")
+    .slice(0, 40);
+}
+
+export async function readOsmCache(key: string): Promise<OsmCacheEntry | null> {
+  if (!osmCacheEnabled()) return null;
+  const dir = osmCacheDir();
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8")) as OsmCacheEntryMeta;
+    const body = await fs.readFile(path.join(dir, `${key}.xml`), "utf8");
+    const ageSeconds = Math.max(0, Math.round((Date.now() - Date.parse(meta.fetchedAt)) / 1000));
+    // Touch the body so eviction is least-recently-used rather than oldest-fetched.
+    const now = new Date();
+    await fs.utimes(path.join(dir, `${key}.xml`), now, now).catch(() => undefined);
+    return { meta, body, ageSeconds, expired: !(ageSeconds <= osmCacheTtlSeconds()) };
+  } catch {
+    return null;
+  }
+}
+
+export async function writeOsmCache(meta: Omit<OsmCacheEntryMeta, "bytes">, body: string): Promise<void> {
+  if (!osmCacheEnabled()) return;
+  const dir = osmCacheDir();
+  try {
+    await fs.mkdir(dir, { recursive: true });
+    const full: OsmCacheEntryMeta = { ...meta, bytes: Buffer.byteLength(body) };
+    // Write to temp names first so a concurrent reader never sees half a file.
+    const tmp = `.${meta.key}.${process.pid}.${Date.now()}`;
+    await fs.writeFile(path.join(dir, `${tmp}.xml`), body, "utf8");
+    await fs.writeFile(path.join(dir, `${tmp}.json`), JSON.stringify(full), "utf8");
+    await fs.rename(path.join(dir, `${tmp}.xml`), path.join(dir, `${meta.key}.xml`));
+    await fs.rename(path.join(dir, `${tmp}.json`), path.join(dir, `${meta.key}.json`));
+    await pruneOsmCache();
+  } catch (err) {
+    console.warn("[osm-cache] write failed:", err);
+  }
+}
+
+export async function pruneOsmCache(maxBytes = osmCacheMaxBytes()): Promise<number> {
+  const dir = osmCacheDir();
+  let names: string[];
+  try {
+    names = await fs.readdir(dir);
+  } catch {
+    return 0;
+  }
+
+  const entries: { key: string; size: number; used: number }[] = [];
+  let total = 0;
+  for (const name of names) {
+    if (!name.endsWith(".xml") || name.startsWith(".")) continue;
+    try {
+      const st = await fs.stat(path.join(dir, name));
+      entries.push({ key: name.slice(0, -4), size: st.size, used: st.mtimeMs });
+      total += st.size;
+    } catch {
+      // removed concurrently
+    }
+  }
+
+  entries.sort((a, b) => a.used - b.used);
+  let removed = 0;
+  for (const e of entries) {
+    if (total <= maxBytes) break;
+    await fs.rm(path.join(dir, `${e.key}.xml`), { force: true });
+    await fs.rm(path.join(dir, `${e.key}.json`), { force: true });
+    total -= e.size;
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,90 @@
+// Cuts OSM features to a boundary polygon. Buildings are kept or dropped whole (by centroid) so
+// footprints stay intact; other areas are intersected with the boundary, lines are split at it and
+// only the inside pieces kept, points are kept when inside. Features entirely inside the boundary
+// (every vertex) pass through unchanged.
+import {
+  booleanPointInPolygon,
+  centroid,
+  featureCollection,
+  intersect,
+  length,
+  along,
+  lineSplit,
+  polygonToLine,
+} from "@turf/turf";
+import type { Feature, LineString, MultiLineString, Position } from "geojson";
+import type { BoundaryGeometry } from "../boundaries";
+import type { OsmFeatureCollection } from "./sources";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type AnyFeature = any;
+
+function forEachPosition(coords: unknown, fn: (p: Position) => boolean): boolean {
+  if (!Array.isArray(coords)) return true;
+  if (typeof coords[0] === "number") return fn(coords as Position);
+  for (const c of coords) if (!forEachPosition(c, fn)) return false;
+  return true;
+}
+
+export function clipFeaturesToBoundary(geojson: OsmFeatureCollection, boundary: BoundaryGeometry): OsmFeatureCollection {
+  const boundaryFeature: Feature<BoundaryGeometry> = { type: "Feature", geometry: boundary, properties: {} };
+  const outline = polygonToLine(boundaryFeature);
+  const inside = (p: Position) => booleanPointInPolygon(p, boundaryFeature);
+
+  const clipLine = (f: AnyFeature): AnyFeature[] => {
+    const lines: Position[][] = f.geometry.type === "LineString" ? [f.geometry.coordinates] : f.geometry.coordinates;
+    const kept: Position[][] = [];
+    for (const coords of lines) {
+      if (coords.length < 2) continue;
+      const line: Feature<LineString> = { type: "Feature", geometry: { type: "LineString", coordinates: coords }, properties: {} };
+      const cutters = outline.type === "FeatureCollection" ? outline.features : [outline];
+      let pieces: Feature<LineString>[] = [line];
+      for (const cutter of cutters) {
+        pieces = pieces.flatMap((p) => {
+          const split = lineSplit(p, cutter as Feature<LineString | MultiLineString>);
+          return split.features.length ? split.features : [p];
+        });
+      }
+      for (const p of pieces) {
+        const mid = along(p, length(p) / 2);
+        if (inside(mid.geometry.coordinates)) kept.push(p.geometry.coordinates);
+      }
+    }
+    if (!kept.length) return [];
+    const geometry =
+      kept.length === 1 ? { type: "LineString", coordinates: kept[0] } : { type: "MultiLineString", coordinates: kept };
+    return [{ ...f, geometry }];
+  };
+
+  const features: AnyFeature[] = [];
+  for (const f of geojson.features) {
+    const g = f?.geometry;
+    if (!g) continue;
+    const props = f.properties || {};
+
+    if (g.type === "Point") {
+      if (inside(g.coordinates)) features.push(f);
+      continue;
+    }
+    if (forEachPosition(g.coordinates, inside)) {
+      features.push(f);
+      continue;
+    }
+
+    try {
+      if (g.type === "Polygon" || g.type === "MultiPolygon") {
+        if (props.building || props["building:part"]) {
+          if (inside(centroid(f).geometry.coordinates)) features.push(f);
+          continue;
+        }
+        const cut = intersect(featureCollection([f, boundaryFeature]));
+        if (cut) features.push({ ...f, geometry: cut.geometry });
+      } else if (g.type === "LineString" || g.type === "MultiLineString") {
+        features.push(...clipLine(f));
+      }
+    } catch {
+      // invalid geometry from the source; leave it out
+    }
+  }
+  return { ...geojson, features };
+}
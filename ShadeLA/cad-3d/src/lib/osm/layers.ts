@@ -0,0 +1,60 @@
+// Named OSM layers shared by every data source: the Overpass statements that fetch a layer and
+// the tag test local extracts use to pick the same features.
+
+export type OsmLayer = "buildings" | "highways" | "parks" | "water" | "trees";
+
+export type OsmTags = Record<string, unknown>;
+
+interface OsmLayerDef {
+  statements: string[];
+  match: (tags: OsmTags) => boolean;
+}
+
+export const OSM_LAYERS: Record<OsmLayer, OsmLayerDef> = {
+  buildings: {
+    statements: [`way["building"]({{bbox}});`, `relation["building"]({{bbox}});`],
+    match: (t) => !!t.building || !!t["building:part"],
+  },
+  highways: {
+    statements: [`way["highway"]({{bbox}});`],
+    match: (t) => !!t.highway,
+  },
+  parks: {
+    statements: [
+      `way["leisure"="park"]({{bbox}});`,
+      `relation["leisure"="park"]({{bbox}});`,
+      `way["landuse"~"grass|forest"]({{bbox}});`,
+      `way["natural"="wood"]({{bbox}});`,
+    ],
+    match: (t) => t.leisure === "park" || t.landuse === "grass" || t.landuse === "forest" || t.natural === "wood",
+  },
+  water: {
+    statements: [
+      `way["natural"="water"]({{bbox}});`,
+      `relation["natural"="water"]({{bbox}});`,
+      `way["waterway"]({{bbox}});`,
+    ],
+    match: (t) => t.natural === "water" || !!t.waterway,
+  },
+  trees: {
+    statements: [
+      `node["natural"="tree"]({{bbox}});`,
+      `way["natural"="tree_row"]({{bbox}});`,
+      `way["natural"="wood"]({{bbox}});`,
+      `relation["natural"="wood"]({{bbox}});`,
+    ],
+    match: (t) => t.natural === "tree" || t.natural === "tree_row" || t.natural === "wood",
+  },
+};
+
+export function isOsmLayer(v: unknown): v is OsmLayer {
+  return typeof v === "string" && Object.prototype.hasOwnProperty.call(OSM_LAYERS, v);
+}
+
+export function layerStatements(layers: OsmLayer[]): string[] {
+  return layers.flatMap((l) => OSM_LAYERS[l].statements);
+}
+
+export function matchesLayers(tags: OsmTags, layers: OsmLayer[]): boolean {
+  return layers.some((l) => OSM_LAYERS[l].match(tags));
+}
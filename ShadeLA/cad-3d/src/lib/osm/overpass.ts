@@ -0,0 +1,174 @@
+// Shared Overpass fetch layer for the OSM routes: bbox normalization, mirror fallback and the
+// disk cache in ./cache. Set OSM_OFFLINE=1 (or pass `offline`) to serve cached responses only.
+import { osmCacheKey, readOsmCache, writeOsmCache } from "./cache";
+
+export type BBox = [number, number, number, number]; // [w,s,e,n]
+
+export const OVERPASS_ENDPOINTS = [
+  "https://overpass-api.de/api/interpreter",
+  "https://overpass.kumi.systems/api/interpreter",
+  "https://overpass.openstreetmap.ru/api/interpreter",
+];
+
+export interface OsmFetchOptions {
+  offline?: boolean;
+  // Skip the cache lookup (the fresh response is still written back).
+  refresh?: boolean;
+  timeoutMs?: number;
+}
+
+export interface OsmFetchMeta {
+  source: "overpass" | "cache";
+  cacheKey: string;
+  cacheHit: boolean;
+  // Served from an expired entry because Overpass could not be reached (or offline mode).
+  stale: boolean;
+  offline: boolean;
+  fetchedAt: string;
+  ageSeconds: number;
+  endpoint?: string;
+}
+
+export type OsmFetchResult =
+  | { ok: true; xml: string; meta: OsmFetchMeta }
+  | { ok: false; error: "overpass_unavailable" | "offline_cache_miss"; detail: string; cacheKey: string };
+
+// Rounded to ~0.1 m and ordered so the same AOI always maps to the same query and cache key.
+export function normalizeBbox(bbox: BBox): BBox {
+  const r = (v: number) => Math.round(Number(v) * 1e6) / 1e6;
+  const [a, b, c, d] = bbox.map(r);
+  return [Math.min(a, c), Math.min(b, d), Math.max(a, c), Math.max(b, d)];
+}
+
+// Statements use `{{bbox}}` where Overpass expects `(s,w,n,e)`, e.g. `way["building"]({{bbox}});`.
+export function buildOverpassQuery(bbox: BBox, statements: string[], timeoutSec = 30): string {
+  const [w, s, e, n] = bbox;
+  const area = `${s},${w},${n},${e}`;
+  return `
+    [out:xml][timeout:${timeoutSec}];
+    (
+      ${statements.map((st) => st.replace(/\{\{bbox\}\}/g, area)).join("\n      ")}
+    );
+    (._;>;);
+    out body;
+  `;
+}
+
+export function osmOfflineMode(flag?: unknown): boolean {
+  if (process.env.OSM_OFFLINE === "1") return true;
+  return flag === true || flag === "1" || flag === "true";
+}
+
+const inflight = new Map<string, Promise<OsmFetchResult>>();
+
+export async function fetchOverpassXml(
+  bboxIn: BBox,
+  statements: string[],
+  opts: OsmFetchOptions = {}
+): Promise<OsmFetchResult> {
+  const bbox = normalizeBbox(bboxIn);
+  const query = buildOverpassQuery(bbox, statements);
+  const cacheKey = osmCacheKey(bbox, query);
+
+  const offline = osmOfflineMode(opts.offline);
+
+  // Concurrent requests for the same AOI (e.g. viewer + export) share one Overpass call; refresh
+  // and offline requests only share with requests in the same mode, so neither flag is lost.
+  const inflightKey = `${cacheKey}:${offline ? "offline" : opts.refresh ? "refresh" : "default"}`;
+  const pending = inflight.get(inflightKey);
+  if (pending) return pending;
+
+  const run = async (): Promise<OsmFetchResult> => {
+    const cached = opts.refresh && !offline ? null : await readOsmCache(cacheKey);
+    const fromCache = (stale: boolean): OsmFetchResult => ({
+      ok: true,
+      xml: cached!.body,
+      meta: {
+        source: "cache",
+        cacheKey,
+        cacheHit: true,
+        stale,
+        offline,
+        fetchedAt: cached!.meta.fetchedAt,
+        ageSeconds: cached!.ageSeconds,
+        endpoint: cached!.meta.endpoint,
+      },
+    });
+
+    if (cached && !cached.expired) return fromCache(false);
+    if (offline) {
+      if (cached) return fromCache(true);
+      return { ok: false, error: "offline_cache_miss", detail: "offline mode and no cached data for this bbox", cacheKey };
+    }
+
+    const timeoutMs = opts.timeoutMs ?? 25000;
+    let lastError = "";
+    for (const url of OVERPASS_ENDPOINTS) {
+      const controller = new AbortController();
+      const to = setTimeout(() => controller.abort(), timeoutMs);
+      try {
+        const resp = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded; charset=UTF-8" },
+          body: new URLSearchParams({ data: query }).toString(),
+          signal: controller.signal,
+        });
+        if (resp.ok) {
+          const xml = await resp.text();
+          const fetchedAt = new Date().toISOString();
+          await writeOsmCache({ key: cacheKey, bbox, query, fetchedAt, endpoint: url }, xml);
+          return {
+            ok: true,
+            xml,
+            meta: {
+              source: "overpass",
+              cacheKey,
+              cacheHit: false,
+              stale: false,
+              offline,
+              fetchedAt,
+              ageSeconds: 0,
+              endpoint: url,
+            },
+          };
+        }
+        lastError = `HTTP ${resp.status}`;
+      } catch (err) {
+        lastError = String(err);
+      } finally {
+        clearTimeout(to);
+      }
+      // brief backoff
+      await new Promise((r) => setTimeout(r, 500));
+    }
+
+    // Better an old answer than none during an Overpass outage.
+    if (cached) return fromCache(true);
+    return { ok: false, error: "overpass_unavailable", detail: lastError || "all endpoints failed", cacheKey };
+  };
+
+  const p = run().finally(() => inflight.delete(inflightKey));
+  inflight.set(inflightKey, p);
+  return p;
+}
+
+// osmtogeojson output; untyped upstream.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function osmXmlToGeoJson(xml: string, polygonFeatures: Record<string, boolean> = { building: true }): any {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const osmtogeojson = require("osmtogeojson");
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const { DOMParser } = require("@xmldom/xmldom");
+  const doc = new DOMParser().parseFromString(xml, "text/xml");
+  return osmtogeojson(doc, { polygonFeatures });
+}
+
+// Response headers describing where the OSM data came from.
+export function osmCacheHeaders(meta: OsmFetchMeta): Record<string, string> {
+  return {
+    "X-OSM-Source": meta.source,
+    "X-OSM-Cache": meta.cacheHit ? (meta.stale ? "STALE" : "HIT") : "MISS",
+    "X-OSM-Cache-Age": String(meta.ageSeconds),
+    "X-OSM-Fetched-At": meta.fetchedAt,
+  };
+}
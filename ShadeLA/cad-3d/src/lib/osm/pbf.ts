@@ -0,0 +1,379 @@
+// Minimal .osm.pbf reader (https://wiki.openstreetmap.org/wiki/PBF_Format) that turns the tagged
+// nodes, ways and multipolygon relations selected by `keep` into osmtogeojson-style GeoJSON features.
+// The file is scanned three times (relations, ways, nodes) so only the nodes that are actually
+// referenced are held in memory. Blocks are read and inflated asynchronously, so indexing a large
+// extract yields to the event loop between blocks instead of holding up the server's requests.
+import { promises as fs } from "fs";
+import { promisify } from "util";
+import { inflate as inflateCallback } from "zlib";
+import type { OsmTags } from "./layers";
+
+export interface OsmFeature {
+  type: "Feature";
+  id: string;
+  properties: OsmTags;
+  geometry:
+    | { type: "Point"; coordinates: [number, number] }
+    | { type: "LineString"; coordinates: [number, number][] }
+    | { type: "Polygon"; coordinates: [number, number][][] }
+    | { type: "MultiPolygon"; coordinates: [number, number][][][] };
+}
+
+export interface PbfReadOptions {
+  keep: (tags: OsmTags) => boolean;
+  // Closed ways with one of these keys become polygons (same meaning as osmtogeojson's option).
+  polygonFeatures?: Record<string, boolean>;
+}
+
+// --- protobuf primitives ---
+
+interface Reader {
+  buf: Uint8Array;
+  pos: number;
+  end: number;
+}
+
+function varint(r: Reader): number {
+  let result = 0;
+  let mul = 1;
+  for (;;) {
+    const b = r.buf[r.pos++];
+    result += (b & 0x7f) * mul;
+    if (b < 0x80) return result;
+    mul *= 128;
+  }
+}
+
+function zigzag(n: number): number {
+  return n % 2 === 1 ? -(n + 1) / 2 : n / 2;
+}
+
+// Plain (two's complement) int64 read as an unsigned varint.
+function int64(n: number): number {
+  return n >= 2 ** 63 ? n - 2 ** 64 : n;
+}
+
+// Calls `fn(field, sub, value)` for every field: varints arrive as `value` with `sub` null,
+// length-delimited fields as a reader over their payload. Fixed-width fields are skipped.
+function eachField(buf: Uint8Array, start: number, end: number, fn: (field: number, sub: Reader | null, value: number) => void) {
+  const r: Reader = { buf, pos: start, end };
+  while (r.pos < end) {
+    const key = varint(r);
+    const field = Math.floor(key / 8);
+    const wire = key & 7;
+    if (wire === 0) {
+      fn(field, null, varint(r));
+    } else if (wire === 2) {
+      const len = varint(r);
+      fn(field, { buf, pos: r.pos, end: r.pos + len }, len);
+      r.pos += len;
+    } else if (wire === 1) {
+      r.pos += 8;
+    } else if (wire === 5) {
+      r.pos += 4;
+    } else {
+      throw new Error(`pbf: unsupported wire type ${wire}`);
+    }
+  }
+}
+
+function packed(sub: Reader): number[] {
+  const out: number[] = [];
+  while (sub.pos < sub.end) out.push(varint(sub));
+  return out;
+}
+
+function packedDelta(sub: Reader): number[] {
+  const out: number[] = [];
+  let acc = 0;
+  while (sub.pos < sub.end) {
+    acc += zigzag(varint(sub));
+    out.push(acc);
+  }
+  return out;
+}
+
+const utf8 = new TextDecoder();
+const inflate = promisify(inflateCallback);
+
+// --- file blocks ---
+
+async function eachDataBlock(path: string, fn: (block: Uint8Array) => void) {
+  const file = await fs.open(path, "r");
+  try {
+    const lenBuf = Buffer.alloc(4);
+    let offset = 0;
+    for (;;) {
+      if ((await file.read(lenBuf, 0, 4, offset)).bytesRead < 4) break;
+      const headerLen = lenBuf.readUInt32BE(0);
+      offset += 4;
+      const header = Buffer.alloc(headerLen);
+      await file.read(header, 0, headerLen, offset);
+      offset += headerLen;
+
+      let type = "";
+      let dataSize = 0;
+      eachField(header, 0, header.length, (field, sub, value) => {
+        if (field === 1 && sub) type = utf8.decode(sub.buf.subarray(sub.pos, sub.end));
+        if (field === 3 && !sub) dataSize = value;
+      });
+
+      const blob = Buffer.alloc(dataSize);
+      await file.read(blob, 0, dataSize, offset);
+      offset += dataSize;
+      if (type !== "OSMData") continue;
+
+      let raw: Uint8Array | null = null;
+      let compressed: Uint8Array | null = null;
+      eachField(blob, 0, blob.length, (field, sub) => {
+        if (!sub) return;
+        const bytes = sub.buf.subarray(sub.pos, sub.end);
+        if (field === 1) raw = bytes;
+        else if (field === 3) compressed = bytes;
+        else if (field > 3) throw new Error("pbf: only raw and zlib blobs are supported");
+      });
+      const data = compressed ? await inflate(compressed) : raw;
+      if (data) fn(data);
+    }
+  } finally {
+    await file.close();
+  }
+}
+
+interface BlockVisitor {
+  // tags is null for untagged nodes (the vast majority).
+  node?: (id: number, lon: number, lat: number, tags: OsmTags | null) => void;
+  way?: (id: number, tags: OsmTags, refs: number[]) => void;
+  relation?: (id: number, tags: OsmTags, members: { type: number; ref: number; role: string }[]) => void;
+}
+
+function tagsOf(strings: string[], keys: number[], vals: number[]): OsmTags {
+  const tags: OsmTags = {};
+  for (let k = 0; k < keys.length; k++) tags[strings[keys[k]]] = strings[vals[k]];
+  return tags;
+}
+
+function visitBlock(block: Uint8Array, v: BlockVisitor) {
+  const strings: string[] = [];
+  const groups: Reader[] = [];
+  let granularity = 100;
+  let latOffset = 0;
+  let lonOffset = 0;
+  eachField(block, 0, block.length, (field, sub, value) => {
+    if (field === 1 && sub) {
+      eachField(sub.buf, sub.pos, sub.end, (f, s) => {
+        if (f === 1 && s) strings.push(utf8.decode(s.buf.subarray(s.pos, s.end)));
+      });
+    } else if (field === 2 && sub) groups.push(sub);
+    else if (field === 17 && !sub) granularity = value;
+    else if (field === 19 && !sub) latOffset = int64(value);
+    else if (field === 20 && !sub) lonOffset = int64(value);
+  });
+  const toDeg = (raw: number, off: number) => 1e-9 * (off + granularity * raw);
+
+  for (const g of groups) {
+    eachField(g.buf, g.pos, g.end, (field, sub) => {
+      if (!sub) return;
+      if (field === 1 && v.node) {
+        let id = 0, lat = 0, lon = 0;
+        let keys: number[] = [], vals: number[] = [];
+        eachField(sub.buf, sub.pos, sub.end, (f, s, val) => {
+          if (f === 1 && !s) id = zigzag(val);
+          else if (f === 2 && s) keys = packed(s);
+          else if (f === 3 && s) vals = packed(s);
+          else if (f === 8 && !s) lat = zigzag(val);
+          else if (f === 9 && !s) lon = zigzag(val);
+        });
+        v.node(id, toDeg(lon, lonOffset), toDeg(lat, latOffset), keys.length ? tagsOf(strings, keys, vals) : null);
+      } else if (field === 2 && v.node) {
+        let ids: number[] = [], lats: number[] = [], lons: number[] = [], keysVals: number[] = [];
+        eachField(sub.buf, sub.pos, sub.end, (f, s) => {
+          if (!s) return;
+          if (f === 1) ids = packedDelta(s);
+          else if (f === 8) lats = packedDelta(s);
+          else if (f === 9) lons = packedDelta(s);
+          else if (f === 10) keysVals = packed(s);
+        });
+        // keys_vals: (key, val)* 0 per node, or empty when no node in the block has tags.
+        let kv = 0;
+        for (let k = 0; k < ids.length; k++) {
+          let tags: OsmTags | null = null;
+          while (kv < keysVals.length && keysVals[kv] !== 0) {
+            tags ??= {};
+            tags[strings[keysVals[kv]]] = strings[keysVals[kv + 1]];
+            kv += 2;
+          }
+          kv++;
+          v.node(ids[k], toDeg(lons[k], lonOffset), toDeg(lats[k], latOffset), tags);
+        }
+      } else if (field === 3 && v.way) {
+        let id = 0;
+        let keys: number[] = [], vals: number[] = [], refs: number[] = [];
+        eachField(sub.buf, sub.pos, sub.end, (f, s, val) => {
+          if (f === 1 && !s) id = val;
+          else if (f === 2 && s) keys = packed(s);
+          else if (f === 3 && s) vals = packed(s);
+          else if (f === 8 && s) refs = packedDelta(s);
+        });
+        v.way(id, tagsOf(strings, keys, vals), refs);
+      } else if (field === 4 && v.relation) {
+        let id = 0;
+        let keys: number[] = [], vals: number[] = [], roles: number[] = [], memids: number[] = [], types: number[] = [];
+        eachField(sub.buf, sub.pos, sub.end, (f, s, val) => {
+          if (f === 1 && !s) id = val;
+          else if (f === 2 && s) keys = packed(s);
+          else if (f === 3 && s) vals = packed(s);
+          else if (f === 8 && s) roles = packed(s);
+          else if (f === 9 && s) memids = packedDelta(s);
+          else if (f === 10 && s) types = packed(s);
+        });
+        const members = memids.map((ref, k) => ({ type: types[k] ?? 0, ref, role: strings[roles[k]] ?? "" }));
+        v.relation(id, tagsOf(strings, keys, vals), members);
+      }
+    });
+  }
+}
+
+// --- geometry assembly ---
+
+function isArea(tags: OsmTags, polygonFeatures: Record<string, boolean>): boolean {
+  if (tags.area === "no") return false;
+  if (tags.area === "yes") return true;
+  return Object.keys(tags).some((k) => polygonFeatures[k] === true);
+}
+
+// Joins way node lists into closed rings by matching end nodes; open leftovers are dropped.
+function joinRings(ways: number[][]): number[][] {
+  const pool = ways.filter((w) => w.length >= 2).map((w) => w.slice());
+  const rings: number[][] = [];
+  while (pool.length) {
+    let ring = pool.shift()!;
+    let grown = true;
+    while (ring[0] !== ring[ring.length - 1] && grown) {
+      grown = false;
+      for (let k = 0; k < pool.length; k++) {
+        const w = pool[k];
+        const tail = ring[ring.length - 1];
+        if (w[0] === tail) ring = ring.concat(w.slice(1));
+        else if (w[w.length - 1] === tail) ring = ring.concat(w.slice(0, -1).reverse());
+        else continue;
+        pool.splice(k, 1);
+        grown = true;
+        break;
+      }
+    }
+    if (ring.length >= 4 && ring[0] === ring[ring.length - 1]) rings.push(ring);
+  }
+  return rings;
+}
+
+function ringContains(ring: [number, number][], p: [number, number]): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > p[1] !== yj > p[1] && p[0] < ((xj - xi) * (p[1] - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export async function readPbfFeatures(path: string, opts: PbfReadOptions): Promise<OsmFeature[]> {
+  const polygonFeatures = opts.polygonFeatures ?? { building: true };
+
+  // Pass 1: multipolygon relations we keep, and the ways they need.
+  const relations: { id: number; tags: OsmTags; outer: number[]; inner: number[] }[] = [];
+  const memberWays = new Set<number>();
+  await eachDataBlock(path, (block) =>
+    visitBlock(block, {
+      relation: (id, tags, members) => {
+        if (tags.type !== "multipolygon" || !opts.keep(tags)) return;
+        const outer: number[] = [];
+        const inner: number[] = [];
+        for (const m of members) {
+          if (m.type !== 1) continue;
+          (m.role === "inner" ? inner : outer).push(m.ref);
+          memberWays.add(m.ref);
+        }
+        relations.push({ id, tags, outer, inner });
+      },
+    })
+  );
+
+  // Pass 2: tagged ways we keep plus relation members, and the nodes they reference.
+  const ways: { id: number; tags: OsmTags; refs: number[] }[] = [];
+  const wayRefs = new Map<number, number[]>();
+  const neededNodes = new Set<number>();
+  await eachDataBlock(path, (block) =>
+    visitBlock(block, {
+      way: (id, tags, refs) => {
+        const kept = Object.keys(tags).length > 0 && opts.keep(tags);
+        if (!kept && !memberWays.has(id)) return;
+        if (kept) ways.push({ id, tags, refs });
+        if (memberWays.has(id)) wayRefs.set(id, refs);
+        for (const r of refs) neededNodes.add(r);
+      },
+    })
+  );
+
+  // Pass 3: coordinates of the referenced nodes only, plus tagged nodes we keep as points.
+  const coords = new Map<number, [number, number]>();
+  const features: OsmFeature[] = [];
+  await eachDataBlock(path, (block) =>
+    visitBlock(block, {
+      node: (id, lon, lat, tags) => {
+        if (neededNodes.has(id)) coords.set(id, [lon, lat]);
+        if (tags && opts.keep(tags)) {
+          const fid = `node/${id}`;
+          features.push({ type: "Feature", id: fid, properties: { ...tags, id: fid }, geometry: { type: "Point", coordinates: [lon, lat] } });
+        }
+      },
+    })
+  );
+
+  const line = (refs: number[]): [number, number][] | null => {
+    const out: [number, number][] = [];
+    for (const r of refs) {
+      const c = coords.get(r);
+      if (!c) return null;
+      out.push(c);
+    }
+    return out;
+  };
+
+  for (const w of ways) {
+    const pts = line(w.refs);
+    if (!pts || pts.length < 2) continue;
+    const id = `way/${w.id}`;
+    const closed = w.refs.length >= 4 && w.refs[0] === w.refs[w.refs.length - 1];
+    features.push({
+      type: "Feature",
+      id,
+      properties: { ...w.tags, id },
+      geometry: closed && isArea(w.tags, polygonFeatures)
+        ? { type: "Polygon", coordinates: [pts] }
+        : { type: "LineString", coordinates: pts },
+    });
+  }
+
+  for (const rel of relations) {
+    const refsOf = (ids: number[]) => ids.map((i) => wayRefs.get(i)).filter((r): r is number[] => !!r);
+    const outers = joinRings(refsOf(rel.outer)).map(line).filter((r): r is [number, number][] => !!r);
+    const inners = joinRings(refsOf(rel.inner)).map(line).filter((r): r is [number, number][] => !!r);
+    if (!outers.length) continue;
+    const polys: [number, number][][][] = outers.map((o) => [o]);
+    for (const ring of inners) {
+      const host = polys.find((p) => ringContains(p[0], ring[0]));
+      if (host) host.push(ring);
+    }
+    const id = `relation/${rel.id}`;
+    features.push({
+      type: "Feature",
+      id,
+      properties: { ...rel.tags, id },
+      geometry: polys.length === 1
+        ? { type: "Polygon", coordinates: polys[0] }
+        : { type: "MultiPolygon", coordinates: polys },
+    });
+  }
+  return features;
+}
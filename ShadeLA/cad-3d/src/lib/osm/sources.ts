@@ -0,0 +1,265 @@
+// OSM data sources behind one call. Backends are tried in the order given by OSM_SOURCE
+// (comma-separated, default "overpass"):
+//   overpass  public Overpass mirrors through the disk cache (./overpass, ./cache)
+//   pbf       local .osm.pbf extract at OSM_PBF_PATH
+//   geojson   local GeoJSON extract at OSM_GEOJSON_PATH (osmtogeojson/osmium style, tags in properties)
+// Local extracts are indexed once per server process (see src/instrumentation.ts) and are skipped
+// for bboxes they do not cover, so e.g. OSM_SOURCE=pbf,overpass falls back outside the extract.
+// Large Overpass AOIs are split into tiles of OSM_TILE_METERS (default 2000), fetched
+// OSM_TILE_CONCURRENCY at a time (default 2) with OSM_TILE_RETRIES retries (default 2), and merged
+// by OSM id so ways and relations crossing tile edges appear once.
+import { promises as fs } from "fs";
+import { OsmLayer, OsmTags, matchesLayers, layerStatements, OSM_LAYERS } from "./layers";
+import { BBox, OsmFetchMeta, OsmFetchOptions, fetchOverpassXml, normalizeBbox, osmCacheHeaders, osmXmlToGeoJson } from "./overpass";
+import { OsmFeature, readPbfFeatures } from "./pbf";
+import { FeatureIndex, buildFeatureIndex } from "./spatialIndex";
+import { OsmTileProgress, mapWithConcurrency, splitBbox, withRetries } from "./tiles";
+
+export type OsmSourceKind = "overpass" | "pbf" | "geojson";
+
+export interface OsmSourceMeta {
+  source: OsmSourceKind;
+  cache?: OsmFetchMeta;
+  // indexMs: time taken to index the extract at startup.
+  extract?: { path: string; indexedAt: string; indexMs: number; features: number };
+  tiles?: { total: number; cacheHits: number; stale: number; retries: number; oldestFetchedAt: string };
+}
+
+export interface OsmFeatureCollection {
+  type: "FeatureCollection";
+  // osmtogeojson output is untyped; local sources produce OsmFeature.
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  features: any[];
+}
+
+export type OsmFeaturesResult =
+  | { ok: true; geojson: OsmFeatureCollection; meta: OsmSourceMeta }
+  | { ok: false; error: string; detail: string };
+
+export interface OsmFeaturesOptions extends OsmFetchOptions {
+  polygonFeatures?: Record<string, boolean>;
+  // Force one backend instead of the configured list.
+  source?: OsmSourceKind;
+  tileMeters?: number;
+  onProgress?: (p: OsmTileProgress) => void;
+}
+
+// Keys whose closed ways are stored as polygons in local indexes; requests narrow this down.
+const INDEX_POLYGON_KEYS: Record<string, boolean> = {
+  building: true,
+  "building:part": true,
+  landuse: true,
+  leisure: true,
+  natural: true,
+  waterway: true,
+};
+
+export function configuredOsmSources(): OsmSourceKind[] {
+  const raw = (process.env.OSM_SOURCE || "overpass").split(",").map((s) => s.trim().toLowerCase());
+  const kinds = raw.filter((s): s is OsmSourceKind => s === "overpass" || s === "pbf" || s === "geojson");
+  return kinds.length ? kinds : ["overpass"];
+}
+
+interface LocalIndex {
+  path: string;
+  indexedAt: string;
+  indexMs: number;
+  index: FeatureIndex;
+}
+
+const localIndexes = new Map<OsmSourceKind, Promise<LocalIndex | null>>();
+
+async function loadGeoJsonExtract(path: string): Promise<OsmFeature[]> {
+  const json = JSON.parse(await fs.readFile(path, "utf8"));
+  const out: OsmFeature[] = [];
+  (json?.features || []).forEach((f: OsmFeature, k: number) => {
+    if (!f?.geometry) return;
+    const props: OsmTags = { ...(f.properties || {}) };
+    // osmium writes "@id"/"@type"; osmtogeojson writes "id" as "way/123".
+    const id = String(f.id ?? props.id ?? (props["@type"] && props["@id"] ? `${props["@type"]}/${props["@id"]}` : `feature/${k}`));
+    props.id = id;
+    out.push({ type: "Feature", id, properties: props, geometry: f.geometry });
+  });
+  return out;
+}
+
+function localIndex(kind: "pbf" | "geojson"): Promise<LocalIndex | null> {
+  const existing = localIndexes.get(kind);
+  if (existing) return existing;
+
+  const path = kind === "pbf" ? process.env.OSM_PBF_PATH : process.env.OSM_GEOJSON_PATH;
+  const p = (async (): Promise<LocalIndex | null> => {
+    if (!path) return null;
+    const started = Date.now();
+    try {
+      const keepAny = (tags: OsmTags) => matchesLayers(tags, Object.keys(OSM_LAYERS) as OsmLayer[]);
+      const features = kind === "pbf"
+        ? await readPbfFeatures(path, { keep: keepAny, polygonFeatures: INDEX_POLYGON_KEYS })
+        : (await loadGeoJsonExtract(path)).filter((f) => keepAny(f.properties));
+      const index = buildFeatureIndex(features);
+      return { path, indexedAt: new Date().toISOString(), indexMs: Date.now() - started, index };
+    } catch (err) {
+      console.error(`[osm-source] failed to load ${kind} extract ${path}:`, err);
+      return null;
+    }
+  })();
+  localIndexes.set(kind, p);
+  return p;
+}
+
+// Builds the local indexes for the configured sources ahead of the first request.
+export async function warmOsmSources(): Promise<void> {
+  for (const kind of configuredOsmSources()) {
+    if (kind !== "overpass") await localIndex(kind);
+  }
+}
+
+function covers(bounds: BBox, bbox: BBox): boolean {
+  return bbox[0] >= bounds[0] && bbox[1] >= bounds[1] && bbox[2] <= bounds[2] && bbox[3] <= bounds[3];
+}
+
+// Closed ways count as areas only for the keys the caller asked for, like osmtogeojson.
+function applyPolygonFeatures(f: OsmFeature, polygonFeatures: Record<string, boolean>): OsmFeature {
+  if (f.geometry.type !== "Polygon" || !f.id.startsWith("way/")) return f;
+  const tags = f.properties;
+  if (tags.area === "yes" || Object.keys(tags).some((k) => polygonFeatures[k] === true)) return f;
+  return { ...f, geometry: { type: "LineString", coordinates: f.geometry.coordinates[0] } };
+}
+
+function envNumber(name: string, fallback: number): number {
+  const v = Number(process.env[name]);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+function overpassTiles(bbox: BBox, opts: OsmFeaturesOptions): BBox[] {
+  return splitBbox(bbox, opts.tileMeters ?? envNumber("OSM_TILE_METERS", 2000));
+}
+
+async function fetchOverpassTiled(
+  bbox: BBox,
+  layers: OsmLayer[],
+  polygonFeatures: Record<string, boolean>,
+  opts: OsmFeaturesOptions
+): Promise<OsmFeaturesResult> {
+  const tiles = overpassTiles(bbox, opts);
+  const statements = layerStatements(layers);
+  const retries = Math.floor(envNumber("OSM_TILE_RETRIES", 2));
+  let done = 0;
+
+  const results = await mapWithConcurrency(tiles, envNumber("OSM_TILE_CONCURRENCY", 2), async (tile) => {
+    const { result, attempt } = await withRetries(
+      () => fetchOverpassXml(tile, statements, opts),
+      retries,
+      // A cache miss in offline mode will not fix itself.
+      (r) => !r.ok && r.error !== "offline_cache_miss"
+    );
+    done++;
+    opts.onProgress?.({ done, total: tiles.length, tile, ok: result.ok, cacheHit: result.ok && result.meta.cacheHit, attempt });
+    return { tile, result, attempt };
+  });
+
+  // Every tile is required: a partial city would silently produce wrong shade results.
+  for (let k = 0; k < results.length; k++) {
+    const r = results[k].result;
+    if (!r.ok) return { ok: false, error: r.error, detail: `tile ${k + 1}/${tiles.length}: ${r.detail}` };
+  }
+
+  // Overpass returns complete ways/relations for anything touching a tile, so ids repeat across edges.
+  const seen = new Set<string>();
+  const features: OsmFeatureCollection["features"] = [];
+  const metas: OsmFetchMeta[] = [];
+  for (const { result } of results) {
+    if (!result.ok) continue;
+    metas.push(result.meta);
+    for (const f of osmXmlToGeoJson(result.xml, polygonFeatures).features || []) {
+      const id = String(f.id ?? f.properties?.id ?? "");
+      if (id && seen.has(id)) continue;
+      if (id) seen.add(id);
+      features.push(f);
+    }
+  }
+
+  return {
+    ok: true,
+    geojson: { type: "FeatureCollection", features },
+    meta: {
+      source: "overpass",
+      tiles: {
+        total: tiles.length,
+        cacheHits: metas.filter((m) => m.cacheHit).length,
+        stale: metas.filter((m) => m.stale).length,
+        retries: results.reduce((acc, r) => acc + r.attempt, 0),
+        oldestFetchedAt: metas.map((m) => m.fetchedAt).sort()[0],
+      },
+    },
+  };
+}
+
+export async function fetchOsmFeatures(
+  bboxIn: BBox,
+  layers: OsmLayer[],
+  opts: OsmFeaturesOptions = {}
+): Promise<OsmFeaturesResult> {
+  const bbox = normalizeBbox(bboxIn);
+  const polygonFeatures = opts.polygonFeatures ?? { building: true };
+  const kinds = opts.source ? [opts.source] : configuredOsmSources();
+
+  let lastError: OsmFeaturesResult = { ok: false, error: "osm_source_unavailable", detail: "no OSM source configured" };
+  for (const kind of kinds) {
+    if (kind === "overpass") {
+      if (overpassTiles(bbox, opts).length > 1) {
+        const tiled = await fetchOverpassTiled(bbox, layers, polygonFeatures, opts);
+        if (tiled.ok) return tiled;
+        lastError = tiled;
+        continue;
+      }
+      const r = await fetchOverpassXml(bbox, layerStatements(layers), opts);
+      if (r.ok) {
+        return {
+          ok: true,
+          geojson: osmXmlToGeoJson(r.xml, polygonFeatures),
+          meta: { source: "overpass", cache: r.meta },
+        };
+      }
+      lastError = { ok: false, error: r.error, detail: r.detail };
+      continue;
+    }
+
+    const local = await localIndex(kind);
+    if (!local) {
+      lastError = { ok: false, error: "osm_source_unavailable", detail: `${kind} extract not configured or failed to load` };
+      continue;
+    }
+    if (!covers(local.index.bounds, bbox)) {
+      lastError = { ok: false, error: "bbox_outside_extract", detail: `${kind} extract does not cover this bbox` };
+      continue;
+    }
+    const features = local.index
+      .query(bbox)
+      .filter((f) => matchesLayers(f.properties, layers))
+      .map((f) => applyPolygonFeatures(f, polygonFeatures));
+    return {
+      ok: true,
+      geojson: { type: "FeatureCollection", features },
+      meta: {
+        source: kind,
+        extract: { path: local.path, indexedAt: local.indexedAt, indexMs: local.indexMs, features: local.index.features.length },
+      },
+    };
+  }
+  return lastError;
+}
+
+export function osmSourceHeaders(meta: OsmSourceMeta): Record<string, string> {
+  if (meta.cache) return osmCacheHeaders(meta.cache);
+  if (meta.tiles) {
+    const { total, cacheHits, stale } = meta.tiles;
+    return {
+      "X-OSM-Source": meta.source,
+      "X-OSM-Tiles": String(total),
+      "X-OSM-Cache": cacheHits === total ? (stale ? "STALE" : "HIT") : cacheHits ? "PARTIAL" : "MISS",
+      "X-OSM-Fetched-At": meta.tiles.oldestFetchedAt,
+    };
+  }
+  return { "X-OSM-Source": meta.source };
+}
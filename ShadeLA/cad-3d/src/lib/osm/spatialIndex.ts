@@ -0,0 +1,69 @@
+// Uniform lon/lat grid over feature bounding boxes; good enough for bbox queries against a
+// county-sized extract and cheap to build at startup.
+import type { BBox } from "./overpass";
+import type { OsmFeature } from "./pbf";
+
+export interface FeatureIndex {
+  features: OsmFeature[];
+  bounds: BBox;
+  query: (bbox: BBox) => OsmFeature[];
+}
+
+function featureBBox(f: OsmFeature): BBox | null {
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  const visit = (c: unknown): void => {
+    if (!Array.isArray(c)) return;
+    if (typeof c[0] === "number" && typeof c[1] === "number") {
+      if (c[0] < w) w = c[0];
+      if (c[0] > e) e = c[0];
+      if (c[1] < s) s = c[1];
+      if (c[1] > n) n = c[1];
+      return;
+    }
+    for (const x of c) visit(x);
+  };
+  visit(f.geometry?.coordinates);
+  return Number.isFinite(w) ? [w, s, e, n] : null;
+}
+
+export function buildFeatureIndex(features: OsmFeature[], cellDeg = 0.01): FeatureIndex {
+  const boxes: (BBox | null)[] = features.map(featureBBox);
+  const cells = new Map<string, number[]>();
+  const bounds: BBox = [Infinity, Infinity, -Infinity, -Infinity];
+
+  boxes.forEach((b, idx) => {
+    if (!b) return;
+    bounds[0] = Math.min(bounds[0], b[0]);
+    bounds[1] = Math.min(bounds[1], b[1]);
+    bounds[2] = Math.max(bounds[2], b[2]);
+    bounds[3] = Math.max(bounds[3], b[3]);
+    for (let i = Math.floor(b[0] / cellDeg); i <= Math.floor(b[2] / cellDeg); i++) {
+      for (let j = Math.floor(b[1] / cellDeg); j <= Math.floor(b[3] / cellDeg); j++) {
+        const key = `${i}:${j}`;
+        const list = cells.get(key);
+        if (list) list.push(idx);
+        else cells.set(key, [idx]);
+      }
+    }
+  });
+
+  const query = (bbox: BBox): OsmFeature[] => {
+    const [w, s, e, n] = bbox;
+    const seen = new Set<number>();
+    const out: OsmFeature[] = [];
+    for (let i = Math.floor(w / cellDeg); i <= Math.floor(e / cellDeg); i++) {
+      for (let j = Math.floor(s / cellDeg); j <= Math.floor(n / cellDeg); j++) {
+        for (const idx of cells.get(`${i}:${j}`) || []) {
+          if (seen.has(idx)) continue;
+          seen.add(idx);
+          const b = boxes[idx]!;
+          if (b[2] < w || b[0] > e || b[3] < s || b[1] > n) continue;
+          out.push(features[idx]);
+        }
+      }
+    }
+    return out;
+  };
+
+  return { features, bounds, query };
+}
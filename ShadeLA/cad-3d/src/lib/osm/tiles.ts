@@ -0,0 +1,64 @@
+// Splitting large AOIs into tiles for Overpass, plus the small async helpers used to fetch them.
+import type { BBox } from "./overpass";
+
+export interface OsmTileProgress {
+  done: number;
+  total: number;
+  tile: BBox;
+  ok: boolean;
+  cacheHit: boolean;
+  attempt: number;
+}
+
+// Even grid of tiles no larger than tileMeters per side (meters estimated at the bbox center).
+export function splitBbox(bbox: BBox, tileMeters: number): BBox[] {
+  const [w, s, e, n] = bbox;
+  const lat0 = (s + n) / 2;
+  const widthM = (e - w) * 111320 * Math.cos((lat0 * Math.PI) / 180);
+  const heightM = (n - s) * 111320;
+  const nx = Math.max(1, Math.ceil(widthM / tileMeters));
+  const ny = Math.max(1, Math.ceil(heightM / tileMeters));
+
+  const tiles: BBox[] = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      tiles.push([
+        w + ((e - w) * i) / nx,
+        s + ((n - s) * j) / ny,
+        i === nx - 1 ? e : w + ((e - w) * (i + 1)) / nx,
+        j === ny - 1 ? n : s + ((n - s) * (j + 1)) / ny,
+      ]);
+    }
+  }
+  return tiles;
+}
+
+// Runs fn over items with at most `limit` in flight; results keep the input order.
+export async function mapWithConcurrency<T, R>(items: T[], limit: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Retries `fn` while `shouldRetry(result)` holds, backing off 1 s, 2 s, 4 s, ...
+export async function withRetries<R>(
+  fn: (attempt: number) => Promise<R>,
+  retries: number,
+  shouldRetry: (result: R) => boolean,
+  baseDelayMs = 1000
+): Promise<{ result: R; attempt: number }> {
+  let attempt = 0;
+  for (;;) {
+    const result = await fn(attempt);
+    if (attempt >= retries || !shouldRetry(result)) return { result, attempt };
+    await new Promise((r) => setTimeout(r, baseDelayMs * 2 ** attempt));
+    attempt++;
+  }
+}
@@ -0,0 +1,215 @@
+// Individual trees from OSM: natural=tree nodes as-is, natural=tree_row ways sampled along the line
+// and natural=wood areas filled on a grid. Crown diameter and height come from tags when present
+// and from leaf-type defaults otherwise (tuned for LA street trees).
+import { localFrame, pointInRing, toLocal, toLonLat } from "../shade";
+import type { OsmTags } from "./layers";
+
+export type TreeKind = "tree" | "tree_row" | "wood";
+
+export interface TreeInstance {
+  id: string;
+  kind: TreeKind;
+  lon: number;
+  lat: number;
+  // Meters above ground.
+  height: number;
+  crownDiameter: number;
+  leafType: string | null;
+  // True when height or crown came from defaults rather than tags.
+  estimated: boolean;
+}
+
+// Vertical extent of the crown ellipsoid; the crown sits at the top of the tree. Kept in step with
+// the canopy instances drawn by RhinoViewer.
+export function crownDepth(height: number, crownDiameter: number): number {
+  return Math.min(height * 0.65, crownDiameter * 1.1);
+}
+
+export interface TreeOptions {
+  // Spacing between generated trees; defaults to the crown diameter.
+  rowSpacing?: number;
+  woodSpacing?: number;
+  maxTrees?: number;
+}
+
+export interface TreeSet {
+  trees: TreeInstance[];
+  truncated: boolean;
+}
+
+const DEFAULTS: Record<string, { height: number; crown: number }> = {
+  broadleaved: { height: 8, crown: 6 },
+  needleleaved: { height: 12, crown: 4 },
+  palm: { height: 14, crown: 3 },
+};
+
+export function isTreeTags(tags: OsmTags | null | undefined): boolean {
+  const v = tags?.natural;
+  return v === "tree" || v === "tree_row" || v === "wood";
+}
+
+// "12", "12 m", "40'" or "40 ft" -> meters.
+function parseLength(v: unknown): number | undefined {
+  if (v === undefined || v === null) return undefined;
+  const s = String(v).trim().toLowerCase();
+  const n = parseFloat(s);
+  if (!Number.isFinite(n) || n <= 0) return undefined;
+  return /ft|'|feet/.test(s) ? n * 0.3048 : n;
+}
+
+function leafTypeOf(tags: OsmTags): string | null {
+  const lt = String(tags.leaf_type ?? "").toLowerCase();
+  if (lt === "broadleaved" || lt === "needleleaved" || lt === "palm") return lt;
+  const name = `${tags.genus ?? ""} ${tags.species ?? ""} ${tags.taxon ?? ""}`.toLowerCase();
+  if (/palm|washingtonia|phoenix|syagrus|arecaceae/.test(name)) return "palm";
+  return lt || null;
+}
+
+export function treeDimensionsFromTags(tags: OsmTags): { height: number; crownDiameter: number; estimated: boolean } {
+  const leaf = leafTypeOf(tags);
+  const def = DEFAULTS[leaf ?? "broadleaved"] ?? DEFAULTS.broadleaved;
+
+  let height = parseLength(tags.height) ?? parseLength(tags.est_height);
+  let crown = parseLength(tags.diameter_crown) ?? parseLength(tags.crown_diameter);
+  // Trunk circumference (m) -> DBH -> crown, a common allometric rule of thumb (crown ~ 25 x DBH).
+  if (crown === undefined) {
+    const circ = parseLength(tags.circumference);
+    if (circ !== undefined) crown = Math.min(25, (circ / Math.PI) * 25);
+  }
+  const estimated = height === undefined || crown === undefined;
+
+  if (height === undefined) height = crown !== undefined ? Math.max(def.height * 0.5, crown * 1.3) : def.height;
+  if (crown === undefined) crown = Math.min(def.crown * 2, (height * def.crown) / def.height);
+  return { height: Math.min(60, height), crownDiameter: Math.max(1, Math.min(30, crown)), estimated };
+}
+
+export function treeInstancesFromFeatures(
+  // eslint-disable-next-line @typescript-eslint/no-explicit-any
+  features: any[],
+  opts: TreeOptions = {}
+): TreeSet {
+  const maxTrees = opts.maxTrees ?? 20000;
+  const trees: TreeInstance[] = [];
+  let truncated = false;
+
+  const push = (t: TreeInstance) => {
+    if (trees.length >= maxTrees) {
+      truncated = true;
+      return false;
+    }
+    trees.push(t);
+    return true;
+  };
+
+  for (const f of features) {
+    const tags: OsmTags = f?.properties || {};
+    if (!isTreeTags(tags) || !f.geometry) continue;
+    const id = String(f.id ?? tags.id ?? "");
+    const dims = treeDimensionsFromTags(tags);
+    const base = { kind: tags.natural as TreeKind, leafType: leafTypeOf(tags), ...dims };
+    const g = f.geometry;
+
+    if (tags.natural === "tree" && g.type === "Point") {
+      push({ id, lon: g.coordinates[0], lat: g.coordinates[1], ...base });
+    } else if (tags.natural === "tree_row" && g.type === "LineString") {
+      const coords: [number, number][] = g.coordinates;
+      if (coords.length < 2) continue;
+      const frame = localFrame(coords[0][0], coords[0][1]);
+      const spacing = opts.rowSpacing ?? base.crownDiameter;
+      const pts = coords.map(([lon, lat]) => toLocal(frame, lon, lat));
+      // `next` is the distance along the whole row of the next tree to place.
+      let next = 0;
+      let walked = 0;
+      let k = 0;
+      for (let i = 0; i + 1 < pts.length && !truncated; i++) {
+        const [ax, ay] = pts[i];
+        const [bx, by] = pts[i + 1];
+        const len = Math.hypot(bx - ax, by - ay);
+        while (len > 0 && next <= walked + len) {
+          const t = (next - walked) / len;
+          const [lon, lat] = toLonLat(frame, ax + (bx - ax) * t, ay + (by - ay) * t);
+          if (!push({ id: `${id}#${k++}`, lon, lat, ...base })) break;
+          next += spacing;
+        }
+        walked += len;
+      }
+    } else if (tags.natural === "wood") {
+      // Closed ways arrive as LineStrings when the caller's polygonFeatures leave out "natural".
+      const polys: [number, number][][][] =
+        g.type === "Polygon" ? [g.coordinates]
+          : g.type === "MultiPolygon" ? g.coordinates
+            : g.type === "LineString" ? [[g.coordinates]]
+              : [];
+      const spacing = opts.woodSpacing ?? base.crownDiameter;
+      let k = 0;
+      for (const poly of polys) {
+        const outer = poly[0];
+        if (!outer || outer.length < 4 || outer[0][0] !== outer[outer.length - 1][0] || outer[0][1] !== outer[outer.length - 1][1]) continue;
+        const frame = localFrame(outer[0][0], outer[0][1]);
+        const rings = poly.map((r) => r.map(([lon, lat]) => toLocal(frame, lon, lat)));
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const [x, y] of rings[0]) {
+          minX = Math.min(minX, x);
+          maxX = Math.max(maxX, x);
+          minY = Math.min(minY, y);
+          maxY = Math.max(maxY, y);
+        }
+        // Offset rows by half a spacing so the canopy reads as a stand rather than an orchard.
+        for (let y = minY + spacing / 2, row = 0; y < maxY && !truncated; y += spacing * 0.866, row++) {
+          for (let x = minX + (row % 2 ? spacing : spacing / 2); x < maxX; x += spacing) {
+            if (!pointInRing(x, y, rings[0]) || rings.slice(1).some((h) => pointInRing(x, y, h))) continue;
+            const [lon, lat] = toLonLat(frame, x, y);
+            if (!push({ id: `${id}#${k++}`, lon, lat, ...base })) break;
+          }
+        }
+      }
+    }
+    if (truncated) break;
+  }
+  return { trees, truncated };
+}
+
+export interface UnitTreeMesh {
+  vertices: [number, number, number][];
+  // Triangles and quads as vertex indices (quads are planar).
+  faces: number[][];
+}
+
+// Low-poly tree in a unit box (x/y in [-0.5, 0.5], z in [0, 1]) for exporters that place one block
+// per tree and scale it by crown diameter (x/y) and height (z).
+export function unitTreeMesh(segments = 8, stacks = 4): UnitTreeMesh {
+  const vertices: [number, number, number][] = [];
+  const faces: number[][] = [];
+
+  // Trunk: square prism up into the crown.
+  const tw = 0.04;
+  const tz = 0.45;
+  vertices.push([-tw, -tw, 0], [tw, -tw, 0], [tw, tw, 0], [-tw, tw, 0]);
+  vertices.push([-tw, -tw, tz], [tw, -tw, tz], [tw, tw, tz], [-tw, tw, tz]);
+  for (let i = 0; i < 4; i++) faces.push([i, (i + 1) % 4, 4 + ((i + 1) % 4), 4 + i]);
+
+  // Crown: ellipsoid over z in [0.35, 1].
+  const cz = 0.675;
+  const rz = 0.325;
+  const bottom = vertices.push([0, 0, cz - rz]) - 1;
+  const ringStart: number[] = [];
+  for (let j = 1; j < stacks; j++) {
+    const phi = Math.PI * (j / stacks);
+    ringStart.push(vertices.length);
+    for (let i = 0; i < segments; i++) {
+      const th = (2 * Math.PI * i) / segments;
+      vertices.push([0.5 * Math.sin(phi) * Math.cos(th), 0.5 * Math.sin(phi) * Math.sin(th), cz - rz * Math.cos(phi)]);
+    }
+  }
+  const top = vertices.push([0, 0, cz + rz]) - 1;
+  for (let i = 0; i < segments; i++) {
+    const i1 = (i + 1) % segments;
+    faces.push([bottom, ringStart[0] + i1, ringStart[0] + i]);
+    for (let r = 0; r + 1 < ringStart.length; r++) {
+      faces.push([ringStart[r] + i, ringStart[r] + i1, ringStart[r + 1] + i1, ringStart[r + 1] + i]);
+    }
+    const last = ringStart[ringStart.length - 1];
+    faces.push([last + i, last + i1, top]);
+  }
+  return { vertices, faces };
+}
@@ -0,0 +1,85 @@
+// Census places (cities and CDPs) from cb_2020_06_place_500k.json, limited to the LA County area.
+import { promises as fs } from "fs";
+import path from "path";
+import { buildBoundaryIndex, isBoundaryGeometry, type BoundaryFeature, type BoundaryIndex } from "./boundaries";
+
+const PLACES_PATH = path.join(process.cwd(), "cb_2020_06_place_500k.json");
+
+export interface PlaceItem {
+  GEOID: string;
+  NAME: string;
+}
+
+// Approximate Los Angeles County bounding box (lat/lon)
+const LA_BBOX = {
+  west: -119.2,
+  south: 33.4,
+  east: -117.6,
+  north: 34.9,
+};
+
+function geomCentroid(geom: BoundaryFeature["geometry"]): { lon: number; lat: number } | null {
+  const rings = geom.type === "Polygon" ? [geom.coordinates[0]] : geom.coordinates.map((p) => p[0]);
+  let sumLon = 0;
+  let sumLat = 0;
+  let count = 0;
+  for (const ring of rings) {
+    for (const [lon, lat] of ring || []) {
+      sumLon += lon;
+      sumLat += lat;
+      count++;
+    }
+  }
+  if (!count) return null;
+  return { lon: sumLon / count, lat: sumLat / count };
+}
+
+function isInLaCountyApprox(geom: BoundaryFeature["geometry"]): boolean {
+  const c = geomCentroid(geom);
+  if (!c) return false;
+  return c.lon >= LA_BBOX.west && c.lon <= LA_BBOX.east && c.lat >= LA_BBOX.south && c.lat <= LA_BBOX.north;
+}
+
+export function placeId(f: BoundaryFeature): string {
+  const props = f.properties || {};
+  return String(props.GEOID || props.geoid || props.NAME || props.name || "").trim();
+}
+
+export function placeName(f: BoundaryFeature): string {
+  const props = f.properties || {};
+  return String(props.NAME || props.name || "").trim();
+}
+
+let placesPromise: Promise<BoundaryFeature[]> | null = null;
+let indexPromise: Promise<BoundaryIndex> | null = null;
+
+// Named places whose outline centroid falls in the LA County box.
+export function loadPlaceFeatures(): Promise<BoundaryFeature[]> {
+  if (!placesPromise) {
+    placesPromise = (async () => {
+      let data: unknown = null;
+      try {
+        data = JSON.parse(await fs.readFile(PLACES_PATH, "utf8"));
+      } catch {
+        data = null;
+      }
+      const raw = Array.isArray(data) ? data : (data as { features?: unknown[] } | null)?.features;
+      const features = Array.isArray(raw) ? (raw as BoundaryFeature[]) : [];
+      return features.filter((f) => isBoundaryGeometry(f?.geometry) && isInLaCountyApprox(f.geometry) && !!placeName(f));
+    })();
+  }
+  return placesPromise;
+}
+
+export async function placeList(): Promise<PlaceItem[]> {
+  return (await loadPlaceFeatures()).map((f) => ({ GEOID: placeId(f), NAME: placeName(f) }));
+}
+
+export async function placeByGeoid(geoid: string): Promise<BoundaryFeature | null> {
+  return (await loadPlaceFeatures()).find((f) => placeId(f) === geoid) ?? null;
+}
+
+export function placeIndex(): Promise<BoundaryIndex> {
+  if (!indexPromise) indexPromise = loadPlaceFeatures().then(buildBoundaryIndex);
+  return indexPromise;
+}
@@ -0,0 +1,78 @@
+// Encoders for analysis grids (gridN x gridN, row-major south -> north) as EPSG:4326 rasters.
+// Each grid node becomes one pixel centered on the node, so the raster extends half a cell past the bbox.
+import { writeArrayBuffer } from "geotiff";
+import type { ShadeBBox } from "./shade";
+
+function pixelSize(bbox: ShadeBBox, gridN: number): [number, number] {
+  const n = Math.max(1, gridN - 1);
+  return [(bbox.east - bbox.west) / n, (bbox.north - bbox.south) / n];
+}
+
+// Grid rows run south -> north; image rows run north -> south.
+function flipRows<T>(values: ArrayLike<T>, gridN: number): T[] {
+  const out: T[] = new Array(values.length);
+  for (let j = 0; j < gridN; j++) {
+    const src = (gridN - 1 - j) * gridN;
+    for (let i = 0; i < gridN; i++) out[j * gridN + i] = values[src + i];
+  }
+  return out;
+}
+
+// Single-band 8-bit GeoTIFF (geotiff.js only writes 8-bit samples); values are rounded and clamped to 0..255.
+export function gridToGeoTiff(values: number[], gridN: number, bbox: ShadeBBox): ArrayBuffer {
+  const [dx, dy] = pixelSize(bbox, gridN);
+  const bytes = flipRows(values, gridN).map((v) => (Number.isFinite(v) ? Math.max(0, Math.min(255, Math.round(v))) : 0));
+  return writeArrayBuffer(bytes, {
+    width: gridN,
+    height: gridN,
+    ModelPixelScale: [dx, dy, 0],
+    ModelTiepoint: [0, 0, 0, bbox.west - dx / 2, bbox.north + dy / 2, 0],
+    GeographicTypeGeoKey: 4326,
+    GeogCitationGeoKey: "WGS 84",
+    GTModelTypeGeoKey: 2,
+    GTRasterTypeGeoKey: 1,
+  }) as ArrayBuffer;
+}
+
+// Shade (deep blue) -> full sun (yellow) ramp.
+const RAMP: [number, number, number][] = [
+  [33, 49, 140],
+  [34, 94, 168],
+  [29, 145, 192],
+  [65, 182, 196],
+  [127, 205, 187],
+  [199, 233, 180],
+  [255, 237, 160],
+  [254, 217, 118],
+  [254, 178, 76],
+];
+
+export function rampColor(t: number): [number, number, number] {
+  const x = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0)) * (RAMP.length - 1);
+  const k = Math.min(RAMP.length - 2, Math.floor(x));
+  const f = x - k;
+  const a = RAMP[k];
+  const b = RAMP[k + 1];
+  return [
+    Math.round(a[0] + (b[0] - a[0]) * f),
+    Math.round(a[1] + (b[1] - a[1]) * f),
+    Math.round(a[2] + (b[2] - a[2]) * f),
+  ];
+}
+
+// RGBA PNG colored with the sun ramp, values normalized by [min, max].
+export function gridToPng(values: number[], gridN: number, min: number, max: number): Buffer {
+  // eslint-disable-next-line @typescript-eslint/no-require-imports
+  const { PNG } = require("pngjs");
+  const png = new PNG({ width: gridN, height: gridN });
+  const rows = flipRows(values, gridN);
+  const span = max > min ? max - min : 1;
+  for (let k = 0; k < rows.length; k++) {
+    const [r, g, b] = rampColor((rows[k] - min) / span);
+    png.data[k * 4] = r;
+    png.data[k * 4 + 1] = g;
+    png.data[k * 4 + 2] = b;
+    png.data[k * 4 + 3] = 255;
+  }
+  return PNG.sync.write(png) as Buffer;
+}
@@ -0,0 +1,81 @@
+// Static R-tree over bounding boxes, bulk-loaded once with Sort-Tile-Recursive packing. Suited to
+// boundary sets (tracts, places) that are loaded at startup and only queried afterwards.
+
+export type RBox = [number, number, number, number]; // [minX, minY, maxX, maxY]
+
+interface RNode {
+  box: RBox;
+  // Leaf entries hold item indices; inner nodes hold child nodes.
+  children: RNode[] | null;
+  items: number[] | null;
+}
+
+export interface RTree<T> {
+  size: number;
+  search: (box: RBox) => T[];
+}
+
+const intersects = (a: RBox, b: RBox) => a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+
+function unionBox(boxes: RBox[]): RBox {
+  const out: RBox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const b of boxes) {
+    if (b[0] < out[0]) out[0] = b[0];
+    if (b[1] < out[1]) out[1] = b[1];
+    if (b[2] > out[2]) out[2] = b[2];
+    if (b[3] > out[3]) out[3] = b[3];
+  }
+  return out;
+}
+
+// Groups entries into nodes of at most `nodeSize`: slices by center x, then runs by center y.
+function pack<E>(entries: E[], boxOf: (e: E) => RBox, nodeSize: number): E[][] {
+  const cx = (e: E) => boxOf(e)[0] + boxOf(e)[2];
+  const cy = (e: E) => boxOf(e)[1] + boxOf(e)[3];
+  const nodeCount = Math.ceil(entries.length / nodeSize);
+  const sliceSize = nodeSize * Math.ceil(Math.sqrt(nodeCount));
+  const sorted = [...entries].sort((a, b) => cx(a) - cx(b));
+  const groups: E[][] = [];
+  for (let i = 0; i < sorted.length; i += sliceSize) {
+    const slice = sorted.slice(i, i + sliceSize).sort((a, b) => cy(a) - cy(b));
+    for (let j = 0; j < slice.length; j += nodeSize) groups.push(slice.slice(j, j + nodeSize));
+  }
+  return groups;
+}
+
+export function buildRTree<T>(items: T[], boxOf: (item: T) => RBox | null, nodeSize = 16): RTree<T> {
+  const boxes = items.map(boxOf);
+  const indices = boxes.flatMap((b, i) => (b ? [i] : []));
+
+  let level: RNode[] = pack(indices, (i) => boxes[i]!, nodeSize).map((group) => ({
+    box: unionBox(group.map((i) => boxes[i]!)),
+    children: null,
+    items: group,
+  }));
+  while (level.length > 1) {
+    level = pack(level, (n) => n.box, nodeSize).map((group) => ({
+      box: unionBox(group.map((n) => n.box)),
+      children: group,
+      items: null,
+    }));
+  }
+  const root = level[0];
+
+  const search = (box: RBox): T[] => {
+    const out: T[] = [];
+    if (!root) return out;
+    const stack = [root];
+    while (stack.length) {
+      const node = stack.pop()!;
+      if (!intersects(node.box, box)) continue;
+      if (node.items) {
+        for (const i of node.items) if (intersects(boxes[i]!, box)) out.push(items[i]);
+      } else {
+        stack.push(...node.children!);
+      }
+    }
+    return out;
+  };
+
+  return { size: indices.length, search };
+}
@@ -0,0 +1,156 @@
+// Coordinate system of an exported scene: a projected CRS (options.crs) in the output unit, shifted
+// so the base point is (0, 0). The base point is kept (metadata, .prj false easting/northing) so
+// CAD and GIS users can move the model back to true CRS coordinates.
+import proj4 from "proj4";
+import { METERS_PER_UNIT, type SceneBasePoint, type SceneCrsKind, type SceneUnits } from "./options";
+
+export function utmFromLonLat(lon: number, lat: number) {
+  const zone = Math.floor((lon + 180) / 6) + 1;
+  const isNorth = lat >= 0;
+  const epsg = isNorth ? 32600 + zone : 32700 + zone;
+  const def = `+proj=utm +zone=${zone} ${isNorth ? "+north" : "+south"} +datum=WGS84 +units=m +no_defs`;
+  return { epsg, def, zone, isNorth };
+}
+
+export interface SceneCrs {
+  name: string;
+  // null for the local ENU plane.
+  epsg: number | null;
+  // Projection in meters, base point not applied.
+  proj4: string;
+  units: SceneUnits;
+  // Scene (0, 0) in lon/lat and in projected meters.
+  origin: { lon: number; lat: number; easting: number; northing: number };
+  horizontalScaleY: number;
+  toScene: (lon: number, lat: number) => [number, number];
+  toLonLat: (x: number, y: number) => [number, number];
+  // Meters (heights, widths) -> scene units.
+  fromMeters: (m: number) => number;
+  // ESRI WKT for a .prj sidecar, in the output unit and with the base point folded into the false
+  // easting/northing, so scene coordinates are georeferenced as they are.
+  wkt: string;
+}
+
+const WGS84_GEOGCS =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+const NAD83_GEOGCS =
+  'GEOGCS["GCS_North_American_1983",DATUM["D_North_American_1983",SPHEROID["GRS_1980",6378137.0,298.257222101]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const WKT_UNITS: Record<SceneUnits, string> = {
+  m: 'UNIT["Meter",1.0]',
+  ft: 'UNIT["Foot",0.3048]',
+  usft: 'UNIT["Foot_US",0.3048006096012192]',
+};
+
+interface Projection {
+  name: string;
+  epsg: number | null;
+  proj4: string;
+  // WKT pieces; false easting/northing in meters.
+  wktName: string;
+  geogcs: string;
+  method: string;
+  params: [string, number][];
+  falseEasting: number;
+  falseNorthing: number;
+}
+
+function projection(kind: SceneCrsKind, lon0: number, lat0: number): Projection {
+  if (kind === "ca-spcs5") {
+    // NAD83 is taken as WGS84 (differences under ~1.5 m), as proj4 does without a grid shift.
+    return {
+      name: "NAD83 / California zone 5 (ftUS)",
+      epsg: 2229,
+      proj4:
+        "+proj=lcc +lat_0=33.5 +lon_0=-118 +lat_1=35.4666666666667 +lat_2=34.0333333333333 +x_0=2000000.0001016 +y_0=500000.0001016 +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs",
+      wktName: "NAD_1983_StatePlane_California_V_FIPS_0405_Feet",
+      geogcs: NAD83_GEOGCS,
+      method: "Lambert_Conformal_Conic",
+      params: [
+        ["Central_Meridian", -118],
+        ["Standard_Parallel_1", 34.0333333333333],
+        ["Standard_Parallel_2", 35.4666666666667],
+        ["Latitude_Of_Origin", 33.5],
+      ],
+      falseEasting: 2000000.0001016,
+      falseNorthing: 500000.0001016,
+    };
+  }
+  if (kind === "enu") {
+    // Azimuthal equidistant at the AOI center: within a few km it matches a tangent east-north
+    // plane to millimeters. Heights stay elevations (no earth-curvature drop).
+    return {
+      name: `Local ENU at ${lat0.toFixed(6)}, ${lon0.toFixed(6)}`,
+      epsg: null,
+      proj4: `+proj=aeqd +lat_0=${lat0} +lon_0=${lon0} +x_0=0 +y_0=0 +datum=WGS84 +units=m +no_defs`,
+      wktName: "Local_ENU",
+      geogcs: WGS84_GEOGCS,
+      method: "Azimuthal_Equidistant",
+      params: [
+        ["Central_Meridian", lon0],
+        ["Latitude_Of_Origin", lat0],
+      ],
+      falseEasting: 0,
+      falseNorthing: 0,
+    };
+  }
+  const utm = kind === "utm11n" ? utmFromLonLat(-117, 1) : utmFromLonLat(lon0, lat0);
+  return {
+    name: `WGS 84 / UTM zone ${utm.zone}${utm.isNorth ? "N" : "S"}`,
+    epsg: utm.epsg,
+    proj4: utm.def,
+    wktName: `WGS_1984_UTM_Zone_${utm.zone}${utm.isNorth ? "N" : "S"}`,
+    geogcs: WGS84_GEOGCS,
+    method: "Transverse_Mercator",
+    params: [
+      ["Central_Meridian", utm.zone * 6 - 183],
+      ["Scale_Factor", 0.9996],
+      ["Latitude_Of_Origin", 0],
+    ],
+    falseEasting: 500000,
+    falseNorthing: utm.isNorth ? 0 : 10000000,
+  };
+}
+
+// `lon0`/`lat0` is the AOI center: the base point for basePoint "center" and the tangent point of
+// the ENU plane.
+export function sceneCrs(
+  kind: SceneCrsKind,
+  lon0: number,
+  lat0: number,
+  units: SceneUnits,
+  basePoint: SceneBasePoint = "center",
+  horizontalScaleY = 1
+): SceneCrs {
+  const p = projection(kind, lon0, lat0);
+  const proj = proj4("WGS84", p.proj4);
+  const [easting, northing] = basePoint === "center" ? proj.forward([lon0, lat0]) : [0, 0];
+  const [lon, lat] = basePoint === "center" ? [lon0, lat0] : proj.inverse([0, 0]);
+  const k = 1 / METERS_PER_UNIT[units];
+  const wktParams: [string, number][] = [
+    ["False_Easting", (p.falseEasting - easting) * k],
+    ["False_Northing", (p.falseNorthing - northing) * k],
+    ...p.params,
+  ];
+  return {
+    name: p.name,
+    epsg: p.epsg,
+    proj4: p.proj4,
+    units,
+    origin: { lon, lat, easting, northing },
+    horizontalScaleY,
+    toScene: (lon, lat) => {
+      const [x, y] = proj.forward([lon, lat]);
+      return [(x - easting) * k, (y - northing) * horizontalScaleY * k];
+    },
+    toLonLat: (x, y) => {
+      const [lon, lat] = proj.inverse([x / k + easting, y / (horizontalScaleY * k) + northing]);
+      return [lon, lat];
+    },
+    fromMeters: (m) => m * k,
+    wkt:
+      `PROJCS["${p.wktName}",${p.geogcs},PROJECTION["${p.method}"],` +
+      wktParams.map(([name, v]) => `PARAMETER["${name}",${v}]`).join(",") +
+      `,${WKT_UNITS[units]}]`,
+  };
+}
@@ -0,0 +1,130 @@
+// Triangle/quad meshes for scene elements, shared by the mesh-based writers so every format
+// tessellates buildings, terrain, ribbons and trees the same way. Faces are counter-clockwise seen
+// from outside.
+import earcut from "earcut";
+import { unitTreeMesh } from "../osm/trees";
+import type { SceneArea, SceneBuilding, SceneLine, SceneTerrain, SceneTree, Vec2, Vec3 } from "./scene";
+
+export interface SceneMesh {
+  vertices: Vec3[];
+  // Triangles and planar quads as vertex indices.
+  faces: number[][];
+}
+
+// Earcut over [outer, ...holes]; indices refer to the rings' vertices in order.
+function triangulate(rings: (Vec2 | Vec3)[][]): number[] {
+  const flat: number[] = [];
+  const holes: number[] = [];
+  rings.forEach((ring, r) => {
+    if (r > 0) holes.push(flat.length / 2);
+    for (const p of ring) flat.push(p[0], p[1]);
+  });
+  return earcut(flat, holes.length ? holes : undefined);
+}
+
+// Extruded footprint: roof and floor caps plus one quad per wall segment.
+export function buildingMesh(b: SceneBuilding): SceneMesh {
+  const vertices: Vec3[] = [];
+  const faces: number[][] = [];
+  for (const rings of b.polygons) {
+    const start = vertices.length;
+    const count = rings.reduce((acc, r) => acc + r.length, 0);
+    for (const ring of rings) for (const [x, y] of ring) vertices.push([x, y, b.baseZ]);
+    for (const ring of rings) for (const [x, y] of ring) vertices.push([x, y, b.topZ]);
+    const tris = triangulate(rings);
+    for (let i = 0; i < tris.length; i += 3) {
+      const [a, c, d] = [tris[i], tris[i + 1], tris[i + 2]];
+      faces.push([start + count + a, start + count + c, start + count + d]);
+      faces.push([start + a, start + d, start + c]);
+    }
+    let offset = start;
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const a = offset + i;
+        const c = offset + ((i + 1) % ring.length);
+        faces.push([a, c, c + count, a + count]);
+      }
+      offset += ring.length;
+    }
+  }
+  return { vertices, faces };
+}
+
+export function terrainMesh(t: SceneTerrain): SceneMesh {
+  const faces: number[][] = [];
+  const row = t.gridN + 1;
+  for (let j = 0; j < t.gridN; j++) {
+    for (let i = 0; i < t.gridN; i++) {
+      const v00 = j * row + i;
+      faces.push([v00, v00 + 1, v00 + row + 1, v00 + row]);
+    }
+  }
+  return { vertices: t.vertices, faces };
+}
+
+// Flat strip of the line's width following its vertices (and their z); one quad per segment.
+export function ribbonMesh(line: SceneLine): SceneMesh {
+  const vertices: Vec3[] = [];
+  const faces: number[][] = [];
+  const half = line.width / 2;
+  for (const part of line.parts) {
+    for (let i = 0; i + 1 < part.length; i++) {
+      const [ax, ay, az] = part[i];
+      const [bx, by, bz] = part[i + 1];
+      const len = Math.hypot(bx - ax, by - ay);
+      if (!len) continue;
+      const nx = (-(by - ay) / len) * half;
+      const ny = ((bx - ax) / len) * half;
+      const k = vertices.length;
+      vertices.push([ax - nx, ay - ny, az], [bx - nx, by - ny, bz], [bx + nx, by + ny, bz], [ax + nx, ay + ny, az]);
+      faces.push([k, k + 1, k + 2, k + 3]);
+    }
+  }
+  return { vertices, faces };
+}
+
+// Polygon draped on the terrain (each vertex keeps its own z), facing up.
+export function areaMesh(area: SceneArea): SceneMesh {
+  const vertices: Vec3[] = [];
+  const faces: number[][] = [];
+  for (const rings of area.polygons) {
+    const start = vertices.length;
+    for (const ring of rings) vertices.push(...ring);
+    const tris = triangulate(rings);
+    for (let i = 0; i < tris.length; i += 3) faces.push([start + tris[i], start + tris[i + 1], start + tris[i + 2]]);
+  }
+  return { vertices, faces };
+}
+
+let unitTree: SceneMesh | null = null;
+
+// The unit tree (lib/osm/trees.ts) scaled to crown diameter and height and moved to the tree.
+export function treeMesh(t: SceneTree): SceneMesh {
+  unitTree ??= unitTreeMesh();
+  const [x0, y0, z0] = t.position;
+  return {
+    vertices: unitTree.vertices.map(([x, y, z]) => [x0 + x * t.crownDiameter, y0 + y * t.crownDiameter, z0 + z * t.height]),
+    faces: unitTree.faces,
+  };
+}
+
+export function mergeMeshes(meshes: SceneMesh[]): SceneMesh {
+  const vertices: Vec3[] = [];
+  const faces: number[][] = [];
+  for (const m of meshes) {
+    const offset = vertices.length;
+    for (const v of m.vertices) vertices.push(v);
+    for (const f of m.faces) faces.push(f.map((k) => k + offset));
+  }
+  return { vertices, faces };
+}
+
+// Quads split into two triangles, for formats that only take triangles.
+export function triangleIndices(mesh: SceneMesh): number[] {
+  const out: number[] = [];
+  for (const f of mesh.faces) {
+    out.push(f[0], f[1], f[2]);
+    if (f.length === 4) out.push(f[0], f[2], f[3]);
+  }
+  return out;
+}
@@ -0,0 +1,151 @@
+// Options shared by every export format, validated in one place. Each option is read from the
+// request (JSON body or query string, same name), then from its environment variable, then from
+// the route's default. Lengths are in meters regardless of the output unit.
+import { osmOfflineMode } from "../osm/overpass";
+
+export type SceneUnits = "m" | "ft" | "usft";
+
+export const METERS_PER_UNIT: Record<SceneUnits, number> = { m: 1, ft: 0.3048, usft: 1200 / 3937 };
+
+export const UNIT_LABELS: Record<SceneUnits, string> = { m: "meters", ft: "feet", usft: "US survey feet" };
+
+// Target CRS: UTM zone of the AOI, UTM 11N whatever the AOI, NAD83 / California zone 5 (EPSG:2229)
+// or a local east-north-up plane at the AOI center.
+export type SceneCrsKind = "utm" | "utm11n" | "ca-spcs5" | "enu";
+
+// Scene (0, 0): the AOI center (coordinates stay small) or the CRS's own origin (true CRS
+// coordinates, e.g. State Plane feet that overlay city CAD base maps).
+export type SceneBasePoint = "center" | "crs";
+
+export type SceneLayer = "buildings" | "terrain" | "roads" | "parks" | "water" | "trees";
+
+export const SCENE_LAYERS: SceneLayer[] = ["buildings", "terrain", "roads", "parks", "water", "trees"];
+
+export interface SceneOptions {
+  crs: SceneCrsKind;
+  basePoint: SceneBasePoint;
+  units: SceneUnits;
+  layers: SceneLayer[];
+  // Vertical exaggeration of the terrain (buildings keep their real heights on top of it).
+  terrainExaggeration: number;
+  // DEM elevations above this many meters are clamped; Infinity = no clamp.
+  terrainMaxHeight: number;
+  // Terrain mesh cells per bbox side.
+  terrainGrid: number;
+  // Added to building bases, meters.
+  buildingsZOffset: number;
+  // Gap between terrain and building bases, roads, areas and trees, meters.
+  clearance: number;
+  // Stretch of the local y axis (1 = true scale).
+  horizontalScaleY: number;
+  maxTrees: number;
+  offline: boolean;
+}
+
+export type SceneOptionsResult = { ok: true; options: SceneOptions } | { ok: false; error: string; detail: string };
+
+type NumberOption = Exclude<keyof SceneOptions, "crs" | "basePoint" | "units" | "layers" | "offline">;
+
+const NUMBER_OPTIONS: Record<NumberOption, { env: string; fallback: number; check: (v: number) => string | null }> = {
+  terrainExaggeration: { env: "TERRAIN_Z_EXAGGERATION", fallback: 1, check: (v) => (v > 0 ? null : "must be > 0") },
+  terrainMaxHeight: { env: "TERRAIN_MAX_HEIGHT", fallback: Infinity, check: (v) => (v > 0 ? null : "must be > 0") },
+  terrainGrid: {
+    env: "TERRAIN_GRID_N",
+    fallback: 100,
+    check: (v) => (Number.isInteger(v) && v >= 1 && v <= 400 ? null : "must be an integer from 1 to 400"),
+  },
+  buildingsZOffset: { env: "BUILDINGS_Z_OFFSET", fallback: 0, check: () => null },
+  clearance: { env: "EXPORT_CLEARANCE_M", fallback: 0.15, check: (v) => (v >= 0 ? null : "must be >= 0") },
+  horizontalScaleY: { env: "HORIZONTAL_SCALE_Y", fallback: 1, check: (v) => (v !== 0 ? null : "must not be 0") },
+  maxTrees: {
+    env: "EXPORT_MAX_TREES",
+    fallback: 20000,
+    check: (v) => (Number.isInteger(v) && v >= 0 ? null : "must be a non-negative integer"),
+  },
+};
+
+const UNIT_NAMES: Record<string, SceneUnits> = {
+  m: "m",
+  meter: "m",
+  meters: "m",
+  ft: "ft",
+  foot: "ft",
+  feet: "ft",
+  usft: "usft",
+  "us-ft": "usft",
+  ftus: "usft",
+};
+
+const CRS_NAMES: Record<string, SceneCrsKind> = {
+  utm: "utm",
+  utm11n: "utm11n",
+  "epsg:32611": "utm11n",
+  "ca-spcs5": "ca-spcs5",
+  stateplane: "ca-spcs5",
+  "epsg:2229": "ca-spcs5",
+  enu: "enu",
+  local: "enu",
+};
+
+const BASE_POINTS: SceneBasePoint[] = ["center", "crs"];
+
+
+const present = (v: unknown) => v !== undefined && v !== null && v !== "";
+
+// `input` is the request body or the query parameters as a plain object; `defaults` are the
+// route's own (e.g. units: "ft" for CAD formats).
+export function parseSceneOptions(
+  input: Record<string, unknown> | null | undefined,
+  defaults: Partial<SceneOptions> = {}
+): SceneOptionsResult {
+  const src = input ?? {};
+  const bad = (detail: string): SceneOptionsResult => ({ ok: false, error: "bad_option", detail });
+
+  const numbers = {} as Record<NumberOption, number>;
+  for (const [key, spec] of Object.entries(NUMBER_OPTIONS) as [NumberOption, (typeof NUMBER_OPTIONS)[NumberOption]][]) {
+    const fromEnv = process.env[spec.env];
+    const [raw, origin] = present(src[key]) ? [src[key], key] : present(fromEnv) ? [fromEnv, spec.env] : [undefined, key];
+    if (raw === undefined) {
+      numbers[key] = defaults[key] ?? spec.fallback;
+      continue;
+    }
+    const v = Number(raw);
+    const problem = Number.isFinite(v) ? spec.check(v) : "must be a number";
+    if (problem) return bad(`${origin} ${problem}`);
+    numbers[key] = v;
+  }
+
+  let crs: SceneCrsKind = defaults.crs ?? "utm";
+  const crsRaw = present(src.crs) ? [src.crs, "crs"] : present(process.env.EXPORT_CRS) ? [process.env.EXPORT_CRS, "EXPORT_CRS"] : null;
+  if (crsRaw) {
+    const c = CRS_NAMES[String(crsRaw[0]).trim().toLowerCase()];
+    if (!c) return bad(`${crsRaw[1]} must be one of ${Object.keys(CRS_NAMES).join(", ")}`);
+    crs = c;
+  }
+
+  let basePoint: SceneBasePoint = defaults.basePoint ?? "center";
+  const baseRaw = present(src.basePoint) ? src.basePoint : process.env.EXPORT_BASE_POINT;
+  if (present(baseRaw)) {
+    const b = String(baseRaw).trim().toLowerCase() as SceneBasePoint;
+    if (!BASE_POINTS.includes(b)) return bad(`basePoint must be one of ${BASE_POINTS.join(", ")}`);
+    basePoint = b;
+  }
+
+  // State Plane is published in US survey feet, so that is its default unit.
+  let units: SceneUnits = crs === "ca-spcs5" ? "usft" : (defaults.units ?? "m");
+  if (present(src.units)) {
+    const u = UNIT_NAMES[String(src.units).trim().toLowerCase()];
+    if (!u) return bad(`units must be one of ${Object.keys(METERS_PER_UNIT).join(", ")}`);
+    units = u;
+  }
+
+  let layers = defaults.layers ?? SCENE_LAYERS;
+  if (present(src.layers)) {
+    const list = (Array.isArray(src.layers) ? src.layers : String(src.layers).split(",")).map((s) => String(s).trim());
+    const unknown = list.filter((l) => !SCENE_LAYERS.includes(l as SceneLayer));
+    if (unknown.length) return bad(`unknown layers ${unknown.join(", ")}; expected ${SCENE_LAYERS.join(", ")}`);
+    layers = SCENE_LAYERS.filter((l) => list.includes(l));
+  }
+
+  return { ok: true, options: { ...numbers, crs, basePoint, units, layers, offline: osmOfflineMode(src.offline) } };
+}
@@ -0,0 +1,51 @@
+// HTTP responses shared by the export routes. With `bundle` the model is zipped together with a
+// .prj (the scene CRS as ESRI WKT, base point included) and metadata.json instead of sent alone.
+import JSZip from "jszip";
+import { osmSourceHeaders } from "../osm/sources";
+import { sceneErrorStatus, sceneMetadata, type Scene } from "./scene";
+
+// Boolean request option: true, 1, "1" or "true".
+export function flagOption(v: unknown): boolean {
+  return v === true || v === 1 || v === "1" || v === "true";
+}
+
+export function sceneErrorResponse(result: { error: string; detail: string }): Response {
+  return new Response(JSON.stringify({ error: result.error, detail: result.detail }), {
+    status: sceneErrorStatus(result.error),
+  });
+}
+
+export interface SceneFile {
+  // File name without extension, e.g. "export".
+  name: string;
+  // Extension with the dot, e.g. ".dxf".
+  ext: string;
+  contentType: string;
+  // Format name for metadata.json.
+  format: string;
+  data: Uint8Array | string;
+}
+
+export async function sceneFileResponse(scene: Scene, file: SceneFile, bundle: boolean): Promise<Response> {
+  if (!bundle) {
+    return new Response(typeof file.data === "string" ? file.data : Buffer.from(file.data), {
+      headers: {
+        "Content-Type": file.contentType,
+        "Content-Disposition": `attachment; filename=${file.name}${file.ext}`,
+        ...osmSourceHeaders(scene.osm),
+      },
+    });
+  }
+  const zip = new JSZip();
+  zip.file(`${file.name}${file.ext}`, file.data);
+  zip.file(`${file.name}.prj`, scene.crs.wkt);
+  zip.file("metadata.json", JSON.stringify({ ...sceneMetadata(scene), format: file.format }, null, 2));
+  const content = await zip.generateAsync({ type: "uint8array" });
+  return new Response(Buffer.from(content), {
+    headers: {
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename=${file.name}.zip`,
+      ...osmSourceHeaders(scene.osm),
+    },
+  });
+}
@@ -0,0 +1,372 @@
+// Format-neutral city model of a study area, built once and handed to every export writer
+// (lib/scene/writers) so DXF, 3DM, OBJ, ... carry identical geometry. Coordinates are in the scene
+// CRS (lib/scene/crs.ts) and unit; z is terrain elevation (USGS 3DEP, exaggerated per options) plus
+// building heights from OSM tags.
+import { fetchDemForBbox, demSampler } from "../dem";
+import { buildingHeightInfo, parseLengthTag, type BuildingHeight } from "../osm/buildings";
+import { clipFeaturesToBoundary } from "../osm/clip";
+import { OSM_LAYERS, type OsmLayer, type OsmTags } from "../osm/layers";
+import type { BBox } from "../osm/overpass";
+import { fetchOsmFeatures, type OsmFeaturesResult, type OsmSourceMeta } from "../osm/sources";
+import { treeInstancesFromFeatures, type TreeKind } from "../osm/trees";
+import { parseBoundaryParam, resolveStudyArea, type StudyArea } from "../studyArea";
+import { sceneCrs, type SceneCrs } from "./crs";
+import { parseSceneOptions, UNIT_LABELS, type SceneOptions } from "./options";
+
+export type Vec2 = [number, number];
+export type Vec3 = [number, number, number];
+
+export interface SceneBuilding {
+  id: string;
+  tags: OsmTags;
+  // One entry per polygon: open outer ring (counter-clockwise) then holes (clockwise), in scene x/y.
+  polygons: Vec2[][][];
+  baseZ: number;
+  topZ: number;
+  // Tag-derived heights in meters, before unit conversion.
+  height: BuildingHeight;
+}
+
+export interface SceneLine {
+  id: string;
+  tags: OsmTags;
+  // highway=* or waterway=* value.
+  kind: string;
+  name: string | null;
+  // Ribbon width in scene units.
+  width: number;
+  parts: Vec3[][];
+}
+
+export interface SceneArea {
+  id: string;
+  tags: OsmTags;
+  // Open rings draped on the terrain; outer counter-clockwise, holes clockwise.
+  polygons: Vec3[][][];
+}
+
+export interface SceneTree {
+  id: string;
+  kind: TreeKind;
+  position: Vec3;
+  // Scene units.
+  height: number;
+  crownDiameter: number;
+  leafType: string | null;
+  estimated: boolean;
+}
+
+export interface SceneTerrain {
+  source: "usgs-3dep" | "flat";
+  // Cells per side; vertices are (gridN + 1)^2, row-major, rows south -> north, columns west -> east.
+  gridN: number;
+  vertices: Vec3[];
+  minZ: number;
+  maxZ: number;
+}
+
+export interface Scene {
+  area: StudyArea;
+  crs: SceneCrs;
+  options: SceneOptions;
+  buildings: SceneBuilding[];
+  roads: SceneLine[];
+  waterways: SceneLine[];
+  parks: SceneArea[];
+  water: SceneArea[];
+  trees: SceneTree[];
+  treesTruncated: boolean;
+  terrain: SceneTerrain | null;
+  // Ground elevation at the AOI center, scene units; 0 without a DEM.
+  centerGroundZ: number;
+  osm: OsmSourceMeta;
+}
+
+export type SceneResult = { ok: true; scene: Scene } | { ok: false; error: string; detail: string };
+
+// HTTP status for a failed SceneResult: bad input is 400, an unknown boundary 404, data sources 502.
+export function sceneErrorStatus(error: string): number {
+  if (error === "boundary_not_found") return 404;
+  if (error === "bad_option" || error === "bad_boundary" || error === "bbox_required" || error === "aoi_too_large") return 400;
+  return 502;
+}
+
+// Typical carriageway widths (m) when a way has no width tag.
+const ROAD_WIDTHS: Record<string, number> = {
+  motorway: 14,
+  trunk: 12,
+  primary: 10,
+  secondary: 9,
+  tertiary: 8,
+  residential: 6,
+  unclassified: 6,
+  living_street: 5,
+  service: 4,
+  track: 3,
+  cycleway: 2,
+  footway: 2,
+  path: 1.5,
+  steps: 2,
+  bridleway: 2,
+};
+
+export function roadWidthMeters(tags: OsmTags): number {
+  const w = parseLengthTag(tags.width);
+  if (w !== undefined && w > 0 && w < 100) return w;
+  const kind = String(tags.highway ?? "").replace(/_link$/, "");
+  return ROAD_WIDTHS[kind] ?? 5;
+}
+
+const isBuildingTags = (t: OsmTags) => !!t.building || !!t["building:part"];
+const isWaterAreaTags = (t: OsmTags) => t.natural === "water" || !!t.waterway;
+
+function signedArea(ring: (Vec2 | Vec3)[]): number {
+  let a = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) a += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  return a / 2;
+}
+
+// Drops the closing vertex and orients the ring (outer CCW, holes CW).
+function orientRing<T extends Vec2 | Vec3>(ring: T[], outer: boolean): T[] {
+  const open = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1] ? ring.slice(0, -1) : ring.slice();
+  return signedArea(open) > 0 === outer ? open : open.reverse();
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+function polygonsOf(geometry: any): number[][][][] {
+  if (geometry?.type === "Polygon") return [geometry.coordinates];
+  if (geometry?.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+function linesOf(geometry: any): number[][][] {
+  if (geometry?.type === "LineString") return [geometry.coordinates];
+  if (geometry?.type === "MultiLineString") return geometry.coordinates;
+  return [];
+}
+
+const OSM_FETCH_LAYERS: Record<Exclude<SceneOptions["layers"][number], "terrain">, OsmLayer> = {
+  buildings: "buildings",
+  roads: "highways",
+  parks: "parks",
+  water: "water",
+  trees: "trees",
+};
+
+export async function buildScene(area: StudyArea, options: SceneOptions): Promise<SceneResult> {
+  const { bbox, boundary } = area;
+  const [w, s, e, n] = bbox;
+  const crs = sceneCrs(options.crs, (w + e) / 2, (s + n) / 2, options.units, options.basePoint, options.horizontalScaleY);
+  const has = (l: SceneOptions["layers"][number]) => options.layers.includes(l);
+
+  const osmLayers = options.layers.flatMap((l) => (l === "terrain" ? [] : [OSM_FETCH_LAYERS[l]]));
+  const osm: OsmFeaturesResult = osmLayers.length
+    ? await fetchOsmFeatures(bbox, osmLayers, {
+        offline: options.offline,
+        polygonFeatures: { building: true, landuse: true, leisure: true, natural: true, waterway: true },
+      })
+    : { ok: true, geojson: { type: "FeatureCollection", features: [] }, meta: { source: "overpass" } };
+  if (!osm.ok) return { ok: false, error: osm.error, detail: osm.detail };
+  const gj = boundary ? clipFeaturesToBoundary(osm.geojson, boundary) : osm.geojson;
+
+  // Ground elevation in scene units; flat at 0 without a DEM (or offline, which also skips USGS).
+  const dem = options.offline ? null : await loadDem(bbox);
+  const groundAt = groundSampler(dem, bbox, options, crs);
+
+  const terrain = has("terrain") ? terrainGrid(bbox, options.terrainGrid, dem ? "usgs-3dep" : "flat", groundAt, crs) : null;
+  const clearance = crs.fromMeters(options.clearance);
+  const drape = (lon: number, lat: number): Vec3 => [...crs.toScene(lon, lat), groundAt(lon, lat) + clearance];
+
+  const buildings: SceneBuilding[] = [];
+  const roads: SceneLine[] = [];
+  const waterways: SceneLine[] = [];
+  const parks: SceneArea[] = [];
+  const water: SceneArea[] = [];
+
+  (gj.features || []).forEach((f, k) => {
+    const tags: OsmTags = f?.properties || {};
+    if (!f?.geometry) return;
+    const id = String(f.id ?? tags.id ?? `feature/${k}`);
+    const polys = polygonsOf(f.geometry);
+    const lines = linesOf(f.geometry);
+
+    if (has("buildings") && polys.length && isBuildingTags(tags)) {
+      const height = buildingHeightInfo(tags);
+      const polygons = polys
+        .map((poly) => poly.map((ring, r) => orientRing(ring.map(([lon, lat]) => crs.toScene(lon, lat)), r === 0)))
+        .filter((poly) => poly[0]?.length >= 3);
+      if (!polygons.length) return;
+      // The whole footprint sits on its lowest point so no wall floats above the terrain.
+      let ground = Infinity;
+      for (const poly of polys) for (const [lon, lat] of poly[0] ?? []) ground = Math.min(ground, groundAt(lon, lat));
+      if (!Number.isFinite(ground)) ground = 0;
+      const base = ground + clearance + crs.fromMeters(options.buildingsZOffset);
+      const minHeight = height.minHeight < height.height ? height.minHeight : 0;
+      buildings.push({ id, tags, polygons, baseZ: base + crs.fromMeters(minHeight), topZ: base + crs.fromMeters(height.height), height });
+      return;
+    }
+
+    if (has("roads") && lines.length && tags.highway) {
+      const parts = lines.filter((l) => l.length >= 2).map((l) => l.map(([lon, lat]) => drape(lon, lat)));
+      if (parts.length) {
+        roads.push({ id, tags, kind: String(tags.highway), name: tags.name ? String(tags.name) : null, width: crs.fromMeters(roadWidthMeters(tags)), parts });
+      }
+      return;
+    }
+
+    if (has("water") && lines.length && tags.waterway) {
+      const parts = lines.filter((l) => l.length >= 2).map((l) => l.map(([lon, lat]) => drape(lon, lat)));
+      const width = parseLengthTag(tags.width) ?? (tags.waterway === "river" ? 20 : tags.waterway === "canal" ? 10 : 3);
+      if (parts.length) {
+        waterways.push({ id, tags, kind: String(tags.waterway), name: tags.name ? String(tags.name) : null, width: crs.fromMeters(width), parts });
+      }
+      return;
+    }
+
+    if (!polys.length) return;
+    const areaPolygons = () =>
+      polys
+        .map((poly) => poly.map((ring, r) => orientRing(ring.map(([lon, lat]) => drape(lon, lat)), r === 0)))
+        .filter((poly) => poly[0]?.length >= 3);
+    if (has("water") && isWaterAreaTags(tags)) water.push({ id, tags, polygons: areaPolygons() });
+    else if (has("parks") && OSM_LAYERS.parks.match(tags)) parks.push({ id, tags, polygons: areaPolygons() });
+  });
+
+  const treeSet = has("trees") ? treeInstancesFromFeatures(gj.features || [], { maxTrees: options.maxTrees }) : { trees: [], truncated: false };
+  const trees: SceneTree[] = treeSet.trees.map((t) => ({
+    id: t.id,
+    kind: t.kind,
+    position: drape(t.lon, t.lat),
+    height: crs.fromMeters(t.height),
+    crownDiameter: crs.fromMeters(t.crownDiameter),
+    leafType: t.leafType,
+    estimated: t.estimated,
+  }));
+
+  return {
+    ok: true,
+    scene: {
+      area,
+      crs,
+      options,
+      buildings,
+      roads,
+      waterways,
+      parks,
+      water,
+      trees,
+      treesTruncated: treeSet.truncated,
+      terrain,
+      centerGroundZ: groundAt((w + e) / 2, (s + n) / 2),
+      osm: osm.meta,
+    },
+  };
+}
+
+async function loadDem(bbox: BBox) {
+  const buf = await fetchDemForBbox(bbox);
+  if (!buf) return null;
+  try {
+    return await demSampler(buf);
+  } catch (err) {
+    console.error("[scene] DEM parse failed:", err);
+    return null;
+  }
+}
+
+function groundSampler(
+  dem: Awaited<ReturnType<typeof loadDem>>,
+  bbox: BBox,
+  options: SceneOptions,
+  crs: SceneCrs
+): (lon: number, lat: number) => number {
+  if (!dem) return () => 0;
+  const toZ = (m: number) => crs.fromMeters(Math.min(m, options.terrainMaxHeight) * options.terrainExaggeration);
+  // Cells without data (outside the raster, voids) take the AOI's median elevation.
+  const [w, s, e, n] = bbox;
+  const probe: number[] = [];
+  for (let j = 0; j <= 8; j++) for (let i = 0; i <= 8; i++) probe.push(dem.sample(w + ((e - w) * i) / 8, s + ((n - s) * j) / 8));
+  const valid = probe.filter(Number.isFinite).sort((a, b) => a - b);
+  const fallback = valid.length ? valid[Math.floor(valid.length / 2)] : 0;
+  return (lon, lat) => {
+    const z = dem.sample(lon, lat);
+    return toZ(Number.isFinite(z) ? z : fallback);
+  };
+}
+
+function terrainGrid(
+  [w, s, e, n]: BBox,
+  gridN: number,
+  source: SceneTerrain["source"],
+  groundAt: (lon: number, lat: number) => number,
+  crs: SceneCrs
+): SceneTerrain {
+  const vertices: Vec3[] = [];
+  let minZ = Infinity;
+  let maxZ = -Infinity;
+  for (let j = 0; j <= gridN; j++) {
+    const lat = s + ((n - s) * j) / gridN;
+    for (let i = 0; i <= gridN; i++) {
+      const lon = w + ((e - w) * i) / gridN;
+      const z = groundAt(lon, lat);
+      minZ = Math.min(minZ, z);
+      maxZ = Math.max(maxZ, z);
+      vertices.push([...crs.toScene(lon, lat), z]);
+    }
+  }
+  return { source, gridN, vertices, minZ, maxZ };
+}
+
+// Study area + options + scene in one step, from a request body or query parameters.
+export async function loadScene(input: Record<string, unknown>, defaults: Partial<SceneOptions> = {}): Promise<SceneResult> {
+  const area = await resolveStudyArea({ bbox: input.bbox, boundary: input.boundary });
+  if (!area.ok) return area;
+  const options = parseSceneOptions(input, defaults);
+  if (!options.ok) return options;
+  return buildScene(area.area, options.options);
+}
+
+// GET query parameters as a loadScene input (?boundary=place:<GEOID> | tract:<GEOID> | <GeoJSON>).
+export function sceneQueryInput(params: URLSearchParams): Record<string, unknown> {
+  const input: Record<string, unknown> = Object.fromEntries(params);
+  input.boundary = parseBoundaryParam(params.get("boundary"));
+  return input;
+}
+
+// Georeference and provenance shared by every format's metadata (sidecar JSON, 3DM document text,
+// DXF comments).
+export function sceneMetadata(scene: Scene): Record<string, unknown> {
+  const { crs, area, options } = scene;
+  const [w, s, e, n] = area.bbox;
+  return {
+    crs: crs.name,
+    epsg: crs.epsg === null ? null : `EPSG:${crs.epsg}`,
+    proj4: crs.proj4,
+    units: UNIT_LABELS[crs.units],
+    // Scene (0, 0); add base_point x/y (CRS, output unit) to scene coordinates for true CRS ones.
+    base_point: {
+      lon: crs.origin.lon,
+      lat: crs.origin.lat,
+      x: crs.fromMeters(crs.origin.easting),
+      y: crs.fromMeters(crs.origin.northing),
+      kind: options.basePoint,
+    },
+    ...(crs.horizontalScaleY !== 1 ? { horizontal_scale_y: crs.horizontalScaleY } : {}),
+    true_north_deg: 0,
+    bbox: { west: w, south: s, east: e, north: n },
+    ...(area.boundary ? { boundary: area.source } : {}),
+    layers: options.layers,
+    terrain: scene.terrain ? { source: scene.terrain.source, grid: scene.terrain.gridN, exaggeration: options.terrainExaggeration } : null,
+    counts: {
+      buildings: scene.buildings.length,
+      roads: scene.roads.length,
+      waterways: scene.waterways.length,
+      parks: scene.parks.length,
+      water: scene.water.length,
+      trees: scene.trees.length,
+    },
+    ...(scene.treesTruncated ? { trees_truncated: true } : {}),
+    osm: scene.osm,
+  };
+}
@@ -0,0 +1,200 @@
+// CityJSON 2.0: LoD1 buildings as solids with Ground/Roof/Wall semantic surfaces and the OSM tags as
+// attributes, plus the terrain (TINRelief), roads (Road), parks (LandUse), water (WaterBody) and
+// trees (SolitaryVegetationObject instances of one template). Vertices are integers in thousandths
+// of the unit, offset by `transform.translate` (the base point), which puts them back in true CRS
+// coordinates; the scene must be built in the CRS's own unit with horizontalScaleY = 1.
+import { unitTreeMesh } from "../../osm/trees";
+import { areaMesh, ribbonMesh, terrainMesh, triangleIndices, type SceneMesh } from "../mesh";
+import type { Scene, SceneBuilding, Vec2, Vec3 } from "../scene";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Json = Record<string, any>;
+
+const SCALE = 0.001;
+
+// "12", "12.5" -> number; anything else (ranges, "yes") stays out of the numeric attributes.
+const tagNumber = (v: unknown) => (typeof v === "string" && /^\s*\d+(\.\d+)?\s*$/.test(v) ? Number(v) : undefined);
+
+export function sceneToCityJson(scene: Scene): Json {
+  const vertices: [number, number, number][] = [];
+  const vertexIndex = new Map<string, number>();
+  const vertex = ([x, y, z]: Vec3) => {
+    const v: [number, number, number] = [Math.round(x / SCALE), Math.round(y / SCALE), Math.round(z / SCALE)];
+    const key = v.join(",");
+    let i = vertexIndex.get(key);
+    if (i === undefined) {
+      i = vertices.length;
+      vertices.push(v);
+      vertexIndex.set(key, i);
+    }
+    return i;
+  };
+  const ring = (points: Vec3[]) => points.map(vertex);
+
+  // Faces of a mesh as surfaces without holes.
+  const multiSurface = (mesh: SceneMesh) => mesh.faces.map((f) => [ring(f.map((k) => mesh.vertices[k]))]);
+  const triangles = (mesh: SceneMesh) => {
+    const idx = triangleIndices(mesh);
+    const out: number[][][] = [];
+    for (let i = 0; i < idx.length; i += 3) out.push([ring([mesh.vertices[idx[i]], mesh.vertices[idx[i + 1]], mesh.vertices[idx[i + 2]]])]);
+    return out;
+  };
+
+  const cityObjects: Json = {};
+
+  // One closed shell per footprint polygon: ground (facing down), roof, then one wall per edge.
+  const GROUND = 0;
+  const ROOF = 1;
+  const WALL = 2;
+  const buildingShell = (b: SceneBuilding, rings: Vec2[][]) => {
+    const at = (r: Vec2[], z: number) => r.map(([x, y]): Vec3 => [x, y, z]);
+    const surfaces: number[][][] = [];
+    const values: number[] = [];
+    surfaces.push(rings.map((r) => ring(at(r, b.baseZ).reverse())));
+    values.push(GROUND);
+    surfaces.push(rings.map((r) => ring(at(r, b.topZ))));
+    values.push(ROOF);
+    for (const r of rings) {
+      for (let i = 0; i < r.length; i++) {
+        const [ax, ay] = r[i];
+        const [bx, by] = r[(i + 1) % r.length];
+        surfaces.push([ring([[ax, ay, b.baseZ], [bx, by, b.baseZ], [bx, by, b.topZ], [ax, ay, b.topZ]])]);
+        values.push(WALL);
+      }
+    }
+    return { shell: surfaces, values };
+  };
+  const buildingSurfaces = [{ type: "GroundSurface" }, { type: "RoofSurface" }, { type: "WallSurface" }];
+
+  for (const b of scene.buildings) {
+    const shells = b.polygons.map((rings) => buildingShell(b, rings));
+    if (!shells.length) continue;
+    const geometry =
+      shells.length === 1
+        ? {
+            type: "Solid",
+            lod: "1",
+            boundaries: [shells[0].shell],
+            semantics: { surfaces: buildingSurfaces, values: [shells[0].values] },
+          }
+        : {
+            type: "MultiSolid",
+            lod: "1",
+            boundaries: shells.map((s) => [s.shell]),
+            semantics: { surfaces: buildingSurfaces, values: shells.map((s) => [s.values]) },
+          };
+    const levels = tagNumber(b.tags["building:levels"]);
+    cityObjects[b.id] = {
+      type: "Building",
+      attributes: {
+        ...b.tags,
+        osm_id: b.id,
+        measuredHeight: b.height.height,
+        height_source: b.height.source,
+        ...(levels !== undefined ? { storeysAboveGround: levels } : {}),
+        ...(b.tags["roof:shape"] ? { roofType: b.tags["roof:shape"] } : {}),
+      },
+      geometry: [geometry],
+    };
+  }
+
+  if (scene.terrain) {
+    cityObjects.terrain = {
+      type: "TINRelief",
+      attributes: { source: scene.terrain.source },
+      geometry: [{ type: "CompositeSurface", lod: "1", boundaries: triangles(terrainMesh(scene.terrain)) }],
+    };
+  }
+
+  for (const r of scene.roads) {
+    const surfaces = multiSurface(ribbonMesh(r));
+    if (!surfaces.length) continue;
+    cityObjects[r.id] = {
+      type: "Road",
+      attributes: { ...r.tags, osm_id: r.id },
+      geometry: [{ type: "MultiSurface", lod: "1", boundaries: surfaces }],
+    };
+  }
+  for (const a of scene.parks) {
+    cityObjects[a.id] = {
+      type: "LandUse",
+      attributes: { ...a.tags, osm_id: a.id, function: "park" },
+      geometry: [{ type: "MultiSurface", lod: "1", boundaries: triangles(areaMesh(a)) }],
+    };
+  }
+  for (const a of scene.water) {
+    cityObjects[a.id] = {
+      type: "WaterBody",
+      attributes: { ...a.tags, osm_id: a.id },
+      geometry: [{ type: "MultiSurface", lod: "1", boundaries: triangles(areaMesh(a)) }],
+    };
+  }
+  for (const w of scene.waterways) {
+    const surfaces = multiSurface(ribbonMesh(w));
+    if (!surfaces.length) continue;
+    cityObjects[w.id] = {
+      type: "WaterBody",
+      attributes: { ...w.tags, osm_id: w.id },
+      geometry: [{ type: "MultiSurface", lod: "1", boundaries: surfaces }],
+    };
+  }
+
+  // Trees: the 1 x 1 x 1 unit tree as template 0, scaled per instance (row-major matrix) and placed
+  // at its reference vertex.
+  const templates: Json | null = scene.trees.length
+    ? (() => {
+        const unit = unitTreeMesh();
+        return {
+          templates: [{ type: "MultiSurface", lod: "1", boundaries: unit.faces.map((f) => [f]) }],
+          "vertices-templates": unit.vertices,
+        };
+      })()
+    : null;
+  for (const t of scene.trees) {
+    cityObjects[t.id] = {
+      type: "SolitaryVegetationObject",
+      attributes: {
+        osm_id: t.id,
+        kind: t.kind,
+        height: t.height,
+        crownDiameter: t.crownDiameter,
+        ...(t.leafType ? { leaf_type: t.leafType } : {}),
+        ...(t.estimated ? { estimated: true } : {}),
+      },
+      geometry: [
+        {
+          type: "GeometryInstance",
+          template: 0,
+          boundaries: [vertex(t.position)],
+          transformationMatrix: [t.crownDiameter, 0, 0, 0, 0, t.crownDiameter, 0, 0, 0, 0, t.height, 0, 0, 0, 0, 1],
+        },
+      ],
+    };
+  }
+
+  const { crs } = scene;
+  const translate = [crs.fromMeters(crs.origin.easting), crs.fromMeters(crs.origin.northing), 0];
+  const extent = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+  for (const v of vertices) {
+    for (let k = 0; k < 3; k++) {
+      const real = translate[k] + v[k] * SCALE;
+      extent[k] = Math.min(extent[k], real);
+      extent[k + 3] = Math.max(extent[k + 3], real);
+    }
+  }
+  const [w, s, e, n] = scene.area.bbox;
+  return {
+    type: "CityJSON",
+    version: "2.0",
+    transform: { scale: [SCALE, SCALE, SCALE], translate },
+    metadata: {
+      title: `Shade-LA scene ${scene.area.source === "bbox" ? [w, s, e, n].map((c) => c.toFixed(5)).join(",") : scene.area.source}`,
+      ...(crs.epsg !== null ? { referenceSystem: `https://www.opengis.net/def/crs/EPSG/0/${crs.epsg}` } : {}),
+      referenceDate: new Date().toISOString().slice(0, 10),
+      ...(vertices.length ? { geographicalExtent: extent } : {}),
+    },
+    CityObjects: cityObjects,
+    vertices,
+    ...(templates ? { "geometry-templates": templates } : {}),
+  };
+}
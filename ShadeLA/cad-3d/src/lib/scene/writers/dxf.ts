@@ -0,0 +1,108 @@
+// 3D DXF (AC1009 entities, readable by AutoCAD, Rhino and QGIS): terrain, buildings and road
+// ribbons as 3DFACEs, park/water outlines and waterways as 3D polylines, street names as TEXT and
+// trees as inserts of one unit TREE block. Georeference is written as 999 comments at the top.
+import { unitTreeMesh } from "../../osm/trees";
+import { buildingMesh, ribbonMesh, terrainMesh, type SceneMesh } from "../mesh";
+import { sceneMetadata, type Scene, type Vec3 } from "../scene";
+
+// $INSUNITS codes.
+const INSUNITS = { m: 6, ft: 2, usft: 21 } as const;
+
+export const DXF_LAYERS: { name: string; color: number }[] = [
+  { name: "Terrain_3D", color: 8 },
+  { name: "Buildings_3D", color: 8 },
+  { name: "Roads_3D", color: 7 },
+  { name: "Parks", color: 3 },
+  { name: "Water", color: 5 },
+  { name: "StreetNames", color: 1 },
+  { name: "Trees", color: 94 },
+];
+
+export function sceneToDxf(scene: Scene): string {
+  const sb: string[] = [];
+  const push = (k: string | number, v: string | number) => {
+    sb.push(String(k), String(v));
+  };
+  const face = (layer: string, p: Vec3[]) => {
+    const q = p[3] ?? p[2];
+    push(0, "3DFACE");
+    push(8, layer);
+    push(10, p[0][0]); push(20, p[0][1]); push(30, p[0][2]);
+    push(11, p[1][0]); push(21, p[1][1]); push(31, p[1][2]);
+    push(12, p[2][0]); push(22, p[2][1]); push(32, p[2][2]);
+    push(13, q[0]); push(23, q[1]); push(33, q[2]);
+  };
+  const meshFaces = (layer: string, mesh: SceneMesh) => {
+    for (const f of mesh.faces) face(layer, f.map((k) => mesh.vertices[k]));
+  };
+  const polyline = (layer: string, points: Vec3[], closed: boolean) => {
+    if (points.length < 2) return;
+    push(0, "POLYLINE"); push(8, layer); push(66, 1);
+    push(10, 0); push(20, 0); push(30, 0);
+    push(70, closed ? 9 : 8);
+    for (const [x, y, z] of points) {
+      push(0, "VERTEX"); push(8, layer);
+      push(10, x); push(20, y); push(30, z);
+      push(70, 32);
+    }
+    push(0, "SEQEND"); push(8, layer);
+  };
+
+  for (const [key, value] of Object.entries(sceneMetadata(scene))) {
+    push(999, `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  }
+
+  push(0, "SECTION"); push(2, "HEADER");
+  push(9, "$INSUNITS"); push(70, INSUNITS[scene.crs.units]);
+  push(0, "ENDSEC");
+
+  push(0, "SECTION"); push(2, "TABLES");
+  push(0, "TABLE"); push(2, "LTYPE"); push(70, 1);
+  push(0, "LTYPE"); push(2, "CONTINUOUS"); push(70, 0); push(3, "Solid line"); push(72, 65); push(73, 0); push(40, 0.0);
+  push(0, "ENDTAB");
+  push(0, "TABLE"); push(2, "LAYER"); push(70, DXF_LAYERS.length);
+  for (const l of DXF_LAYERS) {
+    push(0, "LAYER"); push(2, l.name); push(70, 0); push(62, l.color); push(6, "CONTINUOUS");
+  }
+  push(0, "ENDTAB");
+  push(0, "ENDSEC");
+
+  // One unit tree (1 x 1 x 1 scene unit) on layer 0 so inserts take the Trees layer color.
+  push(0, "SECTION"); push(2, "BLOCKS");
+  push(0, "BLOCK"); push(8, "0"); push(2, "TREE"); push(70, 0);
+  push(10, 0); push(20, 0); push(30, 0); push(3, "TREE");
+  const unitTree = unitTreeMesh();
+  meshFaces("0", unitTree);
+  push(0, "ENDBLK"); push(8, "0");
+  push(0, "ENDSEC");
+
+  push(0, "SECTION"); push(2, "ENTITIES");
+  if (scene.terrain) meshFaces("Terrain_3D", terrainMesh(scene.terrain));
+  for (const b of scene.buildings) meshFaces("Buildings_3D", buildingMesh(b));
+  for (const r of scene.roads) meshFaces("Roads_3D", ribbonMesh(r));
+  for (const a of scene.parks) for (const rings of a.polygons) for (const ring of rings) polyline("Parks", ring, true);
+  for (const a of scene.water) for (const rings of a.polygons) for (const ring of rings) polyline("Water", ring, true);
+  for (const w of scene.waterways) for (const part of w.parts) polyline("Water", part, false);
+
+  // Street names at the middle vertex of the first part.
+  const textHeight = scene.crs.fromMeters(2.5);
+  for (const r of scene.roads) {
+    const line = r.parts[0];
+    if (!r.name || !line || line.length < 2) continue;
+    const [x, y, z] = line[Math.floor(line.length / 2)];
+    push(0, "TEXT"); push(8, "StreetNames");
+    push(10, x); push(20, y); push(30, z);
+    push(40, textHeight); push(1, r.name);
+  }
+
+  // Trees scaled to crown diameter (x/y) and height (z).
+  for (const t of scene.trees) {
+    push(0, "INSERT"); push(8, "Trees"); push(2, "TREE");
+    push(10, t.position[0]); push(20, t.position[1]); push(30, t.position[2]);
+    push(41, t.crownDiameter); push(42, t.crownDiameter); push(43, t.height);
+  }
+
+  push(0, "ENDSEC");
+  push(0, "EOF");
+  return sb.join("\n") + "\n";
+}
@@ -0,0 +1,190 @@
+// Binary glTF 2.0 (.glb): a root node with one child node per layer (Buildings, Terrain, Roads,
+// Parks, Water, Trees), one PBR material per layer, OSM tags as node extras and the georeference
+// (sceneMetadata) in asset.extras. glTF is Y-up in meters, so scene (x east, y north, z up) is
+// written as (x, z, -y); the scene must be built in meters. Normals are left out: viewers compute
+// flat normals.
+import { unitTreeMesh } from "../../osm/trees";
+import { areaMesh, buildingMesh, ribbonMesh, terrainMesh, triangleIndices, type SceneMesh } from "../mesh";
+import { sceneMetadata, type Scene, type Vec3 } from "../scene";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Json = Record<string, any>;
+
+const FLOAT = 5126;
+const UNSIGNED_INT = 5125;
+const ARRAY_BUFFER = 34962;
+const ELEMENT_ARRAY_BUFFER = 34963;
+
+const GLB_MATERIALS: { name: string; color: [number, number, number]; roughness: number; doubleSided?: boolean }[] = [
+  { name: "Buildings", color: [0.8, 0.78, 0.75], roughness: 0.8 },
+  { name: "Terrain", color: [0.55, 0.52, 0.45], roughness: 1, doubleSided: true },
+  { name: "Roads", color: [0.2, 0.2, 0.22], roughness: 0.9, doubleSided: true },
+  { name: "Parks", color: [0.35, 0.6, 0.28], roughness: 1, doubleSided: true },
+  { name: "Water", color: [0.2, 0.45, 0.75], roughness: 0.2, doubleSided: true },
+  { name: "Trees", color: [0.24, 0.47, 0.2], roughness: 0.9 },
+];
+
+const yUp = ([x, y, z]: Vec3): Vec3 => [x, z, -y];
+
+export function sceneToGlb(scene: Scene): Uint8Array {
+  const bin: Buffer[] = [];
+  let binLength = 0;
+  const bufferViews: Json[] = [];
+  const accessors: Json[] = [];
+  const meshes: Json[] = [];
+  const nodes: Json[] = [];
+  const material: Record<string, number> = {};
+  GLB_MATERIALS.forEach((m, i) => (material[m.name] = i));
+
+  const addView = (data: Buffer, target: number) => {
+    bufferViews.push({ buffer: 0, byteOffset: binLength, byteLength: data.length, target });
+    const padded = data.length % 4 ? Buffer.concat([data, Buffer.alloc(4 - (data.length % 4))]) : data;
+    bin.push(padded);
+    binLength += padded.length;
+    return bufferViews.length - 1;
+  };
+
+  // One glTF mesh (single triangle primitive) per scene mesh; null when it has no faces.
+  const addMesh = (name: string, mesh: SceneMesh, layer: string): number | null => {
+    const indices = triangleIndices(mesh);
+    if (!indices.length) return null;
+    const positions = new Float32Array(mesh.vertices.length * 3);
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    mesh.vertices.forEach((v, i) => {
+      const p = yUp(v);
+      for (let k = 0; k < 3; k++) {
+        positions[i * 3 + k] = p[k];
+        min[k] = Math.min(min[k], positions[i * 3 + k]);
+        max[k] = Math.max(max[k], positions[i * 3 + k]);
+      }
+    });
+    accessors.push({
+      bufferView: addView(Buffer.from(positions.buffer), ARRAY_BUFFER),
+      componentType: FLOAT,
+      count: mesh.vertices.length,
+      type: "VEC3",
+      min,
+      max,
+    });
+    accessors.push({
+      bufferView: addView(Buffer.from(new Uint32Array(indices).buffer), ELEMENT_ARRAY_BUFFER),
+      componentType: UNSIGNED_INT,
+      count: indices.length,
+      type: "SCALAR",
+    });
+    meshes.push({
+      name,
+      primitives: [{ attributes: { POSITION: accessors.length - 2 }, indices: accessors.length - 1, material: material[layer] }],
+    });
+    return meshes.length - 1;
+  };
+
+  const addNode = (node: Json) => {
+    nodes.push(node);
+    return nodes.length - 1;
+  };
+  const layerNodes: number[] = [];
+  const addLayer = (name: string, children: number[]) => {
+    if (children.length) layerNodes.push(addNode({ name, children }));
+  };
+  const meshNode = (name: string, mesh: SceneMesh, layer: string, extras?: Json): number[] => {
+    const index = addMesh(name, mesh, layer);
+    return index === null ? [] : [addNode({ name, mesh: index, ...(extras ? { extras } : {}) })];
+  };
+
+  if (scene.terrain) {
+    addLayer("Terrain", meshNode("terrain", terrainMesh(scene.terrain), "Terrain", { source: scene.terrain.source }));
+  }
+
+  addLayer(
+    "Buildings",
+    scene.buildings.flatMap((b) =>
+      meshNode(b.id, buildingMesh(b), "Buildings", {
+        osm_id: b.id,
+        height_m: b.height.height,
+        height_source: b.height.source,
+        tags: b.tags,
+      })
+    )
+  );
+
+  addLayer(
+    "Roads",
+    scene.roads.flatMap((r) => meshNode(r.name ?? r.id, ribbonMesh(r), "Roads", { osm_id: r.id, highway: r.kind, tags: r.tags }))
+  );
+  addLayer("Parks", scene.parks.flatMap((a) => meshNode(a.id, areaMesh(a), "Parks", { osm_id: a.id, tags: a.tags })));
+  addLayer("Water", [
+    ...scene.water.flatMap((a) => meshNode(a.id, areaMesh(a), "Water", { osm_id: a.id, tags: a.tags })),
+    ...scene.waterways.flatMap((w) => meshNode(w.name ?? w.id, ribbonMesh(w), "Water", { osm_id: w.id, waterway: w.kind, tags: w.tags })),
+  ]);
+
+  // Trees: one unit tree mesh, instanced by nodes scaled to crown diameter and height.
+  if (scene.trees.length) {
+    const tree = addMesh("tree", unitTreeMesh(), "Trees");
+    if (tree !== null) {
+      addLayer(
+        "Trees",
+        scene.trees.map((t) =>
+          addNode({
+            name: t.id,
+            mesh: tree,
+            translation: yUp(t.position),
+            scale: [t.crownDiameter, t.height, t.crownDiameter],
+            extras: {
+              osm_id: t.id,
+              kind: t.kind,
+              height_m: t.height,
+              crown_diameter_m: t.crownDiameter,
+              ...(t.leafType ? { leaf_type: t.leafType } : {}),
+              ...(t.estimated ? { estimated: true } : {}),
+            },
+          })
+        )
+      );
+    }
+  }
+
+  const root = addNode({ name: "scene", children: layerNodes });
+  const metadata = sceneMetadata(scene);
+  const gltf: Json = {
+    asset: {
+      version: "2.0",
+      generator: "ShadeLA cad-3d",
+      extras: { georeference: { ...metadata, axes: "glTF Y-up: +x east, +y up, -z north" } },
+    },
+    scene: 0,
+    scenes: [{ name: "scene", nodes: [root] }],
+    nodes,
+    meshes,
+    materials: GLB_MATERIALS.map((m) => ({
+      name: m.name,
+      pbrMetallicRoughness: { baseColorFactor: [...m.color, 1], metallicFactor: 0, roughnessFactor: m.roughness },
+      ...(m.doubleSided ? { doubleSided: true } : {}),
+    })),
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength: binLength }],
+  };
+  if (!meshes.length) {
+    delete gltf.accessors;
+    delete gltf.bufferViews;
+    delete gltf.buffers;
+  }
+
+  // GLB container: 12-byte header, JSON chunk (space padded), BIN chunk (zero padded).
+  let json = Buffer.from(JSON.stringify(gltf));
+  if (json.length % 4) json = Buffer.concat([json, Buffer.alloc(4 - (json.length % 4), 0x20)]);
+  const chunk = (type: number, data: Buffer) => {
+    const head = Buffer.alloc(8);
+    head.writeUInt32LE(data.length, 0);
+    head.writeUInt32LE(type, 4);
+    return Buffer.concat([head, data]);
+  };
+  const body = [chunk(0x4e4f534a, json), ...(binLength ? [chunk(0x004e4942, Buffer.concat(bin))] : [])];
+  const header = Buffer.alloc(12);
+  header.writeUInt32LE(0x46546c67, 0);
+  header.writeUInt32LE(2, 4);
+  header.writeUInt32LE(12 + body.reduce((acc, c) => acc + c.length, 0), 8);
+  return new Uint8Array(Buffer.concat([header, ...body]));
+}
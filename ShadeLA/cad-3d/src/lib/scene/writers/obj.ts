@@ -0,0 +1,47 @@
+// Wavefront OBJ: one group per layer, one object per building and one merged object per other
+// layer. Georeference goes in the sidecar metadata (sceneMetadata).
+import { areaMesh, buildingMesh, mergeMeshes, ribbonMesh, terrainMesh, treeMesh, type SceneMesh } from "../mesh";
+import { UNIT_LABELS } from "../options";
+import type { Scene } from "../scene";
+
+const objName = (s: string) => s.replace(/[^A-Za-z0-9_.-]+/g, "_");
+
+export function sceneToObj(scene: Scene): string {
+  const { crs } = scene;
+  const base = `${crs.fromMeters(crs.origin.easting).toFixed(4)} ${crs.fromMeters(crs.origin.northing).toFixed(4)}`;
+  const out: string[] = [`# ${crs.name}, ${UNIT_LABELS[crs.units]}, base point ${base}`];
+  let vOffset = 0;
+  const writeMesh = (name: string, mesh: SceneMesh) => {
+    if (!mesh.faces.length) return;
+    out.push(`o ${objName(name)}`);
+    for (const [x, y, z] of mesh.vertices) out.push(`v ${x.toFixed(4)} ${y.toFixed(4)} ${z.toFixed(4)}`);
+    for (const f of mesh.faces) out.push(`f ${f.map((k) => k + 1 + vOffset).join(" ")}`);
+    vOffset += mesh.vertices.length;
+  };
+
+  if (scene.terrain) {
+    out.push("g Terrain");
+    writeMesh("terrain", terrainMesh(scene.terrain));
+  }
+  if (scene.buildings.length) {
+    out.push("g Buildings");
+    for (const b of scene.buildings) writeMesh(`building_${b.id}`, buildingMesh(b));
+  }
+  if (scene.roads.length) {
+    out.push("g Roads");
+    writeMesh("roads", mergeMeshes(scene.roads.map(ribbonMesh)));
+  }
+  if (scene.parks.length) {
+    out.push("g Parks");
+    writeMesh("parks", mergeMeshes(scene.parks.map(areaMesh)));
+  }
+  if (scene.water.length || scene.waterways.length) {
+    out.push("g Water");
+    writeMesh("water", mergeMeshes([...scene.water.map(areaMesh), ...scene.waterways.map(ribbonMesh)]));
+  }
+  if (scene.trees.length) {
+    out.push("g Trees");
+    writeMesh("trees", mergeMeshes(scene.trees.map(treeMesh)));
+  }
+  return out.join("\n") + "\n";
+}
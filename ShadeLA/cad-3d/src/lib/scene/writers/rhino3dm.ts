@@ -0,0 +1,235 @@
+// Rhino .3dm through rhino3dm (wasm): one mesh per building polygon, a terrain mesh, road
+// centerlines (one sublayer per highway class) and park/water outlines as polylines, and trees as
+// instances of one "Tree" block. OSM attributes go in each object's user strings so designers can
+// filter by them in Rhino/Grasshopper; the georeference goes in the document user text
+// (sceneMetadata).
+import path from "path";
+import type { OsmTags } from "../../osm/layers";
+import { unitTreeMesh } from "../../osm/trees";
+import { pointInRing } from "../../shade";
+import { buildingMesh, terrainMesh, type SceneMesh } from "../mesh";
+import { sceneMetadata, type Scene, type SceneBuilding, type Vec3 } from "../scene";
+
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+type Rhino = any;
+
+let rhinoPromise: Promise<Rhino> | null = null;
+
+// rhino3dm's wasm is loaded from node_modules once per server process.
+export function loadRhino3dm(): Promise<Rhino> {
+  rhinoPromise ??= (async () => {
+    // eslint-disable-next-line @typescript-eslint/no-explicit-any
+    const rhino3dmModule: any = await import("rhino3dm");
+    const locate = (file: string) => path.join(process.cwd(), "node_modules", "rhino3dm", file);
+    return rhino3dmModule.default({ locateFile: locate });
+  })().catch((err) => {
+    rhinoPromise = null;
+    throw err;
+  });
+  return rhinoPromise;
+}
+
+const RHINO_LAYERS: { name: string; color: [number, number, number] }[] = [
+  { name: "Buildings", color: [80, 80, 80] },
+  { name: "Reference", color: [200, 0, 0] },
+  { name: "Terrain", color: [160, 160, 160] },
+  { name: "Roads", color: [30, 30, 30] },
+  { name: "Parks", color: [90, 160, 70] },
+  { name: "Water", color: [60, 120, 200] },
+  { name: "Trees", color: [60, 120, 50] },
+];
+
+// "123 Main St, Los Angeles 90012" from the addr:* tags; null without a street or house number.
+function osmAddress(tags: OsmTags): string | null {
+  const street = [tags["addr:housenumber"], tags["addr:street"]].filter(Boolean).join(" ");
+  if (!street) return null;
+  const city = [tags["addr:city"], tags["addr:postcode"]].filter(Boolean).join(" ");
+  return city ? `${street}, ${city}` : street;
+}
+
+// Building parts (building:part=*) matched to the building whose outline holds the center of
+// theirs, so each building and its parts can be grouped. Parts outside every building are left out.
+function buildingParts(buildings: SceneBuilding[]): Map<SceneBuilding, SceneBuilding[]> {
+  const outlines = buildings
+    .filter((b) => b.tags.building && !b.tags["building:part"])
+    .map((b) => {
+      const rings = b.polygons.map((rings) => rings[0]).filter((r) => r.length >= 3);
+      const xs = rings.flat().map((p) => p[0]);
+      const ys = rings.flat().map((p) => p[1]);
+      return { b, rings, bounds: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)] };
+    });
+  const parts = new Map<SceneBuilding, SceneBuilding[]>();
+  for (const part of buildings) {
+    if (!part.tags["building:part"] || part.tags.building) continue;
+    const first = part.polygons[0]?.[0];
+    if (!first?.length) continue;
+    // Vertex average rather than a vertex: part and building outlines usually share edges.
+    const x = first.reduce((acc, p) => acc + p[0], 0) / first.length;
+    const y = first.reduce((acc, p) => acc + p[1], 0) / first.length;
+    const owner = outlines.find(
+      (o) => x >= o.bounds[0] && y >= o.bounds[1] && x <= o.bounds[2] && y <= o.bounds[3] && o.rings.some((r) => pointInRing(x, y, r))
+    );
+    if (owner) parts.set(owner.b, [...(parts.get(owner.b) ?? []), part]);
+  }
+  return parts;
+}
+
+// Object user strings; null, undefined and "" values are skipped.
+type UserStrings = Record<string, unknown>;
+
+function rhinoMesh(rhino: Rhino, mesh: SceneMesh) {
+  const m = new rhino.Mesh();
+  const verts = m.vertices();
+  const faces = m.faces();
+  for (const [x, y, z] of mesh.vertices) verts.add(x, y, z);
+  for (const f of mesh.faces) {
+    if (f.length === 4) faces.addQuadFace(f[0], f[1], f[2], f[3]);
+    else faces.addTriFace(f[0], f[1], f[2]);
+  }
+  m.normals().computeNormals();
+  return m;
+}
+
+export function sceneTo3dm(rhino: Rhino, scene: Scene): Uint8Array {
+  const model = new rhino.File3dm();
+  // rhino3dm has no US survey foot; it is labeled Feet (2 ppm apart) and named in the user text.
+  model.settings().modelUnitSystem = scene.crs.units === "m" ? rhino.UnitSystem.Meters : rhino.UnitSystem.Feet;
+
+  const layerIndex: Record<string, number> = {};
+  for (const l of RHINO_LAYERS) {
+    const layer = new rhino.Layer();
+    layer.name = l.name;
+    layer.color = { r: l.color[0], g: l.color[1], b: l.color[2], a: 255 };
+    layerIndex[l.name] = model.layers().add(layer);
+  }
+  // "Roads::primary": created on first use, in the parent's color.
+  const sublayer = (parent: string, name: string) => {
+    const key = `${parent}::${name}`;
+    if (layerIndex[key] === undefined) {
+      const parentLayer = model.layers().findIndex(layerIndex[parent]);
+      const layer = new rhino.Layer();
+      layer.name = name;
+      layer.color = parentLayer.color;
+      layer.parentLayerId = parentLayer.id;
+      layerIndex[key] = model.layers().add(layer);
+    }
+    return key;
+  };
+  const attributes = (layer: string, name?: string, strings: UserStrings = {}) => {
+    const attrs = new rhino.ObjectAttributes();
+    attrs.layerIndex = layerIndex[layer];
+    if (name) attrs.name = name;
+    for (const [key, value] of Object.entries(strings)) {
+      if (value !== null && value !== undefined && value !== "") attrs.setUserString(key, String(value));
+    }
+    return attrs;
+  };
+  // Group table indices follow insertion order; add() does not return one.
+  const addGroup = (name: string): number => {
+    const group = new rhino.Group();
+    group.name = name;
+    const index = model.groups().count;
+    model.groups().add(group);
+    return index;
+  };
+  const addPolyline = (layer: string, points: Vec3[], closed: boolean, name?: string, strings?: UserStrings) => {
+    if (points.length < 2) return;
+    const pts = closed ? [...points, points[0]] : points;
+    const curve = new rhino.PolylineCurve(pts);
+    model.objects().add(curve, attributes(layer, name, strings));
+  };
+
+  // Trees: one "Tree" block definition (1 x 1 x 1 unit, scaled per instance to crown and height).
+  // It is defined before any other object: with objects already in the model, rhino3dm 8.17 fails
+  // in instanceDefinitions().add() ("memory access out of bounds") for descriptions longer than a
+  // couple of dozen characters. The block geometry and attributes are held in locals: temporaries
+  // passed straight into add() can be reclaimed by the wasm side before it copies them.
+  let treeDefinitionId: string | null = null;
+  if (scene.trees.length) {
+    const treeGeometry = rhinoMesh(rhino, unitTreeMesh());
+    const treeAttributes = attributes("Trees");
+    const idefIndex = model.instanceDefinitions().add("Tree", "OSM tree (unit size)", "", "", [0, 0, 0], [treeGeometry], [treeAttributes]);
+    if (idefIndex >= 0) treeDefinitionId = model.instanceDefinitions().get(idefIndex).id;
+  }
+
+  if (scene.terrain) model.objects().addMesh(rhinoMesh(rhino, terrainMesh(scene.terrain)), attributes("Terrain", "terrain"));
+
+  // Buildings: one mesh per footprint polygon with the OSM attributes as user strings; a building
+  // drawn as several meshes (multipolygons, building:part features inside it) is grouped under its id.
+  const parts = buildingParts(scene.buildings);
+  const partOf = new Map<SceneBuilding, SceneBuilding>();
+  for (const [owner, list] of parts) for (const part of list) partOf.set(part, owner);
+  const groups = new Map<SceneBuilding, number>();
+  for (const b of scene.buildings) {
+    const owner = partOf.get(b) ?? b;
+    let group = groups.get(owner);
+    if (group === undefined && (parts.has(owner) || owner.polygons.length > 1)) {
+      group = addGroup(owner.id);
+      groups.set(owner, group);
+    }
+    const strings = {
+      osm_id: b.id,
+      name: b.tags.name,
+      building: b.tags.building ?? b.tags["building:part"],
+      levels: b.tags["building:levels"],
+      height_m: b.height.height.toFixed(2),
+      min_height_m: b.height.minHeight ? b.height.minHeight.toFixed(2) : null,
+      height_source: b.height.source,
+      address: osmAddress(b.tags),
+      ...Object.fromEntries(Object.entries(b.tags).filter(([k]) => k.startsWith("addr:"))),
+      ...(owner !== b ? { part_of: owner.id } : {}),
+    };
+    for (const polygon of b.polygons) {
+      const attrs = attributes("Buildings", b.id, strings);
+      if (group !== undefined) attrs.addToGroup(group);
+      model.objects().addMesh(rhinoMesh(rhino, buildingMesh({ ...b, polygons: [polygon] })), attrs);
+    }
+  }
+
+  for (const r of scene.roads) {
+    const strings = { osm_id: r.id, highway: r.kind, name: r.name, ref: r.tags.ref, lanes: r.tags.lanes, surface: r.tags.surface };
+    const layer = sublayer("Roads", r.kind);
+    for (const part of r.parts) addPolyline(layer, part, false, r.name ?? r.id, strings);
+  }
+  for (const a of scene.parks) {
+    const strings = { osm_id: a.id, name: a.tags.name, leisure: a.tags.leisure, landuse: a.tags.landuse };
+    for (const rings of a.polygons) for (const ring of rings) addPolyline("Parks", ring, true, a.id, strings);
+  }
+  for (const a of scene.water) {
+    const strings = { osm_id: a.id, name: a.tags.name, natural: a.tags.natural, water: a.tags.water };
+    for (const rings of a.polygons) for (const ring of rings) addPolyline("Water", ring, true, a.id, strings);
+  }
+  for (const w of scene.waterways) {
+    const strings = { osm_id: w.id, waterway: w.kind, name: w.name };
+    for (const part of w.parts) addPolyline("Water", part, false, w.name ?? w.id, strings);
+  }
+
+  // Trees: a scaled instance of the "Tree" block per tree.
+  if (treeDefinitionId) {
+    for (const t of scene.trees) {
+      const xform = rhino.Transform.identity();
+      xform.m00 = t.crownDiameter;
+      xform.m11 = t.crownDiameter;
+      xform.m22 = t.height;
+      xform.m03 = t.position[0];
+      xform.m13 = t.position[1];
+      xform.m23 = t.position[2];
+      const attrs = attributes("Trees", t.id, {
+        osm_id: t.id,
+        tree_height: t.height.toFixed(2),
+        tree_crown_diameter: t.crownDiameter.toFixed(2),
+        tree_kind: t.kind,
+        leaf_type: t.leafType,
+        tree_estimated: t.estimated ? "true" : null,
+      });
+      model.objects().addInstanceObject(new rhino.InstanceReference(treeDefinitionId, xform), attrs);
+    }
+  }
+
+  const strings = model.strings();
+  for (const [key, value] of Object.entries(sceneMetadata(scene))) {
+    strings.set(key, typeof value === "string" ? value : JSON.stringify(value));
+  }
+
+  return new Uint8Array(model.toByteArray());
+}
@@ -0,0 +1,130 @@
+// 3D Tiles 1.1 tileset: tileset.json plus one glTF (.glb, from writers/glb.ts) child tile per
+// layer. The root transform places the scene on the WGS84 ellipsoid: scene x/y go through the
+// scene CRS's local east/north axes at the origin (which absorbs grid convergence and scale) and
+// scene z is lifted by `heightOffset` meters. The scene must be built in meters.
+import { areaMesh, buildingMesh, ribbonMesh, terrainMesh, treeMesh, type SceneMesh } from "../mesh";
+import type { Scene } from "../scene";
+import { sceneToGlb } from "./glb";
+
+const WGS84_A = 6378137;
+const WGS84_E2 = 6.69437999014e-3;
+
+const TILE_LAYERS = ["buildings", "terrain", "roads", "parks", "water", "trees"] as const;
+type TileLayer = (typeof TILE_LAYERS)[number];
+
+function layerScene(scene: Scene, layer: TileLayer): Scene {
+  return {
+    ...scene,
+    terrain: layer === "terrain" ? scene.terrain : null,
+    buildings: layer === "buildings" ? scene.buildings : [],
+    roads: layer === "roads" ? scene.roads : [],
+    parks: layer === "parks" ? scene.parks : [],
+    water: layer === "water" ? scene.water : [],
+    waterways: layer === "water" ? scene.waterways : [],
+    trees: layer === "trees" ? scene.trees : [],
+  };
+}
+
+function layerMeshes(scene: Scene, layer: TileLayer): SceneMesh[] {
+  switch (layer) {
+    case "buildings":
+      return scene.buildings.map(buildingMesh);
+    case "terrain":
+      return scene.terrain ? [terrainMesh(scene.terrain)] : [];
+    case "roads":
+      return scene.roads.map(ribbonMesh);
+    case "parks":
+      return scene.parks.map(areaMesh);
+    case "water":
+      return [...scene.water.map(areaMesh), ...scene.waterways.map(ribbonMesh)];
+    case "trees":
+      return scene.trees.map(treeMesh);
+  }
+}
+
+// Oriented bounding box (axis aligned in the tile frame): center then three half-axis vectors.
+function boundingBox(meshes: SceneMesh[]): number[] | null {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const m of meshes) {
+    for (const v of m.vertices) {
+      for (let k = 0; k < 3; k++) {
+        min[k] = Math.min(min[k], v[k]);
+        max[k] = Math.max(max[k], v[k]);
+      }
+    }
+  }
+  if (!Number.isFinite(min[0])) return null;
+  const c = [0, 1, 2].map((k) => (min[k] + max[k]) / 2);
+  const h = [0, 1, 2].map((k) => Math.max((max[k] - min[k]) / 2, 0.01));
+  return [...c, h[0], 0, 0, 0, h[1], 0, 0, 0, h[2]];
+}
+
+// Column-major 4x4 from scene coordinates to ECEF.
+function rootTransform(scene: Scene, heightOffset: number): number[] {
+  const { crs } = scene;
+  const [lon0, lat0] = crs.toLonLat(0, 0);
+  const lam = (lon0 * Math.PI) / 180;
+  const phi = (lat0 * Math.PI) / 180;
+  const sinPhi = Math.sin(phi);
+  const w = 1 - WGS84_E2 * sinPhi * sinPhi;
+  const nRadius = WGS84_A / Math.sqrt(w);
+  const mRadius = (WGS84_A * (1 - WGS84_E2)) / (w * Math.sqrt(w));
+
+  // Scene unit steps along x and y measured in local east/north meters.
+  const d = crs.fromMeters(10);
+  const toEnu = (x: number, y: number) => {
+    const [lon, lat] = crs.toLonLat(x, y);
+    return [
+      (((lon - lon0) * Math.PI) / 180) * nRadius * Math.cos(phi),
+      (((lat - lat0) * Math.PI) / 180) * mRadius,
+    ].map((v) => v / d);
+  };
+  const [xe, xn] = toEnu(d, 0);
+  const [ye, yn] = toEnu(0, d);
+
+  const east = [-Math.sin(lam), Math.cos(lam), 0];
+  const north = [-sinPhi * Math.cos(lam), -sinPhi * Math.sin(lam), Math.cos(phi)];
+  const up = [Math.cos(phi) * Math.cos(lam), Math.cos(phi) * Math.sin(lam), sinPhi];
+  const origin = [
+    (nRadius + heightOffset) * Math.cos(phi) * Math.cos(lam),
+    (nRadius + heightOffset) * Math.cos(phi) * Math.sin(lam),
+    (nRadius * (1 - WGS84_E2) + heightOffset) * sinPhi,
+  ];
+  const xAxis = east.map((e, k) => e * xe + north[k] * xn);
+  const yAxis = east.map((e, k) => e * ye + north[k] * yn);
+  return [...xAxis, 0, ...yAxis, 0, ...up, 0, ...origin, 1];
+}
+
+// File name -> contents; tileset.json references the .glb files by relative URI.
+export function sceneToTileset(scene: Scene, heightOffset: number): Record<string, Uint8Array | string> {
+  const files: Record<string, Uint8Array | string> = {};
+  const children: object[] = [];
+  const all: SceneMesh[] = [];
+  for (const layer of TILE_LAYERS) {
+    const meshes = layerMeshes(scene, layer);
+    const box = boundingBox(meshes);
+    if (!box) continue;
+    all.push(...meshes);
+    files[`${layer}.glb`] = sceneToGlb(layerScene(scene, layer));
+    children.push({ boundingVolume: { box }, geometricError: 0, content: { uri: `${layer}.glb` } });
+  }
+  const rootBox = boundingBox(all) ?? [0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0, 1];
+  const diagonal = 2 * Math.hypot(rootBox[3], rootBox[7], rootBox[11]);
+  files["tileset.json"] = JSON.stringify(
+    {
+      asset: { version: "1.1", generator: "ShadeLA cad-3d" },
+      geometricError: diagonal,
+      root: {
+        transform: rootTransform(scene, heightOffset),
+        boundingVolume: { box: rootBox },
+        geometricError: diagonal / 2,
+        refine: "ADD",
+        children,
+      },
+    },
+    null,
+    2
+  );
+  return files;
+}
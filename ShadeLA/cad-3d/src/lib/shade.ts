@@ -0,0 +1,349 @@
+// Ground shadows cast by extruded footprints, computed from sun positions in lib/solar.
+// Geometry is handled in a local metric frame around the AOI and returned as lon/lat GeoJSON.
+import { featureCollection, polygon, union } from "@turf/turf";
+import type { Feature, FeatureCollection, MultiPolygon, Polygon } from "geojson";
+import type { SunSample } from "./solar";
+
+const DEG = Math.PI / 180;
+
+export type LonLat = [number, number];
+
+export interface ShadeCaster {
+  id?: string;
+  // Outer ring as [lon, lat] pairs (closed or open).
+  footprint: LonLat[];
+  // Height above ground in meters.
+  height: number;
+}
+
+export interface ShadeBBox {
+  west: number;
+  south: number;
+  east: number;
+  north: number;
+}
+
+export interface ShadeOptions {
+  // Sun altitudes below this are treated as night (shadows would be unbounded).
+  minAltitudeDeg?: number;
+}
+
+export interface ShadeGrid {
+  bbox: ShadeBBox;
+  gridN: number;
+  // Number of samples in which the sun was above minAltitudeDeg.
+  sunUpHours: number;
+  // Row-major (j * gridN + i), rows south -> north, columns west -> east; same layout as the terrain grid.
+  hoursShaded: number[];
+  hoursSun: number[];
+  percentShaded: number[];
+}
+
+export interface LocalFrame {
+  lon0: number;
+  lat0: number;
+  mPerDegLon: number;
+  mPerDegLat: number;
+}
+
+export function localFrame(lon0: number, lat0: number): LocalFrame {
+  const mPerDegLat = 111320;
+  return { lon0, lat0, mPerDegLat, mPerDegLon: mPerDegLat * Math.cos(lat0 * DEG) };
+}
+
+export function toLocal(frame: LocalFrame, lon: number, lat: number): [number, number] {
+  return [(lon - frame.lon0) * frame.mPerDegLon, (lat - frame.lat0) * frame.mPerDegLat];
+}
+
+export function toLonLat(frame: LocalFrame, x: number, y: number): LonLat {
+  return [frame.lon0 + x / frame.mPerDegLon, frame.lat0 + y / frame.mPerDegLat];
+}
+
+export interface PreparedCaster {
+  id?: string;
+  height: number;
+  // Open ring in local meters.
+  ring: [number, number][];
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+export function prepareCasters(frame: LocalFrame, casters: ShadeCaster[]): PreparedCaster[] {
+  const out: PreparedCaster[] = [];
+  for (const c of casters) {
+    const height = Number(c.height);
+    if (!Array.isArray(c.footprint) || !Number.isFinite(height) || height <= 0) continue;
+
+    const ring: [number, number][] = [];
+    for (const p of c.footprint) {
+      if (!Array.isArray(p) || !Number.isFinite(p[0]) || !Number.isFinite(p[1])) continue;
+      ring.push(toLocal(frame, p[0], p[1]));
+    }
+    if (ring.length > 1) {
+      const a = ring[0];
+      const b = ring[ring.length - 1];
+      if (a[0] === b[0] && a[1] === b[1]) ring.pop();
+    }
+    if (ring.length < 3) continue;
+
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const [x, y] of ring) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+    out.push({ id: c.id, height, ring, minX, minY, maxX, maxY });
+  }
+  return out;
+}
+
+// Horizontal ground offset of a shadow per meter of height (points away from the sun).
+function shadowOffsetPerMeter(azimuthDeg: number, altitudeDeg: number): [number, number] {
+  const az = azimuthDeg * DEG;
+  const k = 1 / Math.tan(altitudeDeg * DEG);
+  return [-Math.sin(az) * k, -Math.cos(az) * k];
+}
+
+function closedLonLatRing(frame: LocalFrame, pts: [number, number][]): LonLat[] {
+  const ring = pts.map(([x, y]) => toLonLat(frame, x, y));
+  ring.push(ring[0]);
+  return ring;
+}
+
+// Shadow of a vertical prism on flat ground: the footprint swept along the shadow offset,
+// i.e. the union of the footprint, its translated copy and one quad per edge.
+function casterShadowPieces(frame: LocalFrame, c: PreparedCaster, dx: number, dy: number): Feature<Polygon>[] {
+  const ox = dx * c.height;
+  const oy = dy * c.height;
+  const moved = c.ring.map(([x, y]) => [x + ox, y + oy] as [number, number]);
+  const pieces: Feature<Polygon>[] = [
+    polygon([closedLonLatRing(frame, c.ring)]),
+    polygon([closedLonLatRing(frame, moved)]),
+  ];
+  for (let k = 0; k < c.ring.length; k++) {
+    const a = c.ring[k];
+    const b = c.ring[(k + 1) % c.ring.length];
+    const quad: [number, number][] = [a, b, [b[0] + ox, b[1] + oy], [a[0] + ox, a[1] + oy]];
+    // Skip edges parallel to the sun direction; their quads are degenerate.
+    const cross = (b[0] - a[0]) * oy - (b[1] - a[1]) * ox;
+    if (Math.abs(cross) < 1e-9) continue;
+    pieces.push(polygon([closedLonLatRing(frame, quad)]));
+  }
+  return pieces;
+}
+
+// One feature per sample with the sun above the horizon: the merged shadow of all casters.
+export function buildShadowsGeoJson(
+  casters: ShadeCaster[],
+  samples: SunSample[],
+  opts: ShadeOptions = {}
+): FeatureCollection<Polygon | MultiPolygon> {
+  const minAlt = opts.minAltitudeDeg ?? 2;
+  const features: Feature<Polygon | MultiPolygon>[] = [];
+  if (!casters.length) return featureCollection(features);
+
+  const first = casters.find((c) => Array.isArray(c.footprint) && c.footprint.length)?.footprint[0];
+  if (!first) return featureCollection(features);
+  const frame = localFrame(first[0], first[1]);
+  const prepared = prepareCasters(frame, casters);
+  if (!prepared.length) return featureCollection(features);
+
+  for (const s of samples) {
+    if (s.altitudeDeg < minAlt) continue;
+    const [dx, dy] = shadowOffsetPerMeter(s.azimuthDeg, s.altitudeDeg);
+
+    const pieces: Feature<Polygon>[] = [];
+    for (const c of prepared) pieces.push(...casterShadowPieces(frame, c, dx, dy));
+
+    let merged: Feature<Polygon | MultiPolygon> | null = null;
+    try {
+      merged = pieces.length > 1 ? union(featureCollection(pieces)) : pieces[0] ?? null;
+    } catch {
+      merged = null;
+    }
+    if (!merged) continue;
+
+    merged.properties = {
+      time: s.time,
+      month: s.month,
+      day: s.day,
+      hour: s.hour,
+      sunAzimuthDeg: s.azimuthDeg,
+      sunAltitudeDeg: s.altitudeDeg,
+    };
+    features.push(merged);
+  }
+  return featureCollection(features);
+}
+
+export function pointInRing(x: number, y: number, ring: [number, number][]): boolean {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+export interface VolumeCaster extends PreparedCaster {
+  // Roof elevation in meters (ground under the footprint + height).
+  top: number;
+}
+
+// Distance along the segment p -> p + dir * len at which it first enters the ring, or -1.
+function entryDistance(
+  px: number, py: number, dirX: number, dirY: number, len: number, ring: [number, number][]
+): number {
+  if (pointInRing(px, py, ring)) return 0;
+  let best = -1;
+  for (let k = 0; k < ring.length; k++) {
+    const [ax, ay] = ring[k];
+    const [bx, by] = ring[(k + 1) % ring.length];
+    const ex = bx - ax;
+    const ey = by - ay;
+    const denom = dirX * ey - dirY * ex;
+    if (Math.abs(denom) < 1e-12) continue;
+    const t = ((ax - px) * ey - (ay - py) * ex) / denom;
+    const u = ((ax - px) * dirY - (ay - py) * dirX) / denom;
+    if (t < 0 || t > len || u < 0 || u > 1) continue;
+    if (best < 0 || t < best) best = t;
+  }
+  return best;
+}
+
+// Volumes bucketed on a coarse local grid (as sunlight.ts does for tree crowns), so each ray only
+// tests the buildings near its path. `stamp`/`rayId` dedupe volumes that span several cells.
+export interface VolumeIndex {
+  volumes: VolumeCaster[];
+  cell: number;
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  nx: number;
+  ny: number;
+  buckets: number[][];
+  topMax: number;
+  stamp: Int32Array;
+  rayId: number;
+}
+
+export function buildVolumeIndex(volumes: VolumeCaster[]): VolumeIndex | null {
+  if (!volumes.length) return null;
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, topMax = -Infinity;
+  for (const c of volumes) {
+    minX = Math.min(minX, c.minX);
+    maxX = Math.max(maxX, c.maxX);
+    minY = Math.min(minY, c.minY);
+    maxY = Math.max(maxY, c.maxY);
+    topMax = Math.max(topMax, c.top);
+  }
+  // ~20 m cells (footprints are larger than crowns), coarser for very large AOIs.
+  const cell = Math.max(20, Math.max(maxX - minX, maxY - minY) / 400);
+  minX -= cell;
+  minY -= cell;
+  maxX += cell;
+  maxY += cell;
+  const nx = Math.floor((maxX - minX) / cell) + 1;
+  const ny = Math.floor((maxY - minY) / cell) + 1;
+  const buckets: number[][] = Array.from({ length: nx * ny }, () => []);
+  volumes.forEach((c, idx) => {
+    // Pad by half a cell: rays are sampled every half cell and could skip a clipped corner.
+    const i0 = Math.max(0, Math.floor((c.minX - cell / 2 - minX) / cell));
+    const i1 = Math.min(nx - 1, Math.floor((c.maxX + cell / 2 - minX) / cell));
+    const j0 = Math.max(0, Math.floor((c.minY - cell / 2 - minY) / cell));
+    const j1 = Math.min(ny - 1, Math.floor((c.maxY + cell / 2 - minY) / cell));
+    for (let j = j0; j <= j1; j++) for (let i = i0; i <= i1; i++) buckets[j * nx + i].push(idx);
+  });
+  const stamp = new Int32Array(volumes.length).fill(-1);
+  return { volumes, cell, minX, minY, maxX, maxY, nx, ny, buckets, topMax, stamp, rayId: 0 };
+}
+
+// True when a ray from (px, py, z0) along the horizontal direction (dirX, dirY), climbing `rise`
+// meters per meter, passes through one of the volumes below its roof.
+export function rayHitsVolumes(
+  px: number, py: number, z0: number, dirX: number, dirY: number, rise: number, index: VolumeIndex
+): boolean {
+  if (z0 >= index.topMax) return false;
+  // Clip the ray's footprint (up to where it clears the tallest roof) to the indexed area.
+  let t0 = 0;
+  let t1 = (index.topMax - z0) / rise;
+  for (const [p, dir, lo, hi] of [[px, dirX, index.minX, index.maxX], [py, dirY, index.minY, index.maxY]]) {
+    if (Math.abs(dir) < 1e-12) {
+      if (p < lo || p > hi) return false;
+      continue;
+    }
+    const ta = (lo - p) / dir;
+    const tb = (hi - p) / dir;
+    t0 = Math.max(t0, Math.min(ta, tb));
+    t1 = Math.min(t1, Math.max(ta, tb));
+  }
+  if (t0 > t1) return false;
+
+  const rayId = ++index.rayId;
+  for (let d = t0; d <= t1 + index.cell; d += index.cell / 2) {
+    const i = Math.floor((px + dirX * d - index.minX) / index.cell);
+    const j = Math.floor((py + dirY * d - index.minY) / index.cell);
+    if (i < 0 || j < 0 || i >= index.nx || j >= index.ny) continue;
+    for (const idx of index.buckets[j * index.nx + i]) {
+      if (index.stamp[idx] === rayId) continue;
+      index.stamp[idx] = rayId;
+      const c = index.volumes[idx];
+      if (c.top <= z0) continue;
+      const len = (c.top - z0) / rise;
+      const qx = px + dirX * len;
+      const qy = py + dirY * len;
+      if (Math.max(px, qx) < c.minX || Math.min(px, qx) > c.maxX) continue;
+      if (Math.max(py, qy) < c.minY || Math.min(py, qy) > c.maxY) continue;
+      const t = entryDistance(px, py, dirX, dirY, len, c.ring);
+      if (t >= 0 && z0 + t * rise < c.top) return true;
+    }
+  }
+  return false;
+}
+
+// Counts, for each node of a gridN x gridN lattice over bbox, the samples in which it is shaded.
+export function buildShadeGrid(
+  casters: ShadeCaster[],
+  samples: SunSample[],
+  bbox: ShadeBBox,
+  gridN: number,
+  opts: ShadeOptions = {}
+): ShadeGrid {
+  const minAlt = opts.minAltitudeDeg ?? 2;
+  const frame = localFrame((bbox.west + bbox.east) / 2, (bbox.south + bbox.north) / 2);
+  // Flat ground: a node is shaded when the ray towards the sun enters a prism below its roof.
+  const index = buildVolumeIndex(prepareCasters(frame, casters).map((c) => ({ ...c, top: c.height })));
+
+  const cells = gridN * gridN;
+  const hoursShaded = new Array<number>(cells).fill(0);
+  const [x0, y0] = toLocal(frame, bbox.west, bbox.south);
+  const [x1, y1] = toLocal(frame, bbox.east, bbox.north);
+  const step = gridN > 1 ? 1 / (gridN - 1) : 0;
+
+  let sunUpHours = 0;
+  for (const s of samples) {
+    if (s.altitudeDeg < minAlt) continue;
+    sunUpHours++;
+    if (!index) continue;
+    // Towards the sun: the opposite of the shadow offset, climbing 1 / |offset| per meter.
+    const [ox, oy] = shadowOffsetPerMeter(s.azimuthDeg, s.altitudeDeg);
+    const k = Math.hypot(ox, oy);
+
+    for (let j = 0; j < gridN; j++) {
+      const py = y0 + (y1 - y0) * j * step;
+      for (let i = 0; i < gridN; i++) {
+        const px = x0 + (x1 - x0) * i * step;
+        if (rayHitsVolumes(px, py, 0, -ox / k, -oy / k, 1 / k, index)) hoursShaded[j * gridN + i]++;
+      }
+    }
+  }
+
+  const hoursSun = hoursShaded.map((h) => sunUpHours - h);
+  const percentShaded = hoursShaded.map((h) => (sunUpHours ? Math.round((h / sunUpHours) * 1000) / 10 : 0));
+  return { bbox, gridN, sunUpHours, hoursShaded, hoursSun, percentShaded };
+}
@@ -0,0 +1,168 @@
+// Solar position (NOAA General Solar Position Calculations, SPA-compatible to ~0.1°)
+// and hourly sampling of an analysis period in local standard time. Also imported by the ShadeLA
+// shell's viewer (sun-path slider), so viewer shadows line up with the analysis: no Node imports.
+
+const DEG = Math.PI / 180;
+
+export interface SunPosition {
+  // Degrees clockwise from true north (0 = N, 90 = E).
+  azimuthDeg: number;
+  // Degrees above the horizon, corrected for atmospheric refraction.
+  altitudeDeg: number;
+  declinationDeg: number;
+  equationOfTimeMin: number;
+}
+
+export interface AnalysisBoundary {
+  month: number;
+  day: number;
+  hour: number;
+}
+
+export interface AnalysisPeriod {
+  start: AnalysisBoundary;
+  end: AnalysisBoundary;
+}
+
+export interface SunSample {
+  // ISO timestamp (UTC) of the sample.
+  time: string;
+  month: number;
+  day: number;
+  hour: number;
+  azimuthDeg: number;
+  altitudeDeg: number;
+}
+
+function dayOfYear(date: Date): number {
+  const start = Date.UTC(date.getUTCFullYear(), 0, 1);
+  return Math.floor((date.getTime() - start) / 86400000) + 1;
+}
+
+function isLeapYear(year: number): boolean {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function refractionDeg(elevationDeg: number): number {
+  // NOAA solar calculator approximation of atmospheric refraction.
+  if (elevationDeg > 85) return 0;
+  const te = Math.tan(elevationDeg * DEG);
+  let arcSec: number;
+  if (elevationDeg > 5) {
+    arcSec = 58.1 / te - 0.07 / (te * te * te) + 0.000086 / Math.pow(te, 5);
+  } else if (elevationDeg > -0.575) {
+    arcSec = 1735 + elevationDeg * (-518.2 + elevationDeg * (103.4 + elevationDeg * (-12.79 + elevationDeg * 0.711)));
+  } else {
+    arcSec = -20.774 / te;
+  }
+  return arcSec / 3600;
+}
+
+export function sunPosition(date: Date, lat: number, lon: number): SunPosition {
+  const year = date.getUTCFullYear();
+  const daysInYear = isLeapYear(year) ? 366 : 365;
+  const hourUtc = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+
+  // Fractional year (radians)
+  const g = ((2 * Math.PI) / daysInYear) * (dayOfYear(date) - 1 + (hourUtc - 12) / 24);
+
+  const eqTime =
+    229.18 *
+    (0.000075 +
+      0.001868 * Math.cos(g) -
+      0.032077 * Math.sin(g) -
+      0.014615 * Math.cos(2 * g) -
+      0.040849 * Math.sin(2 * g));
+
+  const decl =
+    0.006918 -
+    0.399912 * Math.cos(g) +
+    0.070257 * Math.sin(g) -
+    0.006758 * Math.cos(2 * g) +
+    0.000907 * Math.sin(2 * g) -
+    0.002697 * Math.cos(3 * g) +
+    0.00148 * Math.sin(3 * g);
+
+  // True solar time (minutes) and hour angle (radians)
+  const trueSolarMin = hourUtc * 60 + eqTime + 4 * lon;
+  const ha = (trueSolarMin / 4 - 180) * DEG;
+
+  const phi = lat * DEG;
+  const cosZen = Math.sin(phi) * Math.sin(decl) + Math.cos(phi) * Math.cos(decl) * Math.cos(ha);
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZen)));
+  const elevationDeg = 90 - zenith / DEG;
+
+  // Azimuth measured from south towards west, then rotated to "clockwise from north".
+  const azFromSouth = Math.atan2(Math.sin(ha), Math.cos(ha) * Math.sin(phi) - Math.tan(decl) * Math.cos(phi));
+  const azimuthDeg = (azFromSouth / DEG + 180 + 360) % 360;
+
+  return {
+    azimuthDeg,
+    altitudeDeg: elevationDeg + refractionDeg(elevationDeg),
+    declinationDeg: decl / DEG,
+    equationOfTimeMin: eqTime,
+  };
+}
+
+// Unit vector pointing towards the sun in a local east/north/up frame.
+export function sunVector(azimuthDeg: number, altitudeDeg: number): [number, number, number] {
+  const az = azimuthDeg * DEG;
+  const alt = altitudeDeg * DEG;
+  return [Math.sin(az) * Math.cos(alt), Math.cos(az) * Math.cos(alt), Math.sin(alt)];
+}
+
+// Time zone (hours from UTC, standard time) guessed from longitude when the caller did not send one.
+export function defaultTimeZone(lon: number): number {
+  return Math.round(lon / 15);
+}
+
+// UTC instant of `minutes` after local standard midnight on dateStr ("YYYY-MM-DD").
+export function localStandardTimeToUtc(dateStr: string, minutes: number, timeZone: number): Date {
+  const [y, m, d] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(y, (m || 1) - 1, d || 1, 0, minutes) - timeZone * 3600000);
+}
+
+// Expands an analysis period into hourly samples: every day from start to end (inclusive,
+// wrapping over the new year if end < start), every hour from start.hour to end.hour.
+// Hours are local standard time (no daylight saving), like Ladybug's AnalysisPeriod.
+export function sunSamplesForPeriod(
+  period: AnalysisPeriod,
+  lat: number,
+  lon: number,
+  timeZone: number,
+  year: number
+): SunSample[] {
+  const clampInt = (v: unknown, lo: number, hi: number, fallback: number) => {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) ? Math.max(lo, Math.min(hi, n)) : fallback;
+  };
+
+  const startMonth = clampInt(period.start.month, 1, 12, 1);
+  const startDay = clampInt(period.start.day, 1, 31, 1);
+  const endMonth = clampInt(period.end.month, 1, 12, startMonth);
+  const endDay = clampInt(period.end.day, 1, 31, startDay);
+  const startHour = clampInt(period.start.hour, 0, 23, 0);
+  const endHour = clampInt(period.end.hour, 0, 23, 23);
+
+  const startMs = Date.UTC(year, startMonth - 1, startDay);
+  let endMs = Date.UTC(year, endMonth - 1, endDay);
+  if (endMs < startMs) endMs = Date.UTC(year + 1, endMonth - 1, endDay);
+
+  const samples: SunSample[] = [];
+  for (let dayMs = startMs; dayMs <= endMs; dayMs += 86400000) {
+    const d = new Date(dayMs);
+    for (let hour = startHour; hour <= endHour; hour++) {
+      const date = new Date(dayMs + (hour - timeZone) * 3600000);
+      const pos = sunPosition(date, lat, lon);
+      samples.push({
+        time: date.toISOString(),
+        month: d.getUTCMonth() + 1,
+        day: d.getUTCDate(),
+        hour,
+        azimuthDeg: pos.azimuthDeg,
+        altitudeDeg: pos.altitudeDeg,
+      });
+    }
+  }
+  return samples;
+}
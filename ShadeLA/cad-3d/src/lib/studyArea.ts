@@ -0,0 +1,93 @@
+// Study area for the OSM and export routes: a bbox, or a boundary polygon whose bbox is used to
+// fetch data that is then clipped to it (lib/osm/clip.ts). A boundary is given as
+//   { place: "<GEOID>" }   census place (city / CDP) from cb_2020_06_place_500k.json
+//   { tract: "<GEOID>" }   census tract from cb_2020_06_tract_500k.json
+//   GeoJSON Polygon / MultiPolygon (bare or as a Feature)
+// or, in query strings, "place:<GEOID>", "tract:<GEOID>" or URL-encoded GeoJSON. Areas larger than
+// MAX_AOI_KM2 are rejected (aoi_too_large) before anything is fetched.
+import { bbox as turfBbox } from "@turf/turf";
+import { isBoundaryGeometry, parseAoiGeometry, type BoundaryGeometry } from "./boundaries";
+import type { BBox } from "./osm/overpass";
+import { placeByGeoid } from "./places";
+import { tractGeometry } from "./tracts/data";
+
+export interface StudyArea {
+  bbox: BBox;
+  boundary: BoundaryGeometry | null;
+  // "bbox", "place:<GEOID>", "tract:<GEOID>" or "geojson".
+  source: string;
+}
+
+export type StudyAreaResult = { ok: true; area: StudyArea } | { ok: false; error: string; detail: string };
+
+// Largest study area accepted, in km² of its bbox (what gets fetched, also for boundaries).
+// MAX_AOI_KM2 overrides; the default matches the map's 10 km x 10 km limit.
+function maxAoiKm2(): number {
+  const v = Number(process.env.MAX_AOI_KM2);
+  return Number.isFinite(v) && v > 0 ? v : 100;
+}
+
+export function bboxAreaKm2([w, s, e, n]: BBox): number {
+  const kmPerDegLat = 110.574;
+  const kmPerDegLon = 111.32 * Math.cos((((s + n) / 2) * Math.PI) / 180);
+  return Math.abs(e - w) * kmPerDegLon * Math.abs(n - s) * kmPerDegLat;
+}
+
+function checkArea(area: StudyArea): StudyAreaResult {
+  const km2 = bboxAreaKm2(area.bbox);
+  const max = maxAoiKm2();
+  if (km2 > max) {
+    return { ok: false, error: "aoi_too_large", detail: `${area.source} covers ${km2.toFixed(1)} km² (bbox); the limit is ${max} km²` };
+  }
+  return { ok: true, area };
+}
+
+function parseBbox(v: unknown): BBox | null {
+  const parts = typeof v === "string" ? v.split(",").map((s) => Number(s.trim())) : Array.isArray(v) ? v.map(Number) : [];
+  return parts.length === 4 && parts.every(Number.isFinite) ? (parts as BBox) : null;
+}
+
+// "place:0644000" / "tract:06037277000" / JSON text -> the object form.
+export function parseBoundaryParam(param: string | null): unknown {
+  if (!param) return undefined;
+  const m = /^(place|tract):(.+)$/.exec(param.trim());
+  if (m) return { [m[1]]: m[2].trim() };
+  try {
+    return JSON.parse(param);
+  } catch {
+    return param;
+  }
+}
+
+export async function resolveStudyArea(input: { bbox?: unknown; boundary?: unknown }): Promise<StudyAreaResult> {
+  const b = input.boundary as { place?: unknown; tract?: unknown } | null | undefined;
+  if (b !== undefined && b !== null) {
+    let boundary: BoundaryGeometry | null = null;
+    let source = "geojson";
+    if (typeof b === "object" && b.place !== undefined) {
+      source = `place:${String(b.place)}`;
+      const f = await placeByGeoid(String(b.place));
+      boundary = f && isBoundaryGeometry(f.geometry) ? f.geometry : null;
+      if (!boundary) return { ok: false, error: "boundary_not_found", detail: `no place ${String(b.place)}` };
+    } else if (typeof b === "object" && b.tract !== undefined) {
+      source = `tract:${String(b.tract)}`;
+      boundary = await tractGeometry(String(b.tract));
+      if (!boundary) return { ok: false, error: "boundary_not_found", detail: `no tract ${String(b.tract)}` };
+    } else {
+      boundary = typeof b === "object" ? parseAoiGeometry(b) : null;
+      if (!boundary) {
+        return {
+          ok: false,
+          error: "bad_boundary",
+          detail: "boundary must be { place }, { tract } or a GeoJSON Polygon/MultiPolygon",
+        };
+      }
+    }
+    const [w, s, e, n] = turfBbox({ type: "Feature", geometry: boundary, properties: {} });
+    return checkArea({ bbox: [w, s, e, n], boundary, source });
+  }
+
+  const bbox = parseBbox(input.bbox);
+  if (!bbox) return { ok: false, error: "bbox_required", detail: "bbox [w,s,e,n] or boundary is required" };
+  return checkArea({ bbox, boundary: null, source: "bbox" });
+}
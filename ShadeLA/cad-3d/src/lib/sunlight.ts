@@ -0,0 +1,375 @@
+// Hours of direct sun on the AOI ground grid: rays are cast from every grid node towards the sun
+// and tested against the terrain heightfield, extruded building volumes and porous tree crowns.
+// Buildings and terrain block the beam; a crown lets part of it through (Beer-Lambert style,
+// scaled by the chord length through the crown), so tree shade accumulates fractional hours.
+// Shade structures (canopies, sails, pergolas) are flat roofs above the ground with their own
+// transmissivity.
+import { crownDepth } from "./osm/trees";
+import { LocalFrame, ShadeBBox, ShadeCaster, VolumeCaster, buildVolumeIndex, localFrame, pointInRing, prepareCasters, rayHitsVolumes, toLocal } from "./shade";
+import { SunSample, sunVector } from "./solar";
+
+export const DEFAULT_TREE_TRANSMISSIVITY = 0.2;
+
+export interface SunHoursOptions {
+  // Row-major gridN x gridN ground heights in meters (the terrain grid); flat ground when omitted.
+  groundHeights?: number[];
+  minAltitudeDeg?: number;
+  // How far (m) rays are marched over the terrain before they are considered to be in the open.
+  maxTerrainDistance?: number;
+  // Sample height above the ground, keeps grid nodes from shading themselves.
+  observerHeight?: number;
+  trees?: TreeCaster[];
+  // Default crown transmissivity for trees that do not set their own.
+  treeTransmissivity?: number;
+  structures?: StructureCaster[];
+}
+
+export interface SunHoursGrid {
+  bbox: ShadeBBox;
+  gridN: number;
+  sunUpHours: number;
+  // Row-major (j * gridN + i), rows south -> north, columns west -> east.
+  sunHours: number[];
+  percentShaded: number[];
+  shadedByTerrain: number[];
+  shadedByBuildings: number[];
+  // Fractional hours: a crown passing 20% of the beam adds 0.8 h per hour.
+  shadedByTrees: number[];
+  // Fractional hours as for trees, from shade-structure roofs.
+  shadedByStructures: number[];
+  // Per-node averages in hours, for the canopy-vs-structure comparison.
+  breakdown: { sunHours: number; terrain: number; buildings: number; trees: number; structures: number };
+}
+
+export interface TreeCaster {
+  id?: string;
+  lon: number;
+  lat: number;
+  // Meters; the crown is an ellipsoid at the top of the tree (see crownDepth).
+  height: number;
+  crownDiameter: number;
+  // Share of the direct beam that passes through one crown diameter of foliage (0 opaque, 1 clear).
+  transmissivity?: number;
+}
+
+export interface StructureCaster {
+  id?: string;
+  type?: string;
+  // Roof outline as a lon/lat ring.
+  footprint: [number, number][];
+  // Roof elevation above the ground in meters.
+  height: number;
+  // Share of the direct beam that passes through the roof (0 solid, 1 open).
+  transmissivity?: number;
+}
+
+interface PreparedStructure {
+  ring: [number, number][];
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+  z: number;
+  tau: number;
+}
+
+function prepareStructures(
+  frame: LocalFrame,
+  structures: StructureCaster[],
+  groundAt: (x: number, y: number) => number
+): PreparedStructure[] {
+  const out: PreparedStructure[] = [];
+  for (const s of structures) {
+    if (!Array.isArray(s.footprint) || s.footprint.length < 3 || !(s.height > 0)) continue;
+    const ring = s.footprint.map(([lon, lat]) => toLocal(frame, lon, lat));
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, cx = 0, cy = 0;
+    for (const [x, y] of ring) {
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+      cx += x / ring.length;
+      cy += y / ring.length;
+    }
+    const tau = Math.max(0, Math.min(1, s.transmissivity ?? 0));
+    out.push({ ring, minX, minY, maxX, maxY, z: groundAt(cx, cy) + s.height, tau });
+  }
+  return out;
+}
+
+// Fraction of the beam that gets through every roof the ray crosses on its way up.
+function structureTransmission(
+  structures: PreparedStructure[], px: number, py: number, z0: number, dirX: number, dirY: number, rise: number
+): number {
+  let transmission = 1;
+  for (const s of structures) {
+    if (s.z <= z0) continue;
+    const d = (s.z - z0) / rise;
+    const qx = px + dirX * d;
+    const qy = py + dirY * d;
+    if (qx < s.minX || qx > s.maxX || qy < s.minY || qy > s.maxY) continue;
+    if (pointInRing(qx, qy, s.ring)) transmission *= s.tau;
+  }
+  return transmission;
+}
+
+interface PreparedTree {
+  x: number;
+  y: number;
+  // Crown center height, horizontal and vertical radius.
+  cz: number;
+  r: number;
+  rz: number;
+  tau: number;
+}
+
+// Trees bucketed on a coarse local grid so each ray only tests crowns near its path.
+interface TreeIndex {
+  trees: PreparedTree[];
+  cell: number;
+  minX: number;
+  minY: number;
+  nx: number;
+  ny: number;
+  buckets: number[][];
+  topMax: number;
+}
+
+function buildTreeIndex(
+  frame: LocalFrame,
+  trees: TreeCaster[],
+  groundAt: (x: number, y: number) => number,
+  defaultTau: number
+): TreeIndex | null {
+  const prepared: PreparedTree[] = [];
+  for (const t of trees) {
+    if (!(t.height > 0) || !(t.crownDiameter > 0)) continue;
+    const [x, y] = toLocal(frame, t.lon, t.lat);
+    const depth = crownDepth(t.height, t.crownDiameter);
+    const tau = Math.max(0, Math.min(1, t.transmissivity ?? defaultTau));
+    prepared.push({ x, y, cz: groundAt(x, y) + t.height - depth / 2, r: t.crownDiameter / 2, rz: depth / 2, tau });
+  }
+  if (!prepared.length) return null;
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity, topMax = -Infinity;
+  for (const t of prepared) {
+    minX = Math.min(minX, t.x - t.r);
+    maxX = Math.max(maxX, t.x + t.r);
+    minY = Math.min(minY, t.y - t.r);
+    maxY = Math.max(maxY, t.y + t.r);
+    topMax = Math.max(topMax, t.cz + t.rz);
+  }
+  // ~10 m cells, coarser for very large AOIs so the bucket grid stays small.
+  const cell = Math.max(10, Math.max(maxX - minX, maxY - minY) / 400);
+  const nx = Math.floor((maxX - minX) / cell) + 1;
+  const ny = Math.floor((maxY - minY) / cell) + 1;
+  const buckets: number[][] = Array.from({ length: nx * ny }, () => []);
+  prepared.forEach((t, idx) => {
+    // Pad by half a cell: rays are sampled every half cell and could skip a clipped corner.
+    const i0 = Math.max(0, Math.floor((t.x - t.r - cell / 2 - minX) / cell));
+    const i1 = Math.min(nx - 1, Math.floor((t.x + t.r + cell / 2 - minX) / cell));
+    const j0 = Math.max(0, Math.floor((t.y - t.r - cell / 2 - minY) / cell));
+    const j1 = Math.min(ny - 1, Math.floor((t.y + t.r + cell / 2 - minY) / cell));
+    for (let j = j0; j <= j1; j++) for (let i = i0; i <= i1; i++) buckets[j * nx + i].push(idx);
+  });
+  return { trees: prepared, cell, minX, minY, nx, ny, buckets, topMax };
+}
+
+// Fraction of the beam from (px, py, z0) along the unit sun vector (vx, vy, vz) that gets through
+// every crown on its way out of the canopy layer. `stamp` dedupes crowns shared by several cells.
+function treeTransmission(
+  index: TreeIndex, px: number, py: number, z0: number, vx: number, vy: number, vz: number,
+  stamp: Int32Array, rayId: number
+): number {
+  if (z0 >= index.topMax) return 1;
+  const horiz = Math.hypot(vx, vy);
+  const reach = Math.min(((index.topMax - z0) * horiz) / vz, 1500);
+  const dirX = vx / horiz;
+  const dirY = vy / horiz;
+  let transmission = 1;
+  for (let d = 0; d <= reach + index.cell; d += index.cell / 2) {
+    const i = Math.floor((px + dirX * d - index.minX) / index.cell);
+    const j = Math.floor((py + dirY * d - index.minY) / index.cell);
+    if (i < 0 || j < 0 || i >= index.nx || j >= index.ny) continue;
+    for (const idx of index.buckets[j * index.nx + i]) {
+      if (stamp[idx] === rayId) continue;
+      stamp[idx] = rayId;
+      const t = index.trees[idx];
+      // Ray vs ellipsoid: scale z so the crown becomes a sphere of radius r.
+      const k = t.r / t.rz;
+      const ox = px - t.x, oy = py - t.y, oz = (z0 - t.cz) * k;
+      const dz = vz * k;
+      const a = vx * vx + vy * vy + dz * dz;
+      const b = 2 * (ox * vx + oy * vy + oz * dz);
+      const c = ox * ox + oy * oy + oz * oz - t.r * t.r;
+      const disc = b * b - 4 * a * c;
+      if (disc <= 0) continue;
+      const sq = Math.sqrt(disc);
+      const s2 = (-b + sq) / (2 * a);
+      if (s2 <= 0) continue;
+      const s1 = Math.max(0, (-b - sq) / (2 * a));
+      const chord = s2 - s1; // the sun vector is unit length, so s is meters
+      transmission *= Math.pow(t.tau, chord / (2 * t.r));
+      if (transmission < 1e-3) return 0;
+    }
+  }
+  return transmission;
+}
+
+export function buildSunHoursGrid(
+  casters: ShadeCaster[],
+  samples: SunSample[],
+  bbox: ShadeBBox,
+  gridN: number,
+  opts: SunHoursOptions = {}
+): SunHoursGrid {
+  const minAlt = opts.minAltitudeDeg ?? 2;
+  const observerHeight = opts.observerHeight ?? 0.5;
+  const frame = localFrame((bbox.west + bbox.east) / 2, (bbox.south + bbox.north) / 2);
+  const [x0, y0] = toLocal(frame, bbox.west, bbox.south);
+  const [x1, y1] = toLocal(frame, bbox.east, bbox.north);
+  const cellX = gridN > 1 ? (x1 - x0) / (gridN - 1) : x1 - x0;
+  const cellY = gridN > 1 ? (y1 - y0) / (gridN - 1) : y1 - y0;
+
+  const cells = gridN * gridN;
+  const ground = new Float64Array(cells);
+  let groundMax = 0;
+  if (opts.groundHeights && opts.groundHeights.length === cells) {
+    let minZ = Infinity;
+    for (const z of opts.groundHeights) if (Number.isFinite(z) && z < minZ) minZ = z;
+    if (!Number.isFinite(minZ)) minZ = 0;
+    groundMax = -Infinity;
+    for (let k = 0; k < cells; k++) {
+      const z = Number(opts.groundHeights[k]);
+      ground[k] = Number.isFinite(z) ? z : minZ;
+      if (ground[k] > groundMax) groundMax = ground[k];
+    }
+  }
+  const hasTerrain = !!opts.groundHeights && opts.groundHeights.length === cells;
+
+  // Bilinear ground height at a local point; clamped to the grid edges.
+  const groundAt = (x: number, y: number): number => {
+    if (!hasTerrain) return 0;
+    const fx = Math.max(0, Math.min(gridN - 1, (x - x0) / cellX));
+    const fy = Math.max(0, Math.min(gridN - 1, (y - y0) / cellY));
+    const i = Math.min(gridN - 2, Math.floor(fx));
+    const j = Math.min(gridN - 2, Math.floor(fy));
+    const tx = fx - i;
+    const ty = fy - j;
+    const z00 = ground[j * gridN + i];
+    const z10 = ground[j * gridN + i + 1];
+    const z01 = ground[(j + 1) * gridN + i];
+    const z11 = ground[(j + 1) * gridN + i + 1];
+    return (z00 * (1 - tx) + z10 * tx) * (1 - ty) + (z01 * (1 - tx) + z11 * tx) * ty;
+  };
+
+  // Buildings sit on the lowest ground under their footprint.
+  const volumes: VolumeCaster[] = prepareCasters(frame, casters).map((c) => {
+    let base = Infinity;
+    for (const [x, y] of c.ring) base = Math.min(base, groundAt(x, y));
+    return { ...c, top: (Number.isFinite(base) ? base : 0) + c.height };
+  });
+  const topMax = volumes.reduce((m, v) => Math.max(m, v.top), groundMax);
+  const volumeIndex = buildVolumeIndex(volumes);
+
+  const maxTerrainDistance = opts.maxTerrainDistance ?? 2000;
+  const marchStep = Math.max(1, Math.min(Math.abs(cellX), Math.abs(cellY)) / 2);
+
+  const treeIndex = opts.trees?.length
+    ? buildTreeIndex(frame, opts.trees, groundAt, opts.treeTransmissivity ?? DEFAULT_TREE_TRANSMISSIVITY)
+    : null;
+  const stamp = new Int32Array(treeIndex ? treeIndex.trees.length : 0).fill(-1);
+  const structures = opts.structures?.length ? prepareStructures(frame, opts.structures, groundAt) : [];
+  const rayTop = structures.reduce((m, s) => Math.max(m, s.z), Math.max(topMax, treeIndex?.topMax ?? -Infinity));
+  let rayId = 0;
+
+  const shadedByTerrain = new Array<number>(cells).fill(0);
+  const shadedByBuildings = new Array<number>(cells).fill(0);
+  const shadedByTrees = new Array<number>(cells).fill(0);
+  const shadedByStructures = new Array<number>(cells).fill(0);
+  let sunUpHours = 0;
+
+  for (const s of samples) {
+    if (s.altitudeDeg < minAlt) continue;
+    sunUpHours++;
+    const [vx, vy, vz] = sunVector(s.azimuthDeg, s.altitudeDeg);
+    const horiz = Math.hypot(vx, vy);
+    const dirX = vx / horiz;
+    const dirY = vy / horiz;
+    const rise = vz / horiz;
+
+    for (let j = 0; j < gridN; j++) {
+      const py = y0 + cellY * j;
+      for (let i = 0; i < gridN; i++) {
+        const k = j * gridN + i;
+        const px = x0 + cellX * i;
+        const z0 = ground[k] + observerHeight;
+        if (z0 >= rayTop) continue;
+
+        if (volumeIndex && rayHitsVolumes(px, py, z0, dirX, dirY, rise, volumeIndex)) {
+          shadedByBuildings[k]++;
+          continue;
+        }
+
+        let terrainHit = false;
+        if (hasTerrain) {
+          const limit = Math.min(maxTerrainDistance, (groundMax - z0) / rise);
+          for (let d = marchStep; d <= limit; d += marchStep) {
+            if (groundAt(px + dirX * d, py + dirY * d) > z0 + d * rise) {
+              terrainHit = true;
+              break;
+            }
+          }
+        }
+        if (terrainHit) {
+          shadedByTerrain[k]++;
+          continue;
+        }
+
+        // Light left after the structures is what the crowns can still take away.
+        const structureT = structures.length ? structureTransmission(structures, px, py, z0, dirX, dirY, rise) : 1;
+        shadedByStructures[k] += 1 - structureT;
+        if (treeIndex && structureT > 0) {
+          shadedByTrees[k] += structureT * (1 - treeTransmission(treeIndex, px, py, z0, vx, vy, vz, stamp, rayId++));
+        }
+      }
+    }
+  }
+
+  const round2 = (v: number) => Math.round(v * 100) / 100;
+  const sunHours = new Array<number>(cells);
+  const percentShaded = new Array<number>(cells);
+  const sum = { sunHours: 0, terrain: 0, buildings: 0, trees: 0, structures: 0 };
+  for (let k = 0; k < cells; k++) {
+    shadedByTrees[k] = round2(shadedByTrees[k]);
+    shadedByStructures[k] = round2(shadedByStructures[k]);
+    const shaded = shadedByTerrain[k] + shadedByBuildings[k] + shadedByTrees[k] + shadedByStructures[k];
+    sunHours[k] = round2(sunUpHours - shaded);
+    percentShaded[k] = sunUpHours ? Math.round((shaded / sunUpHours) * 1000) / 10 : 0;
+    sum.sunHours += sunHours[k];
+    sum.terrain += shadedByTerrain[k];
+    sum.buildings += shadedByBuildings[k];
+    sum.trees += shadedByTrees[k];
+    sum.structures += shadedByStructures[k];
+  }
+  const breakdown = {
+    sunHours: round2(sum.sunHours / cells),
+    terrain: round2(sum.terrain / cells),
+    buildings: round2(sum.buildings / cells),
+    trees: round2(sum.trees / cells),
+    structures: round2(sum.structures / cells),
+  };
+
+  return {
+    bbox,
+    gridN,
+    sunUpHours,
+    sunHours,
+    percentShaded,
+    shadedByTerrain,
+    shadedByBuildings,
+    shadedByTrees,
+    shadedByStructures,
+    breakdown,
+  };
+}
@@ -0,0 +1,35 @@
+// Saved 3D Tiles tilesets (writers/tiles.ts), served back to the map by /api/tiles/<id>/<file>.
+// A tileset's id is a hash of its files, so exporting the same scene twice reuses the directory.
+//
+// Environment:
+//   TILESET_DIR  storage directory (default: <cwd>/.cache/tilesets)
+import { createHash } from "crypto";
+import { promises as fs } from "fs";
+import path from "path";
+
+const ID_RE = /^[0-9a-f]{24}$/;
+const FILE_RE = /^[a-z0-9_-]+\.(json|glb)$/;
+
+export function tilesetDir(): string {
+  return process.env.TILESET_DIR || path.join(process.cwd(), ".cache", "tilesets");
+}
+
+export async function saveTileset(files: Record<string, Uint8Array | string>): Promise<string> {
+  const hash = createHash("sha256");
+  for (const name of Object.keys(files).sort()) hash.update(name).update(files[name]);
+  const id = hash.digest("hex").slice(0, 24);
+  const dir = path.join(tilesetDir(), id);
+  await fs.mkdir(dir, { recursive: true });
+  for (const [name, data] of Object.entries(files)) await fs.writeFile(path.join(dir, name), data);
+  return id;
+}
+
+// null for unknown ids/files and for names that could leave the tileset directory.
+export async function readTilesetFile(id: string, file: string): Promise<Buffer | null> {
+  if (!ID_RE.test(id) || !FILE_RE.test(file)) return null;
+  try {
+    return await fs.readFile(path.join(tilesetDir(), id, file));
+  } catch {
+    return null;
+  }
+}
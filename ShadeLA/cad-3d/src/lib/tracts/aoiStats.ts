@@ -0,0 +1,117 @@
+// Area-weighted census tract statistics for an AOI. Counts (population, ...) are apportioned by the
+// share of each tract's area inside the AOI, assuming people are spread evenly over the tract.
+// Rates and indexes (canopy %, LST, ...) are averaged over the AOI, weighted by overlap area; tracts
+// without a value are left out of that average and reported in `coverage`.
+import type { BoundaryGeometry } from "../boundaries";
+import { loadTractTable, normalizeGeoid, tractIndex, type TractRow } from "./data";
+
+// Each count is read from a count column, or derived from a percent-of-population column.
+const COUNTS: { key: string; label: string; count?: string; pctOfPopulation?: string }[] = [
+  { key: "population", label: "Population", count: "B01001_001E" },
+  { key: "age65Plus", label: "Population 65 and over", pctOfPopulation: "B01001_calc_pctGE65E" },
+  { key: "childrenUnder5", label: "Children under 5", count: "Total_Young_People" },
+  { key: "belowPoverty", label: "Population below poverty line", pctOfPopulation: "B17020_calc_pctPovE" },
+  { key: "withDisability", label: "Population with a disability", pctOfPopulation: "B18101_calc_pctDE" },
+  { key: "housingUnits", label: "Housing units", count: "B25002_001E" },
+];
+
+const MEANS: { key: string; label: string; unit: string | null; column: string }[] = [
+  { key: "treeCanopyPct", label: "Tree canopy", unit: "%", column: "PCT_TreeCanopy" },
+  { key: "imperviousPct", label: "Impervious surfaces", unit: "%", column: "PCT_ImperviousSurfaces" },
+  { key: "summerLstF", label: "Summer mean land surface temperature", unit: "°F", column: "High_Summer_Mean_LST_F" },
+  { key: "pm25", label: "Mean annual PM2.5", unit: "µg/m³", column: "Mean_Annual_Est_PM2_5_?g_m3" },
+  { key: "asthmaPct", label: "Adult asthma prevalence", unit: "%", column: "CASTHMA_CrudePrev" },
+  { key: "vulPopIndex", label: "Vulnerable population index", unit: null, column: "Vul_Pop_Index" },
+  { key: "interventionScore", label: "Intervention score", unit: null, column: "intervention_score" },
+];
+
+export interface AoiTractBreakdown {
+  GEOID: string;
+  NAME: string;
+  County: string | null;
+  overlapM2: number;
+  tractFraction: number;
+  aoiFraction: number;
+  // Counts apportioned to the AOI, and the tract's own rates.
+  counts: Record<string, number | null>;
+  values: Record<string, number | null>;
+}
+
+export interface AoiTractStats {
+  aoiAreaM2: number;
+  // Share of the AOI covered by tracts that have a CSV row.
+  tractCoverage: number;
+  counts: Record<string, { label: string; value: number }>;
+  means: Record<string, { label: string; unit: string | null; value: number | null; coverage: number }>;
+  tracts: AoiTractBreakdown[];
+}
+
+const num = (v: unknown): number | null => (typeof v === "number" && Number.isFinite(v) ? v : null);
+
+function tractCount(row: TractRow, c: (typeof COUNTS)[number]): number | null {
+  if (c.count) return num(row[c.count]);
+  const pop = num(row.B01001_001E);
+  const pct = num(row[c.pctOfPopulation!]);
+  return pop !== null && pct !== null ? (pop * pct) / 100 : null;
+}
+
+export async function aoiTractStats(aoi: BoundaryGeometry): Promise<AoiTractStats> {
+  const [index, table] = await Promise.all([tractIndex(), loadTractTable()]);
+  const { aoiAreaM2, overlaps } = index.intersecting(aoi);
+
+  const counts = Object.fromEntries(COUNTS.map((c) => [c.key, { label: c.label, value: 0 }]));
+  const sums = MEANS.map(() => ({ weighted: 0, weight: 0 }));
+  const tracts: AoiTractBreakdown[] = [];
+  let coveredM2 = 0;
+
+  for (const o of overlaps) {
+    const geoid = normalizeGeoid(o.feature.properties?.GEOID);
+    const row = table.byGeoid.get(geoid);
+    const breakdown: AoiTractBreakdown = {
+      GEOID: geoid,
+      NAME: row?.NAME ?? String(o.feature.properties?.NAME ?? ""),
+      County: row?.County ?? null,
+      overlapM2: o.overlapM2,
+      tractFraction: o.featureFraction,
+      aoiFraction: o.aoiFraction,
+      counts: {},
+      values: {},
+    };
+    if (row) {
+      coveredM2 += o.overlapM2;
+      for (const c of COUNTS) {
+        const n = tractCount(row, c);
+        breakdown.counts[c.key] = n === null ? null : n * o.featureFraction;
+        if (n !== null) counts[c.key].value += n * o.featureFraction;
+      }
+      MEANS.forEach((m, i) => {
+        const v = num(row[m.column]);
+        breakdown.values[m.key] = v;
+        if (v === null) return;
+        sums[i].weighted += v * o.overlapM2;
+        sums[i].weight += o.overlapM2;
+      });
+    }
+    tracts.push(breakdown);
+  }
+
+  const means = Object.fromEntries(
+    MEANS.map((m, i) => [
+      m.key,
+      {
+        label: m.label,
+        unit: m.unit,
+        value: sums[i].weight > 0 ? sums[i].weighted / sums[i].weight : null,
+        coverage: aoiAreaM2 > 0 ? Math.min(1, sums[i].weight / aoiAreaM2) : 0,
+      },
+    ])
+  );
+
+  return {
+    aoiAreaM2,
+    tractCoverage: aoiAreaM2 > 0 ? Math.min(1, coveredM2 / aoiAreaM2) : 0,
+    counts,
+    means,
+    tracts,
+  };
+}
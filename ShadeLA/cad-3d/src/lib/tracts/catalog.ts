@@ -0,0 +1,136 @@
+// Metadata for the census tract CSV columns ("CensusTract V3"): a readable label, the unit and
+// which way is bad. Ranking columns (*_Nat_Rank, *_St_Pctl, ...) and transformed copies
+// (*_BOX_COX, *_SQUARE_ROOT) are described from their base column.
+
+export type TractColumnType = "string" | "number";
+// "higher_worse": larger values mean more heat, exposure, vulnerability or need for intervention.
+export type TractColumnDirection = "higher_worse" | "higher_better" | "neutral";
+
+export interface TractColumn {
+  name: string;
+  label: string;
+  unit: string | null;
+  type: TractColumnType;
+  direction: TractColumnDirection;
+  // Base column for rankings and transforms, e.g. "Vul_Pop_Index" for "Vul_Pop_Index_Cnty_Pctl".
+  source?: string;
+}
+
+type BaseMeta = [label: string, unit: string | null, direction: TractColumnDirection];
+
+export const TRACT_STRING_COLUMNS = new Set(["GEOID", "NAME", "State", "County", "NAMELSAD"]);
+
+const BASE: Record<string, BaseMeta> = {
+  GEOID: ["Census tract GEOID", null, "neutral"],
+  NAME: ["Tract name", null, "neutral"],
+  State: ["State", null, "neutral"],
+  County: ["County", null, "neutral"],
+  NAMELSAD: ["Tract name (legal)", null, "neutral"],
+  ALAND: ["Land area", "m²", "neutral"],
+  AWATER: ["Water area", "m²", "neutral"],
+  B01001_001E: ["Total population", "people", "neutral"],
+  B01001_calc_pctGE65E: ["Population 65 and over", "%", "higher_worse"],
+  B03002_calc_pctNHWhiteE: ["Non-Hispanic white population", "%", "neutral"],
+  PCT_Pop_Minority: ["Minority population", "%", "higher_worse"],
+  B01001_003E: ["Boys under 5", "people", "neutral"],
+  B01001_027E: ["Girls under 5", "people", "neutral"],
+  Total_Young_People: ["Children under 5", "people", "neutral"],
+  PCT_Young_People: ["Children under 5", "%", "higher_worse"],
+  B17020_calc_pctPovE: ["Population below poverty line", "%", "higher_worse"],
+  B25002_calc_pctVacE: ["Vacant housing units", "%", "neutral"],
+  B15002_calc_pctLTHSE: ["Adults without high school diploma", "%", "higher_worse"],
+  B08201_calc_pctNoVehE: ["Households without a vehicle", "%", "higher_worse"],
+  B28002_calc_pctNoIntE: ["Households without internet", "%", "higher_worse"],
+  B18101_calc_pctDE: ["Population with a disability", "%", "higher_worse"],
+  PCT_HH_Lives_Alone: ["Householders living alone", "%", "higher_worse"],
+  B16004_calc_pctGE18LEAE: ["Adults with limited English", "%", "higher_worse"],
+  B01001_calc_pctDependE: ["Dependent-age population", "%", "higher_worse"],
+  PCT_HU_Built_Prior_1970: ["Housing built before 1970", "%", "higher_worse"],
+  B25002_001E: ["Housing units", "units", "neutral"],
+  B25002_calc_pctTotalOwnE: ["Owner-occupied housing", "%", "neutral"],
+  B25002_calc_pctTotalRentE: ["Renter-occupied housing", "%", "neutral"],
+  "Mean_Annual_Est_PM2_5_?g_m3": ["Mean annual PM2.5", "µg/m³", "higher_worse"],
+  CASTHMA_CrudePrev: ["Adult asthma prevalence", "%", "higher_worse"],
+  Area_SqKm: ["Tract area", "km²", "neutral"],
+  Pop_Density_PPL_SqKm: ["Population density", "people/km²", "neutral"],
+  High_Summer_Mean_LST_F: ["Summer mean land surface temperature", "°F", "higher_worse"],
+  PCT_TreeCanopy: ["Tree canopy", "%", "higher_better"],
+  PCT_LackingCanopy: ["Area lacking canopy", "%", "higher_worse"],
+  PCT_ImperviousSurfaces: ["Impervious surfaces", "%", "higher_worse"],
+  WF_HousingDensity_MEAN: ["Wildfire: housing density", null, "higher_worse"],
+  WF_Exp_Type_MEAN: ["Wildfire: exposure type", null, "higher_worse"],
+  WF_RiskToHome_Mean: ["Wildfire: risk to homes", null, "higher_worse"],
+  WF_HazardPotential_Mean: ["Wildfire: hazard potential", null, "higher_worse"],
+  Cnt_Rd_Inter: ["Road intersections", "count", "neutral"],
+  Cnt_Rd_Inter_Per_Sqkm: ["Road intersection density", "per km²", "neutral"],
+  count_property: ["Properties", "count", "neutral"],
+  count_fs_risk_100_year00: ["Properties at 100-year flood risk (today)", "count", "higher_worse"],
+  count_fs_risk_100_year30: ["Properties at 100-year flood risk (2050)", "count", "higher_worse"],
+  pct_fs_risk_100_year00: ["Properties at 100-year flood risk (today)", "%", "higher_worse"],
+  pct_fs_risk_100_year30: ["Properties at 100-year flood risk (2050)", "%", "higher_worse"],
+  Pct_Tract_Blw_SL_2050: ["Tract below sea level in 2050", "%", "higher_worse"],
+  Avg_Vul_2050: ["Average coastal vulnerability in 2050", null, "higher_worse"],
+  MAX_CC: ["Maximum coastal change", null, "higher_worse"],
+  Pct_Riparian: ["Riparian area", "%", "neutral"],
+  Pct_Area_Protect: ["Area suitable for protection", "%", "neutral"],
+  Pct_Area_Restore: ["Area suitable for restoration", "%", "neutral"],
+  Pct_Tract_Undev: ["Undeveloped area", "%", "neutral"],
+  Single_Tract: ["Single-tract flag", null, "neutral"],
+  Coastal_Tract: ["Coastal tract flag", null, "neutral"],
+  Mangrove_Length: ["Mangrove shoreline", "m", "neutral"],
+  Spartina_Length: ["Spartina shoreline", "m", "neutral"],
+  Man_Index: ["Mangrove restoration index", null, "higher_worse"],
+  Spart_Index: ["Spartina restoration index", null, "higher_worse"],
+  Flood_Buddy_Index: ["Flood buddy program index", null, "higher_worse"],
+  Vul_Pop_Index: ["Vulnerable population index", null, "higher_worse"],
+  Trees_Index: ["Tree planting index", null, "higher_worse"],
+  Cooling_Center_Index: ["Cooling center index", null, "higher_worse"],
+  Heat_Buddy_Index: ["Heat buddy program index", null, "higher_worse"],
+  Home_Hardening_Index: ["Home hardening index", null, "higher_worse"],
+  Air_Filtration_Index: ["Air filtration index", null, "higher_worse"],
+  Improved_Egress_Index: ["Improved egress index", null, "higher_worse"],
+  In_Flood_Aware_Index: ["Inland flood awareness index", null, "higher_worse"],
+  In_Flood_Egress_Index: ["Inland flood egress index", null, "higher_worse"],
+  Pres_Open_Space_Index: ["Open space preservation index", null, "higher_worse"],
+  Reduce_Imp_Surf_Index: ["Impervious surface reduction index", null, "higher_worse"],
+  Restore_Builtup_Index: ["Built-up area restoration index", null, "higher_worse"],
+  intervention_score: ["Intervention score", null, "higher_worse"],
+  Shape__Area: ["Shape area", "m²", "neutral"],
+  Shape__Length: ["Shape perimeter", "m", "neutral"],
+};
+
+// Suffix -> how the derived column relates to its base. Rank order is not documented in the
+// source data, so ranks are left "neutral".
+const DERIVED: { suffix: RegExp; label: string; unit: string | null; keepDirection: boolean }[] = [
+  { suffix: /_BOX_COX$/, label: "Box-Cox transformed", unit: null, keepDirection: true },
+  { suffix: /_SQUARE_ROOT$/, label: "square root", unit: null, keepDirection: true },
+  { suffix: /_Nat_Rank$/, label: "national rank", unit: "rank", keepDirection: false },
+  { suffix: /_Nat_Pctl$/i, label: "national percentile", unit: "percentile", keepDirection: true },
+  { suffix: /_Nat_Quan$/, label: "national quintile", unit: "quintile", keepDirection: true },
+  { suffix: /_St_Rank$/, label: "state rank", unit: "rank", keepDirection: false },
+  { suffix: /_St_Pctl$/i, label: "state percentile", unit: "percentile", keepDirection: true },
+  { suffix: /_Cnty_Rank$/, label: "county rank", unit: "rank", keepDirection: false },
+  { suffix: /_Cnty_Pctl$/i, label: "county percentile", unit: "percentile", keepDirection: true },
+];
+
+export function describeTractColumn(name: string): TractColumn {
+  const type: TractColumnType = TRACT_STRING_COLUMNS.has(name) ? "string" : "number";
+  const base = BASE[name];
+  if (base) return { name, label: base[0], unit: base[1], type, direction: base[2] };
+
+  for (const d of DERIVED) {
+    if (!d.suffix.test(name)) continue;
+    const source = name.replace(d.suffix, "");
+    const meta = BASE[source];
+    if (!meta) break;
+    return {
+      name,
+      label: `${meta[0]} (${d.label})`,
+      unit: d.unit,
+      type,
+      direction: d.keepDirection ? meta[2] : "neutral",
+      source,
+    };
+  }
+  return { name, label: name.replace(/_/g, " "), unit: null, type, direction: "neutral" };
+}
@@ -0,0 +1,127 @@
+// Census tract attributes from "CensusTract V3 (1).csv" and tract outlines from
+// cb_2020_06_tract_500k.json, loaded once per server process and shared by the tract routes.
+import { promises as fs } from "fs";
+import path from "path";
+import { buildBoundaryIndex, isBoundaryGeometry, type BoundaryFeature, type BoundaryIndex } from "../boundaries";
+import { parseCsv } from "./csv";
+import { describeTractColumn, type TractColumn } from "./catalog";
+
+const CSV_PATH = path.join(process.cwd(), "CensusTract V3 (1).csv");
+// GeoJSON export from cb_2020_06_tract_500k.shp
+const GEOJSON_PATH = path.join(process.cwd(), "cb_2020_06_tract_500k.json");
+
+export const LA_COUNTY = "Los Angeles County";
+
+// One CSV row: string columns as strings, every other column as a number (null when empty or not
+// numeric).
+export type TractRow = { GEOID: string; NAME: string; State: string; County: string } & Record<
+  string,
+  string | number | null
+>;
+
+export interface TractTable {
+  columns: TractColumn[];
+  rows: TractRow[];
+  byGeoid: Map<string, TractRow>;
+}
+
+export type TractGeometry =
+  | { type: "Polygon"; coordinates: number[][][] }
+  | { type: "MultiPolygon"; coordinates: number[][][][] };
+
+// GEOIDs lose their leading zero when the CSV goes through a spreadsheet; the Census uses 11 digits.
+export function normalizeGeoid(v: unknown): string {
+  const s = String(v ?? "").trim();
+  return s ? s.padStart(11, "0") : "";
+}
+
+let tablePromise: Promise<TractTable> | null = null;
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+let geojsonPromise: Promise<Map<string, any>> | null = null;
+let indexPromise: Promise<BoundaryIndex> | null = null;
+
+async function readTable(): Promise<TractTable> {
+  const [header = [], ...records] = parseCsv(await fs.readFile(CSV_PATH, "utf8"));
+  const columns = header.map((h) => describeTractColumn(h.trim()));
+
+  const rows: TractRow[] = [];
+  const byGeoid = new Map<string, TractRow>();
+  for (const rec of records) {
+    const row: Record<string, string | number | null> = {};
+    columns.forEach((c, i) => {
+      const raw = (rec[i] ?? "").trim();
+      if (c.type === "string") {
+        row[c.name] = raw;
+      } else {
+        const n = raw === "" ? NaN : Number(raw);
+        row[c.name] = Number.isFinite(n) ? n : null;
+      }
+    });
+    row.GEOID = normalizeGeoid(row.GEOID);
+    if (!row.GEOID) continue;
+    const tract = row as TractRow;
+    rows.push(tract);
+    byGeoid.set(tract.GEOID, tract);
+  }
+  return { columns, rows, byGeoid };
+}
+
+export function loadTractTable(): Promise<TractTable> {
+  if (!tablePromise) {
+    tablePromise = readTable().catch((err) => {
+      tablePromise = null;
+      throw err;
+    });
+  }
+  return tablePromise;
+}
+
+export async function tractColumn(name: string): Promise<TractColumn | undefined> {
+  const { columns } = await loadTractTable();
+  return columns.find((c) => c.name === name);
+}
+
+// Tract GeoJSON features by GEOID; empty when the file is missing.
+// eslint-disable-next-line @typescript-eslint/no-explicit-any
+export function loadTractFeatures(): Promise<Map<string, any>> {
+  if (!geojsonPromise) {
+    geojsonPromise = (async () => {
+      const byGeoid = new Map();
+      try {
+        const gj = JSON.parse(await fs.readFile(GEOJSON_PATH, "utf8"));
+        // eslint-disable-next-line @typescript-eslint/no-explicit-any
+        const features: any[] = Array.isArray(gj) ? gj : Array.isArray(gj?.features) ? gj.features : [];
+        for (const f of features) {
+          const geoid = normalizeGeoid(f?.properties?.GEOID ?? f?.properties?.geoid);
+          if (geoid) byGeoid.set(geoid, f);
+        }
+      } catch {
+        // no tract geometry available
+      }
+      return byGeoid;
+    })();
+  }
+  return geojsonPromise;
+}
+
+export async function tractGeometry(geoid: string): Promise<TractGeometry | null> {
+  const f = (await loadTractFeatures()).get(normalizeGeoid(geoid));
+  const g = f?.geometry;
+  return g && (g.type === "Polygon" || g.type === "MultiPolygon") ? g : null;
+}
+
+// LA County tracts that also have an outline, in CSV order.
+export async function laCountyTracts(): Promise<TractRow[]> {
+  const [{ rows }, features] = await Promise.all([loadTractTable(), loadTractFeatures()]);
+  return rows.filter((r) => r.County === LA_COUNTY && features.has(r.GEOID));
+}
+
+// R-tree over every tract outline (all counties in the file), built on first use.
+export function tractIndex(): Promise<BoundaryIndex> {
+  if (!indexPromise) {
+    indexPromise = loadTractFeatures().then((byGeoid) =>
+      buildBoundaryIndex([...byGeoid.values()].filter((f): f is BoundaryFeature => isBoundaryGeometry(f?.geometry)))
+    );
+  }
+  return indexPromise;
+}
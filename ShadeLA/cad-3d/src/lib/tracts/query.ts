@@ -0,0 +1,231 @@
+// Filter / sort / page / project queries over the tract table, as used by GET /api/tracts:
+//
+//   where=PCT_TreeCanopy<5&High_Summer_Mean_LST_F>110   clauses joined by "&", ";" or " and "
+//   sort=-High_Summer_Mean_LST_F,GEOID                  "-" for descending; empty values sort last
+//   fields=GEOID,NAME,PCT_TreeCanopy                    GEOID is always included
+//   limit=50&offset=100
+//
+// Numeric clauses are answered from per-column sorted indexes (built on first use), starting from
+// the most selective one.
+import { LA_COUNTY, type TractRow, type TractTable } from "./data";
+import type { TractColumn } from "./catalog";
+
+export type TractOperator = "<" | "<=" | ">" | ">=" | "=" | "!=";
+
+export interface TractClause {
+  column: string;
+  op: TractOperator;
+  value: string | number;
+}
+
+export interface TractQuery {
+  where: TractClause[];
+  sort: { column: string; desc: boolean }[];
+  fields: string[];
+  limit: number | null;
+  offset: number;
+}
+
+export type TractQueryParse = { ok: true; query: TractQuery } | { ok: false; error: "bad_query"; detail: string };
+
+export interface TractQueryResult {
+  // Matches before paging.
+  total: number;
+  rows: TractRow[];
+}
+
+const CLAUSE_RE = /^\s*([A-Za-z0-9_?]+)\s*(<=|>=|!=|<|>|=)\s*(.*?)\s*$/;
+
+function fail(detail: string): TractQueryParse {
+  return { ok: false, error: "bad_query", detail };
+}
+
+export function parseWhere(expr: string, columns: Map<string, TractColumn>): TractClause[] | string {
+  const clauses: TractClause[] = [];
+  for (const part of expr.split(/&|;|\s+and\s+/i)) {
+    if (!part.trim()) continue;
+    const m = CLAUSE_RE.exec(part);
+    if (!m) return `cannot parse clause "${part}"`;
+    const [, name, op, raw] = m;
+    const col = columns.get(name);
+    if (!col) return `unknown column "${name}"`;
+    if (col.type === "number") {
+      const n = Number(raw);
+      if (raw === "" || !Number.isFinite(n)) return `"${name}" needs a number, got "${raw}"`;
+      clauses.push({ column: name, op: op as TractOperator, value: n });
+    } else {
+      if (op !== "=" && op !== "!=") return `"${name}" is text; only = and != are supported`;
+      clauses.push({ column: name, op, value: raw });
+    }
+  }
+  return clauses;
+}
+
+// Reads where/sort/fields/limit/offset. A literal "&" inside `where` splits the query string, so
+// parameters that are themselves clauses (`High_Summer_Mean_LST_F>110`, `PCT_TreeCanopy<=5`) are
+// folded back into the filter.
+export function parseTractQuery(params: URLSearchParams, table: TractTable, reserved: string[] = []): TractQueryParse {
+  const columns = new Map(table.columns.map((c) => [c.name, c]));
+  const known = new Set(["where", "sort", "fields", "limit", "offset", ...reserved]);
+
+  const whereParts = params.getAll("where");
+  for (const [key, value] of params) {
+    if (known.has(key)) continue;
+    if (!/[<>=!]/.test(key) && !columns.has(key)) return fail(`unknown parameter "${key}"`);
+    whereParts.push(value === "" ? key : `${key}=${value}`);
+  }
+  const where = parseWhere(whereParts.join("&"), columns);
+  if (typeof where === "string") return fail(where);
+
+  const sort: TractQuery["sort"] = [];
+  for (const s of (params.get("sort") || "").split(",")) {
+    const name = s.trim().replace(/^[-+]/, "");
+    if (!name) continue;
+    if (!columns.has(name)) return fail(`unknown sort column "${name}"`);
+    sort.push({ column: name, desc: s.trim().startsWith("-") });
+  }
+
+  let fields = table.columns.map((c) => c.name);
+  const fieldsParam = params.get("fields");
+  if (fieldsParam && fieldsParam.trim() !== "*") {
+    const names = fieldsParam.split(",").map((f) => f.trim()).filter(Boolean);
+    const unknown = names.find((f) => !columns.has(f));
+    if (unknown) return fail(`unknown field "${unknown}"`);
+    fields = ["GEOID", ...names.filter((f) => f !== "GEOID")];
+  }
+
+  const int = (name: string): number | null | string => {
+    const raw = params.get(name);
+    if (raw === null || raw === "") return null;
+    const n = Number(raw);
+    return Number.isInteger(n) && n >= 0 ? n : `${name} must be a non-negative integer`;
+  };
+  const limit = int("limit");
+  if (typeof limit === "string") return fail(limit);
+  const offset = int("offset");
+  if (typeof offset === "string") return fail(offset);
+
+  return { ok: true, query: { where, sort, fields, limit, offset: offset ?? 0 } };
+}
+
+// Row positions sorted by a numeric column (rows with no value left out), per table.
+const sortedIndexes = new WeakMap<TractTable, Map<string, Int32Array>>();
+
+function sortedIndex(table: TractTable, column: string): Int32Array {
+  let byColumn = sortedIndexes.get(table);
+  if (!byColumn) {
+    byColumn = new Map();
+    sortedIndexes.set(table, byColumn);
+  }
+  let index = byColumn.get(column);
+  if (!index) {
+    const positions: number[] = [];
+    table.rows.forEach((r, i) => {
+      if (typeof r[column] === "number") positions.push(i);
+    });
+    positions.sort((a, b) => (table.rows[a][column] as number) - (table.rows[b][column] as number));
+    index = Int32Array.from(positions);
+    byColumn.set(column, index);
+  }
+  return index;
+}
+
+// First position in `index` whose value is >= v (or > v when `strict`).
+function lowerBound(table: TractTable, index: Int32Array, column: string, v: number, strict: boolean): number {
+  let lo = 0;
+  let hi = index.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    const x = table.rows[index[mid]][column] as number;
+    if (x < v || (strict && x === v)) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Row positions matching one numeric range clause, or null when the index cannot answer it (!=).
+function indexRange(table: TractTable, c: TractClause): Int32Array | null {
+  if (typeof c.value !== "number" || c.op === "!=") return null;
+  const index = sortedIndex(table, c.column);
+  const v = c.value;
+  switch (c.op) {
+    case "<":
+      return index.subarray(0, lowerBound(table, index, c.column, v, false));
+    case "<=":
+      return index.subarray(0, lowerBound(table, index, c.column, v, true));
+    case ">":
+      return index.subarray(lowerBound(table, index, c.column, v, true));
+    case ">=":
+      return index.subarray(lowerBound(table, index, c.column, v, false));
+    default:
+      return index.subarray(lowerBound(table, index, c.column, v, false), lowerBound(table, index, c.column, v, true));
+  }
+}
+
+function matches(row: TractRow, c: TractClause): boolean {
+  const x = row[c.column];
+  if (typeof c.value === "string") return c.op === "=" ? x === c.value : x !== c.value;
+  if (typeof x !== "number") return false;
+  switch (c.op) {
+    case "<":
+      return x < c.value;
+    case "<=":
+      return x <= c.value;
+    case ">":
+      return x > c.value;
+    case ">=":
+      return x >= c.value;
+    case "=":
+      return x === c.value;
+    default:
+      return x !== c.value;
+  }
+}
+
+function compareRows(a: TractRow, b: TractRow, sort: TractQuery["sort"]): number {
+  for (const { column, desc } of sort) {
+    const x = a[column];
+    const y = b[column];
+    const xEmpty = x === null || x === "";
+    const yEmpty = y === null || y === "";
+    if (xEmpty || yEmpty) {
+      if (xEmpty !== yEmpty) return xEmpty ? 1 : -1;
+      continue;
+    }
+    const d = typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y));
+    if (d !== 0) return desc ? -d : d;
+  }
+  return 0;
+}
+
+// Runs the query over LA County tracts, or over the whole table when a clause filters on County.
+export function runTractQuery(table: TractTable, query: TractQuery): TractQueryResult {
+  const where = [...query.where];
+  if (!where.some((c) => c.column === "County")) where.push({ column: "County", op: "=", value: LA_COUNTY });
+
+  let candidates: ArrayLike<number> | null = null;
+  for (const c of where) {
+    const range = indexRange(table, c);
+    if (range && (!candidates || range.length < candidates.length)) candidates = range;
+  }
+
+  let rows: TractRow[] = [];
+  if (candidates) {
+    // Keep CSV order so unsorted results are stable across requests.
+    const positions = Array.from(candidates).sort((a, b) => a - b);
+    for (const i of positions) rows.push(table.rows[i]);
+  } else {
+    rows = table.rows;
+  }
+  rows = rows.filter((r) => where.every((c) => matches(r, c)));
+  if (query.sort.length) rows = [...rows].sort((a, b) => compareRows(a, b, query.sort));
+
+  const end = query.limit === null ? undefined : query.offset + query.limit;
+  return { total: rows.length, rows: rows.slice(query.offset, end) };
+}
+
+export function projectRow(row: TractRow, fields: string[]): Record<string, string | number | null> {
+  const out: Record<string, string | number | null> = {};
+  for (const f of fields) out[f] = row[f] ?? null;
+  return out;
+}
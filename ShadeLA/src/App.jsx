@@ -1,15 +1,20 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
 import PowerBIReport from "./components/PowerBIReport";
 import GrasshopperPanel from "./components/GrasshopperPanel";
 import GrasshopperRenderPanel from "./components/GrasshopperRenderPanel";
 import RhinoViewer from "./components/RhinoViewer";
+import SiteBriefPanel from "./components/SiteBriefPanel";
 import CanopyTreesSection from "./components/CanopyTreesSection";
 import ResourcesSections from "./components/ResourcesSections";
+import { CADMAPPER_ORIGIN, CADMAPPER_URL, mapChannel } from "./lib/mapChannel";
 
 function App() {
   const [selectedArea, setSelectedArea] = useState(null);
   const [mapUnlocked, setMapUnlocked] = useState(false);
+  // Latest status line per map source ("aoi", "buildings", ...), shown over the map.
+  const [mapStatus, setMapStatus] = useState({});
+  const mapFrameRef = useRef(null);
 
   const [sidebarHidden, setSidebarHidden] = useState(() => {
     try {
@@ -21,8 +26,6 @@ function App() {
 
   const [tocQuery, setTocQuery] = useState("");
 
-  const cadMapperUrl = import.meta.env.VITE_CADMAPPER_URL || "http://localhost:3001";
-
   const tocItems = useMemo(
     () => [
       { href: "#overview", label: "Overview" },
@@ -77,6 +80,29 @@ function App() {
     return () => obs.disconnect();
   }, [filteredTocItems.length]);
 
+  // Map iframe messages (cad-3d/src/lib/mapProtocol.ts). On "ready" the map's state is requested
+  // once to confirm the round trip; status lines and errors are shown over the map.
+  useEffect(() => {
+    mapChannel.setTarget(mapFrameRef.current?.contentWindow ?? null, CADMAPPER_ORIGIN);
+    const setStatus = (source, text) => setMapStatus((prev) => ({ ...prev, [source]: text || "" }));
+    const offs = [
+      mapChannel.on("ready", async () => {
+        setStatus("error", "");
+        try {
+          await mapChannel.request("get-state", {});
+        } catch (err) {
+          setStatus("error", `Map not responding: ${String(err?.message || err)}`);
+        }
+      }),
+      mapChannel.on("status", ({ source, text }) => setStatus(source, text)),
+      mapChannel.on("error", ({ error, detail }) => setStatus("error", `Map error: ${detail || error}`)),
+    ];
+    return () => {
+      offs.forEach((off) => off());
+      mapChannel.setTarget(null);
+    };
+  }, []);
+
   useEffect(() => {
     if (!mapUnlocked) return;
 
@@ -195,9 +221,13 @@ function App() {
                       Click to activate the map
                     </div>
                   )}
+                  {Object.values(mapStatus).some(Boolean) ? (
+                    <div className="map-status">{Object.values(mapStatus).filter(Boolean).join(" · ")}</div>
+                  ) : null}
                   <iframe
+                    ref={mapFrameRef}
                     title="CadMapper"
-                    src={cadMapperUrl}
+                    src={CADMAPPER_URL}
                     style={{
                       width: "100%",
                       height: "100%",
@@ -236,6 +266,15 @@ function App() {
                 <GrasshopperRenderPanel />
               </div>
             </section>
+
+            <section className="panel panel-site-brief">
+              <div className="panel-header">
+                <h2>Site brief</h2>
+              </div>
+              <div className="panel-body">
+                <SiteBriefPanel />
+              </div>
+            </section>
           </div>
         </section>
 
@@ -38,6 +38,8 @@ function GrasshopperPanel() {
   const [isLoadingSolve, setIsLoadingSolve] = useState(false);
 
   const [curveItems, setCurveItems] = useState([]);
+  // Planted trees from the viewer: base points plus crown radii (same order).
+  const [treeInputs, setTreeInputs] = useState({ points: [], radii: [] });
 
   const requestCurvesFromViewer = () => {
     const requestId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
@@ -65,6 +67,43 @@ function GrasshopperPanel() {
     });
   };
 
+  const requestTreesFromViewer = () => {
+    const requestId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    return new Promise((resolve) => {
+      let done = false;
+      const onResp = (ev) => {
+        const detail = ev?.detail;
+        if (!detail || detail.requestId !== requestId) return;
+        done = true;
+        window.removeEventListener("grasshopper:trees-response", onResp);
+        resolve({
+          points: Array.isArray(detail.points) ? detail.points : [],
+          radii: Array.isArray(detail.radii) ? detail.radii : [],
+        });
+      };
+
+      window.addEventListener("grasshopper:trees-response", onResp);
+      window.dispatchEvent(new CustomEvent("grasshopper:request-trees", { detail: { requestId } }));
+
+      window.setTimeout(() => {
+        if (done) return;
+        window.removeEventListener("grasshopper:trees-response", onResp);
+        resolve(null);
+      }, 2000);
+    });
+  };
+
+  useEffect(() => {
+    const onTrees = (ev) => {
+      const detail = ev?.detail;
+      if (!detail || !Array.isArray(detail.points) || !Array.isArray(detail.radii)) return;
+      setTreeInputs({ points: detail.points, radii: detail.radii });
+    };
+
+    window.addEventListener("grasshopper:input-trees", onTrees);
+    return () => window.removeEventListener("grasshopper:input-trees", onTrees);
+  }, []);
+
   useEffect(() => {
     const onCurves = (ev) => {
       const detail = ev?.detail;
@@ -140,8 +179,30 @@ function GrasshopperPanel() {
     };
   };
 
+  const buildPointListValue = (paramName, points) => {
+    return {
+      ParamName: paramName,
+      InnerTree: {
+        "{ 0; }": (points || []).map((p) => ({
+          type: "Rhino.Geometry.Point3d",
+          data: JSON.stringify({ X: p.x, Y: p.y, Z: p.z }),
+        })),
+      },
+    };
+  };
+
+  const buildNumberListValue = (paramName, numbers) => {
+    return {
+      ParamName: paramName,
+      InnerTree: {
+        "{ 0; }": (numbers || []).map((n) => ({ type: "System.Double", data: String(n) })),
+      },
+    };
+  };
+
   const doReset = async () => {
     setCurveItems([]);
+    setTreeInputs({ points: [], radii: [] });
     try {
       window.dispatchEvent(new CustomEvent("grasshopper:clear-result"));
     } catch {
@@ -164,6 +225,10 @@ function GrasshopperPanel() {
 
       const currentCurves = Array.isArray(respItems) ? respItems : curveItems;
 
+      const respTrees = await requestTreesFromViewer();
+      if (respTrees) setTreeInputs(respTrees);
+      const currentTrees = respTrees || treeInputs;
+
       try {
         const paramsRes = await fetch(computeParamsUrl, {
           method: "POST",
@@ -179,6 +244,8 @@ function GrasshopperPanel() {
             reset: effectiveReset,
             run: effectiveRun,
             cr: Array.isArray(currentCurves) ? currentCurves : [],
+            tp: currentTrees.points,
+            tr: currentTrees.radii,
           }),
         });
         if (!paramsRes.ok) {
@@ -208,6 +275,10 @@ function GrasshopperPanel() {
       if (Array.isArray(currentCurves) && currentCurves.length) {
         values.push(buildCurveListValue("cr", currentCurves));
       }
+      if (currentTrees.points.length) {
+        values.push(buildPointListValue("tp", currentTrees.points));
+        values.push(buildNumberListValue("tr", currentTrees.radii));
+      }
 
       values.push(buildNumericValue("EdgeLengthFactor", edgeLengthFactor));
       values.push(buildNumericValue("LineLengthStrength", lineLengthStrength));
@@ -408,6 +479,11 @@ function GrasshopperPanel() {
           </button>
         </div>
 
+        <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
+          <div style={{ color: "#e5e7eb", fontSize: 12, opacity: 0.9 }}>Trees (tp/tr):</div>
+          <div style={{ color: "#e5e7eb", fontSize: 12 }}>{treeInputs.points.length}</div>
+        </div>
+
         <div style={{ display: "flex", alignItems: "center", gap: 10, flexWrap: "wrap" }}>
           <div style={{ color: "#e5e7eb", fontSize: 12, opacity: 0.9 }}>Status:</div>
           <div style={{ color: "#e5e7eb", fontSize: 12 }}>{statusText}</div>
@@ -2,9 +2,146 @@ import React, { useEffect, useRef, useState } from "react";
 import * as THREE from "three";
 import rhino3dm from "rhino3dm/rhino3dm.module.js";
 import rhino3dmWasmUrl from "rhino3dm/rhino3dm.wasm?url";
+import {
+  SHADE_STRUCTURE_TYPES,
+  buildShadeStructure,
+  shadeStructureRoof,
+  shadeStructureType,
+} from "../lib/shadeStructures";
+import { defaultTimeZone, localStandardTimeToUtc, sunPosition } from "../../cad-3d/src/lib/solar";
+import { mapChannel } from "../lib/mapChannel";
+
+// Tree crowns cast porous shadows: the shadow depth pass discards the texels of a fixed noise
+// texture that fall below the transmissivity, so roughly that share of sunlight gets through
+// (PCF soft shadows blur the dither into partial shade).
+let crownNoiseTexture = null;
+function crownShadowMaterial(transmissivity) {
+  if (!crownNoiseTexture) {
+    const size = 64;
+    const data = new Uint8Array(size * size * 4);
+    for (let k = 0; k < size * size; k++) {
+      const v = Math.floor(Math.random() * 256);
+      data[k * 4] = v;
+      data[k * 4 + 1] = v;
+      data[k * 4 + 2] = v;
+      data[k * 4 + 3] = 255;
+    }
+    crownNoiseTexture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    crownNoiseTexture.wrapS = THREE.RepeatWrapping;
+    crownNoiseTexture.wrapT = THREE.RepeatWrapping;
+    crownNoiseTexture.repeat.set(4, 4);
+    crownNoiseTexture.needsUpdate = true;
+  }
+  return new THREE.MeshDepthMaterial({
+    depthPacking: THREE.RGBADepthPacking,
+    alphaMap: crownNoiseTexture,
+    alphaTest: Math.min(0.999, Math.max(0.001, transmissivity)),
+  });
+}
+
+// Species offered by the "Plant tree" tool. Crown radius and height are typical mature sizes for
+// LA street trees (m); trees reach them after `maturityYears`.
+const TREE_SPECIES = [
+  { id: "coast-live-oak", name: "Coast live oak", crownRadius: 7, height: 12, maturityYears: 40 },
+  { id: "jacaranda", name: "Jacaranda", crownRadius: 5, height: 10, maturityYears: 20 },
+  { id: "western-sycamore", name: "Western sycamore", crownRadius: 6, height: 18, maturityYears: 30 },
+  { id: "chinese-elm", name: "Chinese elm", crownRadius: 5, height: 12, maturityYears: 25 },
+  { id: "desert-willow", name: "Desert willow", crownRadius: 3, height: 6, maturityYears: 12 },
+  { id: "mexican-fan-palm", name: "Mexican fan palm", crownRadius: 2, height: 20, maturityYears: 35 },
+];
+
+// Crown radius and height of a planted tree after `years`; nursery stock starts at ~20% of mature size.
+function plantedTreeSize(speciesId, years) {
+  const sp = TREE_SPECIES.find((s) => s.id === speciesId) || TREE_SPECIES[0];
+  const f = Math.min(1, 0.2 + (0.8 * Math.max(0, years)) / sp.maturityYears);
+  return { crownRadius: sp.crownRadius * f, height: sp.height * f };
+}
+
+// Time-of-day slider with Play/Pause. While playing, the animated minute stays in this component and
+// reaches the viewer only through onPreview (sun light), so the viewer itself does not re-render
+// on every tick; the minute is committed with onChange when playback stops.
+function SunTimeControls({ minutes, onChange, onPreview, describe, disabled }) {
+  const [playing, setPlaying] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const shown = preview ?? minutes;
+  // Minute playback starts from; the interval counts on from it.
+  const playFromRef = useRef(minutes);
+
+  useEffect(() => {
+    if (!playing) return;
+    let current = playFromRef.current;
+    // 5 minutes of sun time every 100 ms: a full day in about 30 s.
+    const id = window.setInterval(() => {
+      current = (current + 5) % (24 * 60);
+      onPreview(current);
+      setPreview(current);
+    }, 100);
+    return () => window.clearInterval(id);
+  }, [playing, onPreview]);
+
+  const togglePlaying = () => {
+    if (playing) {
+      if (preview !== null) onChange(preview);
+      setPreview(null);
+    } else {
+      playFromRef.current = shown;
+    }
+    setPlaying(!playing);
+  };
+
+  return (
+    <>
+      <input
+        type="range"
+        min={0}
+        max={24 * 60 - 5}
+        step={5}
+        value={shown}
+        onChange={(e) => {
+          setPreview(null);
+          setPlaying(false);
+          onChange(Number(e.target.value));
+        }}
+        style={{ width: 160 }}
+      />
+
+      <button
+        type="button"
+        onClick={togglePlaying}
+        disabled={disabled}
+        style={{
+          padding: "6px 10px",
+          borderRadius: 8,
+          border: "1px solid rgba(255,255,255,0.15)",
+          background: playing ? "rgba(234,179,8,0.85)" : "rgba(17,24,39,0.8)",
+          color: "#e5e7eb",
+          cursor: disabled ? "not-allowed" : "pointer",
+          opacity: disabled ? 0.55 : 1,
+        }}
+      >
+        {playing ? "Pause" : "Play"}
+      </button>
+
+      <div style={{ fontSize: 12, opacity: 0.85 }}>
+        {String(Math.floor(shown / 60)).padStart(2, "0")}:{String(shown % 60).padStart(2, "0")}
+        {describe()}
+      </div>
+    </>
+  );
+}
 
 function RhinoViewer() {
   const [drawMode, setDrawMode] = useState(false);
+  const [plantMode, setPlantMode] = useState(false);
+  const [plantSpecies, setPlantSpecies] = useState(TREE_SPECIES[0].id);
+  const [plantYears, setPlantYears] = useState(10);
+  const [structureMode, setStructureMode] = useState(false);
+  const [structureType, setStructureType] = useState(SHADE_STRUCTURE_TYPES[0].id);
+  const [structureParams, setStructureParams] = useState({ ...SHADE_STRUCTURE_TYPES[0].defaults, angleDeg: 0, spacing: 12 });
+  // Sun-path slider: date and minutes after local standard midnight at the AOI.
+  const [sunDate, setSunDate] = useState(() => `${new Date().getFullYear()}-06-21`);
+  const [sunMinutes, setSunMinutes] = useState(9 * 60);
+  const [shadowOnly, setShadowOnly] = useState(false);
   const [, forceUiUpdate] = useState(0);
   const drawModeRef = useRef(false);
   const [webglError, setWebglError] = useState(null);
@@ -27,6 +164,7 @@ function RhinoViewer() {
     if (!group) return;
     group.traverse((obj) => {
       if (obj.geometry) obj.geometry.dispose?.();
+      obj.customDepthMaterial?.dispose?.();
       if (obj.material) {
         const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
         for (const m of mats) m.dispose?.();
@@ -39,6 +177,19 @@ function RhinoViewer() {
   const currentLineRef = useRef(null);
   const previewLineRef = useRef(null);
 
+  // Planted trees live in scene coordinates ({ id, species, years, x, z }); lon/lat is derived from
+  // cityFrameRef on export.
+  const plantModeRef = useRef(false);
+  const plantGroupRef = useRef(null);
+  const plantStateRef = useRef({ trees: [], nextId: 1, selected: null, dragging: null });
+  const plantOptionsRef = useRef({ species: TREE_SPECIES[0].id, years: 10 });
+
+  // Placed shade structures ({ id, type, params, x, z, rotation }), scene coordinates like the trees.
+  const structureModeRef = useRef(false);
+  const structureGroupRef = useRef(null);
+  const structureStateRef = useRef({ items: [], nextId: 1 });
+  const structureOptionsRef = useRef({ type: SHADE_STRUCTURE_TYPES[0].id, params: null });
+
   const SCENE_UNITS_TO_METERS = 1;
 
   const computePolylineLengthMeters = (pts) => {
@@ -53,11 +204,28 @@ function RhinoViewer() {
     return total * SCENE_UNITS_TO_METERS;
   };
 
-  const groupsRef = useRef({ buildings: null, roads: null, parks: null, water: null });
+  const groupsRef = useRef({ buildings: null, roads: null, parks: null, water: null, trees: null, ground: null });
+  // Sun used for viewer shadows; updated through the "analysis:shadow-settings" window event.
+  const sunLightRef = useRef(null);
+  const shadowSettingsRef = useRef({ azimuthDeg: 200, altitudeDeg: 50, treeTransmissivity: 0.2 });
+  const sunTimeRef = useRef({ date: null, minutes: 9 * 60 });
+  const shadowOnlyRef = useRef(false);
   const ghGroupRef = useRef(null);
+  const facadeGroupRef = useRef(null);
+  // Footprints (lon/lat ring) and heights of the rendered city buildings, for the facade analysis.
+  const cityBuildingsRef = useRef([]);
+  const [facadeBusy, setFacadeBusy] = useState(false);
+  // Bbox of the rendered city and the ground sun-hours overlay drawn over it.
+  const cityBboxRef = useRef(null);
+  const sunHoursGroupRef = useRef(null);
+  const [sunHoursBusy, setSunHoursBusy] = useState(false);
+  // lon/lat -> scene transform of the last rendered city, used to place analysis overlays.
+  const cityFrameRef = useRef(null);
   const rhinoRef = useRef(null);
   const pendingGhSchemaRef = useRef(null);
   const pendingBboxRef = useRef(null);
+  // Outline of the AOI the last bbox came from (GeoJSON geometry); /api/osm clips to it.
+  const aoiBoundaryRef = useRef(null);
   const pendingBboxFlushRafRef = useRef(0);
   const pendingBboxStartFlushRef = useRef(null);
   const osmRenderSeqRef = useRef(0);
@@ -72,6 +240,28 @@ function RhinoViewer() {
     }
   }, [drawMode]);
 
+  useEffect(() => {
+    plantModeRef.current = plantMode;
+    if (plantMode) {
+      setModelStatus("Plant: click ground to place, drag to move, shift-click or Delete to remove");
+    }
+  }, [plantMode]);
+
+  useEffect(() => {
+    plantOptionsRef.current = { species: plantSpecies, years: plantYears };
+  }, [plantSpecies, plantYears]);
+
+  useEffect(() => {
+    structureModeRef.current = structureMode;
+    if (structureMode) {
+      setModelStatus("Structure: click ground to place, shift-click to remove");
+    }
+  }, [structureMode]);
+
+  useEffect(() => {
+    structureOptionsRef.current = { type: structureType, params: structureParams };
+  }, [structureType, structureParams]);
+
   useEffect(() => {
     let rafId = 0;
     let cancelled = false;
@@ -170,6 +360,8 @@ function RhinoViewer() {
       const width = canvas.clientWidth || 800;
       const height = canvas.clientHeight || 600;
       renderer.setSize(width, height, false);
+      renderer.shadowMap.enabled = true;
+      renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
       const scene = new THREE.Scene();
       scene.background = new THREE.Color("#f4f4f4");
@@ -188,7 +380,12 @@ function RhinoViewer() {
 
       const light = new THREE.DirectionalLight(0xffffff, 0.9);
       light.position.set(10, 20, 15);
+      light.castShadow = true;
+      light.shadow.mapSize.set(2048, 2048);
+      light.shadow.bias = -0.0005;
       scene.add(light);
+      scene.add(light.target);
+      sunLightRef.current = light;
       scene.add(new THREE.AmbientLight(0x808080));
 
       const drawGroup = new THREE.Group();
@@ -196,6 +393,16 @@ function RhinoViewer() {
       scene.add(drawGroup);
       drawGroupRef.current = drawGroup;
 
+      const plantGroup = new THREE.Group();
+      plantGroup.name = "planted-trees";
+      scene.add(plantGroup);
+      plantGroupRef.current = plantGroup;
+
+      const structureGroup = new THREE.Group();
+      structureGroup.name = "shade-structures";
+      scene.add(structureGroup);
+      structureGroupRef.current = structureGroup;
+
       rendererRef.current = renderer;
       sceneRef.current = scene;
       cameraRef.current = camera;
@@ -380,8 +587,11 @@ function RhinoViewer() {
           cityGroups?.roads,
           cityGroups?.parks,
           cityGroups?.water,
+          cityGroups?.trees,
           ghGroupRef.current,
           drawGroupRef.current,
+          plantGroupRef.current,
+          structureGroupRef.current,
         ].filter(Boolean);
 
         const hits = raycaster.intersectObjects(roots, true);
@@ -473,7 +683,88 @@ function RhinoViewer() {
         drawGroupRef.current.add(line);
       };
 
+      const pickPlantedTree = (ev) => {
+        if (!cameraRef.current || !canvasRef.current || !plantGroupRef.current) return null;
+        const rect = canvasRef.current.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+          ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+          -(((ev.clientY - rect.top) / rect.height) * 2 - 1)
+        );
+        raycaster.setFromCamera(ndc, cameraRef.current);
+        const hits = raycaster.intersectObjects(plantGroupRef.current.children, true);
+        for (const hit of hits) {
+          for (let obj = hit.object; obj; obj = obj.parent) {
+            if (obj.userData?.plantedId) return obj.userData.plantedId;
+          }
+        }
+        return null;
+      };
+
+      const pickStructure = (ev) => {
+        if (!cameraRef.current || !canvasRef.current || !structureGroupRef.current) return null;
+        const rect = canvasRef.current.getBoundingClientRect();
+        const ndc = new THREE.Vector2(
+          ((ev.clientX - rect.left) / rect.width) * 2 - 1,
+          -(((ev.clientY - rect.top) / rect.height) * 2 - 1)
+        );
+        raycaster.setFromCamera(ndc, cameraRef.current);
+        const hits = raycaster.intersectObjects(structureGroupRef.current.children, true);
+        for (const hit of hits) {
+          for (let obj = hit.object; obj; obj = obj.parent) {
+            if (obj.userData?.structureId) return obj.userData.structureId;
+          }
+        }
+        return null;
+      };
+
       const handleMouseDown = (ev) => {
+        if (structureModeRef.current) {
+          ev.preventDefault();
+          if (ev.shiftKey) {
+            const hitId = pickStructure(ev);
+            if (hitId) removeStructure(hitId);
+            return;
+          }
+          const pt = screenToGround(ev);
+          if (!pt) {
+            setModelStatus("Structure: no ground intersection (try orbit/zoom and click again)");
+            return;
+          }
+          const { type, params } = structureOptionsRef.current;
+          addStructures([{ type, params, x: pt.x, z: pt.z, rotation: ((params?.angleDeg || 0) * Math.PI) / 180 }]);
+          return;
+        }
+
+        if (plantModeRef.current) {
+          ev.preventDefault();
+          const state = plantStateRef.current;
+          const hitId = pickPlantedTree(ev);
+          if (hitId && ev.shiftKey) {
+            removePlantedTree(hitId);
+            return;
+          }
+          if (hitId) {
+            state.selected = hitId;
+            state.dragging = hitId;
+            updatePlantedTreeMeshes();
+            forceUiUpdate((x) => x + 1);
+            return;
+          }
+          const pt = screenToGround(ev);
+          if (!pt) {
+            setModelStatus("Plant: no ground intersection (try orbit/zoom and click again)");
+            return;
+          }
+          const { species, years } = plantOptionsRef.current;
+          const tree = { id: `tree-${state.nextId++}`, species, years, x: pt.x, z: pt.z };
+          state.trees.push(tree);
+          state.selected = tree.id;
+          updatePlantedTreeMeshes();
+          setModelStatus(`Plant: ${state.trees.length} trees`);
+          forceUiUpdate((x) => x + 1);
+          return;
+        }
+
         if (drawModeRef.current) {
           ev.preventDefault();
           const pt = screenToGround(ev);
@@ -500,9 +791,22 @@ function RhinoViewer() {
       const handleMouseUp = () => {
         isDraggingRef.current = false;
         lastPosRef.current = null;
+        plantStateRef.current.dragging = null;
       };
 
       const handleMouseMove = (ev) => {
+        if (plantModeRef.current) {
+          const state = plantStateRef.current;
+          const tree = state.dragging && state.trees.find((t) => t.id === state.dragging);
+          if (!tree) return;
+          const pt = screenToGround(ev);
+          if (!pt) return;
+          tree.x = pt.x;
+          tree.z = pt.z;
+          updatePlantedTreeMeshes();
+          return;
+        }
+
         if (drawModeRef.current) {
           const pt = screenToGround(ev);
           updatePreviewLine(pt);
@@ -537,6 +841,18 @@ function RhinoViewer() {
       canvas.addEventListener("mouseleave", handleMouseUp);
       canvas.addEventListener("mousemove", handleMouseMove);
 
+      const handleKeyDown = (ev) => {
+        if (!plantModeRef.current) return;
+        if (ev.key !== "Delete" && ev.key !== "Backspace") return;
+        const tag = String(ev.target?.tagName || "").toLowerCase();
+        if (tag === "input" || tag === "select" || tag === "textarea") return;
+        const selected = plantStateRef.current.selected;
+        if (!selected) return;
+        ev.preventDefault();
+        removePlantedTree(selected);
+      };
+      window.addEventListener("keydown", handleKeyDown);
+
       const cleanup = () => {
         window.removeEventListener("resize", handleResize);
         canvas.removeEventListener("wheel", handleWheel);
@@ -545,6 +861,7 @@ function RhinoViewer() {
         window.removeEventListener("mouseup", handleMouseUp);
         canvas.removeEventListener("mouseleave", handleMouseUp);
         canvas.removeEventListener("mousemove", handleMouseMove);
+        window.removeEventListener("keydown", handleKeyDown);
         removeWebglContextHandlers?.();
       };
 
@@ -575,6 +892,12 @@ function RhinoViewer() {
           clearGroup(drawGroupRef.current);
           drawGroupRef.current = null;
         }
+        for (const ref of [plantGroupRef, structureGroupRef]) {
+          if (!ref.current) continue;
+          sceneRef.current.remove(ref.current);
+          clearGroup(ref.current);
+          ref.current = null;
+        }
         if (ghGroupRef.current) {
           sceneRef.current.remove(ghGroupRef.current);
           clearGroup(ghGroupRef.current);
@@ -628,6 +951,8 @@ function RhinoViewer() {
           roads: groupsRef.current?.roads?.visible,
           parks: groupsRef.current?.parks?.visible,
           water: groupsRef.current?.water?.visible,
+          trees: groupsRef.current?.trees?.visible,
+          ground: groupsRef.current?.ground?.visible,
         },
         drawVisible: drawGroupRef.current?.visible,
       };
@@ -652,6 +977,8 @@ function RhinoViewer() {
           if (g?.roads) g.roads.visible = false;
           if (g?.parks) g.parks.visible = false;
           if (g?.water) g.water.visible = false;
+          if (g?.trees) g.trees.visible = false;
+          if (g?.ground) g.ground.visible = false;
           if (drawGroupRef.current) drawGroupRef.current.visible = false;
         }
 
@@ -712,6 +1039,8 @@ function RhinoViewer() {
           if (g?.roads && typeof prev.groupsVisible.roads === "boolean") g.roads.visible = prev.groupsVisible.roads;
           if (g?.parks && typeof prev.groupsVisible.parks === "boolean") g.parks.visible = prev.groupsVisible.parks;
           if (g?.water && typeof prev.groupsVisible.water === "boolean") g.water.visible = prev.groupsVisible.water;
+          if (g?.trees && typeof prev.groupsVisible.trees === "boolean") g.trees.visible = prev.groupsVisible.trees;
+          if (g?.ground && typeof prev.groupsVisible.ground === "boolean") g.ground.visible = prev.groupsVisible.ground;
           if (drawGroupRef.current && typeof prev.drawVisible === "boolean") drawGroupRef.current.visible = prev.drawVisible;
         } catch {
           // ignore
@@ -741,13 +1070,14 @@ function RhinoViewer() {
         return;
       }
 
-      if (!ghGroupRef.current || ghGroupRef.current.children.length < 1) {
-        respond({ ok: false, error: "No Grasshopper overlay to export" });
+      // The Grasshopper overlay plus any shade structures placed in the viewer.
+      const roots = [ghGroupRef.current, structureGroupRef.current].filter((g) => g && g.children.length > 0);
+      if (!roots.length) {
+        respond({ ok: false, error: "No Grasshopper overlay or shade structures to export" });
         return;
       }
 
-      const overlay = ghGroupRef.current;
-      overlay.updateMatrixWorld(true);
+      for (const root of roots) root.updateMatrixWorld(true);
 
       try {
         let out = "";
@@ -755,10 +1085,12 @@ function RhinoViewer() {
 
         const toMeshList = () => {
           const meshes = [];
-          overlay.traverse((obj) => {
-            if (!obj) return;
-            if (obj.isMesh && obj.geometry) meshes.push(obj);
-          });
+          for (const root of roots) {
+            root.traverse((obj) => {
+              if (!obj) return;
+              if (obj.isMesh && obj.geometry) meshes.push(obj);
+            });
+          }
           return meshes;
         };
 
@@ -883,6 +1215,297 @@ function RhinoViewer() {
     forceUiUpdate((x) => x + 1);
   };
 
+  // Keeps one canopy + trunk per planted tree in sync with plantStateRef.
+  const updatePlantedTreeMeshes = () => {
+    const group = plantGroupRef.current;
+    if (!group) return;
+    const { trees, selected } = plantStateRef.current;
+    const byId = new Map(trees.map((t) => [t.id, t]));
+
+    for (const child of group.children.slice()) {
+      if (byId.has(child.userData?.plantedId)) continue;
+      group.remove(child);
+      clearGroup(child);
+    }
+
+    for (const t of trees) {
+      let obj = group.children.find((c) => c.userData?.plantedId === t.id);
+      if (!obj) {
+        obj = new THREE.Group();
+        obj.userData.plantedId = t.id;
+        const canopy = new THREE.Mesh(
+          new THREE.SphereGeometry(0.5, 16, 12),
+          new THREE.MeshStandardMaterial({ color: 0x4d9a3f, roughness: 0.9, metalness: 0.0 })
+        );
+        canopy.name = "canopy";
+        canopy.castShadow = true;
+        canopy.customDepthMaterial = crownShadowMaterial(shadowSettingsRef.current.treeTransmissivity);
+        canopy.userData.porousCrowns = true;
+        canopy.userData.crownTransmissivity = shadowSettingsRef.current.treeTransmissivity;
+        const trunk = new THREE.Mesh(
+          new THREE.CylinderGeometry(0.5, 0.5, 1, 8),
+          new THREE.MeshStandardMaterial({ color: 0x6b4f35, roughness: 0.9, metalness: 0.0 })
+        );
+        trunk.name = "trunk";
+        trunk.castShadow = true;
+        obj.add(canopy);
+        obj.add(trunk);
+        group.add(obj);
+      }
+
+      // Same proportions as the OSM tree instances.
+      const { crownRadius, height } = plantedTreeSize(t.species, t.years);
+      const crownDiameter = crownRadius * 2;
+      const crownDepth = Math.min(height * 0.65, crownDiameter * 1.1);
+      const trunkHeight = height - crownDepth * 0.5;
+      const trunkWidth = Math.max(0.2, crownDiameter * 0.06);
+      obj.position.set(t.x, 0, t.z);
+      const canopy = obj.getObjectByName("canopy");
+      canopy.position.set(0, height - crownDepth / 2, 0);
+      canopy.scale.set(crownDiameter, crownDepth, crownDiameter);
+      canopy.material.emissive.setHex(t.id === selected ? 0x1d4ed8 : 0x000000);
+      const trunk = obj.getObjectByName("trunk");
+      trunk.position.set(0, trunkHeight / 2, 0);
+      trunk.scale.set(trunkWidth, trunkHeight, trunkWidth);
+    }
+    if (shadowOnlyRef.current) applyShadowOnly();
+  };
+
+  const removePlantedTree = (id) => {
+    const state = plantStateRef.current;
+    state.trees = state.trees.filter((t) => t.id !== id);
+    if (state.selected === id) state.selected = null;
+    if (state.dragging === id) state.dragging = null;
+    updatePlantedTreeMeshes();
+    setModelStatus(`Plant: ${state.trees.length} trees`);
+    forceUiUpdate((x) => x + 1);
+  };
+
+  const clearPlantedTrees = () => {
+    plantStateRef.current = { ...plantStateRef.current, trees: [], selected: null, dragging: null };
+    updatePlantedTreeMeshes();
+    forceUiUpdate((x) => x + 1);
+  };
+
+  // Scene ground point -> [lon, lat] through the frame of the last rendered city.
+  const sceneToLonLat = (frame, x, z) => [
+    frame.cx + (x - frame.position.x) / frame.metersPerDegLon,
+    frame.cy - (z - frame.position.z) / frame.metersPerDegLat,
+  ];
+
+  const downloadGeoJson = (fc, filename) => {
+    const blob = new Blob([JSON.stringify(fc, null, 2)], { type: "application/geo+json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  // Point features in lon/lat (needs a rendered city for the scene -> lon/lat transform).
+  const plantedTreesGeoJson = () => {
+    const frame = cityFrameRef.current;
+    if (!frame) return null;
+    const features = plantStateRef.current.trees.map((t) => {
+      const sp = TREE_SPECIES.find((s) => s.id === t.species) || TREE_SPECIES[0];
+      const { crownRadius, height } = plantedTreeSize(t.species, t.years);
+      return {
+        type: "Feature",
+        id: t.id,
+        geometry: {
+          type: "Point",
+          coordinates: sceneToLonLat(frame, t.x, t.z),
+        },
+        properties: {
+          species: sp.id,
+          species_name: sp.name,
+          growth_years: t.years,
+          crown_radius: crownRadius,
+          crown_diameter: crownRadius * 2,
+          height,
+        },
+      };
+    });
+    return { type: "FeatureCollection", features };
+  };
+
+  const exportPlantedTreesGeoJson = () => {
+    const fc = plantedTreesGeoJson();
+    if (!fc) {
+      setModelStatus("Plant: load a city model before exporting trees");
+      return;
+    }
+    downloadGeoJson(fc, "planted-trees.geojson");
+    setModelStatus(`Plant: exported ${fc.features.length} trees`);
+  };
+
+  // Adds structure meshes for new items and drops meshes of removed ones (items never change in place).
+  const updateStructureMeshes = () => {
+    const group = structureGroupRef.current;
+    if (!group) return;
+    const { items } = structureStateRef.current;
+    const ids = new Set(items.map((it) => it.id));
+
+    for (const child of group.children.slice()) {
+      if (ids.has(child.userData?.structureId)) continue;
+      group.remove(child);
+      clearGroup(child);
+    }
+
+    for (const it of items) {
+      if (group.children.some((c) => c.userData?.structureId === it.id)) continue;
+      const obj = buildShadeStructure(it.type, it.params);
+      obj.userData.structureId = it.id;
+      obj.position.set(it.x, 0, it.z);
+      obj.rotation.y = it.rotation;
+      obj.traverse((m) => {
+        if (m.userData?.shadeTransmissivity == null) return;
+        m.customDepthMaterial = crownShadowMaterial(m.userData.shadeTransmissivity);
+      });
+      group.add(obj);
+    }
+    if (shadowOnlyRef.current) applyShadowOnly();
+  };
+
+  const addStructures = (list) => {
+    const state = structureStateRef.current;
+    for (const it of list) {
+      const { width, depth, height } = { ...shadeStructureType(it.type).defaults, ...it.params };
+      state.items.push({
+        id: `structure-${state.nextId++}`,
+        type: it.type,
+        params: { width, depth, height },
+        x: it.x,
+        z: it.z,
+        rotation: it.rotation,
+      });
+    }
+    updateStructureMeshes();
+    setModelStatus(`Structure: ${state.items.length} placed`);
+    forceUiUpdate((x) => x + 1);
+  };
+
+  const removeStructure = (id) => {
+    const state = structureStateRef.current;
+    state.items = state.items.filter((it) => it.id !== id);
+    updateStructureMeshes();
+    setModelStatus(`Structure: ${state.items.length} placed`);
+    forceUiUpdate((x) => x + 1);
+  };
+
+  const undoStructure = () => {
+    const items = structureStateRef.current.items;
+    if (!items.length) return;
+    removeStructure(items[items.length - 1].id);
+  };
+
+  const clearStructures = () => {
+    structureStateRef.current.items = [];
+    updateStructureMeshes();
+    forceUiUpdate((x) => x + 1);
+  };
+
+  // One structure every `spacing` meters along each drawn polyline, turned to follow the segment.
+  const placeStructuresAlongLines = () => {
+    const { type, params } = structureOptionsRef.current;
+    const spacing = Math.max(1, Number(params?.spacing) || 12);
+    const lines = [...drawStateRef.current.polylines];
+    if (drawStateRef.current.current.length >= 2) lines.push(drawStateRef.current.current);
+
+    const list = [];
+    for (const pts of lines) {
+      let next = spacing / 2;
+      let walked = 0;
+      for (let i = 0; i + 1 < pts.length; i++) {
+        const a = pts[i];
+        const b = pts[i + 1];
+        const len = Math.hypot(b.x - a.x, b.z - a.z);
+        const rotation = Math.atan2(-(b.z - a.z), b.x - a.x);
+        while (len > 0 && next <= walked + len) {
+          const t = (next - walked) / len;
+          list.push({ type, params, x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t, rotation });
+          next += spacing;
+        }
+        walked += len;
+      }
+    }
+    if (!list.length) {
+      setModelStatus("Structure: draw a polyline first (lines shorter than half the spacing get none)");
+      return;
+    }
+    addStructures(list);
+  };
+
+  // Roof outlines as lon/lat polygons; the properties match the analyze-city `shadeStructures` input.
+  const structuresGeoJson = () => {
+    const frame = cityFrameRef.current;
+    if (!frame) return null;
+    const features = structureStateRef.current.items.map((it) => {
+      const roof = shadeStructureRoof(it.type, it.params);
+      const cos = Math.cos(it.rotation);
+      const sin = Math.sin(it.rotation);
+      const ring = roof.corners.map(([x, z]) => sceneToLonLat(frame, it.x + x * cos + z * sin, it.z - x * sin + z * cos));
+      ring.push(ring[0]);
+      return {
+        type: "Feature",
+        id: it.id,
+        geometry: { type: "Polygon", coordinates: [ring] },
+        properties: {
+          type: it.type,
+          name: shadeStructureType(it.type).name,
+          ...it.params,
+          height: roof.height,
+          transmissivity: roof.transmissivity,
+        },
+      };
+    });
+    return { type: "FeatureCollection", features };
+  };
+
+  const exportStructuresGeoJson = () => {
+    const fc = structuresGeoJson();
+    if (!fc) {
+      setModelStatus("Structure: load a city model before exporting structures");
+      return;
+    }
+    downloadGeoJson(fc, "shade-structures.geojson");
+    setModelStatus(`Structure: exported ${fc.features.length} structures`);
+  };
+
+  // Grasshopper inputs: tree bases as points (same axes as the drawn curves) plus crown radii.
+  const plantedTreesGrasshopperInputs = () => {
+    const points = [];
+    const radii = [];
+    for (const t of plantStateRef.current.trees) {
+      points.push({ x: t.x, y: -t.z, z: 0 });
+      radii.push(plantedTreeSize(t.species, t.years).crownRadius);
+    }
+    return { points, radii };
+  };
+
+  const sendPlantedTreesToGrasshopper = () => {
+    const inputs = plantedTreesGrasshopperInputs();
+    window.dispatchEvent(new CustomEvent("grasshopper:input-trees", { detail: inputs }));
+    setModelStatus(`Plant: sent ${inputs.points.length} trees to Grasshopper`);
+    return inputs;
+  };
+
+  useEffect(() => {
+    const onRequestTrees = (ev) => {
+      const requestId = ev?.detail?.requestId;
+      window.dispatchEvent(
+        new CustomEvent("grasshopper:trees-response", {
+          detail: { requestId, ...plantedTreesGrasshopperInputs() },
+        })
+      );
+    };
+    window.addEventListener("grasshopper:request-trees", onRequestTrees);
+    return () => window.removeEventListener("grasshopper:request-trees", onRequestTrees);
+  }, []);
+
   const sendDrawingsToGrasshopper = () => {
     const rhino = rhinoRef.current;
     if (!rhino) {
@@ -1658,6 +2281,8 @@ function RhinoViewer() {
               geo.computeVertexNormals();
 
               const mesh = new THREE.Mesh(geo, mat);
+              mesh.castShadow = true;
+              mesh.receiveShadow = true;
               overlay.add(mesh);
             } catch (err) {
               console.warn("[GH] mesh conversion failed", err);
@@ -1693,9 +2318,10 @@ function RhinoViewer() {
 
     scene.add(overlay);
     ghGroupRef.current = overlay;
+    applyShadowOnly();
 
     const cityGroups = groupsRef.current;
-    const cityCandidates = [cityGroups?.buildings, cityGroups?.roads, cityGroups?.parks, cityGroups?.water].filter(Boolean);
+    const cityCandidates = [cityGroups?.buildings, cityGroups?.roads, cityGroups?.parks, cityGroups?.water, cityGroups?.trees].filter(Boolean);
 
     const maxDim = Math.max(overlaySize.x, overlaySize.y, overlaySize.z);
     const dist = maxDim * 1.8 || 20;
@@ -1706,6 +2332,114 @@ function RhinoViewer() {
     }
   };
 
+  // Points the shadow-casting light from the current sun position and fits its shadow camera to
+  // the rendered city (scene axes: east +X, up +Y, north -Z).
+  function updateSunLight() {
+    const light = sunLightRef.current;
+    if (!light) return;
+    const { azimuthDeg, altitudeDeg, treeTransmissivity } = shadowSettingsRef.current;
+    const radius = Math.max(50, cityFrameRef.current?.radius || 0) * 1.2;
+    const az = (azimuthDeg * Math.PI) / 180;
+    const alt = (Math.max(0.5, altitudeDeg) * Math.PI) / 180;
+    const dir = new THREE.Vector3(Math.sin(az) * Math.cos(alt), Math.sin(alt), -Math.cos(az) * Math.cos(alt));
+
+    light.target.position.set(0, 0, 0);
+    light.position.copy(dir.multiplyScalar(radius * 2));
+    light.intensity = altitudeDeg > 0 ? 0.9 : 0.15;
+    light.castShadow = altitudeDeg > 0;
+    const cam = light.shadow.camera;
+    cam.left = -radius;
+    cam.right = radius;
+    cam.top = radius;
+    cam.bottom = -radius;
+    cam.near = 0.1;
+    cam.far = radius * 4;
+    cam.updateProjectionMatrix();
+
+    // Only rebuild the crown depth materials when the transmissivity changed (the slider calls this
+    // many times a second while playing).
+    for (const group of [groupsRef.current?.trees, plantGroupRef.current]) {
+      group?.traverse((obj) => {
+        if (!obj.userData?.porousCrowns || obj.userData.crownTransmissivity === treeTransmissivity) return;
+        obj.customDepthMaterial?.dispose?.();
+        obj.customDepthMaterial = crownShadowMaterial(treeTransmissivity);
+        obj.userData.crownTransmissivity = treeTransmissivity;
+      });
+    }
+  }
+
+  // Sun position from the slider's date/time at the rendered city's center.
+  function applySunTime() {
+    const frame = cityFrameRef.current;
+    const { date, minutes } = sunTimeRef.current;
+    if (frame && date) {
+      const when = localStandardTimeToUtc(date, minutes, defaultTimeZone(frame.cx));
+      const { azimuthDeg, altitudeDeg } = sunPosition(when, frame.cy, frame.cx);
+      shadowSettingsRef.current = { ...shadowSettingsRef.current, azimuthDeg, altitudeDeg };
+    }
+    updateSunLight();
+  }
+
+  // Shadow-only view: buildings, trees, structures and GH overlays stop drawing color and depth but
+  // still render into the shadow map, so only their shadows on the ground and streets remain.
+  function applyShadowOnly() {
+    const on = shadowOnlyRef.current;
+    const roots = [
+      groupsRef.current?.buildings,
+      groupsRef.current?.trees,
+      plantGroupRef.current,
+      structureGroupRef.current,
+      ghGroupRef.current,
+    ];
+    for (const root of roots) {
+      root?.traverse((obj) => {
+        if (!obj.isMesh || !obj.material) return;
+        const mats = Array.isArray(obj.material) ? obj.material : [obj.material];
+        for (const m of mats) {
+          m.colorWrite = !on;
+          m.depthWrite = !on;
+        }
+      });
+    }
+    groupsRef.current?.ground?.traverse((obj) => {
+      if (obj.material?.isShadowMaterial) obj.material.opacity = on ? 0.6 : 0.35;
+    });
+  }
+
+  useEffect(() => {
+    sunTimeRef.current = { date: sunDate, minutes: sunMinutes };
+    applySunTime();
+  }, [sunDate, sunMinutes]);
+
+  // Playback ticks from SunTimeControls: move the sun without touching React state.
+  const previewSunMinutes = useRef((minutes) => {
+    sunTimeRef.current = { ...sunTimeRef.current, minutes };
+    applySunTime();
+  }).current;
+
+  useEffect(() => {
+    shadowOnlyRef.current = shadowOnly;
+    applyShadowOnly();
+  }, [shadowOnly]);
+
+  // Sun position and crown transmissivity for viewer shadows:
+  // window.dispatchEvent(new CustomEvent("analysis:shadow-settings", { detail: { azimuthDeg, altitudeDeg, treeTransmissivity } }))
+  useEffect(() => {
+    const onSettings = (ev) => {
+      const d = ev?.detail || {};
+      const next = { ...shadowSettingsRef.current };
+      for (const key of ["azimuthDeg", "altitudeDeg", "treeTransmissivity"]) {
+        const v = Number(d[key]);
+        if (d[key] != null && Number.isFinite(v)) next[key] = v;
+      }
+      next.treeTransmissivity = Math.min(1, Math.max(0, next.treeTransmissivity));
+      shadowSettingsRef.current = next;
+      updateSunLight();
+    };
+    window.addEventListener("analysis:shadow-settings", onSettings);
+    return () => window.removeEventListener("analysis:shadow-settings", onSettings);
+  }, []);
+
   async function renderBbox(bbox) {
     const seq = (osmRenderSeqRef.current += 1);
     try {
@@ -1752,7 +2486,11 @@ function RhinoViewer() {
         }
       });
     }
-    groupsRef.current = { buildings: null, roads: null, parks: null, water: null };
+    groupsRef.current = { buildings: null, roads: null, parks: null, water: null, trees: null, ground: null };
+    cityBuildingsRef.current = [];
+    cityBboxRef.current = bbox;
+    window.dispatchEvent(new CustomEvent("analysis:clear-facade-mesh"));
+    removeSunHoursOverlay();
 
     const [west, south, east, north] = bbox;
 
@@ -1761,20 +2499,32 @@ function RhinoViewer() {
       console.log("[OSM] fetch /api/osm start", { west, south, east, north });
       const controller = new AbortController();
       osmAbortRef.current = controller;
-      const timeoutId = window.setTimeout(() => controller.abort(), 30000);
+      // Large AOIs are fetched in tiles server-side; abort only when nothing arrives for 60 s.
+      let timeoutId = window.setTimeout(() => controller.abort(), 60000);
+      const resetTimeout = () => {
+        window.clearTimeout(timeoutId);
+        timeoutId = window.setTimeout(() => controller.abort(), 60000);
+      };
       const res = await fetch("/api/osm", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ bbox: [west, south, east, north] }),
+        body: JSON.stringify({
+          bbox: [west, south, east, north],
+          ...(aoiBoundaryRef.current ? { boundary: aoiBoundaryRef.current } : {}),
+          stream: true,
+        }),
         signal: controller.signal,
       });
-      window.clearTimeout(timeoutId);
 
-      if (seq !== osmRenderSeqRef.current) return;
+      if (seq !== osmRenderSeqRef.current) {
+        window.clearTimeout(timeoutId);
+        return;
+      }
 
       console.log("[OSM] fetch /api/osm response", { ok: res.ok, status: res.status });
 
-      if (!res.ok) {
+      if (!res.ok || !res.body) {
+        window.clearTimeout(timeoutId);
         let msg = "";
         try {
           msg = await res.text();
@@ -1787,13 +2537,47 @@ function RhinoViewer() {
       }
 
       try {
-        geojson = await res.json();
+        // NDJSON: progress lines per tile, then one result (or error) line.
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffered = "";
+        let streamError = null;
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          resetTimeout();
+          buffered += decoder.decode(value, { stream: true });
+          let nl;
+          while ((nl = buffered.indexOf("\n")) >= 0) {
+            const line = buffered.slice(0, nl).trim();
+            buffered = buffered.slice(nl + 1);
+            if (!line) continue;
+            const msg = JSON.parse(line);
+            if (msg.type === "progress") {
+              if (seq === osmRenderSeqRef.current) setModelStatus(`Loading OSM... tile ${msg.done}/${msg.total}`);
+            } else if (msg.type === "result") {
+              geojson = msg.geojson;
+            } else if (msg.type === "error") {
+              streamError = msg;
+            }
+          }
+        }
+        window.clearTimeout(timeoutId);
         if (seq !== osmRenderSeqRef.current) return;
+        if (!geojson) {
+          const detail = streamError ? `${streamError.error}${streamError.detail ? ": " + streamError.detail : ""}` : "empty response";
+          console.warn("[OSM] fetch /api/osm stream failed", streamError);
+          setModelStatus(`OSM request failed: ${detail.slice(0, 160)}`);
+          return;
+        }
         console.log("[OSM] fetch /api/osm parsed json", {
           type: geojson?.type,
           features: Array.isArray(geojson?.features) ? geojson.features.length : null,
         });
       } catch (e) {
+        window.clearTimeout(timeoutId);
+        if (e?.name === "AbortError") throw e;
+        if (seq !== osmRenderSeqRef.current) return;
         setModelStatus(`OSM response parse error: ${String(e?.message || e)}`);
         return;
       }
@@ -1864,6 +2648,7 @@ function RhinoViewer() {
       const roadsGroup = new THREE.Group();
       const parksGroup = new THREE.Group();
       const waterGroup = new THREE.Group();
+      const treesGroup = new THREE.Group();
 
       const cx = (west + east) / 2;
       const cy = (south + north) / 2;
@@ -1919,6 +2704,7 @@ function RhinoViewer() {
         // OSM building heights are typically in meters. Use them directly (with a reasonable clamp)
         // so the city doesn't look like needles.
         const height = Math.min(200, Math.max(2, h));
+        cityBuildingsRef.current.push({ id: String(f.id ?? props.id ?? ""), footprint: ring, height });
 
         const extrudeGeom = new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false });
         extrudeGeom.rotateX(-Math.PI / 2);
@@ -1930,6 +2716,8 @@ function RhinoViewer() {
         });
 
         const mesh = new THREE.Mesh(extrudeGeom, mat);
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
         buildingsGroup.add(mesh);
 
         extrudeGeom.computeBoundingBox();
@@ -1994,10 +2782,14 @@ function RhinoViewer() {
 
         if (isPark) {
           const mat = new THREE.MeshStandardMaterial({ color: 0x66aa66, roughness: 0.9, metalness: 0.0 });
-          parksGroup.add(new THREE.Mesh(geo, mat));
+          const mesh = new THREE.Mesh(geo, mat);
+          mesh.receiveShadow = true;
+          parksGroup.add(mesh);
         } else if (isWater) {
           const mat = new THREE.MeshStandardMaterial({ color: 0x4a7bd1, roughness: 0.8, metalness: 0.1 });
-          waterGroup.add(new THREE.Mesh(geo, mat));
+          const mesh = new THREE.Mesh(geo, mat);
+          mesh.receiveShadow = true;
+          waterGroup.add(mesh);
         }
 
         if (shapePts.length) {
@@ -2006,7 +2798,61 @@ function RhinoViewer() {
       }
     }
 
+      // Trees: one instanced canopy + trunk per tree (rows and woods are already expanded server-side).
+      const trees = Array.isArray(geojson.trees) ? geojson.trees : [];
+      if (trees.length) {
+        const canopies = new THREE.InstancedMesh(
+          new THREE.SphereGeometry(0.5, 10, 8),
+          new THREE.MeshStandardMaterial({ color: 0x3f7f3a, roughness: 0.9, metalness: 0.0 }),
+          trees.length
+        );
+        const trunks = new THREE.InstancedMesh(
+          new THREE.CylinderGeometry(0.5, 0.5, 1, 6),
+          new THREE.MeshStandardMaterial({ color: 0x6b4f35, roughness: 0.9, metalness: 0.0 }),
+          trees.length
+        );
+        const m = new THREE.Matrix4();
+        const q = new THREE.Quaternion();
+        trees.forEach((t, k) => {
+          const p = projectPoint(t.lon, t.lat);
+          const crownDepth = Math.min(t.height * 0.65, t.crownDiameter * 1.1);
+          const trunkHeight = t.height - crownDepth * 0.5;
+          const trunkWidth = Math.max(0.2, t.crownDiameter * 0.06);
+          m.compose(
+            new THREE.Vector3(p.x, t.height - crownDepth / 2, -p.y),
+            q,
+            new THREE.Vector3(t.crownDiameter, crownDepth, t.crownDiameter)
+          );
+          canopies.setMatrixAt(k, m);
+          m.compose(new THREE.Vector3(p.x, trunkHeight / 2, -p.y), q, new THREE.Vector3(trunkWidth, trunkHeight, trunkWidth));
+          trunks.setMatrixAt(k, m);
+        });
+        canopies.computeBoundingSphere();
+        trunks.computeBoundingSphere();
+        canopies.castShadow = true;
+        canopies.customDepthMaterial = crownShadowMaterial(shadowSettingsRef.current.treeTransmissivity);
+        canopies.userData.porousCrowns = true;
+        canopies.userData.crownTransmissivity = shadowSettingsRef.current.treeTransmissivity;
+        trunks.castShadow = true;
+        treesGroup.add(trunks);
+        treesGroup.add(canopies);
+      }
+
+      // Invisible ground that only shows the shadows of buildings and trees.
+      const groundGroup = new THREE.Group();
+      {
+        const sw = projectPoint(west, south);
+        const ne = projectPoint(east, north);
+        const groundGeo = new THREE.PlaneGeometry((ne.x - sw.x) * 1.2, (ne.y - sw.y) * 1.2);
+        groundGeo.rotateX(-Math.PI / 2);
+        const ground = new THREE.Mesh(groundGeo, new THREE.ShadowMaterial({ opacity: 0.35 }));
+        ground.position.set((sw.x + ne.x) / 2, -0.05, -(sw.y + ne.y) / 2);
+        ground.receiveShadow = true;
+        groundGroup.add(ground);
+      }
+
       const hasAnyGeometry =
+        treesGroup.children.length > 0 ||
         buildingsGroup.children.length > 0 ||
         roadsGroup.children.length > 0 ||
         parksGroup.children.length > 0 ||
@@ -2026,6 +2872,7 @@ function RhinoViewer() {
       combined.add(roadsGroup);
       combined.add(parksGroup);
       combined.add(waterGroup);
+      combined.add(treesGroup);
 
       combined.updateMatrixWorld(true);
 
@@ -2038,6 +2885,8 @@ function RhinoViewer() {
       roadsGroup.position.sub(offset);
       parksGroup.position.sub(offset);
       waterGroup.position.sub(offset);
+      treesGroup.position.sub(offset);
+      groundGroup.position.sub(offset);
 
       // Secondary correction: ensure the final minY is exactly at ground level.
       combined.updateMatrixWorld(true);
@@ -2048,13 +2897,26 @@ function RhinoViewer() {
         roadsGroup.position.y -= dy;
         parksGroup.position.y -= dy;
         waterGroup.position.y -= dy;
+        treesGroup.position.y -= dy;
+        groundGroup.position.y -= dy;
       }
 
+      cityFrameRef.current = {
+        cx,
+        cy,
+        metersPerDegLon,
+        metersPerDegLat,
+        position: buildingsGroup.position.clone(),
+        radius: Math.max(size.x, size.z) / 2,
+      };
+
       if (seq !== osmRenderSeqRef.current) {
         clearGroup(buildingsGroup);
         clearGroup(roadsGroup);
         clearGroup(parksGroup);
         clearGroup(waterGroup);
+        clearGroup(treesGroup);
+        clearGroup(groundGroup);
         return;
       }
 
@@ -2062,12 +2924,23 @@ function RhinoViewer() {
       scene.add(parksGroup);
       scene.add(waterGroup);
       scene.add(buildingsGroup);
-
-      groupsRef.current = { buildings: buildingsGroup, roads: roadsGroup, parks: parksGroup, water: waterGroup };
+      scene.add(treesGroup);
+      scene.add(groundGroup);
+
+      groupsRef.current = {
+        buildings: buildingsGroup,
+        roads: roadsGroup,
+        parks: parksGroup,
+        water: waterGroup,
+        trees: treesGroup,
+        ground: groundGroup,
+      };
+      applySunTime();
+      applyShadowOnly();
       setBaseModelReady(true);
 
       setModelStatus(
-        `City model ready (buildings: ${buildingsGroup.children.length}, roads: ${roadsGroup.children.length}, parks: ${parksGroup.children.length}, water: ${waterGroup.children.length})`
+        `City model ready (buildings: ${buildingsGroup.children.length}, roads: ${roadsGroup.children.length}, parks: ${parksGroup.children.length}, water: ${waterGroup.children.length}, trees: ${trees.length})`
       );
 
       const maxDim = Math.max(size.x, size.y, size.z);
@@ -2122,13 +2995,235 @@ function RhinoViewer() {
     return () => window.removeEventListener("grasshopper:clear-result", onClear);
   }, []);
 
+  // Sun hours on the walls of the rendered buildings for the selected day; the mesh comes back
+  // through the "analysis:facade-mesh" event below.
+  const runFacadeAnalysis = async () => {
+    const frame = cityFrameRef.current;
+    const buildings = cityBuildingsRef.current;
+    if (!frame || !buildings.length) {
+      setModelStatus("Facades: load a city model with buildings first");
+      return;
+    }
+    const [year, month, day] = sunDate.split("-").map(Number);
+    setFacadeBusy(true);
+    setModelStatus(`Facades: analyzing ${buildings.length} buildings...`);
+    try {
+      const res = await fetch("/api/analyze-city", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          location: { lat: frame.cy, lon: frame.cx },
+          analysisPeriod: { start: { month, day, hour: 0 }, end: { month, day, hour: 23 } },
+          contextBuildings: buildings,
+          options: { year, shadows: false, analyzeFacades: true },
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data?.ok || !data.facades) {
+        setModelStatus(`Facades: analysis failed (${data?.error || res.status})`);
+        return;
+      }
+      window.dispatchEvent(new CustomEvent("analysis:facade-mesh", { detail: data.facades }));
+    } catch (err) {
+      setModelStatus(`Facades: analysis failed (${err instanceof Error ? err.message : err})`);
+    } finally {
+      setFacadeBusy(false);
+    }
+  };
+
+  const removeSunHoursOverlay = () => {
+    const group = sunHoursGroupRef.current;
+    if (!group) return;
+    sceneRef.current?.remove(group);
+    group.traverse((obj) => obj.material?.map?.dispose?.());
+    clearGroup(group);
+    sunHoursGroupRef.current = null;
+  };
+
+  // Hours of direct sun on the ground for the selected day, shaded by the rendered buildings, OSM
+  // trees (fetched by the server), planted trees and shade structures. The PNG comes back north-up
+  // with one pixel per grid node and is laid over the AOI.
+  const runSunHoursAnalysis = async () => {
+    const frame = cityFrameRef.current;
+    const bbox = cityBboxRef.current;
+    if (!frame || !bbox) {
+      setModelStatus("Ground sun: load a city model first");
+      return;
+    }
+    const trees = (plantedTreesGeoJson()?.features || []).map((f) => ({
+      id: String(f.id),
+      lon: f.geometry.coordinates[0],
+      lat: f.geometry.coordinates[1],
+      height: f.properties.height,
+      crownDiameter: f.properties.crown_diameter,
+    }));
+    const shadeStructures = (structuresGeoJson()?.features || []).map((f) => ({
+      id: String(f.id),
+      type: f.properties.type,
+      footprint: f.geometry.coordinates[0].slice(0, -1),
+      height: f.properties.height,
+      transmissivity: f.properties.transmissivity,
+    }));
+    const [year, month, day] = sunDate.split("-").map(Number);
+    setSunHoursBusy(true);
+    setModelStatus(`Ground sun: analyzing (${trees.length} planted trees, ${shadeStructures.length} structures)...`);
+    try {
+      const res = await fetch("/api/analyze-city", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          location: { lat: frame.cy, lon: frame.cx },
+          analysisPeriod: { start: { month, day, hour: 0 }, end: { month, day, hour: 23 } },
+          bbox,
+          // The viewer's buildings are sent as they are, so the server only adds OSM trees.
+          contextBuildings: cityBuildingsRef.current,
+          trees,
+          shadeStructures,
+          options: { year, shadows: false, sunHours: { osmBuildings: false, raster: "png" } },
+        }),
+      });
+      const data = await res.json().catch(() => null);
+      const grid = data?.sunHours;
+      if (!res.ok || !data?.ok || !grid?.png) {
+        setModelStatus(`Ground sun: analysis failed (${data?.detail || data?.error || res.status})`);
+        return;
+      }
+
+      const scene = sceneRef.current;
+      if (!scene || cityFrameRef.current !== frame) return;
+      removeSunHoursOverlay();
+      const [west, south, east, north] = bbox;
+      const width = (east - west) * frame.metersPerDegLon;
+      const depth = (north - south) * frame.metersPerDegLat;
+      const geo = new THREE.PlaneGeometry(width, depth);
+      // Flat on the ground with the image's top row to the north (-Z).
+      geo.rotateX(-Math.PI / 2);
+      const texture = new THREE.TextureLoader().load(`data:image/png;base64,${grid.png}`);
+      texture.colorSpace = THREE.SRGBColorSpace;
+      const mat = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        opacity: 0.7,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -2,
+        polygonOffsetUnits: -2,
+      });
+      const mesh = new THREE.Mesh(geo, mat);
+      mesh.position.set(
+        ((west + east) / 2 - frame.cx) * frame.metersPerDegLon,
+        0.05,
+        -((south + north) / 2 - frame.cy) * frame.metersPerDegLat
+      );
+      const group = new THREE.Group();
+      group.add(mesh);
+      group.position.copy(frame.position);
+      scene.add(group);
+      sunHoursGroupRef.current = group;
+
+      const b = grid.breakdown;
+      const warnings = grid.warnings?.length ? ` [${grid.warnings.join(", ")}]` : "";
+      setModelStatus(
+        `Ground sun: ${b.sunHours} of ${grid.sunUpHours} h on average; shade from buildings ${b.buildings} h, ` +
+          `trees ${b.trees} h, structures ${b.structures} h, terrain ${b.terrain} h${warnings}`
+      );
+    } catch (err) {
+      setModelStatus(`Ground sun: analysis failed (${err instanceof Error ? err.message : err})`);
+    } finally {
+      setSunHoursBusy(false);
+    }
+  };
+
+  // Facade sun-exposure mesh from /api/analyze-city (options.analyzeFacades): vertices are
+  // [lon, lat, z] triples, colors are 0..255 RGB per vertex.
+  useEffect(() => {
+    const removeFacades = () => {
+      if (sceneRef.current && facadeGroupRef.current) {
+        sceneRef.current.remove(facadeGroupRef.current);
+        clearGroup(facadeGroupRef.current);
+      }
+      facadeGroupRef.current = null;
+    };
+
+    const onFacades = (ev) => {
+      const mesh = ev?.detail?.mesh;
+      const scene = sceneRef.current;
+      if (!scene || !mesh || !Array.isArray(mesh.vertices) || !Array.isArray(mesh.faces)) return;
+      removeFacades();
+
+      let frame = cityFrameRef.current;
+      if (!frame) {
+        // No city rendered yet: center the facades on their own footprint.
+        let sx = 0;
+        let sy = 0;
+        const n = mesh.vertices.length / 3;
+        for (let k = 0; k < n; k++) {
+          sx += mesh.vertices[k * 3];
+          sy += mesh.vertices[k * 3 + 1];
+        }
+        const cy = n ? sy / n : 0;
+        frame = {
+          cx: n ? sx / n : 0,
+          cy,
+          metersPerDegLon: 111320 * Math.cos((cy * Math.PI) / 180),
+          metersPerDegLat: 111320,
+          position: new THREE.Vector3(0, 0, 0),
+        };
+      }
+
+      const count = mesh.vertices.length / 3;
+      const positions = new Float32Array(count * 3);
+      const colors = new Float32Array(count * 3);
+      for (let k = 0; k < count; k++) {
+        const x = (mesh.vertices[k * 3] - frame.cx) * frame.metersPerDegLon;
+        const y = (mesh.vertices[k * 3 + 1] - frame.cy) * frame.metersPerDegLat;
+        // Same axes as the extruded buildings after rotateX(-PI/2): up is +Y, north is -Z.
+        positions[k * 3] = x;
+        positions[k * 3 + 1] = mesh.vertices[k * 3 + 2];
+        positions[k * 3 + 2] = -y;
+        colors[k * 3] = (mesh.colors?.[k * 3] ?? 255) / 255;
+        colors[k * 3 + 1] = (mesh.colors?.[k * 3 + 1] ?? 255) / 255;
+        colors[k * 3 + 2] = (mesh.colors?.[k * 3 + 2] ?? 255) / 255;
+      }
+
+      const geo = new THREE.BufferGeometry();
+      geo.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+      geo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+      geo.setIndex(mesh.faces);
+      geo.computeVertexNormals();
+
+      const mat = new THREE.MeshBasicMaterial({
+        vertexColors: true,
+        side: THREE.DoubleSide,
+        polygonOffset: true,
+        polygonOffsetFactor: -1,
+        polygonOffsetUnits: -1,
+      });
+      const group = new THREE.Group();
+      group.add(new THREE.Mesh(geo, mat));
+      group.position.copy(frame.position);
+      scene.add(group);
+      facadeGroupRef.current = group;
+
+      const samples = ev?.detail?.samples?.count ?? count / 4;
+      setModelStatus(`Facade analysis: ${samples} samples (${ev?.detail?.colorBy || "sunHours"})`);
+    };
+
+    window.addEventListener("analysis:facade-mesh", onFacades);
+    window.addEventListener("analysis:clear-facade-mesh", removeFacades);
+    return () => {
+      window.removeEventListener("analysis:facade-mesh", onFacades);
+      window.removeEventListener("analysis:clear-facade-mesh", removeFacades);
+      removeFacades();
+    };
+  }, []);
+
   useEffect(() => {
-    const handler = (event) => {
-      const data = event?.data;
-      if (!data || data.type !== "cadmapper:bbox" || !Array.isArray(data.bbox)) return;
-      const bbox = data.bbox;
-      if (bbox.length !== 4) return;
+    const handler = ({ bbox, aoi }) => {
+      if (!Array.isArray(bbox) || bbox.length !== 4) return;
       console.log("[Map] bbox received", bbox);
+      // Rectangles need no clipping; polygon and tract AOIs do.
+      aoiBoundaryRef.current = aoi?.geometry && aoi.properties?.kind !== "rectangle" ? aoi.geometry : null;
 
       // New city input invalidates any previously computed Grasshopper overlay.
       try {
@@ -2178,14 +3273,20 @@ function RhinoViewer() {
       renderBbox(bbox);
     };
 
-    window.addEventListener("message", handler);
-    return () => {
-      window.removeEventListener("message", handler);
-    };
+    return mapChannel.on("aoi", handler);
   }, []);
 
   const totalFinal = drawStateRef.current.polylines.length;
   const currentPts = drawStateRef.current.current.length;
+  const plantedTrees = plantStateRef.current.trees;
+  const placedStructures = structureStateRef.current.items;
+  const sunFrame = cityFrameRef.current;
+  const sunTimeZone = sunFrame ? defaultTimeZone(sunFrame.cx) : null;
+  // Sum of crown footprints; overlapping crowns are counted twice.
+  const plantedCanopyArea = plantedTrees.reduce((sum, t) => {
+    const r = plantedTreeSize(t.species, t.years).crownRadius;
+    return sum + Math.PI * r * r;
+  }, 0);
 
   return (
     <div style={{ position: "relative", width: "100%", height: "100%", minHeight: 280 }}>
@@ -2243,6 +3344,12 @@ function RhinoViewer() {
             const next = !drawModeRef.current;
             drawModeRef.current = next;
             setDrawMode(next);
+            if (next) {
+              plantModeRef.current = false;
+              setPlantMode(false);
+              structureModeRef.current = false;
+              setStructureMode(false);
+            }
           }}
           disabled={!baseModelReady}
           style={{
@@ -2317,6 +3424,378 @@ function RhinoViewer() {
           lines: {totalFinal} | points: {currentPts}
         </div>
 
+        <button
+          type="button"
+          onClick={() => {
+            if (!baseModelReady) {
+              setModelStatus("Load CadMapper model first: click Analyze on the map");
+              return;
+            }
+            const next = !plantModeRef.current;
+            plantModeRef.current = next;
+            setPlantMode(next);
+            if (next) {
+              drawModeRef.current = false;
+              setDrawMode(false);
+              structureModeRef.current = false;
+              setStructureMode(false);
+            }
+          }}
+          disabled={!baseModelReady}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: plantMode ? "rgba(34,197,94,0.85)" : "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady ? "pointer" : "not-allowed",
+            opacity: baseModelReady ? 1 : 0.55,
+          }}
+        >
+          {plantMode ? "Plant tree: ON" : "Plant tree: OFF"}
+        </button>
+
+        <select
+          value={plantSpecies}
+          onChange={(e) => setPlantSpecies(e.target.value)}
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+          }}
+        >
+          {TREE_SPECIES.map((sp) => (
+            <option key={sp.id} value={sp.id}>
+              {sp.name}
+            </option>
+          ))}
+        </select>
+
+        <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.9 }}>
+          years
+          <input
+            type="number"
+            min={0}
+            max={100}
+            step={1}
+            value={plantYears}
+            onChange={(e) => setPlantYears(Math.max(0, Number(e.target.value) || 0))}
+            style={{
+              width: 56,
+              padding: "5px 6px",
+              borderRadius: 8,
+              border: "1px solid rgba(255,255,255,0.15)",
+              background: "rgba(17,24,39,0.8)",
+              color: "#e5e7eb",
+            }}
+          />
+        </label>
+
+        <button
+          type="button"
+          onClick={exportPlantedTreesGeoJson}
+          disabled={plantedTrees.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: plantedTrees.length ? "pointer" : "not-allowed",
+            opacity: plantedTrees.length ? 1 : 0.5,
+          }}
+        >
+          GeoJSON
+        </button>
+
+        <button
+          type="button"
+          onClick={sendPlantedTreesToGrasshopper}
+          disabled={plantedTrees.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(15,118,110,0.85)",
+            color: "#e5e7eb",
+            cursor: plantedTrees.length ? "pointer" : "not-allowed",
+            opacity: plantedTrees.length ? 1 : 0.5,
+          }}
+        >
+          Send to GH
+        </button>
+
+        <button
+          type="button"
+          onClick={clearPlantedTrees}
+          disabled={plantedTrees.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(239,68,68,0.85)",
+            color: "#e5e7eb",
+            cursor: plantedTrees.length ? "pointer" : "not-allowed",
+            opacity: plantedTrees.length ? 1 : 0.5,
+          }}
+        >
+          Clear trees
+        </button>
+
+        <div style={{ fontSize: 12, opacity: 0.85 }}>
+          trees: {plantedTrees.length} | canopy: {Math.round(plantedCanopyArea)} m²
+        </div>
+
+        <button
+          type="button"
+          onClick={() => {
+            if (!baseModelReady) {
+              setModelStatus("Load CadMapper model first: click Analyze on the map");
+              return;
+            }
+            const next = !structureModeRef.current;
+            structureModeRef.current = next;
+            setStructureMode(next);
+            if (next) {
+              drawModeRef.current = false;
+              setDrawMode(false);
+              plantModeRef.current = false;
+              setPlantMode(false);
+            }
+          }}
+          disabled={!baseModelReady}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: structureMode ? "rgba(34,197,94,0.85)" : "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady ? "pointer" : "not-allowed",
+            opacity: baseModelReady ? 1 : 0.55,
+          }}
+        >
+          {structureMode ? "Structure: ON" : "Structure: OFF"}
+        </button>
+
+        <select
+          value={structureType}
+          onChange={(e) => {
+            const type = shadeStructureType(e.target.value);
+            setStructureType(type.id);
+            setStructureParams((p) => ({ ...type.defaults, angleDeg: p.angleDeg, spacing: p.spacing }));
+          }}
+          style={{
+            padding: "6px 8px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+          }}
+        >
+          {SHADE_STRUCTURE_TYPES.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}
+            </option>
+          ))}
+        </select>
+
+        {[
+          ["width", "w", 0.5],
+          ["depth", "d", 0.5],
+          ["height", "h", 0.1],
+          ["angleDeg", "angle", 5],
+          ["spacing", "spacing", 1],
+        ].map(([key, label, step]) => (
+          <label key={key} style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, opacity: 0.9 }}>
+            {label}
+            <input
+              type="number"
+              step={step}
+              value={structureParams[key]}
+              onChange={(e) => {
+                const v = Number(e.target.value);
+                if (!Number.isFinite(v)) return;
+                setStructureParams((p) => ({ ...p, [key]: key === "angleDeg" ? v : Math.max(0.1, v) }));
+              }}
+              style={{
+                width: 56,
+                padding: "5px 6px",
+                borderRadius: 8,
+                border: "1px solid rgba(255,255,255,0.15)",
+                background: "rgba(17,24,39,0.8)",
+                color: "#e5e7eb",
+              }}
+            />
+          </label>
+        ))}
+
+        <button
+          type="button"
+          onClick={placeStructuresAlongLines}
+          disabled={!baseModelReady || (currentPts < 2 && totalFinal === 0)}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(59,130,246,0.85)",
+            color: "#e5e7eb",
+            cursor: baseModelReady && (currentPts >= 2 || totalFinal > 0) ? "pointer" : "not-allowed",
+            opacity: baseModelReady && (currentPts >= 2 || totalFinal > 0) ? 1 : 0.5,
+          }}
+        >
+          Along lines
+        </button>
+
+        <button
+          type="button"
+          onClick={undoStructure}
+          disabled={placedStructures.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: placedStructures.length ? "pointer" : "not-allowed",
+            opacity: placedStructures.length ? 1 : 0.5,
+          }}
+        >
+          Undo
+        </button>
+
+        <button
+          type="button"
+          onClick={exportStructuresGeoJson}
+          disabled={placedStructures.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: placedStructures.length ? "pointer" : "not-allowed",
+            opacity: placedStructures.length ? 1 : 0.5,
+          }}
+        >
+          GeoJSON
+        </button>
+
+        <button
+          type="button"
+          onClick={clearStructures}
+          disabled={placedStructures.length === 0}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(239,68,68,0.85)",
+            color: "#e5e7eb",
+            cursor: placedStructures.length ? "pointer" : "not-allowed",
+            opacity: placedStructures.length ? 1 : 0.5,
+          }}
+        >
+          Clear structures
+        </button>
+
+        <div style={{ fontSize: 12, opacity: 0.85 }}>structures: {placedStructures.length}</div>
+
+        <input
+          type="date"
+          value={sunDate}
+          onChange={(e) => e.target.value && setSunDate(e.target.value)}
+          style={{
+            padding: "5px 6px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+          }}
+        />
+
+        <SunTimeControls
+          minutes={sunMinutes}
+          onChange={setSunMinutes}
+          onPreview={previewSunMinutes}
+          describe={() =>
+            `${sunTimeZone !== null ? ` (UTC${sunTimeZone < 0 ? "" : "+"}${sunTimeZone})` : ""} | sun az ` +
+            `${shadowSettingsRef.current.azimuthDeg.toFixed(0)}° alt ${shadowSettingsRef.current.altitudeDeg.toFixed(0)}°`
+          }
+          disabled={!baseModelReady}
+        />
+
+        <button
+          type="button"
+          onClick={() => setShadowOnly((v) => !v)}
+          disabled={!baseModelReady}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: shadowOnly ? "rgba(34,197,94,0.85)" : "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady ? "pointer" : "not-allowed",
+            opacity: baseModelReady ? 1 : 0.55,
+          }}
+        >
+          {shadowOnly ? "Shadows only: ON" : "Shadows only: OFF"}
+        </button>
+
+        <button
+          type="button"
+          onClick={runFacadeAnalysis}
+          disabled={!baseModelReady || facadeBusy}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady && !facadeBusy ? "pointer" : "not-allowed",
+            opacity: baseModelReady && !facadeBusy ? 1 : 0.55,
+          }}
+        >
+          {facadeBusy ? "Facades..." : "Facade sun"}
+        </button>
+
+        <button
+          type="button"
+          onClick={runSunHoursAnalysis}
+          disabled={!baseModelReady || sunHoursBusy}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady && !sunHoursBusy ? "pointer" : "not-allowed",
+            opacity: baseModelReady && !sunHoursBusy ? 1 : 0.55,
+          }}
+        >
+          {sunHoursBusy ? "Ground sun..." : "Ground sun"}
+        </button>
+
+        <button
+          type="button"
+          onClick={() => {
+            window.dispatchEvent(new CustomEvent("analysis:clear-facade-mesh"));
+            removeSunHoursOverlay();
+          }}
+          disabled={!baseModelReady}
+          style={{
+            padding: "6px 10px",
+            borderRadius: 8,
+            border: "1px solid rgba(255,255,255,0.15)",
+            background: "rgba(17,24,39,0.8)",
+            color: "#e5e7eb",
+            cursor: baseModelReady ? "pointer" : "not-allowed",
+            opacity: baseModelReady ? 1 : 0.55,
+          }}
+        >
+          Clear sun analysis
+        </button>
+
         {modelStatus ? <div style={{ fontSize: 12, opacity: 0.9 }}>{modelStatus}</div> : null}
       </div>
 
@@ -2328,7 +3807,7 @@ function RhinoViewer() {
           minHeight: 280,
           display: "block",
           background: "#000",
-          cursor: drawMode ? "crosshair" : "grab",
+          cursor: drawMode || plantMode || structureMode ? "crosshair" : "grab",
         }}
       />
     </div>
@@ -0,0 +1,168 @@
+import React, { useEffect, useRef, useState } from "react";
+import { mapChannel } from "../lib/mapChannel";
+
+// Census context for the AOI picked on the map: area-weighted tract statistics from
+// /api/tracts/aoi-stats, refreshed on every "aoi" map message. Polygon AOIs arrive as a GeoJSON
+// Feature in `aoi` and are sent as is; plain boxes fall back to the bbox. Tracts ticked on the map
+// ("tract-selection") are highlighted in the table.
+
+const COUNT_KEYS = ["population", "age65Plus", "childrenUnder5", "belowPoverty", "withDisability", "housingUnits"];
+const MEAN_KEYS = ["summerLstF", "treeCanopyPct", "imperviousPct", "pm25", "asthmaPct", "vulPopIndex", "interventionScore"];
+
+const fmt = (v, digits = 1) =>
+  v === null || v === undefined || !Number.isFinite(v)
+    ? "–"
+    : v.toLocaleString("en-US", { maximumFractionDigits: digits, minimumFractionDigits: digits });
+
+function SiteBriefPanel() {
+  const [status, setStatus] = useState("Select an area on the map and click Analyze");
+  const [stats, setStats] = useState(null);
+  const [bbox, setBbox] = useState(null);
+  const [aoi, setAoi] = useState(null);
+  const [selectedTracts, setSelectedTracts] = useState([]);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    const handler = async (data) => {
+      if (!Array.isArray(data.bbox) || data.bbox.length !== 4) return;
+
+      abortRef.current?.abort();
+      const controller = new AbortController();
+      abortRef.current = controller;
+      const feature = data.aoi?.geometry ? data.aoi : null;
+      setBbox(data.bbox);
+      setAoi(feature);
+      setStatus("Loading census tracts…");
+      try {
+        const res = feature
+          ? await fetch("/api/tracts/aoi-stats", {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ aoi: feature.geometry }),
+              signal: controller.signal,
+            })
+          : await fetch(`/api/tracts/aoi-stats?bbox=${encodeURIComponent(data.bbox.join(","))}`, {
+              signal: controller.signal,
+            });
+        const json = await res.json().catch(() => null);
+        if (!res.ok) {
+          setStats(null);
+          setStatus(`Tract statistics failed (${res.status})${json?.detail ? `: ${json.detail}` : ""}`);
+          return;
+        }
+        setStats(json);
+        setStatus(json?.tracts?.length ? "" : "No census tracts in this area");
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        setStats(null);
+        setStatus(`Tract statistics failed: ${String(err?.message || err)}`);
+      }
+    };
+
+    const offAoi = mapChannel.on("aoi", handler);
+    const offSelection = mapChannel.on("tract-selection", ({ geoids }) => setSelectedTracts(geoids || []));
+    return () => {
+      offAoi();
+      offSelection();
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  const downloadJson = () => {
+    if (!stats) return;
+    const blob = new Blob([JSON.stringify({ bbox, aoi, ...stats }, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "site-brief.json";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="site-brief">
+      {stats ? (
+        <>
+          <div className="site-brief-summary">
+            <div className="site-brief-card">
+              <div className="site-brief-label">{aoi?.properties?.name || "AOI area"}</div>
+              <div className="site-brief-value">{fmt(stats.aoiAreaM2 / 1e6, 2)} km²</div>
+              <div className="site-brief-note">
+                {stats.tracts.length} tracts · {fmt(stats.tractCoverage * 100, 0)}% with data
+              </div>
+            </div>
+            {COUNT_KEYS.map((k) =>
+              stats.counts?.[k] ? (
+                <div key={k} className="site-brief-card">
+                  <div className="site-brief-label">{stats.counts[k].label}</div>
+                  <div className="site-brief-value">≈ {fmt(stats.counts[k].value, 0)}</div>
+                </div>
+              ) : null
+            )}
+            {MEAN_KEYS.map((k) =>
+              stats.means?.[k] ? (
+                <div key={k} className="site-brief-card">
+                  <div className="site-brief-label">{stats.means[k].label}</div>
+                  <div className="site-brief-value">
+                    {fmt(stats.means[k].value, k === "vulPopIndex" || k === "interventionScore" ? 2 : 1)}
+                    {stats.means[k].unit ? ` ${stats.means[k].unit}` : ""}
+                  </div>
+                  {stats.means[k].coverage < 0.999 ? (
+                    <div className="site-brief-note">{fmt(stats.means[k].coverage * 100, 0)}% of AOI</div>
+                  ) : null}
+                </div>
+              ) : null
+            )}
+          </div>
+
+          <div className="site-brief-toolbar">
+            <span className="small">
+              Counts are apportioned by tract area inside the AOI; rates are area-weighted means.
+            </span>
+            <button type="button" className="site-brief-btn" onClick={downloadJson}>
+              Download JSON
+            </button>
+          </div>
+
+          <div className="ranking-table-wrapper">
+            <table className="ranking-table">
+              <thead>
+                <tr>
+                  <th style={{ width: "24%" }}>Tract</th>
+                  <th>% of AOI</th>
+                  <th>% of tract</th>
+                  <th>Pop. in AOI</th>
+                  <th>LST °F</th>
+                  <th>Canopy %</th>
+                  <th>Impervious %</th>
+                  <th>PM2.5</th>
+                  <th>Vul. index</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stats.tracts.map((t) => (
+                  <tr key={t.GEOID} className={`ranking-row${selectedTracts.includes(t.GEOID) ? " selected" : ""}`}>
+                    <td title={t.GEOID}>{t.NAME || t.GEOID}</td>
+                    <td>{fmt(t.aoiFraction * 100)}</td>
+                    <td>{fmt(t.tractFraction * 100)}</td>
+                    <td>{fmt(t.counts?.population, 0)}</td>
+                    <td>{fmt(t.values?.summerLstF)}</td>
+                    <td>{fmt(t.values?.treeCanopyPct)}</td>
+                    <td>{fmt(t.values?.imperviousPct)}</td>
+                    <td>{fmt(t.values?.pm25, 2)}</td>
+                    <td>{fmt(t.values?.vulPopIndex, 2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      ) : null}
+      {status ? <div className="site-brief-status small">{status}</div> : null}
+    </div>
+  );
+}
+
+export default SiteBriefPanel;
@@ -0,0 +1,12 @@
+import { createMapChannel, parseOriginList } from "../../cad-3d/src/lib/mapProtocol";
+
+// The embedded CadMapper map (cad-3d). App points the channel at the iframe; panels subscribe with
+// mapChannel.on(type, handler).
+export const CADMAPPER_URL = import.meta.env.VITE_CADMAPPER_URL || "http://localhost:3001";
+
+export const CADMAPPER_ORIGIN = parseOriginList(CADMAPPER_URL)[0] || null;
+
+// Extra origins the map may be served from (comma-separated), e.g. behind a reverse proxy.
+export const mapChannel = createMapChannel({
+  allowedOrigins: [...(CADMAPPER_ORIGIN ? [CADMAPPER_ORIGIN] : []), ...parseOriginList(import.meta.env.VITE_MAP_ALLOWED_ORIGINS)],
+});
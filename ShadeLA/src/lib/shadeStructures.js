@@ -0,0 +1,166 @@
+import * as THREE from "three";
+
+// Parametric shade structures built directly in three.js, so quick what-if studies do not need
+// Rhino Compute. Every structure is built in a local frame: origin at the base center, +X along its
+// length (the polyline direction when placed along a line), +Z towards the front, +Y up. Sizes are
+// in meters.
+//
+// `transmissivity` is the share of direct sun that gets through the roof (0 solid, 1 open); it is
+// used for the porous viewer shadows and sent with the roof outline to /api/analyze-city by the
+// viewer's "Ground sun" analysis.
+export const SHADE_STRUCTURE_TYPES = [
+  {
+    id: "cantilever",
+    name: "Cantilever canopy",
+    defaults: { width: 8, depth: 4, height: 3.2 },
+    transmissivity: 0,
+  },
+  {
+    id: "sail",
+    name: "Tensile sail",
+    defaults: { width: 6, depth: 6, height: 3 },
+    transmissivity: 0.15,
+  },
+  {
+    id: "pergola",
+    name: "Pergola",
+    defaults: { width: 5, depth: 4, height: 2.8 },
+    transmissivity: 0.45,
+  },
+  {
+    id: "bus-shelter",
+    name: "Bus-stop shelter",
+    defaults: { width: 4, depth: 1.8, height: 2.6 },
+    transmissivity: 0,
+  },
+];
+
+export function shadeStructureType(typeId) {
+  return SHADE_STRUCTURE_TYPES.find((t) => t.id === typeId) || SHADE_STRUCTURE_TYPES[0];
+}
+
+const box = (group, material, w, h, d, x, y, z) => {
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(w, h, d), material);
+  mesh.position.set(x, y, z);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  group.add(mesh);
+  return mesh;
+};
+
+// Post from the ground to height h at (x, z).
+const post = (group, material, size, h, x, z) => box(group, material, size, h, size, x, h / 2, z);
+
+function buildCantilever(group, { width, depth, height }) {
+  const steel = new THREE.MeshStandardMaterial({ color: 0x4b5563, roughness: 0.6, metalness: 0.4 });
+  const roof = new THREE.MeshStandardMaterial({ color: 0xe5e7eb, roughness: 0.7, metalness: 0.1 });
+  // One row of posts at the back; the roof slopes down towards the open front.
+  const backZ = -depth / 2 + 0.15;
+  const count = Math.max(2, Math.ceil(width / 4) + 1);
+  for (let k = 0; k < count; k++) {
+    post(group, steel, 0.2, height, -width / 2 + 0.15 + ((width - 0.3) * k) / (count - 1), backZ);
+  }
+  const pitch = Math.atan2(0.4, depth);
+  const slab = box(group, roof, width, 0.12, Math.hypot(depth, 0.4), 0, height - 0.2, 0);
+  slab.rotation.x = pitch;
+}
+
+function buildSail(group, { width, depth, height }) {
+  const mast = new THREE.MeshStandardMaterial({ color: 0x6b7280, roughness: 0.5, metalness: 0.5 });
+  const fabric = new THREE.MeshStandardMaterial({
+    color: 0xf8fafc,
+    roughness: 0.9,
+    metalness: 0.0,
+    side: THREE.DoubleSide,
+  });
+
+  // Hyperbolic paraboloid: opposite corners high and low, sagging towards the middle.
+  const rise = Math.min(1.5, 0.25 * Math.max(width, depth));
+  const cornerHeight = (u, v) => height + rise * (u * v + (1 - u) * (1 - v));
+  const n = 12;
+  const geo = new THREE.PlaneGeometry(width, depth, n, n);
+  geo.rotateX(-Math.PI / 2);
+  const pos = geo.attributes.position;
+  for (let k = 0; k < pos.count; k++) {
+    const u = pos.getX(k) / width + 0.5;
+    const v = pos.getZ(k) / depth + 0.5;
+    pos.setY(k, cornerHeight(u, v));
+  }
+  geo.computeVertexNormals();
+  const sail = new THREE.Mesh(geo, fabric);
+  sail.castShadow = true;
+  sail.receiveShadow = true;
+  sail.userData.shadeTransmissivity = shadeStructureType("sail").transmissivity;
+  group.add(sail);
+
+  for (const [u, v] of [[0, 0], [1, 0], [1, 1], [0, 1]]) {
+    post(group, mast, 0.15, cornerHeight(u, v) + 0.3, (u - 0.5) * width, (v - 0.5) * depth);
+  }
+}
+
+function buildPergola(group, { width, depth, height }) {
+  const wood = new THREE.MeshStandardMaterial({ color: 0x8b5e3c, roughness: 0.85, metalness: 0.0 });
+  const px = width / 2 - 0.1;
+  const pz = depth / 2 - 0.1;
+  for (const [x, z] of [[-px, -pz], [px, -pz], [px, pz], [-px, pz]]) post(group, wood, 0.2, height, x, z);
+  // Two beams along the length carry slats across the depth; slat width / spacing sets the shade.
+  for (const z of [-pz, pz]) box(group, wood, width + 0.4, 0.25, 0.12, 0, height - 0.125, z);
+  const spacing = 0.35;
+  const count = Math.max(2, Math.floor(width / spacing));
+  for (let k = 0; k < count; k++) {
+    const x = -width / 2 + (width * (k + 0.5)) / count;
+    box(group, wood, 0.19, 0.15, depth + 0.4, x, height + 0.075, 0);
+  }
+}
+
+function buildBusShelter(group, { width, depth, height }) {
+  const steel = new THREE.MeshStandardMaterial({ color: 0x374151, roughness: 0.5, metalness: 0.6 });
+  const roof = new THREE.MeshStandardMaterial({ color: 0xd1d5db, roughness: 0.6, metalness: 0.2 });
+  const glass = new THREE.MeshStandardMaterial({
+    color: 0xbfdbfe,
+    roughness: 0.1,
+    metalness: 0.0,
+    transparent: true,
+    opacity: 0.35,
+  });
+  const backZ = -depth / 2 + 0.1;
+  for (const x of [-width / 2 + 0.1, width / 2 - 0.1]) {
+    post(group, steel, 0.12, height, x, backZ);
+    post(group, steel, 0.12, height, x, depth / 2 - 0.1);
+  }
+  box(group, roof, width + 0.3, 0.1, depth + 0.3, 0, height + 0.05, 0);
+  const back = box(group, glass, width - 0.2, height - 0.4, 0.02, 0, (height - 0.4) / 2 + 0.2, backZ);
+  back.castShadow = false;
+  box(group, steel, width * 0.7, 0.06, 0.45, 0, 0.45, backZ + 0.35);
+}
+
+const BUILDERS = {
+  cantilever: buildCantilever,
+  sail: buildSail,
+  pergola: buildPergola,
+  "bus-shelter": buildBusShelter,
+};
+
+export function buildShadeStructure(typeId, params = {}) {
+  const type = shadeStructureType(typeId);
+  const p = { ...type.defaults, ...params };
+  const group = new THREE.Group();
+  group.name = `shade-${type.id}`;
+  BUILDERS[type.id](group, p);
+  group.userData.shadeStructure = { type: type.id, ...p };
+  return group;
+}
+
+// Roof outline in the local frame ([x, z] corners), its height above the ground and how much sun it
+// lets through.
+export function shadeStructureRoof(typeId, params = {}) {
+  const type = shadeStructureType(typeId);
+  const { width, depth, height } = { ...type.defaults, ...params };
+  const w = width / 2;
+  const d = depth / 2;
+  return {
+    corners: [[-w, d], [w, d], [w, -d], [-w, -d]],
+    height,
+    transmissivity: type.transmissivity,
+  };
+}